@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Hold a connection to a dongle and share it with local processes, which connect with
+ * lib/daemon's DaemonClient.
+ *
+ * Usage:
+ *
+ *   cs-ble-daemon [--socket <path>] [--mode <octal>] [--name <name>] [--uuid <uuid>]
+ *                 [--backend <backend>] [--serial <serial>] [--product <product>]
+ *                 [--auto-reconnect]
+ *
+ * The socket is usable by its owner only, unless --mode (e.g., 660) allows others. The
+ * dongle is scanned for and opened by the first client that asks. Without --name
+ * or --uuid, the CSLLC private service ('default') is scanned for. Stop the daemon with
+ * Ctrl-C or SIGTERM.
+ */
+'use strict';
+
+const { Daemon } = require('../lib/daemon');
+
+// Options that take a value, and the constructor option each sets
+const valueOptions = {
+  '--socket': 'socketPath',
+  '--mode': 'socketMode',
+  '--name': 'name',
+  '--uuid': 'uuid',
+  '--backend': 'backend',
+  '--serial': 'serial',
+  '--product': 'product',
+};
+
+let options = {};
+let args = process.argv.slice(2);
+
+while (args.length > 0) {
+  let arg = args.shift();
+
+  if (valueOptions[arg] && (args.length > 0)) {
+    let value = args.shift();
+
+    options[valueOptions[arg]] = (arg === '--mode') ? parseInt(value, 8) : value;
+  } else if (arg === '--auto-reconnect') {
+    options.autoReconnect = true;
+  } else {
+    console.error('Usage: cs-ble-daemon [--socket <path>] [--mode <octal>] [--name <name>] ' +
+                  '[--uuid <uuid>] [--backend <backend>] [--serial <serial>] [--product <product>] ' +
+                  '[--auto-reconnect]');
+    process.exit(2);
+  }
+}
+
+if (!options.name && !options.uuid) {
+  options.uuid = 'default';
+}
+
+let daemon = new Daemon(options);
+
+daemon.on('clientError', (err) => {
+  console.log(`Client error: ${err.message}`);
+});
+
+daemon.ble.on('stateChange', (change) => {
+  console.log(`Connection state: ${change.state}`);
+});
+
+daemon.listen()
+.then(() => {
+  console.log(`Listening on ${daemon.socketPath}`);
+})
+.catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
+
+let stop = () => {
+  daemon.close()
+  .then(() => process.exit(0))
+  .catch(() => process.exit(1));
+};
+
+process.on('SIGINT', stop);
+process.on('SIGTERM', stop);
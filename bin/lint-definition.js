@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Check device definition files against the schema used by the device registry.
+ *
+ * Usage:
+ *
+ *   cs-ble-lint-definition my-dongle.js [another-dongle.json ...]
+ *
+ * Each file must be a CommonJS module or JSON file whose export is a definition, like
+ * those in lib/device/. Problems are printed with the path of the offending property.
+ * The exit code is 0 if every file is valid, 1 otherwise.
+ */
+'use strict';
+
+const path = require('path');
+
+const DefinitionSchema = require('../lib/DefinitionSchema');
+
+let files = process.argv.slice(2);
+
+if (files.length === 0) {
+  console.error('Usage: cs-ble-lint-definition <definition file>...');
+  process.exit(2);
+}
+
+let failed = 0;
+
+files.forEach((file) => {
+  let definition;
+
+  try {
+    definition = require(path.resolve(file));
+  } catch(e) {
+    console.log(`${file}: cannot be loaded: ${e.message}`);
+    failed++;
+    return;
+  }
+
+  let problems = DefinitionSchema.validate(definition);
+
+  if (problems.length > 0) {
+    problems.forEach((problem) => {
+      console.log(`${file}: ${problem}`);
+    });
+    failed++;
+  } else {
+    console.log(`${file}: OK`);
+  }
+});
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Create a pseudo-terminal that answers Modbus RTU requests, forwarding them to a
+ * controller through a dongle, so that tools that only use serial ports can be used
+ * over BLE. Needs socat.
+ *
+ * Usage:
+ *
+ *   cs-ble-modbus-rtu [--path <path>] [--baud <rate>] [--timeout <ms>] [--name <name>]
+ *                     [--uuid <uuid>] [--backend <backend>] [--serial <serial>]
+ *                     [--product <product>]
+ *
+ * The first dongle found is opened, and reconnected if the connection is lost. Without
+ * --name or --uuid, the CSLLC private service ('default') is scanned for. Stop with
+ * Ctrl-C or SIGTERM.
+ */
+'use strict';
+
+const { ModbusRtuPty } = require('../lib/gateway');
+
+// Options that take a value, and the constructor option each sets
+const valueOptions = {
+  '--path': 'path',
+  '--baud': 'baudRate',
+  '--timeout': 'timeout',
+  '--name': 'name',
+  '--uuid': 'uuid',
+  '--backend': 'backend',
+  '--serial': 'serial',
+  '--product': 'product',
+};
+
+// Options whose values are numbers
+const numberOptions = [ 'baudRate', 'timeout' ];
+
+let options = { autoReconnect: true };
+let args = process.argv.slice(2);
+
+while (args.length > 0) {
+  let arg = args.shift();
+  let option = valueOptions[arg];
+
+  if (option && (args.length > 0)) {
+    options[option] = numberOptions.includes(option) ? Number(args.shift()) : args.shift();
+  } else {
+    console.error('Usage: cs-ble-modbus-rtu [--path <path>] [--baud <rate>] [--timeout <ms>] ' +
+                  '[--name <name>] [--uuid <uuid>] [--backend <backend>] [--serial <serial>] ' +
+                  '[--product <product>]');
+    process.exit(2);
+  }
+}
+
+if (!options.name && !options.uuid) {
+  options.uuid = 'default';
+}
+
+let pty = new ModbusRtuPty(options);
+
+pty.on('frameError', (err) => {
+  console.log(err.message);
+});
+
+pty.on('close', (err) => {
+  if (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+});
+
+pty.ble.on('stateChange', (change) => {
+  console.log(`Connection state: ${change.state}`);
+});
+
+pty.listen()
+.then((path) => {
+  console.log(`Serving Modbus RTU on ${path}`);
+
+  return pty.ble.startScanning()
+  .then(() => pty.ble.open());
+})
+.catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
+
+let stop = () => {
+  pty.close()
+  .then(() => process.exit(0))
+  .catch(() => process.exit(1));
+};
+
+process.on('SIGINT', stop);
+process.on('SIGTERM', stop);
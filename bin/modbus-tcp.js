@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Serve Modbus TCP on a local port, forwarding requests to a controller through a
+ * dongle, so that standard Modbus tools can be used over BLE.
+ *
+ * Usage:
+ *
+ *   cs-ble-modbus-tcp [--port <port>] [--host <address>] [--timeout <ms>] [--name <name>]
+ *                     [--uuid <uuid>] [--backend <backend>] [--serial <serial>]
+ *                     [--product <product>]
+ *
+ * The first dongle found is opened, and reconnected if the connection is lost. Without
+ * --name or --uuid, the CSLLC private service ('default') is scanned for. Stop the
+ * gateway with Ctrl-C or SIGTERM.
+ */
+'use strict';
+
+const { ModbusTcpGateway } = require('../lib/gateway');
+
+// Options that take a value, and the constructor option each sets
+const valueOptions = {
+  '--port': 'port',
+  '--host': 'host',
+  '--timeout': 'timeout',
+  '--name': 'name',
+  '--uuid': 'uuid',
+  '--backend': 'backend',
+  '--serial': 'serial',
+  '--product': 'product',
+};
+
+// Options whose values are numbers
+const numberOptions = [ 'port', 'timeout' ];
+
+let options = { autoReconnect: true };
+let args = process.argv.slice(2);
+
+while (args.length > 0) {
+  let arg = args.shift();
+  let option = valueOptions[arg];
+
+  if (option && (args.length > 0)) {
+    options[option] = numberOptions.includes(option) ? Number(args.shift()) : args.shift();
+  } else {
+    console.error('Usage: cs-ble-modbus-tcp [--port <port>] [--host <address>] [--timeout <ms>] ' +
+                  '[--name <name>] [--uuid <uuid>] [--backend <backend>] [--serial <serial>] ' +
+                  '[--product <product>]');
+    process.exit(2);
+  }
+}
+
+if (!options.name && !options.uuid) {
+  options.uuid = 'default';
+}
+
+let gateway = new ModbusTcpGateway(options);
+
+gateway.on('clientError', (err) => {
+  console.log(`Client error: ${err.message}`);
+});
+
+gateway.ble.on('stateChange', (change) => {
+  console.log(`Connection state: ${change.state}`);
+});
+
+gateway.listen()
+.then((port) => {
+  console.log(`Listening on ${gateway.host}:${port}`);
+
+  return gateway.ble.startScanning()
+  .then(() => gateway.ble.open());
+})
+.catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
+
+let stop = () => {
+  gateway.close()
+  .then(() => process.exit(0))
+  .catch(() => process.exit(1));
+};
+
+process.on('SIGINT', stop);
+process.on('SIGTERM', stop);
@@ -1,55 +1,60 @@
 // Main process
 
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow } = require('electron');
 const path = require('path');
 
+const { DevicePicker } = require('../../lib/electron');
+
+// Forwards the devices found by navigator.bluetooth.requestDevice() to the renderer,
+// which chooses one through BleController's 'discover' event
+const picker = new DevicePicker({ timeout: 60000 });
+
 const createWindow = () => {
   const win = new BrowserWindow({
     width: 800,
     height: 600,
     webPreferences: {
       preload: path.join(__dirname, 'preload.js'),
-      nodeIntegration: true,
-      contextIsolation: false,
+      // The page uses the API exposed by preload.js, which needs NodeJS to load this
+      // module; the page itself has no access to NodeJS
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: false,
       experimentalFeatures: true,
     }
-  })
+  });
 
   let webContents = win.webContents;
 
   webContents.openDevTools();
 
   webContents.on('did-finish-load', () => {
-    console.log("did-finish-load");
-
-    webContents.send('bleSetup');
-
+    console.log('did-finish-load');
   });
 
-  win.loadFile('index.html')
+  picker.attach(webContents);
 
-  win.webContents.on('select-bluetooth-device', (event, deviceList, callback) => {
-    event.preventDefault();
-    console.log("deviceList", deviceList);
-    callback(deviceList[0].deviceId);
+  win.loadFile('index.html');
 
-    // For now, we just grab the first device, but eventually we'll need to implement
-    // a device picker
-  })
-
-}
+};
 
 app.on('window-all-closed', () => {
-  if (process.platform !== 'darwin') app.quit()
-})
+  if (process.platform !== 'darwin') {
+    app.quit();
+  }
+});
 
 app.whenReady().then(() => {
+  // Pass pairing requests to the renderer, whose BleController answers them
+  picker.handlePairing();
 
   createWindow();
-  
+
   app.on('activate', () => {
-    if (BrowserWindow.getAllWindows().length === 0) createWindow()
-  })
-})
+    if (BrowserWindow.getAllWindows().length === 0) {
+      createWindow();
+    }
+  });
+});
 
 
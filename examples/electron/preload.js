@@ -1,12 +1,22 @@
+// Preload script
+//
+// Runs with access to NodeJS, and exposes a constrained BleController API to the page as
+// window.csMbBle. The page itself has no access to NodeJS or Electron.
+
+const { PreloadBridge } = require('../../lib/electron');
+
+// Dongles that require pairing are paired with the PIN given in the environment
+new PreloadBridge({ uuid: 'default', passkey: process.env.BLE_PASSKEY }).expose('csMbBle');
+
 window.addEventListener('DOMContentLoaded', () => {
   const replaceText = (selector, text) => {
-    const element = document.getElementById(selector)
-    if (element) element.innerText = text
-  }
+    const element = document.getElementById(selector);
+    if (element) {
+      element.innerText = text;
+    }
+  };
 
   for (const dependency of ['chrome', 'node', 'electron']) {
-    replaceText(`${dependency}-version`, process.versions[dependency])
+    replaceText(`${dependency}-version`, process.versions[dependency]);
   }
-
-
-})
+});
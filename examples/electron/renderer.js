@@ -1,247 +1,140 @@
 // Renderer process
-
-const { ipcRenderer } = require('electron');
-const CsMbBle = require('../..');
-
-const PromisePool = require('async-promise-pool');
-
-ipcRenderer.on('bleSetup', () => {
-  console.log("bleSetup()");
-
+//
+// Runs with contextIsolation, so the BleController is used through the window.csMbBle
+// API exposed by preload.js. Byte arrays are passed as arrays of numbers, and watcher
+// updates arrive as 'watcher' events.
+
+const ble = window.csMbBle;
+
+// Watchers set up once connected: slot, device memory address and read length
+const watchers = [
+  [ 0, 0x110, 3 ],    // HRAM 0x10, 0x11, 0x12
+  [ 1, 0x113, 3 ],    // HRAM 0x13, 0x14, 0x15
+  [ 2, 0x118, 2 ],    // HRAM 0x18, 0x19
+  [ 3, 0x11C, 2 ],    // HRAM 0x1C, 0x1D
+  [ 4, 0x11E, 2 ],    // HRAM 0x1E, 0x1F
+  [ 5, 0x129, 3 ],    // HRAM 0x29, 0x2A, 0x2B
+  [ 6, 0x056, 1 ],    // LRAM 0x56
+  [ 7, 0x05F, 3 ],    // LRAM 0x5F, 0x60, 0x61
+  [ 8, 0x06A, 2 ],    // LRAM 0x6A, 0x6B
+];
+
+// ID of the device connected to the dongle
+const deviceId = 0x01;
+
+window.addEventListener('DOMContentLoaded', () => {
   document.getElementById('button-refresh-connections').addEventListener('click', testBluetooth);
-});
-
-// Test bluetooth features
-let testBluetooth = function() {
-
-  console.log("testBluetooth");
 
-  let ble = new CsMbBle({ bluetooth: navigator.bluetooth,
-                          uuid: 'default' });
-
-
-  ble.on('availabilitychanged', (event) => {
-    console.log("BLE availability changed", event);
-  });
-
-  ble.on('gattserverdisconnected', (event) => {
-    console.log("BLE connection lost", event);
+  // Ends the pending request without choosing a device; startScanning() then rejects
+  document.getElementById('button-cancel').addEventListener('click', () => {
+    ble.cancel();
   });
+});
 
-  ble.on('scanStart', (filter) => {
-    console.log("BLE scanning started, using filter", filter);
-  });
+ble.on('availabilitychanged', (event) => {
+  console.log('BLE availability changed', event);
+});
 
-  ble.on('scanStop', () => {
-    console.log("BLE scanning stopped");
-  });
+ble.on('stateChange', (change) => {
+  console.log('BLE state', change.previous, '->', change.state);
+});
 
-  ble.on('discover', (newDevice) => {
-    console.log("BLE device discovered:", newDevice);
-  });
+ble.on('scanStart', (filter) => {
+  console.log('BLE scanning started, using filter', filter);
+});
 
-  ble.on('connecting', () => {
-    console.log("Connecting to BLE device...");
-  });
+ble.on('scanStop', () => {
+  console.log('BLE scanning stopped');
+});
 
-  ble.on('connected', () => {
-    console.log("Connected to BLE device.");
-  });
+ble.on('discover', (newDevice) => {
+  console.log('BLE device discovered:', newDevice);
 
-  ble.on('disconnecting', () => {
-    console.log("Disconnecting from BLE device...");
-  });
+  // Let the user pick the device, as with the built-in NodeJS Bluetooth interface
+  let item = document.createElement('li');
+  let button = document.createElement('button');
 
-  ble.on('disconnected', () => {
-    console.log("Disconnected from BLE device.");
+  button.textContent = `${newDevice.name} (${newDevice.id})`;
+  button.addEventListener('click', () => {
+    document.getElementById('device-list').innerHTML = '';
+    ble.select(newDevice.id);
   });
 
-  ble.on('inspecting', () => {
-    console.log("Inspecting BLE dongle...");
-  });
+  item.appendChild(button);
+  document.getElementById('device-list').appendChild(item);
+});
 
-  ble.on('inspected', () => {
-    console.log("Inspection complete.");
-
-    ble.getInfo()
-    .then((info) => {
-      console.log("Device information:");
-      console.log("  System ID:             ", info.systemId);
-      console.log("  Manufacturer:          ", info.manufacturerName);
-      console.log("  Model Number:          ", info.modelNumber);
-      console.log("  Serial Number:         ", info.dongleSerialNumber);
-      console.log("  Software Revision:     ", info.softwareRevision);
-      console.log("  Firmware Revision:     ", info.firmwareRevision);
-      console.log("  Hardware Revision:     ", info.hardwareRevision);
-      console.log("  Dongle Modbus ID:      ", info.modbusId);
-      console.log("  Product:               ", info.product);
-      console.log("  Product Serial Number: ", info.serial);
-    })
-    .then(() => {
-      // Set up watchers
-
-      let pool = new PromisePool({concurrency: 1});
-
-      let handleError = function(e, index) {
-        console.error("Watcher error", e, index);
-      }
-
-      let deviceId = 0x01;
-
-      pool.add(() => {
-        // Watcher for HRAM 0x10, 0x11, 0x12
-        return ble.watch(0, deviceId, 0x110, 3, (data) => {
-          console.log("watcher 0:", data);
-        })
-        .catch((e) => handleError(e, 0));
-      });
+ble.on('connecting', () => {
+  console.log('Connecting to BLE device...');
+});
 
-      pool.add(() => {
-        // Watcher for HRAM 0x13, 0x14, 0x15
-        return ble.watch(1, deviceId, 0x113, 3, (data) => {
-          console.log("watcher 1:", data);
-        })
-        .catch((e) => handleError(e, 1));
-      });
+ble.on('connected', () => {
+  console.log('Connected to BLE device.');
+});
 
-      pool.add(() => {
-        // Watcher for HRAM 0x18, 0x19
-        return ble.watch(2, deviceId, 0x118, 2, (data) => {
-          console.log("watcher 2:", data);
-        })
-        .catch((e) => handleError(e, 2));
-      });
+ble.on('disconnected', () => {
+  console.log('Disconnected from BLE device.');
+});
 
-      pool.add(() => {
-        // Watcher for HRAM 0x1C, 0x1D
-        return ble.watch(3, deviceId, 0x11C, 2, (data) => {
-          console.log("watcher 3:", data);
-        })
-        .catch((e) => handleError(e, 3));
-      });
+ble.on('inspected', () => {
+  console.log('Inspection complete.');
+});
 
-      pool.add(() => {
-        // Watcher for HRAM 0x1E, 0x1F
-        return ble.watch(4, deviceId, 0x11E, 2, (data) => {
-          console.log("watcher 4:", data);
-        })
-        .catch((e) => handleError(e, 4));
-      });
+ble.on('watcher', (update) => {
+  console.log(`watcher ${update.slot}:`, update.data);
+});
 
-      pool.add(() => {
-        // Watcher for HRAM 0x29, 0x2A, 0x2B
-        return ble.watch(5, deviceId, 0x129, 3, (data) => {
-          console.log("watcher 5:", data);
-        })
-        .catch((e) => handleError(e, 5));
-      });
+// Test bluetooth features
+let testBluetooth = function() {
 
-      pool.add(() => {
-        // Watcher for LRAM 0x56
-        return ble.watch(6, deviceId, 0x056, 1, (data) => {
-          console.log("watcher 6:", data);
-        })
-        .catch((e) => handleError(e, 6));
-      });
+  console.log('testBluetooth');
 
-      pool.add(() => {
-        // Watcher for LRAM 0x5F, 0x60, 0x61
-        return ble.watch(7, deviceId, 0x05F, 3, (data) => {
-          console.log("watcher 7:", data);
-        })
-        .catch((e) => handleError(e, 7));
-      });
+  document.getElementById('device-list').innerHTML = '';
 
-      pool.add(() => {
-        // Watcher for LRAM 0x6A, 0x6B
-        return ble.watch(8, deviceId, 0x06A, 2, (data) => {
-          console.log("watcher 8:", data);
-        })
-        .catch((e) => handleError(e, 8));
+  return ble.getAvailability()
+  .then(() => ble.startScanning())
+  .then((device) => {
+    console.log('device', device);
+    return ble.open();
+  })
+  .then(() => ble.getInfo())
+  .then((info) => {
+    console.log('Device information:');
+    console.log('  System ID:             ', info.systemId);
+    console.log('  Manufacturer:          ', info.manufacturerName);
+    console.log('  Model Number:          ', info.modelNumber);
+    console.log('  Serial Number:         ', info.dongleSerialNumber);
+    console.log('  Software Revision:     ', info.softwareRevision);
+    console.log('  Firmware Revision:     ', info.firmwareRevision);
+    console.log('  Hardware Revision:     ', info.hardwareRevision);
+    console.log('  Dongle Modbus ID:      ', info.modbusId);
+    console.log('  Product:               ', info.product);
+    console.log('  Product Serial Number: ', info.serial);
+
+    // Set up watchers, one at a time
+    return watchers.reduce((chain, [ slot, address, length ]) => {
+      return chain.then(() => {
+        return ble.watch(slot, deviceId, address, length)
+        .catch((e) => console.error('Watcher error', e, slot));
       });
-
-      return pool.all();
-
-    })
-    .then(() => {
-      let pool = new PromisePool({concurrency: 1});
-
-      for (let i = 0; i < 9; i ++) {
-        pool.add(() => {
-          return ble.readWatcher(i)
-          .catch((err) => {
-            console.error("error reading watcher " + i, err);
-          })
-        });
-      }
-
-      return pool.all();
-    })
-    .then((results) => {
-      console.log("readWatcher results", results);
-    });
-  });
-
-  ble.on('discoveredService', (uuid) => {
-    console.log("Discovered", uuid);
-  });
-
-  ble.on('discoveredCharacteristic', (serviceUuid, charUuid) => {
-    console.log("Discovered", serviceUuid, "/", charUuid);
-  });
-
-  console.log("ble", ble);
-
-  return new Promise((resolve, reject) => {
-    ble.getAvailability()
-    .then(() => {
-      ble.startScanning()
-      .then((device) => {
-        console.log("device", device);
-
-        
-
-        let handleAdvertisement = (event) => {
-
-          console.log("handleAdvertisement", event);
-
-          // device.removeEventListener('advertisementreceived', handleAdvertisement);
-
-          // Using 0xFFFF for Company ID for now, but that may change if
-          // CS registers for their own.
-          let manufacturerData = event.manufacturerData.get(0xFFFF);
-
-          console.log("manufacturerData", manufacturerData);
-
-          resolve({
-            text: `${device.name} (${device.id})`, // TODO: Truncate ID
-            value: device.id,
-            type: "ble",
-            typeText: 'ble',
-            module: "cs-mb-ble",
-            bus: device,
-            port: `${device.name} (ID ${device.id})`,
-          });
-        };
-
-        device.addEventListener('advertisementreceived', handleAdvertisement);
-
-        device.watchAdvertisements();
-
-        // resolve({
-        //   text: `${device.name} (${device.id})`, // TODO: Truncate ID
-        //   value: device.id,
-        //   type: "ble",
-        //   typeText: "Bluetooth Dongle",
-        //   module: "cs-mb-ble",
-        //   bus: device,
-        //   port: `${device.name} (ID ${device.id})`,
-        // });
+    }, Promise.resolve());
+  })
+  .then(() => {
+    return watchers.reduce((chain, [ slot ]) => {
+      return chain.then(() => {
+        return ble.readWatcher(slot)
+        .catch((err) => console.error('error reading watcher ' + slot, err));
       });
-    });
+    }, Promise.resolve());
   })
   .then(() => {
-    ble.open();
+    // A Modbus transaction with the connected device
+    return ble.modbus.readMemory(0x110, 3, { unit: deviceId });
   })
-}
-
+  .then((response) => {
+    console.log('readMemory response', response.values);
+  })
+  .catch((err) => {
+    console.error('Bluetooth test failed', err);
+  });
+};
@@ -7,7 +7,7 @@ const modbusCommands = {
 module.exports = class Controller {
   constructor(options) {
     this.master = options.master;
-    this.id = options.id
+    this.id = options.id;
   }
 
   // Read device memory using the MODBUS read memory function code
@@ -141,8 +141,8 @@ module.exports = class Controller {
   }
 
   reset(options) {
-    return this.command(modbusCommands['reset'].id,
-                        Buffer.from(modbusCommands['reset'].value),
+    return this.command(modbusCommands.reset.id,
+                        Buffer.from(modbusCommands.reset.value),
                         options)
     .catch((err) => {
       console.error(err);
@@ -151,4 +151,4 @@ module.exports = class Controller {
   }
 
 
-}
+};
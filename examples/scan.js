@@ -20,15 +20,15 @@ let ble = new BleController({
 ble.getAvailability()
 .then(() => {
   ble.on('discover', (newDevice) => {
-    console.log("Discovered BLE device:", newDevice);
+    console.log('Discovered BLE device:', newDevice);
   });
 
   ble.on('scanStart', (filter) => {
-    console.log("Scanning started using filter", filter);
+    console.log('Scanning started using filter', filter);
   });
 
   ble.on('scanStop', (peripheral) => {
-    console.log("Scanning stopped", peripheral);
+    console.log('Scanning stopped', peripheral);
   });
 
   return ble.startScanning();
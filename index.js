@@ -14,44 +14,70 @@
  */
 'use strict';
 
-// Native Bluetooth module
+// Bluetooth backends
 // 
 // For applications that strictly run on NodeJS (./examples, cs-modbus-cli, etc.) on
-// macOS and Linux, this module will fall back onto @abandonware/noble to provide native
-// BLE functionality.
+// macOS and Linux, the 'webbluetooth' module (built on @abandonware/noble) provides
+// native BLE functionality.
 // 
 // For applications that run in environments that provide a real navigator.bluetooth
 // interface (namely, Electron), we can use that instead. This allows apps like Zhivago
 // to use a computer's built-in BLE adapter on Windows 10.
 // 
-// The interface is selected in BleController.constructor() below.
-let Bluetooth;
-let usingNodeModule;
+// The backend is selected in BleController.constructor() below; see lib/backend/.
+const backends = require('./lib/backend');
 
-try {
-  Bluetooth = require('webbluetooth').Bluetooth;
-  usingNodeModule = true;
-} catch(e) {
-  Bluetooth = null;
-  usingNodeModule = false;
-}
+// Event emitter that also works in a browser; see lib/EventEmitter.js
+const EventEmitter = require('./lib/EventEmitter');
 
-// built-in node utility module
-const util = require('util');
-
-// Node event emitter module
-const EventEmitter = require('events').EventEmitter;
+// Retry with exponential backoff, used for automatic reconnection
+const promiseRetry = require('promise-retry');
 
 // Library containing implementations of Modbus functions and device-specific
 // (CS1814, CS1816, etc.) parameters
 const BleDevice = require('./lib/BleDevice');
 
+// Decoding of manufacturer-specific advertisement data
+const Advertisement = require('./lib/Advertisement');
+
+// Policies for choosing a peripheral when the 'autoConnect' option is set
+const AutoConnectPolicy = require('./lib/AutoConnectPolicy');
+
+// Peripherals connected to before, and where they are stored
+const KnownDevices = require('./lib/KnownDevices');
+
+// Connection states and the transitions allowed between them
+const ConnectionState = require('./lib/ConnectionState');
+const State = ConnectionState.State;
+
+// Error types
+const errors = require('./lib/errors');
+
 // UUIDs of services common across all of our BLE peripheral devices if we're not using
 // a known device name.
 const serviceUuids = [
   '0000180a-0000-1000-8000-00805f9b34fb', // Device Information
   '49535343-fe7d-4ae5-8fa9-9fafd205e455', // Transparent UART
 ];
+
+// Backoff used when the 'autoReconnect' option is simply set to true.
+// See https://www.npmjs.com/package/promise-retry for the meaning of these options.
+const defaultReconnectOptions = {
+  retries: 5,
+  factor: 2,
+  minTimeout: 1000,
+  maxTimeout: 30000,
+};
+
+// How long close() waits for the GATT server to report the disconnection
+const DISCONNECT_TIMEOUT = 5000;
+
+// Default duration of scan(), in milliseconds
+const DEFAULT_SCAN_DURATION = 5000;
+
+// Options, accepted by the constructor and the scanning methods, that choose among
+// the peripherals that pass the scan filters. See _selectionCriteria().
+const selectionKeys = [ 'serial', 'product', 'minRssi', 'select' ];
   
 
 
@@ -60,12 +86,18 @@ const serviceUuids = [
 module.exports = class BleController extends EventEmitter {
 
   constructor(options) {
+    // Sets up each of the instance's properties in turn
+    /* jshint maxstatements: false */
     super();
 
     // BLE availability
     this.available = false;
 
-    // BLE ready (peripheral selected and server open)
+    // Connection state; see lib/ConnectionState.js. Changes are reported with a
+    // 'stateChange' event.
+    this.state = State.IDLE;
+
+    // BLE ready (peripheral selected and server open). Kept in step with this.state.
     this.isReady = false;
     
     // Reference to connected peripheral and server
@@ -78,17 +110,68 @@ module.exports = class BleController extends EventEmitter {
     // Discovered peripheral list
     this.discoveredPeripherals = [];
 
+    // Peripherals found by scan(), keyed by ID, so that they can be opened directly
+    this._scannedPeripherals = new Map();
+
+    // Selection criteria and auto-connect policy of the pending startScanning() call
+    this._scanCriteria = null;
+    this._autoConnect = null;
+
+    // IDs of peripherals being checked against the selection criteria by _onDiscover()
+    this._evaluating = new Set();
+
+    // IDs of peripherals that were accepted by _onDiscover() before their product and
+    // serial number could be read, and of those that then turned out not to match
+    this._unverified = new Set();
+    this._passedOver = new Set();
+
+    // Identity of peripherals that don't advertise it, as read by
+    // BleDevice.readIdentity(), keyed by ID, so that each is only connected to once
+    this._identities = new Map();
+
     // Save options passed to constructor
     this.options = options || {};
 
-    // Establish peripheral scanning criteria
-    if (this.options.bluetooth) {
-      this.bluetooth = this.options.bluetooth;
-    } else {
-      this.bluetooth = new Bluetooth({ deviceFound: this._onDiscover.bind(this),
-                                       // See "Web Bluetooth compatibility" section of README
-                                       // allowedManufacturerData: [{ companyIdentifier: 0xFFFF }]
-                                     });
+    // Peripherals connected to before, kept in the store given as the 'knownDevices'
+    // option (see lib/store/)
+    this.knownDevices = new KnownDevices(this.options.knownDevices);
+
+    // Set by close() so that the resulting disconnection isn't treated as a lost link
+    this._closeRequested = false;
+
+    // True while automatic reconnection is in progress
+    this._reconnecting = false;
+
+    // Watchers and super-watcher set through this instance, keyed by slot. These are
+    // re-issued after an automatic reconnection.
+    this._watchers = {};
+    this._superWatcher = null;
+
+    this._onGattServerDisconnected = this._handleGattServerDisconnected.bind(this);
+    this._onDeviceFound = this._onDiscover.bind(this);
+
+    // Select the Bluetooth backend. this.bluetooth is the underlying navigator.bluetooth
+    // or equivalent object, if the backend has one.
+    this.backend = backends.create({ backend: this.options.backend,
+                                     bluetooth: this.options.bluetooth,
+                                     ipcRenderer: this.options.ipcRenderer,
+                                     deviceFound: this._onDeviceFound });
+
+    this.bluetooth = this.backend.bluetooth || null;
+
+    // Answer the peripheral's pairing requests with the 'passkey' option, for backends
+    // that pass them on. With 'bond' and no passkey, pairing that only needs to be
+    // confirmed is accepted.
+    if ((this.options.passkey !== undefined) || this.options.bond) {
+      let passkey = this.options.passkey;
+
+      this.backend.setPairingHandler((details) => {
+        if (typeof passkey === 'function') {
+          return passkey(details);
+        }
+
+        return (passkey !== undefined) ? passkey : true;
+      });
     }
 
     // The application should know what kind of dongle it's looking for.
@@ -101,20 +184,24 @@ module.exports = class BleController extends EventEmitter {
     // search for in lieu of a name.
     if (!this.options.name && !this.options.uuid) {
       // The error message must be composed separately from Error instantiation
-      let errorMessage = `A device name and/or private service UUID be provided. Known device names in cs-mb-ble are ${BleDevice.names()}`;
+      let errorMessage = 'A device name and/or private service UUID be provided. ' +
+                         `Known device names in cs-mb-ble are ${BleDevice.names()}`;
       throw new Error(errorMessage);
     }
 
     this.scannedName = this.options.name || null;
 
-    if (this.options.uuid == 'default') {
+    // Throws if the policy is unknown
+    this._autoConnectOptions = AutoConnectPolicy.normalize(this.options.autoConnect);
+
+    if (this.options.uuid === 'default') {
       this.scannedUuid = BleDevice.uuids();
     } else if (this.options.uuid) {
       this.scannedUuid = [ this.options.uuid ];
     }
 
     // Set up event forwarding from native Bluetooth module
-    this.bluetooth.addEventListener('availabilitychanged', this.emit.bind(this, 'availabilitychanged'));
+    this.backend.onAvailabilityChanged(this.emit.bind(this, 'availabilitychanged'));
 
     // Electron doesn't seem to support the workflow of
     // bluetooth.requestDevice() -> emit 'discover' -> user selects via picker yet,
@@ -125,30 +212,351 @@ module.exports = class BleController extends EventEmitter {
   }
 
 
+  /**
+   * Add a device definition (see lib/device/) to the registry of known devices, or
+   * replace the definition with the same name. Takes effect for peripherals opened
+   * afterwards.
+   *
+   * @param {Object} definition  Device definition
+   * @return {Object} The registered definition
+   */
+  static registerDevice(definition) {
+    return BleDevice.registry.register(definition);
+  }
+
+
   /** 
    * Start the bluetooth scanning and find the requested peripheral using the filter parameters
    * supplied to the constructor.
    *
+   * Peripherals that don't meet the selection criteria ('serial', 'product', 'minRssi'
+   * and 'select', from the constructor options unless overridden here) are passed
+   * over. With a Bluetooth interface that doesn't report each advertisement, such as
+   * navigator.bluetooth without the 'electron' backend, the peripheral picked by the user
+   * is checked instead, and the returned Promise rejects if it doesn't match.
+   *
+   * The 'electron' backend reports each device that Electron finds, but they can't be
+   * connected to until one is selected, so a product or serial number that isn't
+   * advertised is checked once the peripheral has been selected. If it doesn't match,
+   * the peripheral is passed over and the request is repeated.
+   *
+   * @param {Object}   options           Selection criteria; see _selectionCriteria()
    * @return {Promise}  Resolves when the callback passed in the `discover` event is called 
    *                    with a device ID.
    */
-  startScanning() {
+  startScanning(options) {
     // Start scanning by requesting a peripheral with the criteria established in our constructor
     // This does not connect; just emits a discover event when one is detected 
 
-    // Build filter array
-    let filters = [];
+    let stateError = this._checkState('startScanning', [ State.IDLE, State.DISCONNECTED, State.ERROR ]);
 
-    if (this.scannedName) {
-      filters.push({ name: this.scannedName });
+    if (stateError) {
+      return Promise.reject(stateError);
     }
 
-    if (this.scannedUuid) {
-      filters.push({ services: this.scannedUuid });
+    let criteria = this._selectionCriteria(options);
+    let requestOptions = this._requestOptions();
+
+    // Whether peripherals are reported to _onDiscover(), which applies the criteria and
+    // auto-connect policy. An interface provided by the application that can report them
+    // (such as the simulated one) is only borrowed when there is something to apply.
+    let saved = this.backend.deviceFound;
+    let borrowed = Boolean(criteria || this._autoConnectOptions) &&
+                   this.backend.reportsAdvertisements && (saved !== this._onDeviceFound);
+    let discovering = borrowed || (saved === this._onDeviceFound);
+
+    if (borrowed) {
+      this.backend.deviceFound = this._onDeviceFound;
+    }
+
+    this._resetScan(criteria);
+
+    this._scanStarted('startScanning() called', requestOptions.filters);
+
+    let pick = () => {
+      return this.backend.requestDevice(requestOptions)
+      .then((peripheral) => {
+        if (!criteria || (discovering && !this._unverified.has(peripheral.id))) {
+          return peripheral;
+        }
+
+        // Selected without our involvement, or before it could be fully checked, so
+        // check it now
+        return this._evaluateCandidate(peripheral, criteria, true)
+        .then((candidate) => {
+          if (candidate) {
+            return peripheral;
+          } else if (!discovering) {
+            throw new Error(`Peripheral ${peripheral.id} does not meet the selection criteria`);
+          }
+
+          this._passedOver.add(peripheral.id);
+          this.discoveredPeripherals = this.discoveredPeripherals.filter((entry) => {
+            return (entry.id !== peripheral.id);
+          });
+
+          this._startAutoConnect(criteria);
+
+          return pick();
+        });
+      });
+    };
+
+    // Start scanning
+    return pick()
+    .then((peripheral) => {
+      this._stopAutoConnect();
+
+      if (borrowed) {
+        this.backend.deviceFound = saved;
+      }
+
+      // Peripheral found and selected (either by us or application)
+      this.emit('scanStop', peripheral);
+
+      // Save reference to the peripheral
+      this.peripheral = peripheral;
+
+      this._setState(State.IDLE, 'Peripheral selected');
+
+      return this.peripheral;
+    })
+    .catch((err) => {
+      this._stopAutoConnect();
+
+      if (borrowed) {
+        this.backend.deviceFound = saved;
+      }
+
+      this._setState(State.ERROR, err);
+      throw err;
+    });
+
+  }
+
+
+  /**
+   * Enter the scanning state, and emit the noble-compatible 'scanStart' event
+   *
+   * @param {String} reason   Why, for the 'stateChange' event
+   * @param {Array}  filters  Web Bluetooth scan filters in use
+   * @return {None}
+   */
+  _scanStarted(reason, filters) {
+    this._setState(State.SCANNING, reason);
+    this.emit('scanStart', filters);
+  }
+
+
+  /**
+   * Forget the peripherals found by the last startScanning(), and start applying the
+   * criteria and auto-connect policy of a new one
+   *
+   * @param {Object} criteria  Selection criteria; see _selectionCriteria()
+   * @return {None}
+   */
+  _resetScan(criteria) {
+    this._scanCriteria = criteria;
+    this.discoveredPeripherals = [];
+    this._evaluating.clear();
+    this._unverified.clear();
+    this._passedOver.clear();
+
+    this._startAutoConnect(criteria);
+  }
+
+
+  /**
+   * Start the auto-connect policy given by the 'autoConnect' option, if any, for
+   * startScanning()
+   *
+   * @param {Object} criteria  Selection criteria; see _selectionCriteria()
+   * @return {None}
+   */
+  _startAutoConnect(criteria) {
+    // open(id) selects the peripheral by ID instead
+    if (this._autoConnectOptions && !(criteria && criteria.id)) {
+      this._autoConnect = new AutoConnectPolicy(this._autoConnectOptions);
+
+      this._autoConnect.on('select', (selected, rejected) => {
+        this.emit('candidatesRejected', {
+          policy: this._autoConnectOptions.policy,
+          selected: selected,
+          rejected: rejected,
+        });
+
+        selected.callback();
+      });
+    }
+  }
+
+
+  /**
+   * Stop the auto-connect policy of startScanning(), if there is one
+   *
+   * @return {None}
+   */
+  _stopAutoConnect() {
+    if (this._autoConnect) {
+      this._autoConnect.stop();
+      this._autoConnect = null;
+    }
+  }
+
+
+  /**
+   * Scan for a period of time and collect every matching peripheral, without selecting
+   * one. Each advertisement is reported with a 'scanResult' event, and peripherals found
+   * can then be opened with open(id).
+   *
+   * This requires a Bluetooth interface that reports each advertisement, i.e., the
+   * webbluetooth module that is used when no 'bluetooth' option is provided, or the
+   * simulated one in lib/mock.
+   *
+   * @param {Object}  options           Selection criteria (see _selectionCriteria()), and:
+   * @param {Number}  options.duration  Scan duration in milliseconds (default 5000)
+   * @param {Array}   options.filters   Web Bluetooth scan filters (default: those built
+   *                                    from the constructor options)
+   * @return {Promise} Resolves with an array of discovered peripherals that meet the
+   *                   selection criteria, in the order they were first seen; see
+   *                   this._scanEntry()
+   */
+  scan(options) {
+    options = options || {};
+
+    let duration = (options.duration === undefined) ? DEFAULT_SCAN_DURATION : options.duration;
+
+    let stateError = this._checkState('scan', [ State.IDLE, State.DISCONNECTED, State.ERROR ]);
+
+    if (stateError) {
+      return Promise.reject(stateError);
+    }
+
+    if (!this.backend.reportsAdvertisements) {
+      return Promise.reject(new Error('scan() requires a Bluetooth interface that reports each advertisement, ' +
+                                      'such as the webbluetooth module'));
     }
 
-    // See "Web Bluetooth compatibility" section of README
-    // filters.push({ manufacturerData: [{ companyIdentifier: 0xFFFF }] });
+    let criteria = this._selectionCriteria(options);
+    let requestOptions = this._requestOptions(options.filters);
+    let results = new Map();
+    let evaluating = new Set();
+    let scanning = true;
+
+    // The Bluetooth interface's own settings are restored when the scan is complete. The
+    // webbluetooth module stops scanning on its own after 'scanTime'; make sure our timer
+    // expires first.
+    let restore = this._borrowBackend((peripheral) => {
+      // Advertisements received while checking the same peripheral are ignored
+      if (!evaluating.has(peripheral.id)) {
+        evaluating.add(peripheral.id);
+
+        this._evaluateCandidate(peripheral, criteria)
+        .then((entry) => {
+          evaluating.delete(peripheral.id);
+
+          if (entry && scanning) {
+            results.set(entry.id, entry);
+
+            // Otherwise, open(id) selects it by scanning again
+            if (this.backend.connectsCandidates) {
+              this._scannedPeripherals.set(entry.id, peripheral);
+            }
+
+            this.emit('scanResult', entry);
+          }
+        });
+      }
+
+      // Never select a peripheral, so that scanning continues
+      return false;
+    }, duration + 1000);
+
+    this._scanStarted('scan() called', requestOptions.filters);
+
+    return new Promise((resolve, reject) => {
+      let timer = setTimeout(resolve, duration);
+
+      // Since no peripheral is selected, the request only settles if scanning fails
+      this.backend.requestDevice(requestOptions)
+      .catch((err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+    })
+    .then(() => {
+      return this.backend.cancelRequest();
+    })
+    .then(() => {
+      let list = Array.from(results.values());
+
+      scanning = false;
+      restore();
+
+      this._setState(State.IDLE, 'Scan complete');
+
+      this.emit('scanStop', list);
+
+      return list;
+    })
+    .catch((err) => {
+      scanning = false;
+      restore();
+
+      this._setState(State.ERROR, err);
+      throw err;
+    });
+  }
+
+
+  /**
+   * Give the Bluetooth interface a deviceFound callback, and a scan time if it has one,
+   * for scan()
+   *
+   * @param {Function} deviceFound  Called with each advertising peripheral
+   * @param {Number}   scanTime     Milliseconds to scan for
+   * @return {Function} Restores the interface's own settings
+   */
+  _borrowBackend(deviceFound, scanTime) {
+    let saved = { deviceFound: this.backend.deviceFound, scanTime: this.backend.scanTime };
+
+    this.backend.deviceFound = deviceFound;
+
+    if (saved.scanTime !== undefined) {
+      this.backend.scanTime = scanTime;
+    }
+
+    return () => {
+      this.backend.deviceFound = saved.deviceFound;
+
+      if (saved.scanTime !== undefined) {
+        this.backend.scanTime = saved.scanTime;
+      }
+    };
+  }
+
+
+  /**
+   * Build the scan filters and list of services to request access to, for
+   * this.backend.requestDevice()
+   *
+   * @param {Array}  filters  Web Bluetooth scan filters, or undefined to build them from
+   *                          the constructor options
+   * @return {Object} Web Bluetooth RequestDeviceOptions
+   */
+  _requestOptions(filters) {
+    // Build filter array
+    if (!filters) {
+      filters = [];
+
+      if (this.scannedName) {
+        filters.push({ name: this.scannedName });
+      }
+
+      if (this.scannedUuid) {
+        filters.push({ services: this.scannedUuid });
+      }
+    }
 
     // Build list of services we want
     let services;
@@ -165,28 +573,177 @@ module.exports = class BleController extends EventEmitter {
     // Add non-private services to service list without adding duplicates
     services = [...new Set(services.concat(serviceUuids))];
 
-    // Emit noble-compatible event
-    this.emit('scanStart', filters);
+    // Request access to the manufacturer data that device definitions describe. See
+    // the "Web Bluetooth compatibility" section of README.
+    return { filters: filters,
+             optionalServices: services,
+             optionalManufacturerData: BleDevice.registry.companyIdentifiers(),
+           };
+  }
 
-    // Start scanning
-    let options = { filters: filters,
-                    optionalServices: services,
-                    // See "Web Bluetooth compatibility" section of README
-                    // optionalManufacturerData: [{ companyIdentifier: 0xFFFF }],
-                  };
 
-    return this.bluetooth.requestDevice(options)
-    .then((peripheral) => {
-      // Peripheral found and selected (either by us or application)
-      this.emit('scanStop', peripheral);
+  /**
+   * Build the entry reported by scan() for an advertisement
+   *
+   * @param {BluetoothDevice} peripheral  Advertising peripheral
+   * @return {Object} Entry with the peripheral's 'id', advertised 'name', 'rssi' and
+   *                  'txPower' (null if not reported), service 'uuids', and the time of
+   *                  the advertisement as 'lastSeen' (milliseconds since the epoch)
+   */
+  _scanEntry(peripheral) {
+    let adData = peripheral.adData || {};
+
+    return Object.assign({
+      id: peripheral.id,
+      name: peripheral.name,
+      rssi: (adData.rssi === undefined) ? null : adData.rssi,
+      txPower: (adData.txPower === undefined) ? null : adData.txPower,
+      uuids: (peripheral._serviceUUIDs || peripheral.uuids || []).slice(),
+      lastSeen: Date.now(),
+    }, this._decodeAdvertisement(peripheral));
+  }
 
-      // Save reference to the peripheral
-      this.peripheral = peripheral;
 
-      return this.peripheral;
+  /**
+   * Decode the manufacturer data of a peripheral's latest advertisement, using the
+   * layout in the device definition matching its name
+   *
+   * @param {BluetoothDevice} peripheral  Advertising peripheral
+   * @return {Object} 'product' and 'serial' (null if not advertised), plus any other
+   *                  fields defined in the layout
+   */
+  _decodeAdvertisement(peripheral) {
+    let definition = BleDevice.registry.resolve({ name: peripheral.name });
+    let adData = peripheral.adData || {};
+
+    let fields = Advertisement.decode(definition && definition.advertisement,
+                                      adData.manufacturerData);
+
+    return Object.assign({ product: null, serial: null }, fields);
+  }
+
+
+  /**
+   * Combine the peripheral selection options given to the constructor with those given
+   * to a scanning method
+   *
+   * @param {Object}   options          Overrides of the constructor options
+   * @param {String}   options.serial   Serial number of the connected controller
+   * @param {String}   options.product  Product ID of the connected controller
+   * @param {Number}   options.minRssi  Minimum signal strength, in dBm
+   * @param {Function} options.select   Called with each candidate (see _scanEntry()),
+   *                                    returning true (or a Promise resolving to true)
+   *                                    to accept it
+   * @param {String}   options.id       Peripheral ID (used by open(id))
+   * @return {Object} Criteria, or null if there are none
+   */
+  _selectionCriteria(options) {
+    options = options || {};
+
+    let criteria = {};
+
+    selectionKeys.forEach((key) => {
+      let value = (options[key] !== undefined) ? options[key] : this.options[key];
+
+      if ((value !== undefined) && (value !== null)) {
+        criteria[key] = value;
+      }
+    });
+
+    if (options.id) {
+      criteria.id = options.id;
+    }
+
+    return (Object.keys(criteria).length > 0) ? criteria : null;
+  }
+
+
+  /**
+   * Check a discovered peripheral against the selection criteria. The product and
+   * serial number are taken from the advertisement if it includes them; otherwise,
+   * the peripheral is briefly connected to read them. If the backend can't connect to
+   * it until it's selected, they are left for startScanning() to check then, and the
+   * peripheral is added to this._unverified.
+   *
+   * @param {BluetoothDevice} peripheral  Discovered peripheral
+   * @param {Object}          criteria    See _selectionCriteria(), or null
+   * @param {Boolean}         selected    True if the peripheral has been selected
+   * @return {Promise} Resolves with the peripheral's entry (see _scanEntry()) if it meets
+   *                   the criteria, or null if it doesn't or can't be checked
+   */
+  _evaluateCandidate(peripheral, criteria, selected) {
+    let candidate = this._scanEntry(peripheral);
+
+    if (!criteria) {
+      return Promise.resolve(candidate);
+    }
+
+    if ((criteria.id !== undefined) && (candidate.id !== criteria.id)) {
+      return Promise.resolve(null);
+    }
+
+    if ((criteria.minRssi !== undefined) &&
+        ((candidate.rssi === null) || (candidate.rssi < criteria.minRssi))) {
+      return Promise.resolve(null);
+    }
+
+    let identityKeys = [ 'product', 'serial' ].filter(key => criteria[key] !== undefined);
+
+    return Promise.resolve()
+    .then(() => {
+      if (!identityKeys.some(key => candidate[key] === null)) {
+        return;
+      } else if (!selected && !this.backend.connectsCandidates) {
+        // Checked by startScanning() if it's selected
+        this._unverified.add(peripheral.id);
+        identityKeys = [];
+        return;
+      }
+
+      return this._readIdentity(peripheral)
+      .then((identity) => {
+        [ 'product', 'serial' ].forEach((key) => {
+          if (candidate[key] === null) {
+            candidate[key] = identity[key];
+          }
+        });
+      });
+    })
+    .then(() => {
+      if (identityKeys.some(key => String(criteria[key]) !== candidate[key])) {
+        return false;
+      }
+
+      return criteria.select ? criteria.select(candidate) : true;
+    })
+    .then((accepted) => {
+      return accepted ? candidate : null;
+    })
+    .catch(() => {
+      return null;
     });
+  }
+
 
-  };
+  /**
+   * Read the product and serial number of a peripheral that doesn't advertise them,
+   * or get them from an earlier read
+   *
+   * @param {BluetoothDevice} peripheral  Discovered peripheral
+   * @return {Promise} Resolves with an object containing 'product' and 'serial'
+   */
+  _readIdentity(peripheral) {
+    if (!this._identities.has(peripheral.id)) {
+      this._identities.set(peripheral.id, BleDevice.readIdentity(peripheral, this.backend)
+      .catch((err) => {
+        // Try again next time it is seen
+        this._identities.delete(peripheral.id);
+        throw err;
+      }));
+    }
+
+    return this._identities.get(peripheral.id);
+  }
 
 
   /**
@@ -197,7 +754,7 @@ module.exports = class BleController extends EventEmitter {
   getAvailability() {
     return new Promise((resolve, reject) => {
 
-      this.bluetooth.getAvailability()
+      this.backend.getAvailability()
       .then((isAvailable) => {
         this.available = isAvailable;
 
@@ -214,14 +771,19 @@ module.exports = class BleController extends EventEmitter {
   /**
    * Called by the Bluetooth interface when a peripheral is discovered.
    * 
-   * This is only used when we instantiate our own Bluetooth object through NodeJS.
-   * If it's provided to us in our constructor (e.g., Electron's
-   * navigator.bluetooth object), a 'select-bluetooth-device' event will be
-   * fired in the main process instead, and the app will be expected to handle
-   * that on its own.
+   * This is only used with a backend that reports each peripheral, e.g., our own
+   * Bluetooth object in NodeJS, or Electron's navigator.bluetooth with the 'electron'
+   * backend, to which lib/electron's DevicePicker forwards the devices of the main
+   * process's 'select-bluetooth-device' events. With the 'web' backend, the app is
+   * expected to handle that event on its own.
    * 
    * Either way, until the callback function is called, the Promise returned by
    * this.startScanning() will not settle.
+   *
+   * Only peripherals meeting the selection criteria of startScanning() are reported.
+   * Those are selected automatically if startScanning() was called by open(id), or
+   * according to the policy given by the 'autoConnect' option, which is also told of
+   * later advertisements from them.
    * 
    * @param {BluetoothDevice} newPeripheral  Newly discovered BLE peripheral
    * @param {Function}        callback       Callback function used to select a device
@@ -229,134 +791,504 @@ module.exports = class BleController extends EventEmitter {
    */
   _onDiscover(newPeripheral, callback) {
 
-    let discovered = this.discoveredPeripherals.some(peripheral => {
-      return (peripheral.id == newPeripheral.id);
+    let discovered = this.discoveredPeripherals.find(peripheral => {
+      return (peripheral.id === newPeripheral.id);
     });
 
     if (discovered) {
-      return;
-    }
+      let entry = this._scanEntry(newPeripheral);
 
-    let peripheralEntry = {id: newPeripheral.id, name: newPeripheral.name, callback: callback};
+      discovered.rssi = entry.rssi;
+      discovered.txPower = entry.txPower;
+      discovered.lastSeen = entry.lastSeen;
 
-    this.discoveredPeripherals.push(peripheralEntry);
+      if (this._autoConnect) {
+        this._autoConnect.advertisement(discovered);
+      }
 
-    this.emit('discover', peripheralEntry);
+      return;
+    }
 
-    if (this.options.autoConnect) {
-      callback();
-    } else {
+    if (this._evaluating.has(newPeripheral.id) || this._passedOver.has(newPeripheral.id)) {
       return;
     }
+
+    let criteria = this._scanCriteria;
+
+    this._evaluating.add(newPeripheral.id);
+
+    this._evaluateCandidate(newPeripheral, criteria)
+    .then((candidate) => {
+      this._evaluating.delete(newPeripheral.id);
+
+      // Scanning may have finished while the peripheral was being checked
+      if (!candidate || (this.state !== State.SCANNING)) {
+        return;
+      }
+
+      let peripheralEntry = Object.assign(candidate, { callback: callback });
+
+      this.discoveredPeripherals.push(peripheralEntry);
+
+      this.emit('discover', peripheralEntry);
+
+      if (criteria && criteria.id) {
+        callback();
+      } else if (this._autoConnect) {
+        this._autoConnect.advertisement(peripheralEntry);
+      }
+    });
   }
 
 
   /**
-   * Open the peripheral that was requested in startScanning()
+   * Open the peripheral that was requested in startScanning(), or the one with the given ID.
    *
+   * A peripheral that wasn't found by scan() is looked up among those the Bluetooth
+   * interface already has permission for, if it supports getDevices() (Web Bluetooth);
+   * otherwise, scanning is repeated until it is found.
+   *
+   * @param {String} id  Peripheral ID (optional)
+   * @return {Promise} Resolves when the peripheral is ready
    */
   open(id) {
-    if (id) {
-      // If we were provided a device ID, repeat the scanning process, attempt to
-      // find the same device that was previously found, and connect to it.
+    let stateError = this._checkState('open', [ State.IDLE, State.DISCONNECTED, State.ERROR ]);
+
+    if (stateError) {
+      return Promise.reject(stateError);
+    }
+
+    this._closeRequested = false;
+
+    if (id && this._scannedPeripherals.has(id)) {
+      // Found by scan(), so we already have a reference to it
+      this.peripheral = this._scannedPeripherals.get(id);
+
+      return this._open();
+    } else if (id) {
+      // If we were provided a device ID, repeat the scanning process, wait for the
+      // same device that was previously found, and connect to it.
       // We call ourselves recursively to accomplish this.
-      if (typeof(id) == 'string') {
+      if (typeof(id) === 'string') {
         return this.getAvailability()
         .then(() => {
-          return this.startScanning()
-          .then((device) => {
-            if (device.id == id) {
-              return this.open();
-            } else {
-              return Promise.reject("Could not find requested device");
-            }
+          return this._getPermittedDevice(id);
+        })
+        .then((peripheral) => {
+          if (peripheral) {
+            this.peripheral = peripheral;
+            return this._open();
+          }
+
+          return this.startScanning({ id: id })
+          .then(() => {
+            return this.open();
           });
         });
       } else {
         return Promise.reject('Invalid device ID. Expected a string.');
       }
     } else {
-      this.emit('connecting');
+      return this._open();
+    }
+  }
+
 
-      if (this.peripheral == null) {
-        return Promise.reject("No peripheral selected. startScanning() must be called, and the calling application must use the callback to select a peripheral.");
+  /**
+   * Open a peripheral that was connected to before, by its record in this.knownDevices
+   *
+   * @param {String} id  Peripheral ID (default: the most recently connected one)
+   * @return {Promise} Resolves when the peripheral is ready
+   */
+  openKnown(id) {
+    return this.knownDevices.get(id)
+    .then((record) => {
+      if (!record) {
+        throw new Error((id === undefined) ? 'No device has been connected to before' :
+                                             `Device ${id} has not been connected to before`);
       }
 
-      return this.peripheral.gatt.connect()
-      .then((server) => {
-        this.emit('connected');
+      return this.open(record.id);
+    });
+  }
 
-        // Save a reference to the GATTServer
-        this.server = server;
-      })
-      .then(() => {
-        // Set up server disconnect event forwarding
-        this.peripheral.addEventListener('gattserverdisconnected', this.emit.bind(this, 'gattserverdisconnected'));
-      })
-      .then(() => {
-        this.device = new BleDevice(this.peripheral, this.server,
-                                    { usingNodeModule: usingNodeModule });
-
-        // Set up event forwarding from BleDevice instance
-        let eventNames = [ 'inspecting',
-                           'inspected',
-                           'write',
-                           'data',
-                           'fault',
-                           'writeCharacteristic',
-                           'sendCommand',
-                           'watch',
-                           'superWatch',
-                           'unwatch',
-                           'unwatchAll',
-                           'discoveredService',
-                           'discoveredCharacteristic',
-                         ];
-
-        eventNames.forEach((name) => {
-          this.device.on(name, this.emit.bind(this, name));
+
+  /**
+   * Return the peripherals that have been connected to before
+   *
+   * @return {Promise} Resolves with an array of records, most recently connected first,
+   *                   each with 'id', 'name', 'product', 'serial' and 'lastConnected'
+   */
+  getKnownDevices() {
+    return this.knownDevices.list();
+  }
+
+
+  /**
+   * Remove a peripheral from the known devices
+   *
+   * @param {String} id  Peripheral ID
+   * @return {Promise} Resolves with true if it was known
+   */
+  forgetDevice(id) {
+    return this.knownDevices.forget(id);
+  }
+
+
+  /**
+   * Find a peripheral that the Bluetooth interface already has permission to use
+   *
+   * @param {String} id  Peripheral ID
+   * @return {Promise} Resolves with the BluetoothDevice, or null if it isn't permitted
+   *                   or the backend doesn't support getDevices()
+   */
+  _getPermittedDevice(id) {
+    return this.backend.getDevices()
+    .then((devices) => {
+      return devices.find(device => device.id === id) || null;
+    });
+  }
+
+
+  /**
+   * Connect to and inspect this.peripheral. Used by open() and when reconnecting.
+   *
+   * @return {Promise} Resolves when the peripheral is ready
+   */
+  _open() {
+    this.emit('connecting');
+
+    if (this.peripheral == null) {
+      return Promise.reject('No peripheral selected. startScanning() must be called, and the calling application ' +
+                            'must use the callback to select a peripheral.');
+    }
+
+    this._setState(State.CONNECTING, 'open() called');
+
+    return this.backend.connect(this.peripheral)
+    .catch((err) => {
+      throw this.backend.isAuthenticationError(err) ?
+            new errors.AuthenticationError('connect', null, err) : err;
+    })
+    .then((server) => {
+      this._setState(State.INSPECTING, 'GATT server connected');
+
+      this.emit('connected');
+
+      // Save a reference to the GATTServer
+      this.server = server;
+    })
+    .then(() => {
+      // Set up server disconnect event handling. The same peripheral is reused when
+      // reconnecting, so make sure the listener is only added once.
+      this.backend.removeDisconnectListener(this.peripheral, this._onGattServerDisconnected);
+      this.backend.addDisconnectListener(this.peripheral, this._onGattServerDisconnected);
+    })
+    .then(() => {
+      // Encrypt the link before inspection, rather than when the first operation that
+      // requires it is made
+      if (this.options.bond) {
+        return this.backend.bond(this.peripheral)
+        .catch((err) => {
+          throw new errors.AuthenticationError('bond', null, err);
         });
+      }
+    })
+    .then(() => {
+      // A specific service UUID (but not 'default') helps identify unnamed peripherals
+      let serviceUuid = (this.options.uuid !== 'default') ? this.options.uuid : undefined;
+
+      this.device = new BleDevice(this.peripheral, this.server,
+                                  { backend: this.backend,
+                                    serviceUuid: serviceUuid,
+                                    chunkSize: this.options.chunkSize,
+                                    writeRetry: this.options.writeRetry,
+                                    responseTimeout: this.options.responseTimeout });
+
+      // Set up event forwarding from BleDevice instance
+      let eventNames = [ 'inspecting',
+                         'inspected',
+                         'write',
+                         'writeAttempt',
+                         'data',
+                         'frame',
+                         'frameError',
+                         'fault',
+                         'writeCharacteristic',
+                         'sendCommand',
+                         'watch',
+                         'superWatch',
+                         'unwatch',
+                         'unwatchAll',
+                         'discoveredService',
+                         'discoveredCharacteristic',
+                       ];
+
+      eventNames.forEach((name) => {
+        this.device.on(name, this.emit.bind(this, name));
+      });
 
-        return this.device.inspect();
+      return this.device.inspect();
+    })
+    .then(() => {
+      this._setState(State.READY, 'Inspection complete');
+
+      // A store that fails doesn't prevent the connection from being used
+      this.knownDevices.remember({
+        id: this.peripheral.id,
+        name: this.peripheral.name,
+        product: this.device.product,
+        serial: this.device.serial,
       })
-      .then(() => {
-        this.emit('ready');
-
-        this.isReady = true;
+      .catch((err) => {
+        this.emit('knownDevicesError', err);
       });
 
-    }
+      this.emit('ready');
+    })
+    .catch((err) => {
+      // The connection may have been lost or closed in the meantime
+      if ((this.state === State.CONNECTING) || (this.state === State.INSPECTING)) {
+        this._setState(State.ERROR, err);
+      }
+
+      throw err;
+    });
+
   }
 
 
   /** 
    * Close the open connection to a peripheral
+   *
+   * @return {Promise} Resolves when the GATT server has reported the disconnection
    */
   close() {
     this.emit('disconnecting');
 
+    this._closeRequested = true;
+
     if (this.server == null) {
-      this.peripheral = null;
-      this.server = null;
-      this.device = null;
-      this.master = null;
+      return this._closeLost();
+    }
+
+    let stateError = this._checkState('close', [ State.CONNECTING, State.INSPECTING, State.READY, State.ERROR ]);
 
-      return Promise.reject("Already disconnected");
+    if (stateError) {
+      return Promise.reject(stateError);
     }
 
-    this.peripheral.gatt.disconnect();
-    this.emit('disconnected');
+    this._forgetWatchers();
 
-    this.isReady = false;
+    let peripheral = this.peripheral;
 
-    this.device = null;
-    this.server = null;
+    this._setState(State.DISCONNECTING, 'close() called');
+
+    return new Promise((resolve) => {
+      // Some Bluetooth implementations may not report the disconnection, so don't
+      // wait forever
+      let timer = setTimeout(() => {
+        this._handleGattServerDisconnected();
+      }, DISCONNECT_TIMEOUT);
+
+      this.once('disconnected', () => {
+        clearTimeout(timer);
+
+        this.backend.removeDisconnectListener(peripheral, this._onGattServerDisconnected);
+
+        this.peripheral = null;
+        this.master = null;
+
+        resolve();
+      });
+
+      this.backend.disconnect(peripheral);
+    });
+  }
+
+
+  // close() when the connection was already lost
+  _closeLost() {
     this.peripheral = null;
+    this.server = null;
+    this.device = null;
     this.master = null;
 
-    return Promise.resolve();
+    // Nothing will restore the watchers of a lost connection now
+    this._forgetWatchers();
+
+    return Promise.reject('Already disconnected');
   }
-  
+
+
+  // Forget the watchers set through this instance, so that they aren't re-issued
+  _forgetWatchers() {
+    this._watchers = {};
+    this._superWatcher = null;
+  }
+
+
+  /**
+   * Close the connection, if open, and release the Bluetooth backend so that a NodeJS
+   * process can exit. This instance can't be used afterwards.
+   *
+   * @return {Promise} Resolves once the backend is released
+   */
+  destroy() {
+    // Also stops a reconnection in progress
+    this._closeRequested = true;
+
+    let closing = (this.server == null) ? Promise.resolve() : this.close();
+
+    return closing
+    .catch(() => {
+      // The backend tears down whatever connection is left
+    })
+    .then(() => {
+      return this.backend.destroy();
+    });
+  }
+
+
+  /**
+   * Called when the GATT server connection is lost or closed. Forwards the event and,
+   * if the 'autoReconnect' option is set and the disconnection wasn't requested
+   * through close(), starts reconnecting to the same peripheral.
+   *
+   * @param {Event} event  'gattserverdisconnected' event
+   * @return {None}
+   */
+  _handleGattServerDisconnected(event) {
+    if (this.state === State.DISCONNECTED) {
+      // Already handled, e.g., after close() timed out waiting for this event
+      return;
+    }
+
+    this.emit('gattserverdisconnected', event);
+
+    if (this.device) {
+      this.device.destroy(new errors.InvalidStateError('write', State.DISCONNECTED));
+    }
+
+    this.server = null;
+    this.device = null;
+
+    if (this.state === State.DISCONNECTING) {
+      this._setState(State.DISCONNECTED, 'Disconnected by close()');
+      this.emit('disconnected');
+    } else {
+      this._setState(State.DISCONNECTED, 'Connection lost');
+
+      if (this.options.autoReconnect && !this._closeRequested && !this._reconnecting) {
+        this._reconnect();
+      }
+    }
+  }
+
+
+  /**
+   * Move to a new connection state and emit a 'stateChange' event
+   *
+   * @param {String}       next    New state; one of ConnectionState.State
+   * @param {String|Error} reason  Why the state changed
+   * @return {None}
+   * @throws {InvalidStateError} If the transition isn't allowed
+   */
+  _setState(next, reason) {
+    let previous = this.state;
+
+    if (next === previous) {
+      return;
+    }
+
+    if (!ConnectionState.canTransition(previous, next)) {
+      throw new errors.InvalidStateError(`transition to '${next}'`, previous);
+    }
+
+    this.state = next;
+    this.isReady = (next === State.READY);
+
+    this.emit('stateChange', { previous: previous, state: next, reason: reason });
+  }
+
+
+  /**
+   * Check that an operation is allowed in the current connection state
+   *
+   * @param {String}        operation  Name of the requested method
+   * @param {Array<String>} allowed    States in which the operation is allowed
+   * @return {InvalidStateError|null} Error if the operation isn't allowed, null otherwise
+   */
+  _checkState(operation, allowed) {
+    if (allowed.indexOf(this.state) === -1) {
+      return new errors.InvalidStateError(operation, this.state);
+    }
+
+    return null;
+  }
+
+
+  /**
+   * Reconnect to this.peripheral with the backoff given by the 'autoReconnect' option,
+   * then re-issue the watchers and super-watcher that were active.
+   *
+   * Emits 'reconnecting' before each attempt, then either 'reconnected' or
+   * 'reconnectFailed'.
+   *
+   * @return {Promise} Resolves when reconnection has succeeded or been abandoned
+   */
+  _reconnect() {
+    let overrides = (typeof this.options.autoReconnect === 'object') ? this.options.autoReconnect : {};
+    let retryOptions = Object.assign({}, defaultReconnectOptions, overrides);
+
+    this._reconnecting = true;
+
+    return promiseRetry((retry, attempt) => {
+      if (this._closeRequested) {
+        return Promise.reject(new Error('Reconnection cancelled by close()'));
+      }
+
+      this.emit('reconnecting', attempt);
+
+      return this._open()
+      .catch(retry);
+    }, retryOptions)
+    .then(() => {
+      return this._restoreWatchers();
+    })
+    .then(() => {
+      this._reconnecting = false;
+      this.emit('reconnected');
+    })
+    .catch((err) => {
+      this._reconnecting = false;
+      this.emit('reconnectFailed', err);
+    });
+  }
+
+
+  /**
+   * Re-issue every watcher and the super-watcher recorded by watch() and superWatch(),
+   * one at a time, using their original callbacks.
+   *
+   * @return {Promise} Resolves when all watchers have been set
+   */
+  _restoreWatchers() {
+    let chain = Promise.resolve();
+
+    Object.values(this._watchers).forEach((w) => {
+      chain = chain.then(() => this.device.watch(w.slot, w.id, w.address, w.length, w.cb));
+    });
+
+    if (this._superWatcher) {
+      let sw = this._superWatcher;
+
+      chain = chain.then(() => this.device.superWatch(sw.id, sw.addresses, sw.cb));
+    }
+
+    return chain;
+  }
+
 
   // The following functions are simply passed through to the BleDevice instance
 
@@ -367,10 +1299,26 @@ module.exports = class BleController extends EventEmitter {
    * @return {Promise} Resolves with object containing device information
    */
   getInfo() {
-    if (this.device) {
+    if (this.device && this.device.inspectionComplete) {
       return this.device.getInfo();
     } else {
-      return Promise.reject("No BLE peripheral");
+      return Promise.reject(new errors.InvalidStateError('getInfo', this.state));
+    }
+  }
+
+
+  /**
+   * Return what the connected peripheral supports: which dongle commands, how many watcher
+   * slots, the longest watch length, the super-watcher size and readWatcher() support.
+   * Methods that aren't supported reject with a NotSupportedError.
+   *
+   * @return {Promise} Resolves with object containing capabilities; see BleDevice.getCapabilities()
+   */
+  getCapabilities() {
+    if (this.device && this.device.inspectionComplete) {
+      return this.device.getCapabilities();
+    } else {
+      return Promise.reject(new errors.InvalidStateError('getCapabilities', this.state));
     }
   }
 
@@ -383,10 +1331,10 @@ module.exports = class BleController extends EventEmitter {
    * @return {Promise} Resolves when the command is complete
    */
   configure(configuration) {
-    if (this.device) {
+    if (this.state === State.READY) {
       return this.device.configure(configuration);
     } else {
-      return Promise.reject("No BLE peripheral");
+      return Promise.reject(new errors.InvalidStateError('configure', this.state));
     }
   }
 
@@ -398,10 +1346,10 @@ module.exports = class BleController extends EventEmitter {
    * @return {Promise} Resolves when the command is complete
    */
   keyswitch(state) {
-    if (this.device) {
+    if (this.state === State.READY) {
       return this.device.keyswitch(state);
     } else {
-      return Promise.reject("No BLE peripheral");
+      return Promise.reject(new errors.InvalidStateError('keyswitch', this.state));
     }
   }
 
@@ -419,10 +1367,13 @@ module.exports = class BleController extends EventEmitter {
    * @return {Promise} Resolves when the command is complete
    */
   watch(slot, id, address, length, cb) {
-    if (this.device) {
-      return this.device.watch(slot, id, address, length, cb);
+    if (this.state === State.READY) {
+      return this.device.watch(slot, id, address, length, cb)
+      .then(() => {
+        this._watchers[slot] = { slot: slot, id: id, address: address, length: length, cb: cb };
+      });
     } else {
-      return Promise.reject("No BLE peripheral");
+      return Promise.reject(new errors.InvalidStateError('watch', this.state));
     }
   }
 
@@ -438,10 +1389,13 @@ module.exports = class BleController extends EventEmitter {
    * @return {Promise} Resolves when the command is complete
    */
   superWatch(id, addresses, cb) {
-    if (this.device) {
-      return this.device.superWatch(id, addresses, cb);
+    if (this.state === State.READY) {
+      return this.device.superWatch(id, addresses, cb)
+      .then(() => {
+        this._superWatcher = { id: id, addresses: addresses, cb: cb };
+      });
     } else {
-      return Promise.reject("No BLE peripheral");
+      return Promise.reject(new errors.InvalidStateError('superWatch', this.state));
     }
   }
 
@@ -453,10 +1407,19 @@ module.exports = class BleController extends EventEmitter {
    * @return {Promise} Resolves when the command is complete
    */
   unwatch(slot) {
-    if (this.device) {
-      return this.device.unwatch(slot);
+    if (this.state === State.READY) {
+      let superWatch = (this.device.periphInfo.commands || {}).superWatch;
+
+      return this.device.unwatch(slot)
+      .then(() => {
+        if (superWatch && (slot === superWatch.slot)) {
+          this._superWatcher = null;
+        } else {
+          delete this._watchers[slot];
+        }
+      });
     } else {
-      return Promise.reject("No BLE peripheral");
+      return Promise.reject(new errors.InvalidStateError('unwatch', this.state));
     }
   }
 
@@ -467,10 +1430,15 @@ module.exports = class BleController extends EventEmitter {
    * @return {Promise} Resolves when the command is complete
    */
   unwatchAll() {
-    if (this.device) {
-      return this.device.unwatchAll();
+    if (this.state === State.READY) {
+      return this.device.unwatchAll()
+      .then((response) => {
+        this._forgetWatchers();
+
+        return response;
+      });
     } else {
-      return Promise.reject("No BLE peripheral");
+      return Promise.reject(new errors.InvalidStateError('unwatchAll', this.state));
     }
   }
 
@@ -483,10 +1451,10 @@ module.exports = class BleController extends EventEmitter {
    *                   active watcher
    */
   getWatchers() {
-    if (this.device) {
+    if (this.state === State.READY) {
       return this.device.getWatchers();
     } else {
-      return Promise.reject("No BLE peripheral");
+      return Promise.reject(new errors.InvalidStateError('getWatchers', this.state));
     }
   }
 
@@ -495,41 +1463,14 @@ module.exports = class BleController extends EventEmitter {
    *
    * @param {Number}   slot   Watcher slot
    * @return {Promise} Resolves when the command is complete with the watcher's
-   *                   value (WebBluetooth) or immediately with no value (noble)
-   *
-   * When this module is used without a provided Bluetooth object, e.g., *not*
-   * in an Electron project, the Promise returned by the underlying
-   * characteristic.readValue() method doesn't appear to ever resolve with a value;
-   * it hangs indefinitely. However, the read does complete and the value is
-   * sent asynchronously as a notification (assuming the characteristic is set up
-   * for reading and notifications).
-   *
-   * This is not true for use cases where a Bluetooth object is provided; the
-   * "real" WebBluetooth does return a Promise that resolves with the expected
-   * value when the read completes.
+   *                   value, or with null if the backend delivers the value to the
+   *                   watcher's callback instead (the 'node' backend)
    */
   readWatcher(slot) {
-    if (this.device) {
-      if (this.options.bluetooth) {
-        // A "real" WebBluetooth instance is used - readWatcher's returned Promise
-        // resolves when the read is complete.
-        return this.device.readWatcher(slot);
-      } else {
-        // Here we use our own instance via the 'webbluetooth' Node module - just
-        // blindly resolve it because the Promise returned by readWatcher() never
-        // seems to resolve.
-        //
-        // The watcher's value will be sent as a notification in response to this
-        // function call.
-        this.device.readWatcher(slot)
-        .catch((e) => {
-          console.error(e);
-        });
-
-        return Promise.resolve();
-      }
+    if (this.state === State.READY) {
+      return this.device.readWatcher(slot);
     } else {
-      return Promise.reject("No BLE peripheral");
+      return Promise.reject(new errors.InvalidStateError('readWatcher', this.state));
     }
   }
 
@@ -541,27 +1482,27 @@ module.exports = class BleController extends EventEmitter {
    *                   super-watcher member.
    */
   getSuperWatcher() {
-    if (this.device) {
+    if (this.state === State.READY) {
       return this.device.getSuperWatcher();
     } else {
-      return Promise.reject("No BLE peripheral");
+      return Promise.reject(new errors.InvalidStateError('getSuperWatcher', this.state));
     }
   }
 
 
   readObject(objectId, options) {
-    if (this.device) {
+    if (this.state === State.READY) {
       return this.device.readObject(objectId, options);
     } else {
-      return Promise.reject("No BLE peripheral");
+      return Promise.reject(new errors.InvalidStateError('readObject', this.state));
     }
   }
 
   writeObject(objectId, data, options) {
-    if (this.device) {
+    if (this.state === State.READY) {
       return this.device.writeObject(objectId, data, options);
     } else {
-      return Promise.reject("No BLE peripheral");
+      return Promise.reject(new errors.InvalidStateError('writeObject', this.state));
     }
   }
 
@@ -572,23 +1513,45 @@ module.exports = class BleController extends EventEmitter {
    * @return {Boolean} True if open, false otherwise
    */
   isOpen() {
-    return this.peripheral && this.device && this.isReady;
+    return this.state === State.READY;
   }
 
 
   /**
    * Write data to the peripheral's transparent UART, i.e., to the Modbus interface. 
    *
-   * @param {Buffer}  data  Data to be written
-   * @return {promise} Resolves when the write is finished.
+   * @param {Uint8Array}  data  Data to be written
+   * @return {promise} Resolves when the write is finished, or rejects with a WriteError
+   *                   (or an InvalidStateError if the connection isn't ready)
    */
   write(data) {
-    if (this.device) {
-      return this.device.write(data);
+    let written;
+
+    if (this.state === State.READY) {
+      written = this.device.write(data);
     } else {
-      return Promise.reject("No BLE peripheral");
+      written = Promise.reject(new errors.InvalidStateError('write', this.state));
     }
+
+    // A Modbus master using this controller as its connection ignores the promise, so
+    // a failure also goes to the 'error' listener that its connection adds
+    written.catch((err) => {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', err);
+      }
+    });
+
+    return written;
   }
 
-}
+};
+
+
+// Connection states, for comparison with the 'state' property
+module.exports.State = State;
+
+// Error types, for use with instanceof
+module.exports.errors = errors;
 
+// Registry of known device definitions; see lib/DeviceRegistry.js
+module.exports.registry = BleDevice.registry;
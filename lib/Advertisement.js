@@ -0,0 +1,115 @@
+/**
+ * Decoding of manufacturer-specific advertisement data
+ *
+ * Dongles such as the CS1816 (software 1.6+) advertise information about the connected
+ * controller, like its product ID and serial number, so that it can be shown before
+ * connecting. The layout is described by the 'advertisement' block of the device
+ * definition:
+ *
+ *   advertisement: {
+ *     companyIdentifier: 0xFFFF,
+ *     fields: {
+ *       product: { offset: 0, length: 8, type: 'ascii' },
+ *       serial:  { offset: 8, length: 8, type: 'ascii' },
+ *     },
+ *   }
+ *
+ * Offsets are relative to the start of the manufacturer data, after the company
+ * identifier. See 'types' below for the supported field types.
+ */
+'use strict';
+
+const bytes = require('./bytes');
+
+
+// Field decoders, given a Uint8Array holding exactly the field's bytes
+const types = {
+  // ASCII string; NUL padding and surrounding whitespace are removed
+  ascii: (data) => bytes.toString(data, 'ascii').replace(/\0/g, '').trim(),
+  hex: (data) => bytes.toString(data, 'hex').toUpperCase(),
+  uint8: (data) => data[0],
+  uint16le: (data) => bytes.dataView(data).getUint16(0, true),
+  uint16be: (data) => bytes.dataView(data).getUint16(0, false),
+  uint32le: (data) => bytes.dataView(data).getUint32(0, true),
+  uint32be: (data) => bytes.dataView(data).getUint32(0, false),
+};
+
+// Length of the fixed-size types, used when a field doesn't give a length
+const typeLengths = {
+  uint8: 1,
+  uint16le: 2,
+  uint16be: 2,
+  uint32le: 4,
+  uint32be: 4,
+};
+
+
+/**
+ * Get the manufacturer data for a company from an advertisement.
+ *
+ * Web Bluetooth keys the map by company identifier, while the webbluetooth module
+ * uses a 4-digit hexadecimal string, so both are tried.
+ *
+ * @param {Map}    manufacturerData   Manufacturer data from the advertisement
+ * @param {Number} companyIdentifier  Bluetooth SIG company identifier
+ * @return {Uint8Array} The company's data, or null if it isn't present
+ */
+function getManufacturerData(manufacturerData, companyIdentifier) {
+  if (!manufacturerData || (typeof manufacturerData.get !== 'function')) {
+    return null;
+  }
+
+  let data = manufacturerData.get(companyIdentifier);
+
+  if (data === undefined) {
+    data = manufacturerData.get(('0000' + companyIdentifier.toString(16)).slice(-4));
+  }
+
+  if (data === undefined) {
+    return null;
+  }
+
+  return bytes.view(data);
+}
+
+
+/**
+ * Decode the fields of a device definition's 'advertisement' block from the
+ * manufacturer data of an advertisement
+ *
+ * @param {Object} advertisement     'advertisement' block of a device definition
+ * @param {Map}    manufacturerData  Manufacturer data from the advertisement
+ * @return {Object} Decoded fields, keyed as in the definition, or null if the
+ *                  advertisement doesn't include the company's data. Fields that
+ *                  extend past the end of the data are omitted.
+ */
+function decode(advertisement, manufacturerData) {
+  if (!advertisement) {
+    return null;
+  }
+
+  let data = getManufacturerData(manufacturerData, advertisement.companyIdentifier);
+
+  if (!data) {
+    return null;
+  }
+
+  let fields = {};
+
+  Object.entries(advertisement.fields).forEach(([key, field]) => {
+    let length = field.length || typeLengths[field.type];
+
+    if (field.offset + length <= data.length) {
+      fields[key] = types[field.type](data.subarray(field.offset, field.offset + length));
+    }
+  });
+
+  return fields;
+}
+
+
+module.exports = {
+  decode: decode,
+  types: Object.keys(types),
+  typeLengths: typeLengths,
+};
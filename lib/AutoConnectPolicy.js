@@ -0,0 +1,187 @@
+/**
+ * Policies that decide which discovered peripheral to select when the 'autoConnect'
+ * option of BleController is set
+ *
+ * - first - The first peripheral reported (the behavior of 'autoConnect: true')
+ * - strongest - The peripheral with the strongest signal when 'window' milliseconds
+ *   have passed since the first one was reported
+ * - proximity - The first peripheral whose signal is at or above 'threshold' dBm in
+ *   'count' consecutive advertisements, i.e., one that is being held close by
+ *
+ * The 'autoConnect' option may be true, the name of a policy, or an object with a
+ * 'policy' property and any of the parameters above, e.g.:
+ *
+ *   autoConnect: { policy: 'proximity', threshold: -50, count: 5 }
+ *
+ * A policy is given each advertisement from a peripheral meeting the selection criteria,
+ * and emits a 'select' event with the chosen candidate and a list of those it passed
+ * over, each with a 'reason'.
+ */
+'use strict';
+
+const EventEmitter = require('./EventEmitter');
+
+
+// Parameters of each policy, and their defaults
+const defaults = {
+  first: {},
+  strongest: { window: 2000 },
+  proximity: { threshold: -60, count: 3 },
+};
+
+
+// Copy a candidate for the list of rejected ones, without its selection callback
+function rejection(candidate, reason) {
+  let copy = {};
+
+  Object.keys(candidate).forEach((key) => {
+    if (key !== 'callback') {
+      copy[key] = candidate[key];
+    }
+  });
+
+  copy.reason = reason;
+
+  return copy;
+}
+
+
+module.exports = class AutoConnectPolicy extends EventEmitter {
+
+  /**
+   * @param {Object} options  Policy options, as returned by AutoConnectPolicy.normalize()
+   */
+  constructor(options) {
+    super();
+
+    this.options = options;
+
+    // Latest advertisement of each candidate, and how many of its consecutive
+    // advertisements were in proximity, keyed by peripheral ID in the order first seen
+    this._candidates = new Map();
+
+    this._timer = null;
+    this._done = false;
+  }
+
+
+  /**
+   * Convert the 'autoConnect' option to the options of a policy
+   *
+   * @param {Boolean|String|Object} option  Value of the 'autoConnect' option
+   * @return {Object} Policy options including 'policy', or null if auto-connect is off
+   * @throws {Error} If the policy is unknown
+   */
+  static normalize(option) {
+    if (!option) {
+      return null;
+    }
+
+    if (option === true) {
+      option = { policy: 'first' };
+    } else if (typeof option === 'string') {
+      option = { policy: option };
+    }
+
+    if (!defaults.hasOwnProperty(option.policy)) {
+      throw new Error(`Unknown autoConnect policy '${option.policy}'. ` +
+                      `Known policies are ${Object.keys(defaults).join(', ')}`);
+    }
+
+    return Object.assign({}, defaults[option.policy], option);
+  }
+
+
+  /**
+   * Report an advertisement from a peripheral meeting the selection criteria
+   *
+   * @param {Object} candidate  Entry for the peripheral, with its latest 'rssi'
+   * @return {None}
+   */
+  advertisement(candidate) {
+    if (this._done) {
+      return;
+    }
+
+    let record = this._candidates.get(candidate.id) || { count: 0 };
+
+    record.candidate = candidate;
+    this._candidates.set(candidate.id, record);
+
+    if (this.options.policy === 'first') {
+      this._select(candidate, () => 'another peripheral was seen first');
+    } else if (this.options.policy === 'strongest') {
+      if (!this._timer) {
+        this._timer = setTimeout(this._selectStrongest.bind(this), this.options.window);
+      }
+    } else if (this.options.policy === 'proximity') {
+      let near = (candidate.rssi !== null) && (candidate.rssi >= this.options.threshold);
+
+      record.count = near ? record.count + 1 : 0;
+
+      if (record.count >= this.options.count) {
+        this._select(candidate, (other) => {
+          return `${this._candidates.get(other.id).count} of ${this.options.count} consecutive advertisements ` +
+                 `at or above ${this.options.threshold} dBm`;
+        });
+      }
+    }
+  }
+
+
+  /**
+   * Stop without selecting a peripheral, e.g., because scanning failed
+   *
+   * @return {None}
+   */
+  stop() {
+    this._done = true;
+    clearTimeout(this._timer);
+  }
+
+
+  // Select the candidate with the strongest signal once the collection window is over
+  _selectStrongest() {
+    let strongest = null;
+
+    this._candidates.forEach((record) => {
+      let rssi = record.candidate.rssi;
+
+      if ((rssi !== null) && (!strongest || (rssi > strongest.rssi))) {
+        strongest = record.candidate;
+      }
+    });
+
+    if (!strongest) {
+      // None reported a signal strength, so fall back to the first one seen
+      strongest = this._candidates.values().next().value.candidate;
+    }
+
+    this._select(strongest, (other) => {
+      return `weaker signal (${other.rssi} dBm vs ${strongest.rssi} dBm)`;
+    });
+  }
+
+
+  /**
+   * Emit the 'select' event
+   *
+   * @param {Object}   selected  Chosen candidate
+   * @param {Function} reason    Returns why a given other candidate was rejected
+   * @return {None}
+   */
+  _select(selected, reason) {
+    let rejected = [];
+
+    this._candidates.forEach((record) => {
+      if (record.candidate !== selected) {
+        rejected.push(rejection(record.candidate, reason(record.candidate)));
+      }
+    });
+
+    this.stop();
+
+    this.emit('select', selected, rejected);
+  }
+
+};
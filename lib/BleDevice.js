@@ -17,7 +17,10 @@
  * - 'inspecting' - Peripheral inspection started
  * - 'inspected' - Peripheral inspection complete; information is available in this.periphInfo
  * - 'write' - Data written to transparent UART
- * - 'data' - Data received from transparent UART
+ * - 'data' - Response received from transparent UART to a frame written by this.write()
+ * - 'frame' - MBAP frame received from transparent UART, reassembled from the chunks
+ * - 'frameError' - Data received from transparent UART was discarded as malformed or
+ *   truncated (a FrameError)
  * - 'fault' - Fault status changed in controller service
  * - 'writeCharacteristic' - Any peripheral characteristic written
  * - 'sendCommand' - Will send command to peripheral
@@ -28,14 +31,15 @@
  * - (characteristic name) - Notification received from subscribed characteristic
  */
 
-// Event emitter library
-const EventEmitter = require('events').EventEmitter;
+// Event emitter library; see ./EventEmitter.js
+const EventEmitter = require('./EventEmitter');
 
 // utility libraries
-const util = require('util');
 const _ = require( 'underscore');
 const promiseRetry = require('promise-retry');
-const PromisePool = require('async-promise-pool');
+
+// Byte arrays that are Buffers only where Buffer is available
+const bytes = require('./bytes');
 
 // CS Modbus master
 // In a typical application, BleController (our parent module) will be the
@@ -44,10 +48,32 @@ const PromisePool = require('async-promise-pool');
 // watch(), unwatch(), etc.; this one is not meant to be exposed to the world.
 const Modbus = require('@csllc/cs-modbus');
 
-// Known CS BLE devices
-// When adding a new BLE device to support, its definition should be imported here.
+// Registry of device definitions, and the definitions of the known CS BLE devices.
+// Built-in definitions are registered at the bottom of this file; applications may
+// register their own with BleController.registerDevice().
+const DeviceRegistry = require('./DeviceRegistry');
 const cs1814 = require('./device/cs1814');
 const cs1816 = require('./device/cs1816');
+const generic = require('./device/generic');
+
+// Error types
+const errors = require('./errors');
+const NotSupportedError = errors.NotSupportedError;
+
+// MBAP frames carried by the transparent UART, and the masters sharing it
+const mbap = require('./mbap');
+const TransactionMux = require('./TransactionMux');
+
+// Milliseconds to wait for the rest of a frame, before discarding what was received
+const FRAME_TIMEOUT = 1000;
+
+// Bytes written to the transparent UART at a time, unless the 'chunkSize' option is
+// given, and the ATT header that the MTU must also hold when the chunk size is 'mtu'
+const DEFAULT_CHUNK_SIZE = 20;
+const ATT_HEADER_LENGTH = 3;
+
+// Errors from writing while the previous write hasn't finished, which are retried
+const BUSY_ERROR = /operation already in progress/i;
 
 
 // Helper function to convert a version string to various Semantic Versioning
@@ -72,15 +98,39 @@ function stringToSemVer(versionString) {
 }
 
 
+// Helper function to copy the services of a device definition, so that references to
+// discovered services and characteristics aren't stored in the registered definition
+function copyServices(services) {
+  let copy = {};
+
+  Object.entries(services).forEach(([sKey, service]) => {
+    let characteristics = {};
+
+    Object.entries(service.characteristics).forEach(([cKey, characteristic]) => {
+      characteristics[cKey] = Object.assign({}, characteristic);
+    });
+
+    copy[sKey] = Object.assign({}, service, { characteristics: characteristics });
+  });
+
+  return copy;
+}
+
+
 module.exports = class BleDevice extends EventEmitter {
 
   constructor(peripheral, server, options) {
+    // Sets up each of the instance's properties in turn
+    /* jshint maxstatements: false */
     super();
 
     this._peripheral = peripheral;
     this._server = server;
     this._options = options;
 
+    // Bluetooth backend that the peripheral was found with; see ./backend/
+    this._backend = options.backend;
+
     this.inspectionComplete = false;
 
     // Reference to a local Modbus master
@@ -91,6 +141,10 @@ module.exports = class BleDevice extends EventEmitter {
     this._watcherCb = [];
     this._superWatcherCb = null;
 
+    // Notification listeners added by this.subscribeChar(), keyed by characteristic key,
+    // so that this.unsubscribeChar() can remove them again
+    this._charListeners = {};
+
     // Object containing expected service and characteristic UUIDs, and references to
     // them when they're found in this.inspect()
     this.periphInfo = {};
@@ -109,31 +163,65 @@ module.exports = class BleDevice extends EventEmitter {
     // Counter to help match peripheral responses with commands
     this._commandSequence = 0;
 
-    // Select the base periphInfo object
-    this._periphInfoBase = {};
-
-    // When adding support for a new BLE peripheral, a clause must be added here
-    // to associate its name with its definition.
-    switch(this._peripheral.name) {
-    case 'CS1814':
-      this._periphInfoBase = cs1814;
-      break;
-    case 'CS1816':
-      this._periphInfoBase = cs1816;
-      break;
-    default:
+    // Select the base periphInfo object by the peripheral's advertised name, or by the
+    // controller service UUID that was scanned for. If neither identifies the peripheral,
+    // the registry's generic profile is used and this.inspect() tries again using the
+    // model number.
+    this._periphInfoBase = module.exports.registry.resolve({
+      name: this._peripheral.name,
+      serviceUuid: this._options.serviceUuid,
+    });
+
+    if (!this._periphInfoBase) {
       let errorMessage = `No peripheral information for ${this._peripheral.name}`;
       throw new Error(errorMessage);
     }
 
-    // Create Modbus master, with ourselves as the device
+    // Reassembles the frames received from the transparent UART; see this._handleUartData()
+    this._frameReader = new mbap.FrameReader((err) => this.emit('frameError', err));
+    this._frameTimer = null;
+
+    // Writes to the transparent UART, which are made one at a time; see this._writeUart()
+    this._uartWrites = Promise.resolve();
+
+    // Keeps the transactions of the local master and the application's apart
+    this._mux = new TransactionMux(this._writeUart.bind(this),
+                                   { responseTimeout: options.responseTimeout });
+
+    // Stand-in for this device as the local master's connection, which is given whole
+    // frames rather than the chunks they arrive in, and only its own responses
+    this._masterDevice = new EventEmitter();
+    this._masterDevice.isOpen = () => this.isOpen();
+    this._masterDevice.write = (data) => {
+      let transaction = this._masterTransaction;
+      let completed = false;
+
+      this._masterTransaction = null;
+
+      // It may time out before the write fails
+      if (transaction) {
+        transaction.once('complete', () => { completed = true; });
+      }
+
+      // The master's connection ignores what write() returns, so rather than leave the
+      // transaction to time out, fail it with the write's error
+      return this._mux.send(data, response => this._masterDevice.emit('data', response))
+      .catch((err) => {
+        if (transaction && !completed) {
+          transaction.handleError(err);
+        }
+      });
+    };
+    this._masterDevice.destroy = () => {};
+
+    // Create Modbus master
     this._master = Modbus.createMaster({
       transport: {
         type: 'ip',
         eofTimeout: 10,
         connection: {
           type: 'generic',
-          device: this
+          device: this._masterDevice
         }
       },
       suppressTransactionErrors: true,
@@ -144,53 +232,89 @@ module.exports = class BleDevice extends EventEmitter {
       defaultTimeout: 1000,
     });
 
+    // The transaction whose request the local master is about to write, as its
+    // transport's 'request' event is emitted right before the write
+    this._masterTransaction = null;
+    this._master.getTransport().on('request', (transaction) => {
+      this._masterTransaction = transaction;
+    });
+
+  }
+
+
+  /**
+   * Let go of the connection once it's lost: the partly received frame is discarded,
+   * responses are no longer waited for, and writes still waiting for their turn are
+   * rejected
+   *
+   * @param {Error} err  Reason given to the writes still waiting
+   * @return {None}
+   */
+  destroy(err) {
+    clearTimeout(this._frameTimer);
+    this._frameReader.reset();
+    this._mux.reset(err);
   }
 
 
   /**
    * Return a de-duplicated list of all known private service UUIDs.
-   * When adding support for a new BLE peripheral, its controller service UUID should
-   * be added here.
    */
   static uuids() {
-    return Array.from(new Set([
-      cs1814.services.controller.uuid,
-      cs1816.services.controller.uuid,
-    ]));
+    return module.exports.registry.uuids();
   }
 
 
   /**
    * Return a list of all known device names.
-   * When adding support for a new BLE peripheral, its name should be added here.
    */
   static names() {
-    return [
-      cs1814.name,
-      cs1816.name,
-    ];
+    return module.exports.registry.names();
   }
 
   /**
-   * Return a list of all service UUIDs, given a device name.
-   * When adding support for a new BLE peripheral, its name and object should
-   * be added here.
+   * Return a list of all service UUIDs, given a device name. Unknown names get the
+   * service UUIDs of the generic profile.
    */
   static serviceUuids(name) {
-    let periphInfo;
-    
-    switch(name) {
-    case 'CS1816':
-      periphInfo = cs1816;
-      break;
-    case 'CS1814':
-      periphInfo = cs1814;
-      break;
-    default:
-      periphInfo = null;
-    }
+    return module.exports.registry.serviceUuids(name);
+  }
+
 
-    return (periphInfo ? Object.values(periphInfo.services).map(s => s.uuid) : null);
+  /**
+   * Briefly connect to a peripheral to read the product and serial number of the
+   * connected controller, for peripherals that don't advertise them. The peripheral
+   * is disconnected afterwards.
+   *
+   * @param {BluetoothDevice} peripheral  Peripheral that isn't connected
+   * @param {Backend}         backend     Bluetooth backend; see ./backend/
+   * @return {Promise} Resolves with an object containing 'product' and 'serial'
+   */
+  static readIdentity(peripheral, backend) {
+    let definition = module.exports.registry.resolve({ name: peripheral.name });
+    let controller = definition.services.controller;
+    let identity = {};
+
+    return backend.connect(peripheral)
+    .then((server) => backend.getService(server, controller.uuid))
+    .then((service) => {
+      return Promise.all([ 'product', 'serial' ].map((key) => {
+        return backend.getCharacteristic(service, controller.characteristics[key].uuid)
+        .then((characteristic) => backend.read(characteristic))
+        .then((data) => {
+          // NUL padding is removed, as in advertisements
+          identity[key] = bytes.toString(data).replace(/\0/g, '').trim();
+        });
+      }));
+    })
+    .then(() => {
+      backend.disconnect(peripheral);
+      return identity;
+    })
+    .catch((err) => {
+      backend.disconnect(peripheral);
+      throw err;
+    });
   }
 
 
@@ -203,9 +327,9 @@ module.exports = class BleDevice extends EventEmitter {
   _readCharacteristic( characteristic ) {
 
     if (characteristic) {
-      return characteristic.readValue()
-      .then((data) => {
-        return Buffer.from(data.buffer);
+      return this._backend.read(characteristic)
+      .catch((err) => {
+        throw this._gattError('read', characteristic, err);
       });
     } else {
       return Promise.reject('Characteristic does not exist');
@@ -218,78 +342,130 @@ module.exports = class BleDevice extends EventEmitter {
    * Write a characteristic to the specified value
    * 
    * @param {BluetoothRemoteGATTCharacteristic} characteristic
-   * @param {Buffer} value
+   * @param {Uint8Array} value
    * @param {withResponse} boolean
    * @return {Promise} resolves when the write is finished
    */
   _writeCharacteristic( characteristic, value, withResponse ) {
     this.emit('writeCharacteristic', characteristic.uuid, value, withResponse);
 
-    if (withResponse) {
-      return characteristic.writeValueWithResponse(value);
-    } else {
-      return characteristic.writeValue(value);
-    }
+    return this._backend.write(characteristic, value, withResponse);
 
   }
 
   /**
-   * Write data to the peripheral's transparent UART, i.e., to the Modbus interface. 
-   * Ultimately, this operation ends up being broken into one or more 
-   * this._writeCharacteristic() calls with the transparent UART TX characteristic, 
-   * depending on data length.
+   * Write a Modbus request (an MBAP frame) to the peripheral's transparent UART, i.e.,
+   * to the Modbus interface, for an application's master. The response is emitted as a
+   * 'data' event, with the request's transaction ID; see ./TransactionMux.js.
    *
-   * @param {Buffer}  data  Data to be written
+   * @param {Uint8Array}  data  Data to be written
    * @return {promise} Resolves when the write is finished.
    */
   write(data) {
+    return this._mux.send(data, response => this.emit('data', response));
+  }
 
-    let uartService = this.periphInfo.services['transparentUart'];
-    let txChar = uartService.characteristics['tx'].char;
 
-    if( txChar ) {
-      const chunkSize = 20;
+  /**
+   * Write data to the peripheral's transparent UART. Ultimately, this operation ends up
+   * being broken into one or more this._writeCharacteristic() calls with the transparent
+   * UART TX characteristic, depending on data length and the 'chunkSize' option. Writes
+   * are made one at a time, in the order requested, and retried while the peripheral
+   * reports a GATT operation in progress, as the 'writeRetry' option allows.
+   *
+   * @param {Uint8Array}  data  Data to be written
+   * @return {promise} Resolves when all chunks are written, or rejects with a WriteError
+   */
+  _writeUart(data) {
+    let write = () => {
+      let uartService = this.periphInfo.services.transparentUart;
+      let txChar = uartService && uartService.characteristics.tx.char;
 
-      let writePool = new PromisePool({concurrency: 1});
-      let index = 0;
+      if (!txChar) {
+        return Promise.reject(new errors.WriteError(new Error('No UART TX characteristic'), 0));
+      }
 
-      while( index < data.length )
-      {
-        let bytes = Math.min( data.length - index, chunkSize  );
-        let chunk = Buffer.alloc(bytes);
-        data.copy(chunk, 0, index, index + bytes);
-        
-        writePool.add(() => {
-          return this._writeCharacteristic( txChar, chunk, true );
-        });
+      let chunkSize = this._chunkSize();
+      let chunks = [];
 
-        index += bytes;
+      for (let index = 0; index < data.length; index += chunkSize) {
+        chunks.push(bytes.from(data.subarray(index, index + chunkSize)));
       }
 
-      promiseRetry((retry, number) => {
-        if (number > 1) {
-          console.log("BleDevice::write attempt", number);
-        }
+      // Chunks are written one at a time, in order. A retry picks up at the chunk that
+      // failed, as those before it have already gone out.
+      let next = 0;
 
-        this.emit('writeAttempt', number)
+      let writeChunks = () => {
+        if (next >= chunks.length) {
+          return Promise.resolve();
+        }
 
-        return writePool.all()
+        return this._writeCharacteristic( txChar, chunks[next], true )
         .then(() => {
-          this.emit('write', data);
-        })
-        .catch((e) => {
-          console.log("Error at characteristic write:", e.message);
-          if (e.message == "GATT operation already in progress.") {
-            retry(e);
+          next++;
+          return writeChunks();
+        });
+      };
+
+      let attempts = 0;
+
+      return promiseRetry((retry, number) => {
+        attempts = number;
+
+        this.emit('writeAttempt', number);
+
+        return writeChunks()
+        .catch((err) => {
+          if (BUSY_ERROR.test(err && err.message)) {
+            retry(err);
           } else {
-            throw e;
+            throw err;
           }
         });
+      }, this._writeRetryOptions())
+      .then(() => {
+        this.emit('write', data);
+      }, (err) => {
+        throw new errors.WriteError(err, attempts);
       });
+    };
 
-    } else {
-      return Promise.reject("No UART TX characteristic");
+    let written = this._uartWrites.then(write);
+
+    this._uartWrites = written.catch(() => {});
+
+    return written;
+  }
+
+
+  /**
+   * @return {Number} Bytes to write to the transparent UART at a time: the 'chunkSize'
+   *                  option, or with 'mtu', what the negotiated ATT MTU allows if the
+   *                  backend reports it (see ./backend/NobleBackend.js)
+   */
+  _chunkSize() {
+    let chunkSize = this._options.chunkSize;
+
+    if (chunkSize === 'mtu') {
+      let mtu = this._peripheral.mtu;
+
+      return mtu ? (mtu - ATT_HEADER_LENGTH) : DEFAULT_CHUNK_SIZE;
     }
+
+    return chunkSize || DEFAULT_CHUNK_SIZE;
+  }
+
+
+  /**
+   * @return {Object} promise-retry options for writes to the transparent UART: those of
+   *                  the 'writeRetry' option, no retries if it is false, or otherwise
+   *                  promise-retry's defaults
+   */
+  _writeRetryOptions() {
+    let options = this._options.writeRetry;
+
+    return (options === false) ? { retries: 0 } : options;
   }
 
 
@@ -350,8 +526,8 @@ module.exports = class BleDevice extends EventEmitter {
       // Emit what is being sent (probably mostly for diagnostics)
       me.emit( 'sendCommand', command.command );
 
-      let controllerService = me.periphInfo.services['controller'];
-      let commandChar = controllerService.characteristics['command'].char;
+      let controllerService = me.periphInfo.services.controller;
+      let commandChar = controllerService.characteristics.command.char;
 
       me._writeCharacteristic(commandChar, command.command)
       .then(() => {
@@ -402,10 +578,33 @@ module.exports = class BleDevice extends EventEmitter {
    */
   subscribe( characteristic ) {
 
-    return characteristic.startNotifications();
+    return this._backend.startNotifications(characteristic)
+    .catch((err) => {
+      throw this._gattError('subscribe', characteristic, err);
+    });
 
   }
 
+
+  /**
+   * Convert an error from a GATT operation to an AuthenticationError, if the peripheral
+   * requires pairing that wasn't completed, or else a GattError
+   *
+   * @param {String} operation       'read' or 'subscribe'
+   * @param {Object} characteristic
+   * @param {Error}  err             Error reported by the backend
+   * @return {Error}
+   */
+  _gattError(operation, characteristic, err) {
+    if (err instanceof errors.AuthenticationError || err instanceof errors.GattError) {
+      return err;
+    } else if (this._backend.isAuthenticationError(err)) {
+      return new errors.AuthenticationError(operation, characteristic.uuid, err);
+    }
+
+    return new errors.GattError(operation, characteristic.uuid, err);
+  }
+
   
   /**
    * Unsubscribe from notification on updates for a characteristic
@@ -413,7 +612,7 @@ module.exports = class BleDevice extends EventEmitter {
    * @return {Promise} resolves when the subscription is complete
    */
   unsubscribe(characteristic) {
-    return characteristic.stopNotifications();
+    return this._backend.stopNotifications(characteristic);
   }
 
 
@@ -423,7 +622,7 @@ module.exports = class BleDevice extends EventEmitter {
    * @return {Boolean}
    */
   checkConnected() {
-    return this._server.connected;
+    return this._backend.isConnected(this._peripheral);
   }
 
 
@@ -449,7 +648,7 @@ module.exports = class BleDevice extends EventEmitter {
                                           { uuid: service.uuid });
 
         if (matchingService) {
-          matchingService['service'] = service;
+          matchingService.service = service;
         }
         
         return this._getCharacteristics(service, matchingService);
@@ -477,7 +676,7 @@ module.exports = class BleDevice extends EventEmitter {
           let matchingChar = _.findWhere(matchingService.characteristics, { uuid: charUuid });
           
           if (matchingChar) {
-            matchingChar['char'] = characteristic;
+            matchingChar.char = characteristic;
           }
         }
       });
@@ -512,10 +711,15 @@ module.exports = class BleDevice extends EventEmitter {
 
         for (let [cKey, characteristic] of Object.entries(service.characteristics)) {
 
-          if (!characteristic.char && !characteristic.optional) {
+          // Characteristics that depend on the software revision are checked later, in
+          // this._checkVersionedChars()
+          let versioned = characteristic.minSwRev || characteristic.maxSwRev;
+
+          if (!characteristic.char && !characteristic.optional && !versioned) {
             // Characteristic missing
 
-            let errorMessage = `Peripheral missing characteristic '${cKey}' of GATT service '${sKey}' with UUID ${characteristic.uuid}`;
+            let errorMessage = `Peripheral missing characteristic '${cKey}' of GATT service '${sKey}' ` +
+                               `with UUID ${characteristic.uuid}`;
             reject(errorMessage);
           } else {
             foundChars++;
@@ -528,6 +732,95 @@ module.exports = class BleDevice extends EventEmitter {
   }
 
 
+  /**
+   * Apply the software revision ranges of characteristics in this.periphInfo, once the
+   * software revision is known. Characteristics outside their range are ignored, even
+   * if the peripheral exposes them; those inside their range must have been discovered,
+   * unless they are also optional.
+   *
+   * @return {Promise} Resolves when complete, rejects with message if a characteristic
+   *                   required by the peripheral's software revision is missing.
+   */
+  _checkVersionedChars() {
+    for (let [sKey, service] of Object.entries(this.periphInfo.services)) {
+      for (let [cKey, characteristic] of Object.entries(service.characteristics)) {
+        if (!characteristic.minSwRev && !characteristic.maxSwRev) {
+          continue;
+        }
+
+        if (!this._inSwRevRange(characteristic)) {
+          delete characteristic.char;
+        } else if (!characteristic.char && !characteristic.optional) {
+          let errorMessage = `Peripheral missing characteristic '${cKey}' of GATT service '${sKey}' ` +
+                             `with UUID ${characteristic.uuid}, ` +
+                             `required by software revision ${this.periphInfo.softwareRevision.string}`;
+          return Promise.reject(errorMessage);
+        }
+      }
+    }
+
+    return Promise.resolve();
+  }
+
+
+  /**
+   * Return the keys of the controller service's 'status' characteristics available for
+   * watchers. Slot N uses status(N+1), so the count stops at the first status
+   * characteristic that wasn't discovered or isn't supported, or at the watch command's
+   * 'maxSlots', as the firmware may expose more than it has watchers for.
+   *
+   * @return {Array<String>} Characteristic keys, in slot order
+   */
+  _watcherChars() {
+    let characteristics = this.periphInfo.services.controller.characteristics;
+    let watch = this.periphInfo.commands.watch;
+    let maxSlots = (watch && watch.maxSlots) || Infinity;
+    let keys = [];
+
+    while ((keys.length < maxSlots) &&
+           characteristics[`status${keys.length+1}`] &&
+           characteristics[`status${keys.length+1}`].char) {
+      keys.push(`status${keys.length+1}`);
+    }
+
+    return keys;
+  }
+
+
+  /**
+   * If the peripheral wasn't recognized by name or service UUID, read its model number
+   * from the Device Information service and look for a matching registered definition.
+   * The generic profile is kept if there is none, or if the model number can't be read.
+   *
+   * @return {Promise} Resolves when this._periphInfoBase is final
+   */
+  _identify() {
+    if (!this._periphInfoBase.generic) {
+      return Promise.resolve();
+    }
+
+    let deviceInfoService = this._periphInfoBase.services.deviceInformation;
+
+    return this._backend.getService(this._server, deviceInfoService.uuid)
+    .then((service) => {
+      return this._backend.getCharacteristic(service, deviceInfoService.characteristics.modelNumber.uuid);
+    })
+    .then((characteristic) => {
+      return this._readCharacteristic(characteristic);
+    })
+    .then((data) => {
+      let definition = module.exports.registry.findByModelNumber(bytes.toString(data));
+
+      if (definition) {
+        this._periphInfoBase = definition;
+      }
+    })
+    .catch(() => {
+      // Carry on with the generic profile
+    });
+  }
+
+
   /**
    * Enumerate GATT service information and verify the expected characteristics
    * are available on the peripheral. Then read the characteristics of the deviceInformation 
@@ -537,40 +830,44 @@ module.exports = class BleDevice extends EventEmitter {
    * @return {Promise} Resolves when inspection is complete
    */
   inspect() {
-    // Start with a base periphInfo object, containing service and characteristic UUIDs
-    // that we'll search for
-    this.periphInfo = Object.assign({}, this._periphInfoBase);
+    this.emit('inspecting');
 
-    this.id = this.periphInfo.id;
+    return this._identify()
+    .then(() => {
+      // Start with a base periphInfo object, containing service and characteristic UUIDs
+      // that we'll search for
+      this.periphInfo = Object.assign({}, this._periphInfoBase,
+                                      { services: copyServices(this._periphInfoBase.services) });
 
-    this.emit('inspecting');
+      this.id = this.periphInfo.id;
 
-    // Populate this.periphInfo with discovered services and characteristics
-    return this._discoverGattServices()
+      // Populate this.periphInfo with discovered services and characteristics
+      return this._discoverGattServices();
+    })
     .then(() => {
       // Iterate through this.periphInfo and verify that all the expected services and
       // characteristics were found
       return this._checkGattServicesAndChars();
     })
     .then(() => {
-      let controllerService = this.periphInfo.services['controller'];
+      let controllerService = this.periphInfo.services.controller;
 
       // Read device info characteristics from the peripheral and save the results in our instance
 
       let controllerTodo = [
-        this._readCharacteristic(controllerService.characteristics['product'].char)
+        this._readCharacteristic(controllerService.characteristics.product.char)
         .then((data) => {
-          this.product = data.toString();
+          this.product = bytes.toString(data);
         }),
 
-        this._readCharacteristic(controllerService.characteristics['serial'].char)
+        this._readCharacteristic(controllerService.characteristics.serial.char)
         .then((data) => {
-          this.serial = data.toString();
+          this.serial = bytes.toString(data);
         }),
         
-        this._readCharacteristic(controllerService.characteristics['fault'].char)
+        this._readCharacteristic(controllerService.characteristics.fault.char)
         .then((data) => {
-          this.fault = data.readUInt8();
+          this.fault = data[0];
         })
       ];
 
@@ -594,7 +891,7 @@ module.exports = class BleDevice extends EventEmitter {
                             });
     })
     .then(() => {
-      let deviceInfoService = this.periphInfo.services['deviceInformation'];
+      let deviceInfoService = this.periphInfo.services.deviceInformation;
       let deviceInfoChars = deviceInfoService.characteristics;
 
       let todo = [];
@@ -603,7 +900,7 @@ module.exports = class BleDevice extends EventEmitter {
         todo.push(
           this._readCharacteristic(deviceInfoChars[charKey].char)
           .then((data) => {
-            this.periphInfo[charKey] = data.toString();
+            this.periphInfo[charKey] = bytes.toString(data);
           })
         );
       });
@@ -613,21 +910,27 @@ module.exports = class BleDevice extends EventEmitter {
       return Promise.allSettled(todo);
     })
     .then(() => {
-      let uartService = this.periphInfo.services['transparentUart'];
-      let controllerService = this.periphInfo.services['controller'];
+      // Now that the software revision is known, drop or require characteristics that
+      // depend on it
+      return this._checkVersionedChars();
+    })
+    .then(() => {
+      let uartService = this.periphInfo.services.transparentUart;
+      let controllerService = this.periphInfo.services.controller;
 
       // Build lists of characteristics to subscribe to
       let uartChars = [ 'control', 'rx' ];
       let controllerChars = [ 'fault' ];
 
-      Object.keys(controllerService.characteristics).forEach((key) => {
-        if (key.startsWith('status')) {
-          controllerChars.push(key);
-          this._watcherMax++;
-        }
-      });
+      // The number of watchers depends on which status characteristics the peripheral
+      // actually exposes and supports
+      let watcherChars = this._watcherChars();
+
+      this._watcherMax = watcherChars.length;
+      controllerChars = controllerChars.concat(watcherChars);
 
-      if (controllerService.characteristics['superWatcher']) {
+      if (controllerService.characteristics.superWatcher &&
+          controllerService.characteristics.superWatcher.char) {
         controllerChars.push('superWatcher');
       }
 
@@ -641,19 +944,19 @@ module.exports = class BleDevice extends EventEmitter {
 
     })
     .then(() => {
-      // Set up a 'data' event that corresponds to the 'rx' characteristic of the
-      // transparent UART service for a Modbus master (ours or an application's) to use
-      let uartService = this.periphInfo.services['transparentUart'];
-      let uartRxChar = uartService.characteristics['rx'].char;
+      // Set up 'data' and 'frame' events that correspond to the 'rx' characteristic of
+      // the transparent UART service for a Modbus master (ours or an application's) to use
+      let uartService = this.periphInfo.services.transparentUart;
+      let uartRxChar = uartService.characteristics.rx.char;
       
-      uartRxChar.addEventListener('characteristicvaluechanged', this._handleCharNotify.bind(this, 'data'));
+      this._backend.addNotificationListener(uartRxChar, this._handleUartData.bind(this));
 
       // Set up 'fault' event that corresponds to the 'fault' characteristic of the
       // controller service
-      let controllerService = this.periphInfo.services['controller']
-      let controllerFaultChar = controllerService.characteristics['fault'].char;
+      let controllerService = this.periphInfo.services.controller;
+      let controllerFaultChar = controllerService.characteristics.fault.char;
 
-      controllerFaultChar.addEventListener('characteristicvaluechanged', this._handleCharNotify.bind(this, 'fault'));
+      this._backend.addNotificationListener(controllerFaultChar, this._handleCharNotify.bind(this, 'fault'));
       
     })
     .then(() => {
@@ -680,14 +983,19 @@ module.exports = class BleDevice extends EventEmitter {
     // Subscribe to characteristic
     return this.subscribe(char)
     .then(() => {
-      // Set up event
-      char.addEventListener('characteristicvaluechanged', this._handleCharNotify.bind(this, charKey));
+      let listeners = [ this._handleCharNotify.bind(this, charKey) ];
 
       // Set up callback, if provided
       if (callback) {
-        char.addEventListener('characteristicvaluechanged', callback);
+        listeners.push(callback);
       }
 
+      // Set up event
+      listeners.forEach((listener) => {
+        this._backend.addNotificationListener(char, listener);
+      });
+
+      this._charListeners[charKey] = (this._charListeners[charKey] || []).concat(listeners);
     });
   }
 
@@ -702,7 +1010,7 @@ module.exports = class BleDevice extends EventEmitter {
    * @return {} Return value from original callback
    */
   _watcherCallbackProxy(callback, event) {
-    return callback(Buffer.from(event.target.value.buffer));
+    return callback(bytes.fromView(event.target.value));
   }
 
 
@@ -719,12 +1027,17 @@ module.exports = class BleDevice extends EventEmitter {
   unsubscribeChar(charKey, service, callback) {
     let char = service.characteristics[charKey].char;
 
-    // Remove event listener
+    // Remove event listeners added by this.subscribeChar(), including any callback
     return new Promise((resolve) => {
-      char.removeEventListener('characteristicvaluechanged', this._handleCharNotify.bind(this, charKey))
+      (this._charListeners[charKey] || []).forEach((listener) => {
+        this._backend.removeNotificationListener(char, listener);
+      });
+
+      this._charListeners[charKey] = [];
+
       // Clear callback, if provided
       if (callback) {
-        char.removeEventListener('characteristicvaluechanged', callback);
+        this._backend.removeNotificationListener(char, callback);
       }
 
       resolve();
@@ -752,7 +1065,46 @@ module.exports = class BleDevice extends EventEmitter {
    * @return {None}
    */
   _handleCharNotify(eventName, event) {
-    this.emit(eventName, Buffer.from(event.target.value.buffer));
+    this.emit(eventName, bytes.fromView(event.target.value));
+  }
+
+
+  /**
+   * Notification handler for the transparent UART's 'rx' characteristic, which emits
+   * each MBAP frame completed by a chunk as a 'frame' event, and passes it to the master
+   * that sent the request. A frame that isn't complete FRAME_TIMEOUT ms after its last
+   * chunk is discarded, as its remaining chunks were lost.
+   *
+   * @param {Object} event  Notification event
+   * @return {None}
+   */
+  _handleUartData(event) {
+    let data = bytes.fromView(event.target.value);
+
+    clearTimeout(this._frameTimer);
+
+    this._frameReader.push(data).forEach((frame) => {
+      // Reported as the master that made the request would see it
+      let restored = this._mux.restore(frame);
+
+      this.emit('frame', {
+        transactionId: mbap.getTransactionId(restored),
+        protocol: mbap.getProtocolId(restored),
+        payload: restored.subarray(mbap.HEADER_LENGTH),
+        data: restored,
+      });
+
+      this._mux.receive(frame);
+    });
+
+    if (this._frameReader.pending > 0) {
+      this._frameTimer = setTimeout(() => {
+        let discarded = this._frameReader.reset();
+
+        this.emit('frameError', new errors.FrameError(
+          `the rest of the frame did not arrive within ${FRAME_TIMEOUT} ms`, discarded));
+      }, FRAME_TIMEOUT);
+    }
   }
 
 
@@ -789,10 +1141,12 @@ module.exports = class BleDevice extends EventEmitter {
   configure(configuration) {
     let configure = this.periphInfo.commands.configure;
 
-    if (configure) {
-      return this._modbusCommand(this.id, configure.opCode, Buffer.from([]));
+    let notSupported = this._checkSupported('configure', configure);
+
+    if (!notSupported) {
+      return this._modbusCommand(this.id, configure.opCode, bytes.from([]));
     } else {
-      return Promise.reject(`'configure' is not implemented on ${this.periphInfo.modelNumber}`);
+      return Promise.reject(notSupported);
     }
   }
 
@@ -807,10 +1161,12 @@ module.exports = class BleDevice extends EventEmitter {
     // Check if keyswitch command exists
     let keySwitch = this.periphInfo.commands.keySwitch;
 
-    if (keySwitch) {
-      return this._modbusCommand(this.id, keySwitch.opCode, Buffer.from([(state) ? 1 : 0]));
+    let notSupported = this._checkSupported('keyswitch', keySwitch);
+
+    if (!notSupported) {
+      return this._modbusCommand(this.id, keySwitch.opCode, bytes.from([(state) ? 1 : 0]));
     } else {
-      return Promise.reject(`'keyswitch' is not implemented on ${this.periphInfo.modelNumber}`);
+      return Promise.reject(notSupported);
     }
     
   }
@@ -831,17 +1187,21 @@ module.exports = class BleDevice extends EventEmitter {
   watch(slot, id, address, length, cb) {
     let watch = this.periphInfo.commands.watch;
 
-    if (watch) {
+    let notSupported = this._checkSupported('watch', watch);
+
+    if (!notSupported) {
 
       if ((slot >= 0) && (slot < this._watcherMax)) {
         if (length <= watch.maxLen) {
-          let controllerService = this.periphInfo.services['controller'];
+          let controllerService = this.periphInfo.services.controller;
 
           let charKey = `status${slot+1}`;
 
           return this.unsubscribeChar(charKey, controllerService)
           .then(() => {
-            return this._modbusCommand(this.id, watch.opCode, Buffer.from([slot, id, (address >> 8), (address & 0xFF), length]));
+            let params = bytes.from([slot, id, (address >> 8), (address & 0xFF), length]);
+
+            return this._modbusCommand(this.id, watch.opCode, params);
           })
           .then(() => {
             this._watcherCb[slot] = this._watcherCallbackProxy.bind(this, cb);
@@ -855,10 +1215,11 @@ module.exports = class BleDevice extends EventEmitter {
         }
 
       } else {
-        return Promise.reject(`watch: Invalid slot ${slot}. Range for ${this.periphInfo.modelNumber} is 0 to ${this._watcherMax-1}.`);
+        return Promise.reject(`watch: Invalid slot ${slot}. ` +
+                              `Range for ${this.periphInfo.modelNumber} is 0 to ${this._watcherMax-1}.`);
       }
     } else {
-      return Promise.reject(`'watch' is not implemented on ${this.periphInfo.modelNumber}`);
+      return Promise.reject(notSupported);
     }
   }
 
@@ -870,20 +1231,23 @@ module.exports = class BleDevice extends EventEmitter {
    * @return {Promise} Resolves when the command is complete with watcher value
    */
   readWatcher(slot) {
-    if (this.periphInfo.softwareRevision.scalar >= stringToSemVer("1.10.0").scalar) {
+    let notSupported = this._checkSupported('readWatcher', this.periphInfo.features.readWatcher);
+
+    if (!notSupported) {
 
       if ((slot >= 0) && (slot < this._watcherMax)) {
-        let controllerService = this.periphInfo.services['controller'];
+        let controllerService = this.periphInfo.services.controller;
 
         let charKey = `status${slot+1}`;
 
         return this.readChar(charKey, controllerService);
 
       } else {
-        return Promise.reject(`watch: Invalid slot ${slot}. Range for ${this.periphInfo.modelNumber} is 0 to ${this._watcherMax-1}.`);
+        return Promise.reject(`watch: Invalid slot ${slot}. ` +
+                              `Range for ${this.periphInfo.modelNumber} is 0 to ${this._watcherMax-1}.`);
       }
     } else {
-      return Promise.reject(`'readWatcher' is not implemented on ${this.periphInfo.modelNumber} ${this.periphInfo.softwareRevision.string}`);
+      return Promise.reject(notSupported);
     }
   }
 
@@ -901,12 +1265,16 @@ module.exports = class BleDevice extends EventEmitter {
   superWatch(id, addresses, cb) {
     let superwatch = this.periphInfo.commands.superWatch;
 
-    let supported = this._modbusCommandSupported('superWatch')
+    let notSupported = this._checkSupported('superWatch', superwatch);
 
-    if (supported.supported) {
+    if (notSupported) {
+      return Promise.reject(notSupported);
+    } else if (superwatch.maxMembers && (addresses.length > superwatch.maxMembers)) {
+      return Promise.reject(`superWatch: ${addresses.length} addresses exceeds maximum of ${superwatch.maxMembers}.`);
+    } else {
 
-      let controllerService = this.periphInfo.services['controller'];
-      let charKey = "superWatcher";
+      let controllerService = this.periphInfo.services.controller;
+      let charKey = 'superWatcher';
 
       return this.unsubscribeChar(charKey, controllerService)
       .then(() => {
@@ -917,7 +1285,7 @@ module.exports = class BleDevice extends EventEmitter {
           commandArray.push(address & 0xFF);
         });
 
-        return this._modbusCommand(this.id, superwatch.opCode, Buffer.from(commandArray));
+        return this._modbusCommand(this.id, superwatch.opCode, bytes.from(commandArray));
       })
       .then(() => {
         this._superWatcherCb = this._watcherCallbackProxy.bind(this, cb);
@@ -926,10 +1294,25 @@ module.exports = class BleDevice extends EventEmitter {
       .then(() => {
         this.emit('superWatch', { event: charKey, slot: superwatch.slot, id: id, addresses: addresses });
       });
+    }
+  }
 
-    } else {
-      return Promise.reject(`'superwatch' is not implemented on ${this.periphInfo.modelNumber}: ${supported.reason}`);
+
+  /**
+   * @param {Number} slot  Slot given to unwatch()
+   * @return {Object} The characteristic of the watcher in the slot, or of the
+   *                  super-watcher, and where its callback is kept, or null if neither
+   */
+  _unwatchTarget(slot) {
+    let superwatch = this.periphInfo.commands.superWatch;
+
+    if ((slot >= 0) && (slot < this._watcherMax)) {
+      return { charKey: `status${slot+1}`, callback: '_watcherCb', callbackSlot: slot };
+    } else if (!this._checkSupported('superWatch', superwatch) && (slot === superwatch.slot)) {
+      return { charKey: 'superWatcher', callback: '_superWatcherCb', callbackSlot: null };
     }
+
+    return null;
   }
 
 
@@ -941,44 +1324,34 @@ module.exports = class BleDevice extends EventEmitter {
    */
   unwatch(slot) {
     let unwatch = this.periphInfo.commands.unwatch;
-    let superwatch = this.periphInfo.commands.superWatch;
-
-    if (unwatch) {
-      let controllerService = this.periphInfo.services['controller'];
 
-      let charKey = null;
-      let callback = null;
-      let callbackSlot = null;
+    let notSupported = this._checkSupported('unwatch', unwatch);
 
-      if ((slot >= 0) && (slot < this._watcherMax)) {
-        charKey = `status${slot+1}`;
-        callback = '_watcherCb';
-        callbackSlot = slot;
-      } else if ((this._modbusCommandSupported('superWatch')) && (slot == superwatch.slot)) {
-        charKey = 'superWatcher';
-        callback = '_superWatcherCb';
-      }
+    if (!notSupported) {
+      let controllerService = this.periphInfo.services.controller;
+      let target = this._unwatchTarget(slot);
 
-      if (charKey && slot) {
-        return this.unsubscribeChar(charKey, controllerService)
+      if (target && slot) {
+        return this.unsubscribeChar(target.charKey, controllerService)
         .then(() => {
-          return this._modbusCommand(this.id, unwatch.opCode, Buffer.from([slot]));
+          return this._modbusCommand(this.id, unwatch.opCode, bytes.from([slot]));
         })
         .then(() => {
           // Set the watcher's callback to null
-          this[callback][callbackSlot] = null;
+          this[target.callback][target.callbackSlot] = null;
         })
         .then(() => {
-          this.emit('unwatch', { event: charKey, slot: slot });
+          this.emit('unwatch', { event: target.charKey, slot: slot });
         });
 
       } else {
-        return Promise.reject(`unwatch: Invalid slot ${slot}. Range for ${this.periphInfo.modelNumber} is 0 to ${this._watcherMax-1}.`);
+        return Promise.reject(`unwatch: Invalid slot ${slot}. ` +
+                              `Range for ${this.periphInfo.modelNumber} is 0 to ${this._watcherMax-1}.`);
 
       }
 
     } else {
-      return Promise.reject(`'unwatch' is not implemented on ${this.periphInfo.modelNumber}`);
+      return Promise.reject(notSupported);
     }
   }
 
@@ -991,19 +1364,16 @@ module.exports = class BleDevice extends EventEmitter {
   unwatchAll() {
     let unwatchAll = this.periphInfo.commands.unwatchAll;
 
-    if (unwatchAll) {
-      // Unsubscribe from all 'status' watcher and the superWatcher characteristics
-      let controllerService = this.periphInfo.services['controller'];
+    let notSupported = this._checkSupported('unwatchAll', unwatchAll);
 
-      let statusChars = [];
+    if (!notSupported) {
+      // Unsubscribe from all 'status' watcher and the superWatcher characteristics
+      let controllerService = this.periphInfo.services.controller;
 
-      Object.keys(controllerService.characteristics).forEach((key) => {
-        if (key.startsWith('status')) {
-          statusChars.push(key);
-        }
-      });
+      let statusChars = this._watcherChars();
 
-      if (controllerService.characteristics['superWatcher']) {
+      if (controllerService.characteristics.superWatcher &&
+          controllerService.characteristics.superWatcher.char) {
         statusChars.push('superWatcher');
       }
 
@@ -1013,10 +1383,10 @@ module.exports = class BleDevice extends EventEmitter {
 
       return Promise.all(todo)
       .then(() => {
-        return this._modbusCommand(this.id, unwatchAll.opCode, Buffer.from([]));
+        return this._modbusCommand(this.id, unwatchAll.opCode, bytes.from([]));
       });
     } else {
-      return Promise.reject(`'unwatchAll' is not implemented on ${this.periphInfo.modelNumber}`);
+      return Promise.reject(notSupported);
     }
   }
 
@@ -1029,19 +1399,24 @@ module.exports = class BleDevice extends EventEmitter {
    *                   active watcher
    */
   getWatchers() {
-    if (this._modbusCommandSupported('getWatcher')) {
-      let getwatcher = this.periphInfo.commands.getWatcher;
+    let getwatcher = this.periphInfo.commands.getWatcher;
+
+    let notSupported = this._checkSupported('getWatchers', getwatcher);
+
+    if (!notSupported) {
       let watchers = [];
 
-      return this._modbusCommand(this.id, getwatcher.opCode, Buffer.from([getwatcher.params.getWatchers]))
+      return this._modbusCommand(this.id, getwatcher.opCode, bytes.from([getwatcher.params.getWatchers]))
       .then((response) => {
+        let values = bytes.dataView(response.values);
+
         // Parse the response and build a list of active watchers
-        for (let offset = 1; offset < response.values.length; offset += 5) {
+        for (let offset = 1; offset < values.byteLength; offset += 5) {
           watchers.push({
-            slot: response.values.readUInt8(offset),
-            id: response.values.readUInt8(offset+1),
-            address: response.values.readUInt16BE(offset+2),
-            length: response.values.readUInt8(offset+4),
+            slot: values.getUint8(offset),
+            id: values.getUint8(offset+1),
+            address: values.getUint16(offset+2),
+            length: values.getUint8(offset+4),
           });
         }
 
@@ -1049,7 +1424,7 @@ module.exports = class BleDevice extends EventEmitter {
       });
 
     } else {
-      return Promise.reject(`'getWatchers' is not implemented on ${this.periphInfo.modelNumber}`);
+      return Promise.reject(notSupported);
     }
   }
 
@@ -1062,23 +1437,28 @@ module.exports = class BleDevice extends EventEmitter {
    *                   super-watcher member.
    */
   getSuperWatcher() {
-    if (this._modbusCommandSupported('getWatcher')) {
-      let getwatcher = this.periphInfo.commands.getWatcher;
+    let getwatcher = this.periphInfo.commands.getWatcher;
+
+    let notSupported = this._checkSupported('getSuperWatcher', getwatcher);
+
+    if (!notSupported) {
       let superWatcherMembers = [];
 
-      return this._modbusCommand(this.id, getwatcher.opCode, Buffer.from([getwatcher.params.getSuperWatcher]))
+      return this._modbusCommand(this.id, getwatcher.opCode, bytes.from([getwatcher.params.getSuperWatcher]))
       .then((response) => {
+        let values = bytes.dataView(response.values);
+
         // Parse the response and build a list of active super-watcher members
-        for (let offset = 3; offset < response.values.length; offset += 2) {
+        for (let offset = 3; offset < values.byteLength; offset += 2) {
           superWatcherMembers.push({
-            address: response.values.readUInt16BE(offset),
+            address: values.getUint16(offset),
           });
         }
 
         return superWatcherMembers;
       });
     } else {
-      return Promise.reject(`'getSuperWatcher' is not implemented on ${this.periphInfo.modelNumber}`);
+      return Promise.reject(notSupported);
     }
   }
 
@@ -1096,36 +1476,99 @@ module.exports = class BleDevice extends EventEmitter {
 
 
   /**
-   * Checks if the specified command is supported by the currently connected peripheral
-   * based on the peripheral's software revision. If the command isn't supported, a 
-   * 'reason' string is generated.
+   * Checks whether the connected peripheral's software revision is within the range
+   * given by a command or feature of the device definition
    *
-   * @param {String}  commandKey  Peripheral command in question
-   * @return {Object} Object with members:
-   *                  'supported' {Boolean}: true if command supported, false if not
-   *                  'reason'    {String}:  null if supported == true, string if supported == false
+   * @param {Object}  range  Object with optional 'minSwRev' and 'maxSwRev' version strings
+   * @return {Boolean} True if the software revision is within the range. If the peripheral
+   *                   didn't report a software revision, only an unbounded range matches.
    */
-  _modbusCommandSupported(commandKey) {
-    let command = this.periphInfo.commands[commandKey];
-
-    let supported = true;
-    let reason = null;
-
-    if (command) {
-      if (command.minSoftwareRevision) {
-        let minSwRev = stringToSemVer(command.minSwRev);
-        console.log("minSwRev", minSwRev);
-        if (this.periphInfo.softwareRevision.scalar < minSwRev.scalar) {
-          reason = `'${commandKey}' requires software revision ${minSwRev.string}, this peripheral reports ${this.periphInfo.softwareRevision.string}`;
-          supported = false;
-        }
-      }
-    } else {
-      supported = false;
-      reason = `${commandKey} is not defined.`;
+  _inSwRevRange(range) {
+    let softwareRevision = this.periphInfo.softwareRevision;
+
+    if (!softwareRevision) {
+      return !range.minSwRev && !range.maxSwRev;
     }
-    
-    return { supported: supported, reason: reason };
+
+    if (range.minSwRev && (softwareRevision.scalar < stringToSemVer(range.minSwRev).scalar)) {
+      return false;
+    }
+
+    if (range.maxSwRev && (softwareRevision.scalar > stringToSemVer(range.maxSwRev).scalar)) {
+      return false;
+    }
+
+    return true;
+  }
+
+
+  /**
+   * Checks if an operation is supported by the currently connected peripheral, given the
+   * command or feature of the device definition that it depends on
+   *
+   * @param {String}  operation  Name of the public method, used in the error message
+   * @param {Object}  entry      Command or feature from this.periphInfo, if defined
+   * @return {NotSupportedError} Error to reject the operation with, or null if supported
+   */
+  _checkSupported(operation, entry) {
+    if (entry && this._inSwRevRange(entry)) {
+      return null;
+    }
+
+    let softwareRevision = this.periphInfo.softwareRevision;
+
+    let details = {
+      modelNumber: this.periphInfo.modelNumber || this.periphInfo.name,
+      softwareRevision: softwareRevision ? softwareRevision.string : 'no software revision',
+    };
+
+    if (entry) {
+      details.minSwRev = entry.minSwRev && stringToSemVer(entry.minSwRev).string;
+      details.maxSwRev = entry.maxSwRev && stringToSemVer(entry.maxSwRev).string;
+    }
+
+    return new NotSupportedError(operation, details);
+  }
+
+
+  /**
+   * Return what the connected peripheral supports, based on its device definition,
+   * software revision, and the characteristics found by this.inspect()
+   *
+   * @return {Promise} Resolves with an object containing:
+   *                   'modelNumber' {String}, 'softwareRevision' {String},
+   *                   'commands' {Object}: command names mapped to true if supported,
+   *                   'watcherSlots' {Number}: number of watcher slots,
+   *                   'maxWatchLength' {Number}: longest watched memory read, in bytes,
+   *                   'superWatcher' {Boolean}: true if the super-watcher is supported,
+   *                   'superWatcherSize' {Number}: maximum super-watcher members,
+   *                   'readWatcher' {Boolean}: true if readWatcher() is supported
+   */
+  getCapabilities() {
+    let commands = this.periphInfo.commands;
+    let softwareRevision = this.periphInfo.softwareRevision;
+
+    let supported = (entry) => !!entry && this._inSwRevRange(entry);
+
+    let commandSupport = {};
+
+    Object.keys(commands).forEach((key) => {
+      commandSupport[key] = supported(commands[key]);
+    });
+
+    let watch = supported(commands.watch);
+    let superWatch = supported(commands.superWatch);
+
+    return Promise.resolve({
+      modelNumber: this.periphInfo.modelNumber || this.periphInfo.name,
+      softwareRevision: softwareRevision ? softwareRevision.string : null,
+      commands: commandSupport,
+      watcherSlots: watch ? this._watcherMax : 0,
+      maxWatchLength: watch ? (commands.watch.maxLen || 0) : 0,
+      superWatcher: superWatch,
+      superWatcherSize: superWatch ? (commands.superWatch.maxMembers || 0) : 0,
+      readWatcher: supported(this.periphInfo.features.readWatcher) && (this._watcherMax > 0),
+    });
   }
 
 
@@ -1235,71 +1678,30 @@ module.exports = class BleDevice extends EventEmitter {
   }
 
   /**
-   * Enumerate GATT services of the connected device.
-   * 
-   * This function was broken out of this._discoverGattServices due to slight
-   * differences in how the 'real' Web Bluetooth implementation works versus
-   * how the noble-based implementation works.
+   * Enumerate GATT services of the connected device. How this is done depends on the
+   * backend; see ./backend/.
    *
    * @return {Promise} Resolves with array when services list is available
    */
   _getServices() {
-    if (this._options.usingNodeModule) {
-      // If we're using the NodeJS web-bluetooth module, just use the provided
-      // function
-      return this._server.getPrimaryServices()
-    } else {
-      // Otherwise, iterate through the BLE dongle's list of services and
-      // request each service
-      let promises = [];
-
-      module.exports.serviceUuids(this._peripheral.name).forEach((serviceUuid) => {
-        promises.push(this._server.getPrimaryService(serviceUuid));
-      })
+    let uuids = Object.values(this.periphInfo.services).map(service => service.uuid);
 
-      return Promise.all(promises);
-    }
+    return this._backend.getServices(this._server, uuids);
   }
 
 
   /**
-   * Enumerate GATT characteristics for a given service of the connected device.
-   * 
-   * This function was broken out of this._discoverGattServices due to slight
-   * differences in how the 'real' Web Bluetooth implementation works versus
-   * how the noble-based implementation works.
+   * Enumerate GATT characteristics for a given service of the connected device. How this
+   * is done depends on the backend; see ./backend/.
    *
+   * @param {Object} service          Discovered service
+   * @param {Object} matchingService  Matching service in this.periphInfo, if any
    * @return {Promise} Resolves with array when characteristics list is available
    */
   _getCharacteristics(service, matchingService) {
-    if (this._options.usingNodeModule) {
-      return service.getCharacteristics();
-    } else {
-      // Read characteristics
-      let charPromises = [];
-
-      Object.values(matchingService.characteristics).forEach((charInfo) => {
-        charPromises.push(
-          service.getCharacteristic(charInfo.uuid)
-        );
-      });
+    let uuids = matchingService ? Object.values(matchingService.characteristics).map(c => c.uuid) : [];
 
-      return Promise.allSettled(charPromises)
-      .then((promises) => {
-        let characteristics = [];
-        
-        promises = promises.flat();
-
-        promises.forEach((promise) => {
-          if (promise.status == 'fulfilled') {
-            characteristics.push(promise.value);
-          }
-        })
-
-        return characteristics;
-      })
-
-    }
+    return this._backend.getCharacteristics(service, uuids);
   }
 
   /**
@@ -1313,4 +1715,11 @@ module.exports = class BleDevice extends EventEmitter {
     return this.inspectionComplete;
   }
 
-}
+};
+
+
+// Known device definitions. Lookups by advertised name or model number that don't
+// match any of these use the generic CS profile.
+module.exports.registry = new DeviceRegistry(generic);
+module.exports.registry.register(cs1814);
+module.exports.registry.register(cs1816);
@@ -0,0 +1,55 @@
+/**
+ * Connection states of a BleController and the transitions allowed between them
+ *
+ * - idle - No connection; a peripheral may have been selected by startScanning()
+ * - scanning - Waiting for a peripheral to be selected
+ * - connecting - GATT connection to the peripheral in progress
+ * - inspecting - Connected; services and characteristics are being inspected
+ * - ready - Inspection complete; commands and Modbus traffic may be sent
+ * - disconnecting - close() has been called; waiting for the GATT disconnection
+ * - disconnected - The GATT connection was closed or lost
+ * - error - Scanning, connecting or inspecting failed
+ */
+'use strict';
+
+const State = Object.freeze({
+  IDLE: 'idle',
+  SCANNING: 'scanning',
+  CONNECTING: 'connecting',
+  INSPECTING: 'inspecting',
+  READY: 'ready',
+  DISCONNECTING: 'disconnecting',
+  DISCONNECTED: 'disconnected',
+  ERROR: 'error',
+});
+
+// For each state, the states that may follow it
+const transitions = {
+  [State.IDLE]:          [ State.SCANNING, State.CONNECTING ],
+  [State.SCANNING]:      [ State.IDLE, State.ERROR ],
+  [State.CONNECTING]:    [ State.INSPECTING, State.DISCONNECTING, State.DISCONNECTED, State.ERROR ],
+  [State.INSPECTING]:    [ State.READY, State.DISCONNECTING, State.DISCONNECTED, State.ERROR ],
+  [State.READY]:         [ State.DISCONNECTING, State.DISCONNECTED ],
+  [State.DISCONNECTING]: [ State.DISCONNECTED ],
+  [State.DISCONNECTED]:  [ State.IDLE, State.SCANNING, State.CONNECTING ],
+  [State.ERROR]:         [ State.IDLE, State.SCANNING, State.CONNECTING, State.DISCONNECTING,
+                           State.DISCONNECTED ],
+};
+
+
+/**
+ * Check whether a transition between two states is allowed
+ *
+ * @param {String} from  Current state
+ * @param {String} to    Next state
+ * @return {Boolean} True if the transition is allowed
+ */
+function canTransition(from, to) {
+  return (transitions[from] || []).indexOf(to) !== -1;
+}
+
+
+module.exports = {
+  State: State,
+  canTransition: canTransition,
+};
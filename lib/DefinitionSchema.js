@@ -0,0 +1,471 @@
+/**
+ * Schema for device definitions (see ./device/)
+ *
+ * validate() checks a definition and returns a list of problems, each prefixed with
+ * the path of the offending property, e.g.,
+ *
+ *   "commands.watch.maxLen: expected an integer from 1 to 255"
+ *
+ * normalize() returns a copy of a valid definition with defaults filled in, so that the
+ * rest of the library can rely on every property being present:
+ *
+ * - 'id' defaults to 0xFE
+ * - 'commands' and 'features' default to empty objects; dongles without commands
+ *   (e.g., CS1814) reject keyswitch(), watch(), etc. as not supported
+ * - characteristic 'optional' flags default to false
+ * - UUIDs are lower-cased, and 16-bit UUIDs (e.g., '180a') are expanded using the
+ *   Bluetooth Base UUID
+ *
+ * A definition looks like:
+ *
+ *   {
+ *     name: 'CS1816',              // Advertised name (required)
+ *     modelNumber: 'CS1816',       // Device Information model number, if not the name
+ *     id: 0xFE,                    // Modbus ID of the dongle itself
+ *     commands: {
+ *       superWatch: {
+ *         opCode: 5,               // Command number (required)
+ *         maxLen: 4,               // Maximum data length
+ *         maxMembers: 25,          // Maximum number of super-watcher addresses
+ *         maxSlots: 15,            // Maximum number of watcher slots
+ *         minSwRev: '1.5',         // Lowest dongle software revision supporting it
+ *         maxSwRev: '2.0',         // Highest dongle software revision supporting it
+ *         slot: 0xFF,              // Watcher slot used by the command
+ *         params: { ... },         // Named parameter values
+ *       },
+ *     },
+ *     features: {                  // Capabilities that aren't commands
+ *       readWatcher: { minSwRev: '1.10' },
+ *     },
+ *     advertisement: {             // Manufacturer data layout; see ./Advertisement.js
+ *       companyIdentifier: 0xFFFF,
+ *       fields: {
+ *         product: { offset: 0, length: 8, type: 'ascii' },
+ *       },
+ *     },
+ *     services: {
+ *       controller: {
+ *         uuid: '6765ed1f-...',
+ *         characteristics: {
+ *           command: { uuid: '6765ed1f-...', optional: false },
+ *           status16: { uuid: '6765ed1f-...', minSwRev: '1.12' },
+ *         },
+ *       },
+ *     },
+ *   }
+ */
+'use strict';
+
+const Advertisement = require('./Advertisement');
+
+// Services and characteristics that BleDevice depends on
+const requiredServices = {
+  deviceInformation: [ 'softwareRevision' ],
+  controller: [ 'command', 'response', 'product', 'serial', 'fault' ],
+  transparentUart: [ 'rx', 'tx', 'control' ],
+};
+
+// Properties allowed at each level of a definition
+const definitionKeys = [ 'name', 'modelNumber', 'id', 'generic', 'commands', 'features',
+                         'advertisement', 'services' ];
+const commandKeys = [ 'opCode', 'maxLen', 'maxMembers', 'maxSlots', 'minSwRev', 'maxSwRev', 'slot',
+                      'params' ];
+const featureKeys = [ 'minSwRev', 'maxSwRev' ];
+const advertisementKeys = [ 'companyIdentifier', 'fields' ];
+const fieldKeys = [ 'offset', 'length', 'type' ];
+const serviceKeys = [ 'uuid', 'characteristics' ];
+const characteristicKeys = [ 'uuid', 'optional', 'minSwRev', 'maxSwRev' ];
+
+// Optional limits of a command, each an integer from 1 to 255
+const commandLimits = [ 'maxLen', 'maxMembers', 'maxSlots' ];
+
+const uuid128Regex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const uuid16Regex = /^[0-9a-f]{4}$/i;
+const versionRegex = /^[0-9]+\.[0-9]+(\.[0-9]+)?$/;
+
+const DEFAULT_ID = 0xFE;
+
+
+function isObject(value) {
+  return (value !== null) && (typeof value === 'object') && !Array.isArray(value);
+}
+
+function isByte(value, min) {
+  return Number.isInteger(value) && (value >= (min || 0)) && (value <= 0xFF);
+}
+
+function isUuid(value) {
+  return (typeof value === 'string') && (uuid128Regex.test(value) || uuid16Regex.test(value));
+}
+
+
+/**
+ * Expand a 16-bit UUID to 128 bits using the Bluetooth Base UUID, and lower-case it
+ *
+ * @param {String} uuid  UUID
+ * @return {String} Full UUID
+ */
+function normalizeUuid(uuid) {
+  uuid = uuid.toLowerCase();
+
+  return uuid16Regex.test(uuid) ? `0000${uuid}-0000-1000-8000-00805f9b34fb` : uuid;
+}
+
+
+// Append a problem for each property of 'object' that isn't in 'allowed'
+function checkKeys(problems, path, object, allowed) {
+  Object.keys(object).forEach((key) => {
+    if (allowed.indexOf(key) === -1) {
+      problems.push(`${path}${key}: unknown property`);
+    }
+  });
+}
+
+
+// Check the 'minSwRev' and 'maxSwRev' properties of a command, feature or characteristic
+function validateVersionRange(problems, path, object) {
+  [ 'minSwRev', 'maxSwRev' ].forEach((key) => {
+    if ((object[key] !== undefined) &&
+        !((typeof object[key] === 'string') && versionRegex.test(object[key]))) {
+      problems.push(`${path}.${key}: expected a version string such as "1.5" or "1.10.0"`);
+    }
+  });
+}
+
+
+function validateCommand(problems, path, command) {
+  if (!isObject(command)) {
+    problems.push(`${path}: expected an object`);
+    return;
+  }
+
+  checkKeys(problems, `${path}.`, command, commandKeys);
+
+  if (!isByte(command.opCode)) {
+    problems.push(`${path}.opCode: expected an integer from 0 to 255`);
+  }
+
+  commandLimits.forEach((key) => {
+    if ((command[key] !== undefined) && !isByte(command[key], 1)) {
+      problems.push(`${path}.${key}: expected an integer from 1 to 255`);
+    }
+  });
+
+  validateVersionRange(problems, path, command);
+
+  if ((command.slot !== undefined) && !isByte(command.slot)) {
+    problems.push(`${path}.slot: expected an integer from 0 to 255`);
+  }
+
+  if (command.params !== undefined) {
+    validateParams(problems, `${path}.params`, command.params);
+  }
+}
+
+
+// Check the parameter values of a command, each sent as a byte
+function validateParams(problems, path, params) {
+  if (!isObject(params)) {
+    problems.push(`${path}: expected an object`);
+    return;
+  }
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (!isByte(value)) {
+      problems.push(`${path}.${key}: expected an integer from 0 to 255`);
+    }
+  });
+}
+
+
+function validateAdvertisement(problems, path, advertisement) {
+  if (!isObject(advertisement)) {
+    problems.push(`${path}: expected an object`);
+    return;
+  }
+
+  checkKeys(problems, `${path}.`, advertisement, advertisementKeys);
+
+  let companyIdentifier = advertisement.companyIdentifier;
+
+  if (!Number.isInteger(companyIdentifier) || (companyIdentifier < 0) || (companyIdentifier > 0xFFFF)) {
+    problems.push(`${path}.companyIdentifier: expected an integer from 0 to 65535`);
+  }
+
+  if (!isObject(advertisement.fields)) {
+    problems.push(`${path}.fields: expected an object`);
+    return;
+  }
+
+  Object.entries(advertisement.fields).forEach(([key, field]) => {
+    let fieldPath = `${path}.fields.${key}`;
+
+    if (!isObject(field)) {
+      problems.push(`${fieldPath}: expected an object`);
+      return;
+    }
+
+    checkKeys(problems, `${fieldPath}.`, field, fieldKeys);
+
+    if (!Number.isInteger(field.offset) || (field.offset < 0)) {
+      problems.push(`${fieldPath}.offset: expected a non-negative integer`);
+    }
+
+    if (Advertisement.types.indexOf(field.type) === -1) {
+      problems.push(`${fieldPath}.type: expected one of ${Advertisement.types.join(', ')}`);
+    } else if (Advertisement.typeLengths[field.type]) {
+      if ((field.length !== undefined) && (field.length !== Advertisement.typeLengths[field.type])) {
+        problems.push(`${fieldPath}.length: ${field.type} fields are ` +
+                      `${Advertisement.typeLengths[field.type]} bytes long`);
+      }
+    } else if (!Number.isInteger(field.length) || (field.length < 1)) {
+      problems.push(`${fieldPath}.length: expected a positive integer`);
+    }
+  });
+}
+
+
+function validateService(problems, path, service) {
+  if (!isObject(service)) {
+    problems.push(`${path}: expected an object`);
+    return;
+  }
+
+  checkKeys(problems, `${path}.`, service, serviceKeys);
+
+  if (!isUuid(service.uuid)) {
+    problems.push(`${path}.uuid: expected a 16-bit or 128-bit UUID string`);
+  }
+
+  if (!isObject(service.characteristics)) {
+    problems.push(`${path}.characteristics: expected an object`);
+    return;
+  }
+
+  let seen = {};
+
+  Object.entries(service.characteristics).forEach(([key, characteristic]) => {
+    let charPath = `${path}.characteristics.${key}`;
+
+    if (!isObject(characteristic)) {
+      problems.push(`${charPath}: expected an object`);
+      return;
+    }
+
+    checkKeys(problems, `${charPath}.`, characteristic, characteristicKeys);
+
+    if (!isUuid(characteristic.uuid)) {
+      problems.push(`${charPath}.uuid: expected a 16-bit or 128-bit UUID string`);
+    } else {
+      let uuid = normalizeUuid(characteristic.uuid);
+
+      if (seen[uuid]) {
+        problems.push(`${charPath}.uuid: duplicates the UUID of '${seen[uuid]}'`);
+      } else {
+        seen[uuid] = key;
+      }
+    }
+
+    if ((characteristic.optional !== undefined) && (typeof characteristic.optional !== 'boolean')) {
+      problems.push(`${charPath}.optional: expected a boolean`);
+    }
+
+    validateVersionRange(problems, charPath, characteristic);
+  });
+}
+
+
+// Check the properties that identify the device
+function validateIdentity(problems, definition) {
+  if ((typeof definition.name !== 'string') || (definition.name.length === 0)) {
+    problems.push('name: expected a non-empty string');
+  }
+
+  if ((definition.modelNumber !== undefined) && (typeof definition.modelNumber !== 'string')) {
+    problems.push('modelNumber: expected a string');
+  }
+
+  if ((definition.id !== undefined) && !isByte(definition.id)) {
+    problems.push('id: expected an integer from 0 to 255');
+  }
+
+  if ((definition.generic !== undefined) && (typeof definition.generic !== 'boolean')) {
+    problems.push('generic: expected a boolean');
+  }
+}
+
+
+function validateCommands(problems, commands) {
+  if (!isObject(commands)) {
+    problems.push('commands: expected an object');
+    return;
+  }
+
+  Object.entries(commands).forEach(([key, command]) => {
+    validateCommand(problems, `commands.${key}`, command);
+  });
+}
+
+
+function validateFeatures(problems, features) {
+  if (!isObject(features)) {
+    problems.push('features: expected an object');
+    return;
+  }
+
+  Object.entries(features).forEach(([key, feature]) => {
+    if (!isObject(feature)) {
+      problems.push(`features.${key}: expected an object`);
+    } else {
+      checkKeys(problems, `features.${key}.`, feature, featureKeys);
+      validateVersionRange(problems, `features.${key}`, feature);
+    }
+  });
+}
+
+
+/**
+ * Check a device definition against the schema
+ *
+ * @param {Object} definition  Device definition
+ * @return {Array<String>} Problems found; empty if the definition is valid
+ */
+function validate(definition) {
+  let problems = [];
+
+  if (!isObject(definition)) {
+    return [ 'definition: expected an object' ];
+  }
+
+  checkKeys(problems, '', definition, definitionKeys);
+  validateIdentity(problems, definition);
+
+  if (definition.commands !== undefined) {
+    validateCommands(problems, definition.commands);
+  }
+
+  if (definition.features !== undefined) {
+    validateFeatures(problems, definition.features);
+  }
+
+  if (definition.advertisement !== undefined) {
+    validateAdvertisement(problems, 'advertisement', definition.advertisement);
+  }
+
+  validateServices(problems, definition.services);
+
+  return problems;
+}
+
+
+// Check the services, and that those the library uses have the characteristics it needs
+function validateServices(problems, services) {
+  if (!isObject(services)) {
+    problems.push('services: expected an object');
+    return;
+  }
+
+  Object.entries(services).forEach(([key, service]) => {
+    validateService(problems, `services.${key}`, service);
+  });
+
+  Object.entries(requiredServices).forEach(([sKey, charKeys]) => {
+    let service = services[sKey];
+
+    if (!service) {
+      problems.push(`services.${sKey}: required service is missing`);
+    } else if (isObject(service.characteristics)) {
+      charKeys.forEach((cKey) => {
+        let characteristic = service.characteristics[cKey];
+
+        if (!characteristic) {
+          problems.push(`services.${sKey}.characteristics.${cKey}: required characteristic is missing`);
+        } else if (characteristic.optional) {
+          problems.push(`services.${sKey}.characteristics.${cKey}.optional: required characteristic can't be optional`);
+        } else if (characteristic.minSwRev || characteristic.maxSwRev) {
+          problems.push(`services.${sKey}.characteristics.${cKey}: ` +
+                        'required characteristic can\'t depend on the software revision');
+        }
+      });
+    }
+  });
+}
+
+
+/**
+ * Return a copy of a valid device definition with defaults filled in
+ *
+ * @param {Object} definition  Device definition that has passed validate()
+ * @return {Object} Normalized definition
+ */
+function normalize(definition) {
+  let normalized = {
+    name: definition.name,
+    id: (definition.id === undefined) ? DEFAULT_ID : definition.id,
+    commands: {},
+    features: {},
+    services: {},
+  };
+
+  if (definition.modelNumber !== undefined) {
+    normalized.modelNumber = definition.modelNumber;
+  }
+
+  if (definition.generic) {
+    normalized.generic = true;
+  }
+
+  if (definition.advertisement) {
+    normalized.advertisement = {
+      companyIdentifier: definition.advertisement.companyIdentifier,
+      fields: {},
+    };
+
+    Object.entries(definition.advertisement.fields).forEach(([key, field]) => {
+      normalized.advertisement.fields[key] = Object.assign({}, field);
+    });
+  }
+
+  Object.entries(definition.commands || {}).forEach(([key, command]) => {
+    normalized.commands[key] = Object.assign({}, command);
+
+    if (command.params) {
+      normalized.commands[key].params = Object.assign({}, command.params);
+    }
+  });
+
+  Object.entries(definition.features || {}).forEach(([key, feature]) => {
+    normalized.features[key] = Object.assign({}, feature);
+  });
+
+  Object.entries(definition.services).forEach(([sKey, service]) => {
+    let characteristics = {};
+
+    Object.entries(service.characteristics).forEach(([cKey, characteristic]) => {
+      characteristics[cKey] = {
+        uuid: normalizeUuid(characteristic.uuid),
+        optional: !!characteristic.optional,
+      };
+
+      [ 'minSwRev', 'maxSwRev' ].forEach((key) => {
+        if (characteristic[key] !== undefined) {
+          characteristics[cKey][key] = characteristic[key];
+        }
+      });
+    });
+
+    normalized.services[sKey] = {
+      uuid: normalizeUuid(service.uuid),
+      characteristics: characteristics,
+    };
+  });
+
+  return normalized;
+}
+
+
+module.exports = {
+  validate: validate,
+  normalize: normalize,
+  normalizeUuid: normalizeUuid,
+};
@@ -0,0 +1,191 @@
+/**
+ * Registry of known BLE dongle definitions
+ *
+ * A definition is an object like those in ./device/, describing a dongle's name,
+ * Modbus ID, dongle commands and the GATT services and characteristics it is
+ * expected to have. BleDevice looks up the definition for a peripheral here, so
+ * applications can add support for a dongle (or override a built-in definition)
+ * at runtime without modifying this module:
+ *
+ *   BleController.registerDevice(require('./my-dongle-definition'));
+ *
+ * Definitions can be found by advertised name, by controller service UUID, or by
+ * the model number read from the Device Information service. When none matches,
+ * the fallback definition (a generic CS profile by default) is used.
+ *
+ * Definitions are checked against the schema in ./DefinitionSchema.js when they are
+ * registered, and stored in normalized form.
+ */
+'use strict';
+
+const DefinitionSchema = require('./DefinitionSchema');
+const DefinitionError = require('./errors').DefinitionError;
+
+
+// Validate a definition, returning its normalized form or throwing a DefinitionError
+function check(definition) {
+  let problems = DefinitionSchema.validate(definition);
+
+  if (problems.length > 0) {
+    throw new DefinitionError(definition && definition.name, problems);
+  }
+
+  return DefinitionSchema.normalize(definition);
+}
+
+
+module.exports = class DeviceRegistry {
+
+  /**
+   * @param {Object} fallback  Definition used when no registered definition matches
+   *                           a peripheral, or null to reject unknown peripherals
+   */
+  constructor(fallback) {
+    // Registered definitions, keyed by name, in registration order
+    this._definitions = new Map();
+
+    this.fallback = fallback ? check(fallback) : null;
+  }
+
+
+  /**
+   * Add a device definition, replacing any existing definition with the same name
+   *
+   * @param {Object} definition  Device definition
+   * @return {Object} The registered definition, normalized
+   * @throws {DefinitionError} If the definition doesn't match the schema
+   */
+  register(definition) {
+    definition = check(definition);
+
+    // Re-registering a name moves it to the end, so that it takes precedence in lookups
+    // by UUID and model number
+    this._definitions.delete(definition.name);
+    this._definitions.set(definition.name, definition);
+
+    return definition;
+  }
+
+
+  /**
+   * Remove a device definition
+   *
+   * @param {String} name  Name of the definition
+   * @return {Boolean} True if a definition was removed
+   */
+  unregister(name) {
+    return this._definitions.delete(name);
+  }
+
+
+  /**
+   * @return {Array} All registered definitions, in registration order
+   */
+  definitions() {
+    return Array.from(this._definitions.values());
+  }
+
+
+  /**
+   * Find a definition by the peripheral's advertised name
+   *
+   * @param {String} name  Peripheral name
+   * @return {Object} Matching definition, or undefined
+   */
+  findByName(name) {
+    return this._definitions.get(name);
+  }
+
+
+  /**
+   * Find a definition by controller service UUID. Since dongles typically share
+   * the same controller service UUID, this only succeeds if exactly one registered
+   * definition uses the UUID.
+   *
+   * @param {String} uuid  Controller service UUID
+   * @return {Object} Matching definition, or undefined
+   */
+  findByServiceUuid(uuid) {
+    uuid = DefinitionSchema.normalizeUuid(uuid);
+
+    let matches = this.definitions().filter((definition) => {
+      return definition.services.controller.uuid === uuid;
+    });
+
+    return (matches.length === 1 ? matches[0] : undefined);
+  }
+
+
+  /**
+   * Find a definition by the model number reported by the Device Information
+   * service. A definition's 'modelNumber' property is used if present, otherwise
+   * its name. The most recently registered match is returned.
+   *
+   * @param {String} modelNumber  Model number string
+   * @return {Object} Matching definition, or undefined
+   */
+  findByModelNumber(modelNumber) {
+    return this.definitions().reverse().find((definition) => {
+      return (definition.modelNumber || definition.name) === modelNumber;
+    });
+  }
+
+
+  /**
+   * Find the definition for a peripheral, trying each of the supplied criteria in turn
+   * and falling back to this.fallback
+   *
+   * @param {Object} criteria  Any of 'name', 'serviceUuid' and 'modelNumber'
+   * @return {Object} Matching definition, this.fallback, or null
+   */
+  resolve(criteria) {
+    criteria = criteria || {};
+
+    return (criteria.name && this.findByName(criteria.name)) ||
+           (criteria.serviceUuid && this.findByServiceUuid(criteria.serviceUuid)) ||
+           (criteria.modelNumber && this.findByModelNumber(criteria.modelNumber)) ||
+           this.fallback;
+  }
+
+
+  /**
+   * @return {Array} Names of all registered definitions
+   */
+  names() {
+    return Array.from(this._definitions.keys());
+  }
+
+
+  /**
+   * @return {Array} De-duplicated list of all registered controller service UUIDs
+   */
+  uuids() {
+    return Array.from(new Set(this.definitions().map(d => d.services.controller.uuid)));
+  }
+
+
+  /**
+   * @return {Array} De-duplicated list of the company identifiers of manufacturer data
+   *                 that registered definitions can decode
+   */
+  companyIdentifiers() {
+    return Array.from(new Set(this.definitions()
+                              .filter(d => d.advertisement)
+                              .map(d => d.advertisement.companyIdentifier)));
+  }
+
+
+  /**
+   * Return a list of all service UUIDs, given a device name. Unknown names use the
+   * fallback definition.
+   *
+   * @param {String} name  Device name
+   * @return {Array} Service UUIDs, or null if there is no matching definition
+   */
+  serviceUuids(name) {
+    let definition = this.findByName(name) || this.fallback;
+
+    return (definition ? Object.values(definition.services).map(s => s.uuid) : null);
+  }
+
+};
@@ -0,0 +1,132 @@
+/**
+ * Small event emitter with the parts of NodeJS's EventEmitter interface that this
+ * library and its users (including @csllc/cs-modbus's generic connection) rely on
+ *
+ * Used in place of require('events') so that BleController and BleDevice can run in a
+ * plain browser page. As in NodeJS, emitting 'error' without a listener throws.
+ */
+'use strict';
+
+module.exports = class EventEmitter {
+
+  constructor() {
+    this._events = {};
+  }
+
+
+  on(event, listener) {
+    (this._events[event] = this._events[event] || []).push(listener);
+    return this;
+  }
+
+
+  addListener(event, listener) {
+    return this.on(event, listener);
+  }
+
+
+  prependListener(event, listener) {
+    (this._events[event] = this._events[event] || []).unshift(listener);
+    return this;
+  }
+
+
+  once(event, listener) {
+    let wrapper = (...args) => {
+      this.removeListener(event, wrapper);
+      listener.apply(this, args);
+    };
+
+    // Lets removeListener() find it by the original listener
+    wrapper.listener = listener;
+
+    return this.on(event, wrapper);
+  }
+
+
+  removeListener(event, listener) {
+    let listeners = this._events[event];
+
+    if (listeners) {
+      // Remove the most recently added match, as NodeJS does
+      for (let i = listeners.length - 1; i >= 0; i--) {
+        if ((listeners[i] === listener) || (listeners[i].listener === listener)) {
+          listeners.splice(i, 1);
+          break;
+        }
+      }
+
+      if (listeners.length === 0) {
+        delete this._events[event];
+      }
+    }
+
+    return this;
+  }
+
+
+  off(event, listener) {
+    return this.removeListener(event, listener);
+  }
+
+
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this._events = {};
+    } else {
+      delete this._events[event];
+    }
+
+    return this;
+  }
+
+
+  /**
+   * Call the listeners for an event, in the order they were added
+   *
+   * @param {String} event  Event name
+   * @param {...*}   args   Arguments passed to each listener
+   * @return {Boolean} True if the event had listeners
+   */
+  emit(event, ...args) {
+    let listeners = this._events[event];
+
+    if (!listeners) {
+      if (event === 'error') {
+        throw (args[0] instanceof Error) ? args[0] : new Error(`Unhandled error. (${args[0]})`);
+      }
+
+      return false;
+    }
+
+    listeners.slice().forEach(listener => listener.apply(this, args));
+
+    return true;
+  }
+
+
+  listeners(event) {
+    return (this._events[event] || []).map(listener => listener.listener || listener);
+  }
+
+
+  listenerCount(event) {
+    return (this._events[event] || []).length;
+  }
+
+
+  eventNames() {
+    return Object.keys(this._events);
+  }
+
+
+  // There's no listener limit, so these only keep NodeJS-style callers working
+  setMaxListeners() {
+    return this;
+  }
+
+  getMaxListeners() {
+    return Infinity;
+  }
+
+};
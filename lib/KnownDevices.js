@@ -0,0 +1,108 @@
+/**
+ * List of peripherals that have been connected to before, so that an application can
+ * reconnect to "the dongle used last time" without the user choosing it again
+ *
+ * Each record holds the peripheral's 'id' and advertised 'name', the 'product' and
+ * 'serial' of its controller, and 'lastConnected' (milliseconds since the epoch).
+ * Records are kept in a persistence store from ./store/, or any object with load()
+ * and save(records) methods that return Promises.
+ */
+'use strict';
+
+const MemoryStore = require('./store/MemoryStore');
+
+
+module.exports = class KnownDevices {
+
+  /**
+   * @param {Object} store  Persistence store (default: a MemoryStore)
+   */
+  constructor(store) {
+    this.store = store || new MemoryStore();
+
+    // Changes are applied one after another, so that concurrent ones aren't lost
+    this._queue = Promise.resolve();
+  }
+
+
+  /**
+   * @return {Promise} Resolves with the records, most recently connected first
+   */
+  list() {
+    return this.store.load()
+    .then((records) => {
+      return records.slice().sort((a, b) => b.lastConnected - a.lastConnected);
+    });
+  }
+
+
+  /**
+   * Find a record
+   *
+   * @param {String} id  Peripheral ID, or undefined for the most recently connected
+   * @return {Promise} Resolves with the record, or null if there is none
+   */
+  get(id) {
+    return this.list()
+    .then((records) => {
+      let record = (id === undefined) ? records[0] : records.find(r => r.id === id);
+      return record || null;
+    });
+  }
+
+
+  /**
+   * Add or update the record of a peripheral that was connected to
+   *
+   * @param {Object} record  'id', 'name', 'product' and 'serial'; 'lastConnected' defaults
+   *                         to the current time
+   * @return {Promise} Resolves with the stored record
+   */
+  remember(record) {
+    record = Object.assign({ lastConnected: Date.now() }, record);
+
+    return this._update((records) => {
+      return records.filter(r => r.id !== record.id).concat([ record ]);
+    })
+    .then(() => record);
+  }
+
+
+  /**
+   * Remove the record of a peripheral
+   *
+   * @param {String} id  Peripheral ID
+   * @return {Promise} Resolves with true if a record was removed
+   */
+  forget(id) {
+    let removed = false;
+
+    return this._update((records) => {
+      let remaining = records.filter(r => r.id !== id);
+
+      removed = (remaining.length !== records.length);
+
+      return remaining;
+    })
+    .then(() => removed);
+  }
+
+
+  /**
+   * Load the records, change them, and save the result
+   *
+   * @param {Function} change  Given the records, returns the new records
+   * @return {Promise} Resolves when saved
+   */
+  _update(change) {
+    let update = this._queue
+    .then(() => this.store.load())
+    .then((records) => this.store.save(change(records)));
+
+    // A failed update doesn't prevent later ones
+    this._queue = update.catch(() => {});
+
+    return update;
+  }
+
+};
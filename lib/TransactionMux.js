@@ -0,0 +1,179 @@
+/**
+ * Multiplexes the Modbus masters that share a dongle's transparent UART, i.e., the
+ * local master of BleDevice and those of the application
+ *
+ * Each MBAP frame sent is written with a transaction ID of the multiplexer's own, and
+ * the response with that ID is passed only to the sender, with the frame's original
+ * transaction ID. So masters that pick the same IDs (they all count up from 1) never
+ * see each other's responses. As the dongle may ignore commands beyond the two it
+ * accepts at a time, further frames wait in order until a response arrives, or until
+ * it can no longer be expected.
+ *
+ * Data that isn't a single whole frame, and broadcasts (unit ID 0), which no device
+ * answers, are written as they are, in order, without waiting for a response.
+ */
+'use strict';
+
+const mbap = require('./mbap');
+
+// Frames written to the dongle before waiting for a response
+const MAX_IN_FLIGHT = 2;
+
+// Unit ID of requests that no device answers
+const BROADCAST_UNIT = 0;
+
+// Milliseconds after which a response is no longer expected, freeing its place, unless
+// the 'responseTimeout' option is given. No shorter than the masters' own timeouts (the
+// longest being 5 seconds), so a place isn't freed while a master still waits.
+const DEFAULT_RESPONSE_TIMEOUT = 5000;
+
+
+module.exports = class TransactionMux {
+
+  /**
+   * @param {Function} write                    Writes data to the transparent UART,
+   *                                            returning a Promise
+   * @param {Object}   options
+   * @param {Number}   options.responseTimeout  Milliseconds to wait for each response
+   *                                            (default 5000)
+   */
+  constructor(write, options) {
+    this._write = write;
+    this._responseTimeout = (options && options.responseTimeout) || DEFAULT_RESPONSE_TIMEOUT;
+
+    // Frames waiting to be written, in the order sent, and those written, keyed by the
+    // transaction ID they were written with
+    this._queue = [];
+    this._inFlight = new Map();
+    this._nextTransactionId = 1;
+  }
+
+
+  /**
+   * Write a frame, once fewer than two are waiting for a response
+   *
+   * @param {Uint8Array} data        MBAP frame
+   * @param {Function}   onResponse  Called with the response frame, with the original
+   *                                 transaction ID
+   * @return {Promise} Resolves when written
+   */
+  send(data, onResponse) {
+    return new Promise((resolve, reject) => {
+      this._queue.push({ data: data, onResponse: onResponse, resolve: resolve, reject: reject });
+      this._writeNext();
+    });
+  }
+
+
+  /**
+   * @param {Uint8Array} frame  Frame received from the dongle
+   * @return {Uint8Array} The frame with the transaction ID of the request it answers, as
+   *                      its master sent it, or the frame itself if it answers none
+   */
+  restore(frame) {
+    let request = this._inFlight.get(mbap.getTransactionId(frame));
+
+    return request ? mbap.setTransactionId(frame, request.transactionId) : frame;
+  }
+
+
+  /**
+   * Pass a frame received from the dongle to the master that sent the request
+   *
+   * @param {Uint8Array} frame
+   * @return {Boolean} Whether the frame was the response to a frame sent
+   */
+  receive(frame) {
+    let id = mbap.getTransactionId(frame);
+    let request = this._inFlight.get(id);
+
+    if (!request) {
+      return false;
+    }
+
+    this._inFlight.delete(id);
+    clearTimeout(request.timer);
+
+    request.onResponse(mbap.setTransactionId(frame, request.transactionId));
+
+    this._writeNext();
+
+    return true;
+  }
+
+
+  /**
+   * Forget everything sent, e.g., when the connection is lost: responses are no longer
+   * waited for, and frames not written yet are rejected
+   *
+   * @param {Error} err  Reason given to the frames not written yet
+   * @return {None}
+   */
+  reset(err) {
+    let queue = this._queue;
+
+    this._inFlight.forEach(request => clearTimeout(request.timer));
+    this._inFlight.clear();
+    this._queue = [];
+
+    queue.forEach(request => request.reject(err));
+  }
+
+
+  _writeNext() {
+    while ((this._queue.length > 0) && (this._inFlight.size < MAX_IN_FLIGHT)) {
+      let request = this._queue.shift();
+
+      if (this._expectsResponse(request.data)) {
+        this._writeMapped(request);
+      } else {
+        this._writeRaw(request);
+      }
+    }
+  }
+
+
+  // Write a request with a transaction ID of the mux's own, to wait for its response
+  _writeMapped(request) {
+    let id = this._nextTransactionId;
+
+    this._nextTransactionId = (id === 0xFFFF) ? 1 : id + 1;
+
+    request.transactionId = mbap.getTransactionId(request.data);
+    request.timer = setTimeout(() => this._expire(id, request), this._responseTimeout);
+
+    this._inFlight.set(id, request);
+
+    Promise.resolve()
+    .then(() => this._write(mbap.setTransactionId(request.data, id)))
+    .then(() => request.resolve(), (err) => {
+      this._expire(id, request);
+      request.reject(err);
+    });
+  }
+
+
+  // Whether data is a single whole frame, other than a Modbus broadcast
+  _expectsResponse(data) {
+    return (mbap.frameLength(data) === data.length) &&
+      ((mbap.getProtocolId(data) !== 0) || (data[mbap.HEADER_LENGTH] !== BROADCAST_UNIT));
+  }
+
+
+  _writeRaw(request) {
+    Promise.resolve()
+    .then(() => this._write(request.data))
+    .then(() => request.resolve(), request.reject);
+  }
+
+
+  // Stop waiting for a response
+  _expire(id, request) {
+    if (this._inFlight.get(id) === request) {
+      this._inFlight.delete(id);
+      clearTimeout(request.timer);
+      this._writeNext();
+    }
+  }
+
+};
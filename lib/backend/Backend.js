@@ -0,0 +1,338 @@
+/**
+ * Interface between BleController/BleDevice and a Bluetooth implementation
+ *
+ * Peripherals, GATT servers, services and characteristics are opaque handles created
+ * by the backend; the rest of this module only passes them back to the backend, apart
+ * from reading these properties:
+ *
+ * - peripheral: 'id', 'name', and 'adData' ('rssi', 'txPower', 'manufacturerData') when
+ *   advertisements are reported
+ * - service and characteristic: 'uuid' (128-bit, lower case); characteristic: 'service'
+ *
+ * Notification listeners are called with an event whose 'target.value' is a DataView
+ * holding the new value, as in Web Bluetooth.
+ *
+ * Subclasses implement the methods below; quirks of a particular implementation belong
+ * in its subclass rather than in the code using the backend.
+ */
+'use strict';
+
+
+// Error for a method that the subclass doesn't implement
+function notImplemented(method) {
+  return new Error(`${method}() is not implemented by this Bluetooth backend`);
+}
+
+// Errors meaning that the peripheral requires pairing, e.g., Chrome's "GATT operation not
+// authorized." (a SecurityError) or "Authentication failed.", and ATT's "Insufficient
+// Authentication" or "Insufficient Encryption"
+const authenticationPattern = /authenticat|authoriz|encrypt|not paired|pairing/i;
+
+
+module.exports = class Backend {
+
+  /**
+   * Whether each advertisement is reported to this.deviceFound while requestDevice() is
+   * pending, as in the webbluetooth module. Required for scan(), selection criteria and
+   * auto-connect policies.
+   *
+   * @return {Boolean}
+   */
+  get reportsAdvertisements() {
+    return false;
+  }
+
+
+  /**
+   * Function called with each advertising peripheral and a callback that selects it, while
+   * requestDevice() is pending. Returning true also selects it.
+   */
+  get deviceFound() {
+    return undefined;
+  }
+
+  set deviceFound(deviceFound) {
+    throw notImplemented('deviceFound');
+  }
+
+
+  /**
+   * Whether a peripheral reported to this.deviceFound can be connected to before it is
+   * selected. If not, a product or serial number it doesn't advertise can only be
+   * checked once it has been selected.
+   *
+   * @return {Boolean}
+   */
+  get connectsCandidates() {
+    return true;
+  }
+
+
+  /**
+   * How long requestDevice() scans for, in milliseconds, or undefined if it isn't limited
+   * by the backend
+   */
+  get scanTime() {
+    return undefined;
+  }
+
+  set scanTime(scanTime) {
+  }
+
+
+  /**
+   * @return {Promise} Resolves with true if Bluetooth can be used
+   */
+  getAvailability() {
+    return Promise.reject(notImplemented('getAvailability'));
+  }
+
+
+  /**
+   * @param {Function} listener  Called with an event when Bluetooth availability changes
+   * @return {None}
+   */
+  onAvailabilityChanged(listener) {
+  }
+
+
+  /**
+   * Scan for and select a peripheral
+   *
+   * @param {Object} options  Web Bluetooth RequestDeviceOptions
+   * @return {Promise} Resolves with the selected peripheral
+   */
+  requestDevice(options) {
+    return Promise.reject(notImplemented('requestDevice'));
+  }
+
+
+  /**
+   * Stop a pending requestDevice() without selecting a peripheral. The request is left
+   * unsettled.
+   *
+   * @return {Promise} Resolves when scanning has stopped
+   */
+  cancelRequest() {
+    return Promise.resolve();
+  }
+
+
+  /**
+   * @return {Promise} Resolves with the peripherals that can be connected to without
+   *                   scanning, e.g., those a page has permission for in Web Bluetooth
+   */
+  getDevices() {
+    return Promise.resolve([]);
+  }
+
+
+  /**
+   * @param {Object} peripheral
+   * @return {Promise} Resolves with the peripheral's GATT server once connected
+   */
+  connect(peripheral) {
+    return Promise.reject(notImplemented('connect'));
+  }
+
+
+  /**
+   * Pair with and bond to a connected peripheral, unless that has been done before, so
+   * that operations requiring an encrypted link succeed. Used by BleController's 'bond'
+   * option.
+   *
+   * @param {Object} peripheral
+   * @return {Promise} Resolves once the link is encrypted
+   */
+  bond(peripheral) {
+    return Promise.reject(notImplemented('bond'));
+  }
+
+
+  /**
+   * Set the function that answers the peripheral's pairing requests, if this backend
+   * can pass them on. Backends whose pairing requests are handled by the operating
+   * system, or that can only pair without user input, ignore it.
+   *
+   * @param {Function} handler  Called with an object with 'deviceId', 'pairingKind'
+   *                            ('providePin', 'confirmPin' or 'confirm') and 'pin' (the
+   *                            PIN to confirm, for 'confirmPin'), returning the PIN,
+   *                            true to confirm, or false to refuse, or a Promise of one
+   * @return {None}
+   */
+  setPairingHandler(handler) {
+  }
+
+
+  /**
+   * Whether an error from connect(), bond(), read() or startNotifications() means that
+   * the peripheral requires pairing that wasn't completed
+   *
+   * @param {Error} err
+   * @return {Boolean}
+   */
+  isAuthenticationError(err) {
+    if (!err) {
+      return false;
+    }
+
+    return (err.name === 'SecurityError') || authenticationPattern.test(err.message || String(err));
+  }
+
+
+  /**
+   * Disconnect from a peripheral. Disconnect listeners are called once disconnected.
+   *
+   * @param {Object} peripheral
+   * @return {None}
+   */
+  disconnect(peripheral) {
+    throw notImplemented('disconnect');
+  }
+
+
+  /**
+   * @param {Object} peripheral
+   * @return {Boolean} Whether the peripheral is connected
+   */
+  isConnected(peripheral) {
+    return false;
+  }
+
+
+  /**
+   * @param {Object}   peripheral
+   * @param {Function} listener    Called when the peripheral is disconnected, for any reason
+   * @return {None}
+   */
+  addDisconnectListener(peripheral, listener) {
+    throw notImplemented('addDisconnectListener');
+  }
+
+
+  /**
+   * @param {Object}   peripheral
+   * @param {Function} listener    Listener added with addDisconnectListener()
+   * @return {None}
+   */
+  removeDisconnectListener(peripheral, listener) {
+    throw notImplemented('removeDisconnectListener');
+  }
+
+
+  /**
+   * @param {Object} server  GATT server returned by connect()
+   * @param {String} uuid    Service UUID
+   * @return {Promise} Resolves with the service, or rejects if it isn't found
+   */
+  getService(server, uuid) {
+    return Promise.reject(notImplemented('getService'));
+  }
+
+
+  /**
+   * Discover the services of a peripheral
+   *
+   * @param {Object}        server  GATT server returned by connect()
+   * @param {Array<String>} uuids   UUIDs of the services of interest. Backends may return
+   *                                others as well.
+   * @return {Promise} Resolves with an array of services
+   */
+  getServices(server, uuids) {
+    return Promise.reject(notImplemented('getServices'));
+  }
+
+
+  /**
+   * @param {Object} service  Service returned by getService() or getServices()
+   * @param {String} uuid     Characteristic UUID
+   * @return {Promise} Resolves with the characteristic, or rejects if it isn't found
+   */
+  getCharacteristic(service, uuid) {
+    return Promise.reject(notImplemented('getCharacteristic'));
+  }
+
+
+  /**
+   * Discover the characteristics of a service
+   *
+   * @param {Object}        service  Service returned by getService() or getServices()
+   * @param {Array<String>} uuids    UUIDs of the characteristics of interest. Backends may
+   *                                 return others as well, and leave out missing ones.
+   * @return {Promise} Resolves with an array of characteristics
+   */
+  getCharacteristics(service, uuids) {
+    return Promise.reject(notImplemented('getCharacteristics'));
+  }
+
+
+  /**
+   * @param {Object} characteristic
+   * @return {Promise} Resolves with the value as a byte array (see ../bytes.js), or with
+   *                   null if the backend delivers it as a notification instead
+   */
+  read(characteristic) {
+    return Promise.reject(notImplemented('read'));
+  }
+
+
+  /**
+   * @param {Object}  characteristic
+   * @param {Uint8Array}  value
+   * @param {Boolean} withResponse    Whether the peripheral must acknowledge the write
+   * @return {Promise} Resolves when written
+   */
+  write(characteristic, value, withResponse) {
+    return Promise.reject(notImplemented('write'));
+  }
+
+
+  /**
+   * @param {Object} characteristic
+   * @return {Promise} Resolves when notifications are enabled
+   */
+  startNotifications(characteristic) {
+    return Promise.reject(notImplemented('startNotifications'));
+  }
+
+
+  /**
+   * @param {Object} characteristic
+   * @return {Promise} Resolves when notifications are disabled
+   */
+  stopNotifications(characteristic) {
+    return Promise.reject(notImplemented('stopNotifications'));
+  }
+
+
+  /**
+   * @param {Object}   characteristic
+   * @param {Function} listener        Called with each notification event
+   * @return {None}
+   */
+  addNotificationListener(characteristic, listener) {
+    throw notImplemented('addNotificationListener');
+  }
+
+
+  /**
+   * @param {Object}   characteristic
+   * @param {Function} listener        Listener added with addNotificationListener()
+   * @return {None}
+   */
+  removeNotificationListener(characteristic, listener) {
+    throw notImplemented('removeNotificationListener');
+  }
+
+
+  /**
+   * Release the Bluetooth implementation, e.g., so that a NodeJS process can exit. The
+   * backend can't be used afterwards.
+   *
+   * @return {Promise} Resolves once released
+   */
+  destroy() {
+    return Promise.resolve();
+  }
+
+};
@@ -0,0 +1,178 @@
+/**
+ * Backend for navigator.bluetooth in an Electron renderer process, with devices chosen
+ * through lib/electron's DevicePicker in the main process
+ *
+ * The picker sends the devices found for a pending requestDevice() over IPC. Each one is
+ * reported to this.deviceFound, with a callback that selects it, as the 'node' backend
+ * does with advertisements, so that BleController emits 'discover' events and applies
+ * its selection criteria and auto-connect policy. Electron only reports each device's ID
+ * and name, and the reported peripherals can't be connected to until one is selected.
+ *
+ * Pairing requests passed on by a picker with handlePairing() are answered by the
+ * handler given to setPairingHandler(), or refused if there isn't one.
+ *
+ * Otherwise, this is the 'web' backend.
+ */
+'use strict';
+
+const WebBluetoothBackend = require('./WebBluetoothBackend');
+const channels = require('../electron/channels');
+
+
+module.exports = class ElectronBackend extends WebBluetoothBackend {
+
+  /**
+   * @param {Object}      options
+   * @param {Bluetooth}   options.bluetooth    navigator.bluetooth (default: the global one)
+   * @param {IpcRenderer} options.ipcRenderer  Electron's ipcRenderer, or an object with
+   *                                           its send(), on() and removeListener()
+   * @param {Function}    options.deviceFound  Called with each device found and a
+   *                                           callback that selects it
+   */
+  constructor(options) {
+    super(options.bluetooth);
+
+    if (!options.ipcRenderer) {
+      throw new Error('The electron backend requires the ipcRenderer option');
+    }
+
+    this.ipcRenderer = options.ipcRenderer;
+    this._deviceFound = options.deviceFound;
+
+    // Set by cancelRequest() until the pending request has settled
+    this._cancelled = false;
+
+    this._pairingHandler = null;
+
+    this._onPair = (event, requestId, details) => {
+      this._answerPairing(details)
+      .then((response) => {
+        this.ipcRenderer.send(channels.pairResponse, requestId, response);
+      });
+    };
+
+    this.ipcRenderer.on(channels.pair, this._onPair);
+  }
+
+
+  get reportsAdvertisements() {
+    return true;
+  }
+
+
+  get connectsCandidates() {
+    return false;
+  }
+
+
+  get deviceFound() {
+    return this._deviceFound;
+  }
+
+  set deviceFound(deviceFound) {
+    this._deviceFound = deviceFound;
+  }
+
+
+  get scanTime() {
+    return undefined;
+  }
+
+  set scanTime(scanTime) {
+  }
+
+
+  requestDevice(options) {
+    // Names reported so far, keyed by device ID
+    let names = new Map();
+
+    let onDevices = (event, deviceList) => {
+      deviceList.forEach((device) => {
+        // Only new devices, and those whose name has arrived, are reported
+        if (names.get(device.deviceId) === device.deviceName) {
+          return;
+        }
+
+        names.set(device.deviceId, device.deviceName);
+
+        let select = () => {
+          this.ipcRenderer.send(channels.select, device.deviceId);
+        };
+
+        if (this._deviceFound &&
+            this._deviceFound({ id: device.deviceId, name: device.deviceName }, select)) {
+          select();
+        }
+      });
+    };
+
+    let finish = () => {
+      this.ipcRenderer.removeListener(channels.devices, onDevices);
+    };
+
+    this._cancelled = false;
+    this.ipcRenderer.on(channels.devices, onDevices);
+
+    return this.bluetooth.requestDevice(options)
+    .then((peripheral) => {
+      finish();
+      return peripheral;
+    })
+    .catch((err) => {
+      finish();
+
+      // Leave a request stopped by cancelRequest() unsettled, as other backends do
+      if (this._cancelled) {
+        this._cancelled = false;
+        return new Promise(() => {});
+      }
+
+      throw err;
+    });
+  }
+
+
+  cancelRequest() {
+    this._cancelled = true;
+    this.ipcRenderer.send(channels.cancel);
+
+    return Promise.resolve();
+  }
+
+
+  setPairingHandler(handler) {
+    this._pairingHandler = handler;
+  }
+
+
+  destroy() {
+    this.ipcRenderer.removeListener(channels.pair, this._onPair);
+
+    return super.destroy();
+  }
+
+
+  /**
+   * Ask the pairing handler for the response to a pairing request
+   *
+   * @param {Object} details  'deviceId', 'pairingKind' and 'pin'
+   * @return {Promise} Resolves with the response for the picker: 'confirmed', and 'pin'
+   */
+  _answerPairing(details) {
+    if (!this._pairingHandler) {
+      return Promise.resolve({ confirmed: false });
+    }
+
+    return Promise.resolve()
+    .then(() => this._pairingHandler(details))
+    .then((answer) => {
+      if ((typeof answer === 'string') || (typeof answer === 'number')) {
+        return { confirmed: true, pin: String(answer) };
+      }
+
+      return { confirmed: Boolean(answer) };
+    })
+    .catch(() => ({ confirmed: false }));
+  }
+
+};
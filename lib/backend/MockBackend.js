@@ -0,0 +1,21 @@
+/**
+ * Backend for the simulated dongles in ../mock, for development and testing without
+ * Bluetooth hardware
+ */
+'use strict';
+
+const WebBluetoothBackend = require('./WebBluetoothBackend');
+const MockBluetooth = require('../mock/MockBluetooth');
+
+
+module.exports = class MockBackend extends WebBluetoothBackend {
+
+  /**
+   * @param {MockBluetooth} bluetooth  Simulated Bluetooth interface (default: one with no
+   *                                   peripherals in range)
+   */
+  constructor(bluetooth) {
+    super(bluetooth || new MockBluetooth());
+  }
+
+};
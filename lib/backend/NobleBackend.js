@@ -0,0 +1,742 @@
+/**
+ * Backend for NodeJS applications built directly on @abandonware/noble, for tools that
+ * need more than the 'webbluetooth' module exposes
+ *
+ * Compared with the 'node' backend:
+ *
+ * - Peripherals keep noble's parsed advertisement ('advertisement'), the raw advertising
+ *   data and scan response as received ('rawAdvertisement', HCI socket bindings only)
+ *   and the address. 'adData' is updated with every advertisement received, not just
+ *   the first one.
+ * - readRssi() reads the signal strength of a connected peripheral, and 'mtu' and
+ *   'connectionParameters' (HCI socket bindings only) are kept up to date.
+ * - Reading a characteristic that has notifications enabled works. Some noble bindings
+ *   (macOS) flag the response to such a read as a notification, and noble's own read()
+ *   never sees it, so a read here completes with the next value received.
+ * - bond() pairs through the HCI socket bindings, as noble itself does when an operation
+ *   fails for lack of encryption. Only Just Works pairing is possible, so a PIN can't be
+ *   supplied and setPairingHandler() has no effect, and the keys aren't kept between
+ *   connections.
+ * - destroy() stops scanning, disconnects, and releases the HCI socket and the process
+ *   handlers installed by the bindings, so that the process can exit.
+ *
+ * Peripherals, services and characteristics are wrappers around noble's objects, with
+ * 128-bit UUIDs as in Web Bluetooth.
+ */
+'use strict';
+
+const Backend = require('./Backend');
+
+// Base of the 128-bit UUIDs that Bluetooth SIG 16- and 32-bit UUIDs stand for
+const BASE_UUID_SUFFIX = '-0000-1000-8000-00805f9b34fb';
+
+// Default duration of requestDevice(), as in the webbluetooth module
+const DEFAULT_SCAN_TIME = 10240;
+
+// HCI advertising report type of a scan response
+const SCAN_RSP = 0x04;
+
+
+module.exports = class NobleBackend extends Backend {
+
+  /**
+   * @param {Object}   options
+   * @param {Object}   options.bindings     noble bindings to use, e.g., a mock (default:
+   *                                        those noble picks for the platform)
+   * @param {Function} options.deviceFound  Called with each advertising peripheral while
+   *                                        requestDevice() is pending
+   * @param {Number}   options.scanTime     How long requestDevice() scans for, in
+   *                                        milliseconds (default 10240)
+   */
+  constructor(options) {
+    // Sets up each of the instance's properties in turn
+    /* jshint maxstatements: false */
+    super();
+
+    options = options || {};
+
+    try {
+      if (options.bindings) {
+        const Noble = require('@abandonware/noble/lib/noble');
+
+        this.noble = new Noble(options.bindings);
+      } else {
+        this.noble = require('@abandonware/noble');
+      }
+
+      // A browser bundle replaces the module with an empty one; see package.json
+      if (typeof this.noble.startScanning !== 'function') {
+        throw new Error('not available in this environment');
+      }
+    } catch(e) {
+      throw new Error(`The '@abandonware/noble' module could not be loaded (${e.message}). ` +
+                      'Use the \'bluetooth\' or \'backend\' option to provide another Bluetooth backend.');
+    }
+
+    this._deviceFound = options.deviceFound || null;
+    this._scanTime = options.scanTime || DEFAULT_SCAN_TIME;
+
+    // Peripheral wrappers, keyed by ID, so that the same object is returned for every
+    // advertisement and connection
+    this._peripherals = new Map();
+
+    // Peripherals selected by requestDevice(), returned by getDevices()
+    this._selected = new Set();
+
+    // Pending requestDevice() call
+    this._request = null;
+
+    // Listeners added to noble and its bindings, removed by destroy()
+    this._listeners = [];
+
+    // Raw advertising data and scan response last received, keyed by address
+    this._rawAdvertisements = new Map();
+
+    // Addresses of connected peripherals, keyed by HCI connection handle
+    this._handles = new Map();
+
+    this._listen(this.noble, 'discover', this._onDiscover.bind(this));
+
+    // The HCI socket bindings report the raw advertising data and connection parameters,
+    // but noble doesn't pass them on. Advertising reports are seen before noble parses
+    // them, so that they're available in the resulting 'discover' event.
+    let hci = this.noble._bindings && this.noble._bindings._hci;
+
+    if (hci && (typeof hci.on === 'function')) {
+      this._listen(hci, 'leAdvertisingReport', (status, type, address, addressType, eir) => {
+        let raw = this._rawAdvertisements.get(address) || { advertisement: null, scanResponse: null };
+
+        raw[(type === SCAN_RSP) ? 'scanResponse' : 'advertisement'] = eir;
+
+        this._rawAdvertisements.set(address, raw);
+      }, true);
+
+      this._listen(hci, 'leConnComplete', (status, handle, role, addressType, address, interval, latency,
+                                            supervisionTimeout) => {
+        if (status === 0) {
+          this._handles.set(handle, address);
+          this._setConnectionParameters(address, interval, latency, supervisionTimeout);
+        }
+      });
+
+      this._listen(hci, 'leConnUpdateComplete', (status, handle, interval, latency, supervisionTimeout) => {
+        if (status === 0) {
+          this._setConnectionParameters(this._handles.get(handle), interval, latency, supervisionTimeout);
+        }
+      });
+    }
+  }
+
+
+  get reportsAdvertisements() {
+    return true;
+  }
+
+
+  get deviceFound() {
+    return this._deviceFound;
+  }
+
+  set deviceFound(deviceFound) {
+    this._deviceFound = deviceFound;
+  }
+
+
+  get scanTime() {
+    return this._scanTime;
+  }
+
+  set scanTime(scanTime) {
+    this._scanTime = scanTime;
+  }
+
+
+  getAvailability() {
+    return this._getState()
+    .then(state => (state === 'poweredOn'));
+  }
+
+
+  onAvailabilityChanged(listener) {
+    this._listen(this.noble, 'stateChange', (state) => {
+      listener({ value: (state === 'poweredOn') });
+    });
+  }
+
+
+  requestDevice(options) {
+    options = options || {};
+
+    if (this._request) {
+      return Promise.reject(new Error('A device request is already in progress.'));
+    }
+
+    return this._getState()
+    .then((state) => {
+      if (state !== 'poweredOn') {
+        throw new Error(`Bluetooth adapter not available (${state}).`);
+      }
+
+      return new Promise((resolve, reject) => {
+        let request = {
+          options: options,
+          select: (peripheral) => {
+            if (this._request === request) {
+              this._endRequest();
+              this._selected.add(peripheral);
+              resolve(peripheral);
+            }
+          },
+          timer: setTimeout(() => {
+            if (this._request === request) {
+              this._endRequest();
+              reject(new Error('requestDevice() timed out: no matching device was selected.'));
+            }
+          }, this._scanTime),
+        };
+
+        this._request = request;
+
+        // Duplicates are needed to follow each peripheral's signal strength
+        this.noble.startScanning([], true, (err) => {
+          if (err && (this._request === request)) {
+            this._endRequest();
+            reject(err);
+          }
+        });
+      });
+    });
+  }
+
+
+  cancelRequest() {
+    if (this._request) {
+      this._endRequest();
+    }
+
+    return Promise.resolve();
+  }
+
+
+  getDevices() {
+    return Promise.resolve(Array.from(this._selected));
+  }
+
+
+  connect(peripheral) {
+    return new Promise((resolve, reject) => {
+      peripheral._peripheral.connect((err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ device: peripheral });
+        }
+      });
+    });
+  }
+
+
+  bond(peripheral) {
+    let bindings = this.noble._bindings;
+    let handle = bindings && bindings._handles && bindings._handles[peripheral._peripheral.id];
+    let aclStream = bindings && bindings._aclStreams && bindings._aclStreams[handle];
+
+    if (!aclStream || (typeof aclStream.encrypt !== 'function')) {
+      return Promise.reject(new Error('These noble bindings can\'t pair with peripherals'));
+    }
+
+    return this._gattOperation(peripheral, (done) => {
+      let onEncrypt = (encrypted) => {
+        removeListeners();
+        done(encrypted ? null : new Error('Pairing failed: the link was not encrypted'));
+      };
+
+      let onEncryptFail = () => {
+        removeListeners();
+        done(new Error('Pairing failed'));
+      };
+
+      let removeListeners = () => {
+        aclStream.removeListener('encrypt', onEncrypt);
+        aclStream.removeListener('encryptFail', onEncryptFail);
+      };
+
+      aclStream.on('encrypt', onEncrypt);
+      aclStream.on('encryptFail', onEncryptFail);
+      aclStream.encrypt();
+    });
+  }
+
+
+  disconnect(peripheral) {
+    peripheral._peripheral.disconnect();
+  }
+
+
+  isConnected(peripheral) {
+    return (peripheral._peripheral.state === 'connected');
+  }
+
+
+  addDisconnectListener(peripheral, listener) {
+    peripheral._disconnectListeners.add(listener);
+  }
+
+
+  removeDisconnectListener(peripheral, listener) {
+    peripheral._disconnectListeners.delete(listener);
+  }
+
+
+  getService(server, uuid) {
+    return this._discoverServices(server.device, [ toNobleUuid(uuid) ])
+    .then((services) => {
+      let service = services.find(s => s.uuid === toUuid128(uuid));
+
+      if (!service) {
+        throw new Error(`No Services matching UUID ${uuid} found in Device.`);
+      }
+
+      return service;
+    });
+  }
+
+
+  getServices(server, uuids) {
+    return this._discoverServices(server.device, []);
+  }
+
+
+  getCharacteristic(service, uuid) {
+    return this._discoverCharacteristics(service, [ toNobleUuid(uuid) ])
+    .then((characteristics) => {
+      let characteristic = characteristics.find(c => c.uuid === toUuid128(uuid));
+
+      if (!characteristic) {
+        throw new Error(`No Characteristics matching UUID ${uuid} found in Service.`);
+      }
+
+      return characteristic;
+    });
+  }
+
+
+  getCharacteristics(service, uuids) {
+    return this._discoverCharacteristics(service, []);
+  }
+
+
+  read(characteristic) {
+    return this._gattOperation(characteristic.service.device, (done) => {
+      // The next value received is the response, whether or not the bindings flag it as
+      // a notification (see top of file)
+      characteristic._characteristic.once('data', data => done(null, Buffer.from(data)));
+      characteristic._characteristic.read();
+    });
+  }
+
+
+  write(characteristic, value, withResponse) {
+    return this._gattOperation(characteristic.service.device, (done) => {
+      characteristic._characteristic.write(Buffer.from(value), !withResponse, done);
+    });
+  }
+
+
+  startNotifications(characteristic) {
+    return this._gattOperation(characteristic.service.device, (done) => {
+      characteristic._characteristic.subscribe(done);
+    })
+    .then(() => characteristic);
+  }
+
+
+  stopNotifications(characteristic) {
+    return this._gattOperation(characteristic.service.device, (done) => {
+      characteristic._characteristic.unsubscribe(done);
+    })
+    .then(() => characteristic);
+  }
+
+
+  addNotificationListener(characteristic, listener) {
+    characteristic._notificationListeners.add(listener);
+  }
+
+
+  removeNotificationListener(characteristic, listener) {
+    characteristic._notificationListeners.delete(listener);
+  }
+
+
+  /**
+   * Read the signal strength of a connected peripheral. Also updates its adData.rssi.
+   *
+   * @param {Object} peripheral
+   * @return {Promise} Resolves with the RSSI in dBm
+   */
+  readRssi(peripheral) {
+    return this._gattOperation(peripheral, (done) => {
+      peripheral._peripheral.updateRssi(done);
+    })
+    .then((rssi) => {
+      peripheral.adData.rssi = rssi;
+      return rssi;
+    });
+  }
+
+
+  /**
+   * Stop scanning, disconnect from all peripherals, and release noble's bindings. The
+   * backend can't be used afterwards.
+   *
+   * @return {Promise} Resolves once torn down
+   */
+  destroy() {
+    let connected = Array.from(this._peripherals.values()).filter(p => this.isConnected(p));
+
+    return this.cancelRequest()
+    .then(() => {
+      return Promise.all(connected.map((peripheral) => {
+        return new Promise((resolve) => {
+          peripheral._peripheral.disconnect(resolve);
+        });
+      }));
+    })
+    .then(() => {
+      this._listeners.forEach(([emitter, event, listener]) => {
+        emitter.removeListener(event, listener);
+      });
+
+      this._listeners = [];
+
+      releaseBindings(this.noble._bindings);
+    });
+  }
+
+
+  // Add a listener to noble or its bindings, to be removed by destroy()
+  _listen(emitter, event, listener, prepend) {
+    if (prepend) {
+      emitter.prependListener(event, listener);
+    } else {
+      emitter.on(event, listener);
+    }
+
+    this._listeners.push([ emitter, event, listener ]);
+  }
+
+
+  /**
+   * @return {Promise} Resolves with the adapter state once noble has determined it
+   */
+  _getState() {
+    // Reading noble.state initializes the bindings
+    let state = this.noble.state;
+
+    if (state !== 'unknown') {
+      return Promise.resolve(state);
+    }
+
+    return new Promise((resolve) => {
+      this.noble.once('stateChange', resolve);
+    });
+  }
+
+
+  // Stop scanning for a pending requestDevice() call
+  _endRequest() {
+    clearTimeout(this._request.timer);
+    this._request = null;
+    this.noble.stopScanning();
+  }
+
+
+  /**
+   * Called by noble with each advertisement. Passes matching peripherals to deviceFound,
+   * or selects the first one if there's no deviceFound.
+   *
+   * @param {Peripheral} noblePeripheral  noble Peripheral
+   * @return {None}
+   */
+  _onDiscover(noblePeripheral) {
+    let peripheral = this._wrapPeripheral(noblePeripheral);
+    let request = this._request;
+
+    if (request && matchesRequest(peripheral, request.options)) {
+      if (!this._deviceFound) {
+        request.select(peripheral);
+      } else if (this._deviceFound(peripheral, () => request.select(peripheral)) === true) {
+        request.select(peripheral);
+      }
+    }
+  }
+
+
+  /**
+   * Return the wrapper for a noble Peripheral, creating it on first use, updated with the
+   * latest advertisement
+   *
+   * @param {Peripheral} noblePeripheral
+   * @return {Object}
+   */
+  _wrapPeripheral(noblePeripheral) {
+    let peripheral = this._peripherals.get(noblePeripheral.id);
+
+    if (!peripheral) {
+      peripheral = {
+        id: noblePeripheral.id,
+        name: null,
+        address: noblePeripheral.address,
+        addressType: noblePeripheral.addressType,
+        advertisement: null,
+        rawAdvertisement: null,
+        uuids: [],
+        adData: {},
+        mtu: null,
+        connectionParameters: null,
+        _peripheral: noblePeripheral,
+        _disconnectListeners: new Set(),
+      };
+
+      // Each GATT operation in progress listens for disconnection (see _gattOperation()),
+      // and inspecting a dongle starts many at once
+      noblePeripheral.setMaxListeners(0);
+
+      // Dispatch a 'gattserverdisconnected'-like event, for any reason of disconnection
+      noblePeripheral.on('disconnect', () => {
+        peripheral.connectionParameters = null;
+        peripheral._disconnectListeners.forEach(listener => listener({ target: peripheral }));
+      });
+
+      noblePeripheral.on('connect', () => {
+        peripheral.mtu = noblePeripheral.mtu;
+      });
+
+      this._peripherals.set(noblePeripheral.id, peripheral);
+    }
+
+    let advertisement = noblePeripheral.advertisement || {};
+
+    peripheral.advertisement = advertisement;
+    peripheral.rawAdvertisement = this._rawAdvertisements.get(noblePeripheral.address) || null;
+    peripheral.name = advertisement.localName || peripheral.name;
+    peripheral.uuids = (advertisement.serviceUuids || []).map(toUuid128);
+    peripheral.adData = decodeAdvertisement(advertisement, noblePeripheral.rssi);
+
+    return peripheral;
+  }
+
+
+  // Record connection parameters reported by the HCI socket bindings
+  _setConnectionParameters(address, interval, latency, supervisionTimeout) {
+    let peripheral = Array.from(this._peripherals.values()).find(p => p.address === address);
+
+    if (peripheral) {
+      peripheral.connectionParameters = {
+        interval: interval,
+        latency: latency,
+        supervisionTimeout: supervisionTimeout,
+      };
+
+      peripheral.mtu = peripheral._peripheral.mtu;
+    }
+  }
+
+
+  /**
+   * Run a noble operation that completes through a callback, failing it if the peripheral
+   * isn't connected or disconnects before it completes
+   *
+   * @param {Object}   peripheral
+   * @param {Function} start       Called with a Node-style callback to start the operation
+   * @return {Promise} Resolves with the operation's result
+   */
+  _gattOperation(peripheral, start) {
+    if (!this.isConnected(peripheral)) {
+      return Promise.reject(new Error('GATT Server is disconnected. Cannot perform GATT operations.'));
+    }
+
+    return new Promise((resolve, reject) => {
+      let onDisconnect = () => {
+        reject(new Error('GATT Server is disconnected. Cannot perform GATT operations.'));
+      };
+
+      peripheral._peripheral.once('disconnect', onDisconnect);
+
+      start((err, result) => {
+        peripheral._peripheral.removeListener('disconnect', onDisconnect);
+
+        if (err) {
+          reject(err);
+        } else {
+          resolve(result);
+        }
+      });
+    })
+    .then((result) => {
+      peripheral.mtu = peripheral._peripheral.mtu;
+      return result;
+    });
+  }
+
+
+  _discoverServices(peripheral, nobleUuids) {
+    return this._gattOperation(peripheral, (done) => {
+      peripheral._peripheral.discoverServices(nobleUuids, done);
+    })
+    .then((services) => {
+      return services.map((service) => {
+        return {
+          uuid: toUuid128(service.uuid),
+          device: peripheral,
+          _service: service,
+        };
+      });
+    });
+  }
+
+
+  _discoverCharacteristics(service, nobleUuids) {
+    return this._gattOperation(service.device, (done) => {
+      service._service.discoverCharacteristics(nobleUuids, done);
+    })
+    .then((characteristics) => {
+      return characteristics.map((nobleCharacteristic) => {
+        let characteristic = {
+          uuid: toUuid128(nobleCharacteristic.uuid),
+          service: service,
+          properties: nobleCharacteristic.properties,
+          _characteristic: nobleCharacteristic,
+          _notificationListeners: new Set(),
+        };
+
+        nobleCharacteristic.on('data', (data, isNotification) => {
+          if (isNotification) {
+            let event = { target: { value: toDataView(data) } };
+
+            characteristic._notificationListeners.forEach(listener => listener(event));
+          }
+        });
+
+        return characteristic;
+      });
+    });
+  }
+
+};
+
+
+// Convert a noble UUID ('180a', or 32 hex digits) to 128-bit Web Bluetooth form
+function toUuid128(uuid) {
+  uuid = uuid.toLowerCase();
+
+  if (uuid.length === 4) {
+    return `0000${uuid}${BASE_UUID_SUFFIX}`;
+  } else if (uuid.length === 8) {
+    return `${uuid}${BASE_UUID_SUFFIX}`;
+  } else if (uuid.length === 32) {
+    return [ uuid.slice(0, 8), uuid.slice(8, 12), uuid.slice(12, 16),
+             uuid.slice(16, 20), uuid.slice(20) ].join('-');
+  }
+
+  return uuid;
+}
+
+
+// Convert a 128-bit UUID to the form noble uses, i.e., short for Bluetooth SIG UUIDs
+function toNobleUuid(uuid) {
+  uuid = uuid.toLowerCase();
+
+  if (uuid.startsWith('0000') && uuid.endsWith(BASE_UUID_SUFFIX)) {
+    return uuid.slice(4, 8);
+  }
+
+  return uuid.replace(/-/g, '');
+}
+
+
+// Copy bytes into a DataView that doesn't share memory with Node's Buffer pool
+function toDataView(bytes) {
+  return new DataView(Uint8Array.from(bytes).buffer);
+}
+
+
+// Build Web Bluetooth-style adData from a noble advertisement
+function decodeAdvertisement(advertisement, rssi) {
+  let manufacturerData = new Map();
+  let serviceData = new Map();
+
+  if (advertisement.manufacturerData && (advertisement.manufacturerData.length >= 2)) {
+    manufacturerData.set(advertisement.manufacturerData.readUInt16LE(0),
+                         toDataView(advertisement.manufacturerData.slice(2)));
+  }
+
+  (advertisement.serviceData || []).forEach((entry) => {
+    serviceData.set(toUuid128(entry.uuid), toDataView(entry.data));
+  });
+
+  return {
+    rssi: rssi,
+    txPower: advertisement.txPowerLevel,
+    manufacturerData: manufacturerData,
+    serviceData: serviceData,
+  };
+}
+
+
+// Test a peripheral against the filters of a Web Bluetooth requestDevice() call
+function matchesRequest(peripheral, options) {
+  return options.acceptAllDevices || (options.filters || []).some(f => matchesFilter(peripheral, f));
+}
+
+
+// Test a peripheral against a single Web Bluetooth scan filter
+function matchesFilter(peripheral, filter) {
+  if (filter.name && (filter.name !== peripheral.name)) {
+    return false;
+  }
+
+  if (filter.namePrefix && !(peripheral.name || '').startsWith(filter.namePrefix)) {
+    return false;
+  }
+
+  if (filter.services && !filter.services.every(uuid => peripheral.uuids.indexOf(uuid) !== -1)) {
+    return false;
+  }
+
+  return true;
+}
+
+
+/**
+ * Release what noble's bindings hold on to. Bindings that provide stop() do this
+ * themselves; for the HCI socket bindings, which don't, connections are closed as on
+ * process exit, device polling is stopped, and the socket and SIGINT handler are
+ * released.
+ *
+ * @param {Object} bindings
+ * @return {None}
+ */
+function releaseBindings(bindings) {
+  if (typeof bindings.stop === 'function') {
+    bindings.stop();
+    return;
+  }
+
+  if (typeof bindings.onExit === 'function') {
+    bindings.onExit();
+  }
+
+  if (bindings.onSigIntBinded) {
+    process.removeListener('SIGINT', bindings.onSigIntBinded);
+  }
+
+  if (bindings._hci) {
+    bindings._hci.pollIsDevUp = function() {};
+
+    if (bindings._hci._socket && (typeof bindings._hci._socket.stop === 'function')) {
+      bindings._hci._socket.stop();
+    }
+  }
+}
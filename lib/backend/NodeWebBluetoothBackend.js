@@ -0,0 +1,95 @@
+/**
+ * Backend for NodeJS applications, using the 'webbluetooth' module (which is built on
+ * @abandonware/noble)
+ *
+ * Differences from Web Bluetooth handled here:
+ *
+ * - The module discovers every service and characteristic of the peripheral, so they
+ *   are enumerated rather than requested one by one.
+ * - Reading a characteristic that has notifications enabled (e.g., a watcher's status
+ *   characteristic) returns a Promise that never settles, although the read completes
+ *   and the value is delivered as a notification. Such reads resolve with null straight
+ *   away instead.
+ */
+'use strict';
+
+const WebBluetoothBackend = require('./WebBluetoothBackend');
+
+
+module.exports = class NodeWebBluetoothBackend extends WebBluetoothBackend {
+
+  /**
+   * @param {Object}   options
+   * @param {Function} options.deviceFound  Called with each advertising peripheral while
+   *                                        requestDevice() is pending
+   */
+  constructor(options) {
+    options = options || {};
+
+    let Bluetooth;
+
+    try {
+      Bluetooth = require('webbluetooth').Bluetooth;
+
+      // A browser bundle replaces the module with an empty one; see package.json
+      if (!Bluetooth) {
+        throw new Error('not available in this environment');
+      }
+    } catch(e) {
+      throw new Error(`The 'webbluetooth' module could not be loaded (${e.message}). ` +
+                      'Use the \'bluetooth\' or \'backend\' option to provide another Bluetooth backend.');
+    }
+
+    super(new Bluetooth({ deviceFound: options.deviceFound }));
+
+    // Characteristics with notifications enabled
+    this._notifying = new Set();
+  }
+
+
+  bond(peripheral) {
+    return Promise.reject(new Error('The webbluetooth module can\'t pair with peripherals; ' +
+                                    'use the noble backend to bond'));
+  }
+
+
+  getServices(server, uuids) {
+    return server.getPrimaryServices();
+  }
+
+
+  getCharacteristics(service, uuids) {
+    return service.getCharacteristics();
+  }
+
+
+  read(characteristic) {
+    if (this._notifying.has(characteristic)) {
+      characteristic.readValue()
+      .catch(() => {
+        // Reported through the notification, if at all
+      });
+
+      return Promise.resolve(null);
+    }
+
+    return super.read(characteristic);
+  }
+
+
+  startNotifications(characteristic) {
+    return super.startNotifications(characteristic)
+    .then((result) => {
+      this._notifying.add(characteristic);
+      return result;
+    });
+  }
+
+
+  stopNotifications(characteristic) {
+    this._notifying.delete(characteristic);
+
+    return super.stopNotifications(characteristic);
+  }
+
+};
@@ -0,0 +1,191 @@
+/**
+ * Backend for a Web Bluetooth navigator.bluetooth object, e.g., Electron's or Chrome's
+ *
+ * Web Bluetooth only gives access to the services listed when the device was requested,
+ * and getPrimaryServices() isn't reliable across platforms, so services and
+ * characteristics are requested one by one by UUID.
+ *
+ * Objects that imitate navigator.bluetooth and also report each advertisement through a
+ * 'deviceFound' property (the webbluetooth module and lib/mock's MockBluetooth) are
+ * supported as well.
+ */
+'use strict';
+
+/* global navigator */
+
+const Backend = require('./Backend');
+const bytes = require('../bytes');
+
+
+module.exports = class WebBluetoothBackend extends Backend {
+
+  /**
+   * @param {Bluetooth} bluetooth  navigator.bluetooth or an equivalent object (default:
+   *                               the global navigator.bluetooth)
+   */
+  constructor(bluetooth) {
+    super();
+
+    if (!bluetooth && (typeof navigator !== 'undefined')) {
+      bluetooth = navigator.bluetooth;
+    }
+
+    if (!bluetooth) {
+      throw new Error('Web Bluetooth is not available; a navigator.bluetooth object must be provided');
+    }
+
+    this.bluetooth = bluetooth;
+  }
+
+
+  get reportsAdvertisements() {
+    return ('deviceFound' in this.bluetooth);
+  }
+
+
+  get deviceFound() {
+    return this.bluetooth.deviceFound;
+  }
+
+  set deviceFound(deviceFound) {
+    this.bluetooth.deviceFound = deviceFound;
+  }
+
+
+  get scanTime() {
+    return this.bluetooth.scanTime;
+  }
+
+  set scanTime(scanTime) {
+    if (this.bluetooth.scanTime !== undefined) {
+      this.bluetooth.scanTime = scanTime;
+    }
+  }
+
+
+  getAvailability() {
+    return this.bluetooth.getAvailability();
+  }
+
+
+  onAvailabilityChanged(listener) {
+    this.bluetooth.addEventListener('availabilitychanged', listener);
+  }
+
+
+  requestDevice(options) {
+    return this.bluetooth.requestDevice(options);
+  }
+
+
+  cancelRequest() {
+    if (typeof this.bluetooth.cancelRequest === 'function') {
+      return this.bluetooth.cancelRequest();
+    }
+
+    return Promise.resolve();
+  }
+
+
+  getDevices() {
+    if (typeof this.bluetooth.getDevices === 'function') {
+      return this.bluetooth.getDevices();
+    }
+
+    return Promise.resolve([]);
+  }
+
+
+  connect(peripheral) {
+    return peripheral.gatt.connect();
+  }
+
+
+  // Web Bluetooth can't ask for pairing; the operating system (or Electron's pairing
+  // handler) pairs when an operation that requires it is first made
+  bond(peripheral) {
+    return Promise.resolve();
+  }
+
+
+  disconnect(peripheral) {
+    peripheral.gatt.disconnect();
+  }
+
+
+  isConnected(peripheral) {
+    return Boolean(peripheral.gatt && peripheral.gatt.connected);
+  }
+
+
+  addDisconnectListener(peripheral, listener) {
+    peripheral.addEventListener('gattserverdisconnected', listener);
+  }
+
+
+  removeDisconnectListener(peripheral, listener) {
+    peripheral.removeEventListener('gattserverdisconnected', listener);
+  }
+
+
+  getService(server, uuid) {
+    return server.getPrimaryService(uuid);
+  }
+
+
+  getServices(server, uuids) {
+    return Promise.all(uuids.map(uuid => server.getPrimaryService(uuid)));
+  }
+
+
+  getCharacteristic(service, uuid) {
+    return service.getCharacteristic(uuid);
+  }
+
+
+  getCharacteristics(service, uuids) {
+    // Missing characteristics are left out, to be reported by the caller
+    return Promise.allSettled(uuids.map(uuid => service.getCharacteristic(uuid)))
+    .then((results) => {
+      return results.filter(r => r.status === 'fulfilled').map(r => r.value);
+    });
+  }
+
+
+  read(characteristic) {
+    return characteristic.readValue()
+    .then((data) => {
+      return bytes.fromView(data);
+    });
+  }
+
+
+  write(characteristic, value, withResponse) {
+    if (withResponse) {
+      return characteristic.writeValueWithResponse(value);
+    } else {
+      return characteristic.writeValue(value);
+    }
+  }
+
+
+  startNotifications(characteristic) {
+    return characteristic.startNotifications();
+  }
+
+
+  stopNotifications(characteristic) {
+    return characteristic.stopNotifications();
+  }
+
+
+  addNotificationListener(characteristic, listener) {
+    characteristic.addEventListener('characteristicvaluechanged', listener);
+  }
+
+
+  removeNotificationListener(characteristic, listener) {
+    characteristic.removeEventListener('characteristicvaluechanged', listener);
+  }
+
+};
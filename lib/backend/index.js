@@ -0,0 +1,87 @@
+/**
+ * Bluetooth backends, and selection of one from BleController's options
+ *
+ * - node - The 'webbluetooth' module, for NodeJS applications (see
+ *   NodeWebBluetoothBackend.js)
+ * - web - A Web Bluetooth navigator.bluetooth object, e.g., in Electron (see
+ *   WebBluetoothBackend.js)
+ * - electron - navigator.bluetooth in an Electron renderer, with devices chosen through
+ *   lib/electron's DevicePicker in the main process (see ElectronBackend.js)
+ * - noble - @abandonware/noble used directly, for NodeJS tools that need RSSI updates,
+ *   raw advertisements or connection parameters (see NobleBackend.js)
+ * - mock - Simulated dongles from ../mock (see MockBackend.js)
+ *
+ * Applications may also pass an instance of their own Backend subclass.
+ */
+'use strict';
+
+/* global navigator */
+
+const Backend = require('./Backend');
+const WebBluetoothBackend = require('./WebBluetoothBackend');
+const ElectronBackend = require('./ElectronBackend');
+const NodeWebBluetoothBackend = require('./NodeWebBluetoothBackend');
+const NobleBackend = require('./NobleBackend');
+const MockBackend = require('./MockBackend');
+
+
+/**
+ * Create the backend given by the 'backend' option. Without one, the 'electron' backend
+ * is used if an 'ipcRenderer' option is given, the 'web' backend if a 'bluetooth' option
+ * is given or the environment provides navigator.bluetooth (a browser, or an Electron
+ * renderer process), and the 'node' backend otherwise.
+ *
+ * @param {Object}           options
+ * @param {String|Backend}   options.backend      Backend name, or a Backend instance
+ * @param {Bluetooth}        options.bluetooth    navigator.bluetooth or equivalent, for the
+ *                                                'web', 'electron' and 'mock' backends
+ * @param {IpcRenderer}      options.ipcRenderer  Electron's ipcRenderer, for the
+ *                                                'electron' backend
+ * @param {Function}         options.deviceFound  Advertisement handler for the 'node',
+ *                                                'noble' and 'electron' backends
+ * @return {Backend}
+ * @throws {Error} If the backend is unknown or can't be used
+ */
+function create(options) {
+  let webBluetooth = options.bluetooth ||
+                     ((typeof navigator !== 'undefined') && navigator.bluetooth);
+  let backend = options.backend ||
+                (options.ipcRenderer ? 'electron' : (webBluetooth ? 'web' : 'node'));
+
+  if (backend instanceof Backend) {
+    return backend;
+  }
+
+  switch(backend) {
+    case 'node':
+      return new NodeWebBluetoothBackend({ deviceFound: options.deviceFound });
+
+    case 'noble':
+      return new NobleBackend({ deviceFound: options.deviceFound });
+
+    case 'web':
+      return new WebBluetoothBackend(options.bluetooth);
+
+    case 'electron':
+      return new ElectronBackend({ bluetooth: options.bluetooth,
+                                   ipcRenderer: options.ipcRenderer,
+                                   deviceFound: options.deviceFound });
+
+    case 'mock':
+      return new MockBackend(options.bluetooth);
+
+    default:
+      throw new Error(`Unknown Bluetooth backend '${backend}'. Known backends are node, noble, web, electron, mock`);
+  }
+}
+
+
+module.exports = {
+  create: create,
+  Backend: Backend,
+  WebBluetoothBackend: WebBluetoothBackend,
+  ElectronBackend: ElectronBackend,
+  NodeWebBluetoothBackend: NodeWebBluetoothBackend,
+  NobleBackend: NobleBackend,
+  MockBackend: MockBackend,
+};
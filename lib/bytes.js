@@ -0,0 +1,101 @@
+/**
+ * Byte array helpers that work with or without NodeJS's Buffer
+ *
+ * Byte arrays created here are Buffers where Buffer is available (NodeJS, Electron with
+ * nodeIntegration, or a browser bundle that provides it), and Uint8Arrays otherwise,
+ * e.g., in a plain browser page. Since a Buffer is a Uint8Array, the values passed in
+ * may be either, or any other ArrayBuffer view.
+ */
+'use strict';
+
+/* global TextDecoder */
+
+// Looked up on each call, so that tests can hide Buffer
+function hasBuffer() {
+  return (typeof Buffer === 'function');
+}
+
+
+/**
+ * Copy bytes into a new byte array
+ *
+ * @param {Array<Number>|Uint8Array} bytes
+ * @return {Buffer|Uint8Array}
+ */
+function from(bytes) {
+  return hasBuffer() ? Buffer.from(bytes) : Uint8Array.from(bytes);
+}
+
+
+/**
+ * Copy the bytes of an ArrayBuffer view, e.g., the DataView of a Web Bluetooth
+ * characteristic value, into a new byte array
+ *
+ * @param {ArrayBufferView} view
+ * @return {Buffer|Uint8Array}
+ */
+function fromView(view) {
+  return from(new Uint8Array(view.buffer, view.byteOffset, view.byteLength));
+}
+
+
+/**
+ * Return a Uint8Array over the same memory as an ArrayBuffer view, or holding the
+ * values of an array
+ *
+ * @param {ArrayBufferView|Array<Number>} data
+ * @return {Uint8Array}
+ */
+function view(data) {
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+
+  return Uint8Array.from(data);
+}
+
+
+/**
+ * Return a DataView over the same memory as an ArrayBuffer view, for reading numbers
+ * without Buffer's methods
+ *
+ * @param {ArrayBufferView} data
+ * @return {DataView}
+ */
+function dataView(data) {
+  return new DataView(data.buffer, data.byteOffset, data.byteLength);
+}
+
+
+/**
+ * Decode bytes as a string
+ *
+ * @param {Uint8Array} bytes
+ * @param {String}     encoding  'utf8' (default), 'ascii' or 'hex'
+ * @return {String}
+ */
+function toString(bytes, encoding) {
+  encoding = encoding || 'utf8';
+  bytes = view(bytes);
+
+  if (hasBuffer()) {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString(encoding);
+  }
+
+  if (encoding === 'hex') {
+    return Array.from(bytes).map(b => ('0' + b.toString(16)).slice(-2)).join('');
+  } else if (encoding === 'ascii') {
+    return String.fromCharCode(...Array.from(bytes).map(b => b & 0x7F));
+  }
+
+  return new TextDecoder(encoding).decode(bytes);
+}
+
+
+module.exports = {
+  from: from,
+  fromView: fromView,
+  view: view,
+  dataView: dataView,
+  toString: toString,
+};
@@ -0,0 +1,179 @@
+/**
+ * Daemon that holds one dongle connection and shares it among local processes, over a
+ * Unix domain socket
+ *
+ * Each process connects with a DaemonClient, which has the methods of BleController.
+ * The messages on the socket are JSON objects, one per line (see protocol.js), so
+ * clients can also be written in other languages; how the clients share the connection
+ * is described in ../shared/ControllerHost.js.
+ *
+ *   const { Daemon } = require('@csllc/cs-mb-ble/lib/daemon');
+ *
+ *   let daemon = new Daemon({ uuid: 'default', socketPath: '/run/cs-mb-ble.sock' });
+ *
+ *   daemon.listen().then(() => console.log('Listening'));
+ *
+ * The socket is created readable and writable only by its owner, and is then given the
+ * permissions of the 'socketMode' option if it allows others, as anyone who can connect
+ * can use the dongle.
+ *
+ * Events:
+ * - 'clientError' - a client sent a message that isn't JSON, or one too long (and was
+ *   disconnected), or its socket failed
+ */
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+
+const BleController = require('../..');
+const EventEmitter = require('../EventEmitter');
+const ControllerHost = require('../shared/ControllerHost');
+const protocol = require('./protocol');
+
+// Permissions given to the socket when none are given
+const DEFAULT_SOCKET_MODE = 0o600;
+
+// File mode creation mask in effect while the socket is created, so that no one else
+// can connect before its permissions are set
+const SOCKET_UMASK = 0o177;
+
+
+module.exports = class Daemon extends EventEmitter {
+
+  /**
+   * @param {Object}        options             BleController constructor options, and:
+   * @param {String}        options.socketPath  Path of the socket (default:
+   *                                            cs-mb-ble.sock in the temporary directory)
+   * @param {Number}        options.socketMode  Permissions of the socket (default 0600,
+   *                                            the owner only)
+   * @param {BleController} options.controller  Controller to share, instead of one
+   *                                            created with the other options
+   */
+  constructor(options) {
+    super();
+
+    options = Object.assign({}, options);
+
+    this.socketPath = options.socketPath || protocol.DEFAULT_SOCKET_PATH;
+    this.socketMode = (options.socketMode === undefined) ? DEFAULT_SOCKET_MODE : options.socketMode;
+
+    // A controller given by the application is left for it to destroy
+    this._ownsController = !options.controller;
+
+    delete options.socketPath;
+    delete options.socketMode;
+
+    this.ble = options.controller || new BleController(options);
+    this._host = new ControllerHost(this.ble);
+
+    this._sockets = new Set();
+    this._server = net.createServer(this._accept.bind(this));
+  }
+
+
+  /**
+   * Start accepting clients. A socket file left by a daemon that is no longer running
+   * is replaced.
+   *
+   * @return {Promise} Resolves once listening, or rejects if another daemon is
+   *                   listening on the socket, or its permissions can't be set
+   */
+  listen() {
+    return this._removeStaleSocket()
+    .then(() => {
+      return new Promise((resolve, reject) => {
+        let umask = process.umask(SOCKET_UMASK);
+
+        let fail = (err) => {
+          process.umask(umask);
+          reject(err);
+        };
+
+        this._server.once('error', fail);
+
+        this._server.listen(this.socketPath, () => {
+          process.umask(umask);
+          this._server.removeListener('error', fail);
+
+          // Before any client is accepted
+          try {
+            fs.chmodSync(this.socketPath, this.socketMode);
+          } catch (err) {
+            this._server.close();
+            reject(err);
+            return;
+          }
+
+          resolve();
+        });
+      });
+    });
+  }
+
+
+  /**
+   * Disconnect the clients and stop listening. The controller is destroyed, unless it
+   * was given as the 'controller' option.
+   *
+   * @return {Promise} Resolves when complete
+   */
+  close() {
+    this._sockets.forEach(socket => socket.destroy());
+    this._sockets.clear();
+
+    this._host.destroy();
+
+    return new Promise((resolve) => {
+      this._server.close(() => resolve());
+    })
+    .then(() => {
+      if (this._ownsController) {
+        return this.ble.destroy();
+      }
+    });
+  }
+
+
+  _accept(socket) {
+    let client = this._host.connect(message => protocol.write(socket, message));
+
+    this._sockets.add(socket);
+
+    protocol.read(socket, message => client.receive(message), err => this.emit('clientError', err));
+
+    socket.on('error', err => this.emit('clientError', err));
+
+    socket.on('close', () => {
+      this._sockets.delete(socket);
+      client.close();
+    });
+  }
+
+
+  // Remove the socket file if no daemon is listening on it
+  _removeStaleSocket() {
+    if (!fs.existsSync(this.socketPath)) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      let probe = net.connect(this.socketPath);
+
+      probe.on('connect', () => {
+        probe.destroy();
+        reject(new Error(`A daemon is already listening on ${this.socketPath}`));
+      });
+
+      probe.on('error', (err) => {
+        if (err.code === 'ECONNREFUSED') {
+          fs.unlinkSync(this.socketPath);
+          resolve();
+        } else {
+          reject(err);
+        }
+      });
+    });
+  }
+
+};
@@ -0,0 +1,72 @@
+/**
+ * BleController stand-in for a process using the connection held by a Daemon
+ *
+ * It has the methods, properties and events of BleController, with the differences
+ * described in ../shared/RemoteController.js; for example, a Modbus master can be
+ * created with it as the 'generic' connection's device. Calls fail if the daemon can't
+ * be reached, and a 'close' event is emitted when the connection to it ends.
+ *
+ *   const { DaemonClient } = require('@csllc/cs-mb-ble/lib/daemon');
+ *
+ *   let ble = new DaemonClient({ socketPath: '/run/cs-mb-ble.sock' });
+ *
+ *   ble.startScanning().then(() => ble.open());
+ */
+'use strict';
+
+const net = require('net');
+
+const RemoteController = require('../shared/RemoteController');
+const protocol = require('./protocol');
+
+
+module.exports = class DaemonClient extends RemoteController {
+
+  /**
+   * @param {Object} options
+   * @param {String} options.socketPath  Path of the daemon's socket (default:
+   *                                     cs-mb-ble.sock in the temporary directory)
+   */
+  constructor(options) {
+    super();
+
+    options = options || {};
+
+    this.socketPath = options.socketPath || protocol.DEFAULT_SOCKET_PATH;
+
+    // Reason the connection ended, if it failed
+    this._socketError = null;
+
+    this._socket = net.connect(this.socketPath);
+
+    protocol.read(this._socket, message => this._receive(message), () => {
+      // Lines that aren't messages are ignored
+    });
+
+    this._socket.on('error', (err) => {
+      this._socketError = err;
+    });
+
+    this._socket.on('close', () => {
+      this._shutdown(this._socketError || new Error('The connection to the daemon was closed'));
+      this.emit('close');
+    });
+
+    // Sent once connected
+    this._start();
+  }
+
+
+  _send(message) {
+    protocol.write(this._socket, message);
+  }
+
+
+  destroy() {
+    return super.destroy()
+    .then(() => {
+      this._socket.end();
+    });
+  }
+
+};
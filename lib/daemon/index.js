@@ -0,0 +1,14 @@
+/**
+ * Sharing a dongle among the NodeJS processes of one computer, through a daemon that
+ * holds the connection (see Daemon.js)
+ *
+ * - Daemon - holds the connection and serves clients on a Unix domain socket
+ * - DaemonClient - has the methods of BleController, using the daemon's connection
+ */
+'use strict';
+
+module.exports = {
+  Daemon: require('./Daemon'),
+  DaemonClient: require('./DaemonClient'),
+  DEFAULT_SOCKET_PATH: require('./protocol').DEFAULT_SOCKET_PATH,
+};
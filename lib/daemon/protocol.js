@@ -0,0 +1,87 @@
+/**
+ * Framing of the daemon's messages on its Unix domain socket
+ *
+ * Each message is a JSON object on a line of its own. The messages are those of
+ * ../shared/ControllerHost.js, with byte arrays and errors encoded by
+ * ../shared/messages.js.
+ */
+'use strict';
+
+const os = require('os');
+const path = require('path');
+
+// Socket used when none is given
+const DEFAULT_SOCKET_PATH = path.join(os.tmpdir(), 'cs-mb-ble.sock');
+
+// Longest line accepted, in characters; far more than any message needs, but a peer that
+// never ends a line can't use up the memory
+const MAX_LINE_LENGTH = 1024 * 1024;
+
+
+/**
+ * Send a message
+ *
+ * @param {net.Socket} socket
+ * @param {Object}     message
+ * @return {None}
+ */
+function write(socket, message) {
+  if (!socket.destroyed) {
+    socket.write(JSON.stringify(message) + '\n');
+  }
+}
+
+
+/**
+ * Call a function with each message received. The socket is destroyed if a line gets
+ * longer than MAX_LINE_LENGTH.
+ *
+ * @param {net.Socket} socket
+ * @param {Function}   onMessage  Called with each message
+ * @param {Function}   onError    Called with an error for each line that isn't JSON, or
+ *                                that is too long
+ * @return {None}
+ */
+function read(socket, onMessage, onError) {
+  let pending = '';
+
+  socket.setEncoding('utf8');
+
+  socket.on('data', (data) => {
+    let lines = (pending + data).split('\n');
+
+    pending = lines.pop();
+
+    if (pending.length > MAX_LINE_LENGTH) {
+      pending = '';
+      onError(new Error(`Message longer than ${MAX_LINE_LENGTH} characters`));
+      socket.destroy();
+      return;
+    }
+
+    lines.forEach((line) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      let message;
+
+      try {
+        message = JSON.parse(line);
+      } catch (e) {
+        onError(new Error(`Invalid message: ${e.message}`));
+        return;
+      }
+
+      onMessage(message);
+    });
+  });
+}
+
+
+module.exports = {
+  DEFAULT_SOCKET_PATH: DEFAULT_SOCKET_PATH,
+  MAX_LINE_LENGTH: MAX_LINE_LENGTH,
+  write: write,
+  read: read,
+};
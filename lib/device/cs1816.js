@@ -11,6 +11,8 @@ module.exports = {
     watch: {
       opCode: 2,
       maxLen: 4,
+      // The firmware's MAX_WATCHERS, whatever number of status characteristics it exposes
+      maxSlots: 15,
     },
     unwatch: {
       opCode: 3,
@@ -20,8 +22,9 @@ module.exports = {
     },
     superWatch: {
       opCode: 5,
-      minSwRev: "1.5",
+      minSwRev: '1.5',
       slot: 0xFF,
+      maxMembers: 25,
     },
     getWatcher: {
       opCode: 6,
@@ -29,7 +32,24 @@ module.exports = {
         getWatchers: 0,
         getSuperWatcher: 1,
       },
-      minSwRev: "1.5",
+      minSwRev: '1.5',
+    },
+  },
+  // Software 1.6+ advertises the product ID and serial number of the connected
+  // controller in manufacturer-specific data, as NUL-padded ASCII strings. The
+  // company identifier is the Bluetooth SIG's reserved test value for now, which
+  // may change if CS registers its own.
+  advertisement: {
+    companyIdentifier: 0xFFFF,
+    fields: {
+      product: { offset: 0, length: 8, type: 'ascii' },
+      serial:  { offset: 8, length: 8, type: 'ascii' },
+    },
+  },
+  features: {
+    // Reading a status characteristic returns the watcher's value
+    readWatcher: {
+      minSwRev: '1.10',
     },
   },
   services: {
@@ -73,17 +93,19 @@ module.exports = {
         status14:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c90013' },
         status15:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c90014' },
         // As of CS1816 software 1.5, there are 25 status characteristics defined,
-        // but MAX_WATCHERS is set to 15. Need to figure out why.
-        // status16:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c90015' },
-        // status17:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c90016' },
-        // status18:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c90017' },
-        // status19:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c90018' },
-        // status20:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c90019' },
-        // status21:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c9001a' },
-        // status22:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c9001b' },
-        // status23:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c9001c' },
-        // status24:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c9001d' },
-        // status25:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c9001e' },
+        // but MAX_WATCHERS is set to 15, so commands.watch.maxSlots leaves the rest
+        // unused. When a firmware revision supports more watchers, give the ones it
+        // adds a 'minSwRev' for it, and raise maxSlots.
+        status16:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c90015', optional: true },
+        status17:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c90016', optional: true },
+        status18:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c90017', optional: true },
+        status19:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c90018', optional: true },
+        status20:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c90019', optional: true },
+        status21:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c9001a', optional: true },
+        status22:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c9001b', optional: true },
+        status23:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c9001c', optional: true },
+        status24:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c9001d', optional: true },
+        status25:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c9001e', optional: true },
         superWatcher: { uuid: '6765ed1f-4de1-49e1-4771-a14380c900ff' },
       },
     },
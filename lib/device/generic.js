@@ -0,0 +1,45 @@
+// Generic CS dongle profile
+//
+// Used for peripherals that aren't described by a registered definition but still
+// implement the private controller service, e.g., a new dongle model whose definition
+// hasn't been added yet. Only the services and characteristics common to all CS dongles
+// are expected. No dongle commands are known, so keyswitch(), watch(), etc. are
+// rejected as not implemented; Modbus traffic over the transparent UART still works.
+module.exports = {
+  name: 'generic',
+  id: 0xFE,
+  generic: true,
+  commands: {},
+  services: {
+    deviceInformation: {
+      uuid: '0000180a-0000-1000-8000-00805f9b34fb',
+      characteristics: {
+        systemId:           { uuid: '00002a23-0000-1000-8000-00805f9b34fb', optional: true },
+        modelNumber:        { uuid: '00002a24-0000-1000-8000-00805f9b34fb' },
+        dongleSerialNumber: { uuid: '00002a25-0000-1000-8000-00805f9b34fb', optional: true },
+        firmwareRevision:   { uuid: '00002a26-0000-1000-8000-00805f9b34fb', optional: true },
+        hardwareRevision:   { uuid: '00002a27-0000-1000-8000-00805f9b34fb', optional: true },
+        softwareRevision:   { uuid: '00002a28-0000-1000-8000-00805f9b34fb' },
+        manufacturerName:   { uuid: '00002a29-0000-1000-8000-00805f9b34fb', optional: true },
+      },
+    },
+    controller: {
+      uuid: '6765ed1f-4de1-49e1-4771-a14380c90000',
+      characteristics: {
+        command:      { uuid: '6765ed1f-4de1-49e1-4771-a14380c90001' },
+        response:     { uuid: '6765ed1f-4de1-49e1-4771-a14380c90002' },
+        product:      { uuid: '6765ed1f-4de1-49e1-4771-a14380c90003' },
+        serial:       { uuid: '6765ed1f-4de1-49e1-4771-a14380c90004' },
+        fault:        { uuid: '6765ed1f-4de1-49e1-4771-a14380c90005' },
+      },
+    },
+    transparentUart: {
+      uuid: '49535343-fe7d-4ae5-8fa9-9fafd205e455',
+      characteristics: {
+        rx:      { uuid: '49535343-1e4d-4bd9-ba61-23c647249616' },
+        tx:      { uuid: '49535343-8841-43f4-a8d4-ecbe34729bb3' },
+        control: { uuid: '49535343-4c8a-39b3-2f49-511cff073b7e' },
+      },
+    },
+  },
+};
@@ -0,0 +1,106 @@
+/**
+ * Owner of the one dongle connection shared by the windows of an Electron app, in the
+ * main process
+ *
+ * The host holds the BleController; each window uses a SharedController instead, with
+ * the same methods, which reaches it over IPC (see channels.js). Windows are added when
+ * their SharedController is created and removed when their webContents is destroyed.
+ * How the windows share the connection is described in ../shared/ControllerHost.js.
+ *
+ *   // Main process
+ *   const { ConnectionHost } = require('@csllc/cs-mb-ble/lib/electron');
+ *   const host = new ConnectionHost({ uuid: 'default' });
+ *
+ *   // Each renderer process (with nodeIntegration)
+ *   const { SharedController } = require('@csllc/cs-mb-ble/lib/electron');
+ *   let ble = new SharedController();
+ *
+ * The main process has no navigator.bluetooth, so the 'node' backend is used unless
+ * the 'backend' option says otherwise.
+ */
+'use strict';
+
+const BleController = require('../..');
+const ControllerHost = require('../shared/ControllerHost');
+const channels = require('./channels');
+
+
+module.exports = class ConnectionHost {
+
+  /**
+   * @param {Object}  options          BleController constructor options, and:
+   * @param {IpcMain} options.ipcMain  Electron's ipcMain (default: require('electron').ipcMain)
+   */
+  constructor(options) {
+    options = Object.assign({}, options);
+
+    this.ipcMain = options.ipcMain || require('electron').ipcMain;
+
+    delete options.ipcMain;
+
+    this.ble = new BleController(options);
+    this._host = new ControllerHost(this.ble);
+
+    // Clients of the windows, and the listeners that remove them, keyed by webContents ID
+    this._windows = new Map();
+
+    this._onMessage = (event, message) => {
+      let webContents = event.sender;
+      let attached = this._windows.get(webContents.id);
+
+      if (!attached && message && (message.type === 'hello')) {
+        attached = this._addWindow(webContents);
+      }
+
+      if (attached) {
+        attached.client.receive(message);
+      }
+    };
+
+    this.ipcMain.on(channels.host, this._onMessage);
+  }
+
+
+  /**
+   * Stop serving the windows, and close the connection and release the BleController
+   *
+   * @return {Promise} Resolves once released
+   */
+  destroy() {
+    this.ipcMain.removeListener(channels.host, this._onMessage);
+
+    this._windows.forEach((attached) => {
+      attached.webContents.removeListener('destroyed', attached.onDestroyed);
+    });
+
+    this._windows.clear();
+    this._host.destroy();
+
+    return this.ble.destroy();
+  }
+
+
+  _addWindow(webContents) {
+    let attached = {
+      webContents: webContents,
+      client: this._host.connect((message) => webContents.send(channels.client, message)),
+      onDestroyed: () => this._removeWindow(webContents),
+    };
+
+    this._windows.set(webContents.id, attached);
+    webContents.once('destroyed', attached.onDestroyed);
+
+    return attached;
+  }
+
+
+  _removeWindow(webContents) {
+    let attached = this._windows.get(webContents.id);
+
+    if (attached) {
+      this._windows.delete(webContents.id);
+      attached.client.close();
+    }
+  }
+
+};
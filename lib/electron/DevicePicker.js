@@ -0,0 +1,318 @@
+/**
+ * Device picker for Electron's main process
+ *
+ * Electron reports the devices found for a renderer's navigator.bluetooth.requestDevice()
+ * with repeated 'select-bluetooth-device' events on its webContents, and the request
+ * only settles when the callback passed with them is called. The picker collects the
+ * devices from those events, forwards the list to the renderer over IPC (see
+ * channels.js), and calls the callback with the device the renderer selects. The
+ * request is cancelled if the renderer cancels it, nothing is selected within the
+ * timeout, or the webContents is destroyed.
+ *
+ * In the renderer, BleController's 'electron' backend turns the list into 'discover'
+ * events, as the 'node' backend does with advertisements:
+ *
+ *   // Main process
+ *   const { DevicePicker } = require('@csllc/cs-mb-ble/lib/electron');
+ *   const picker = new DevicePicker();
+ *   picker.attach(win.webContents);
+ *
+ * With handlePairing(), the picker also becomes the session's Bluetooth pairing handler,
+ * and passes pairing requests (for a PIN, or confirmation) to the renderer that chose
+ * the device, where the 'passkey' option of BleController answers them.
+ */
+'use strict';
+
+const channels = require('./channels');
+
+// How long a request may wait for a device to be selected, in milliseconds
+const DEFAULT_TIMEOUT = 30000;
+
+
+module.exports = class DevicePicker {
+
+  /**
+   * @param {Object}  options
+   * @param {IpcMain} options.ipcMain  Electron's ipcMain (default: require('electron').ipcMain)
+   * @param {Number}  options.timeout  Milliseconds to wait for a device to be selected
+   *                                   before cancelling the request, or 0 to wait
+   *                                   indefinitely (default 30000)
+   */
+  constructor(options) {
+    options = options || {};
+
+    this.ipcMain = options.ipcMain || require('electron').ipcMain;
+    this.timeout = (options.timeout === undefined) ? DEFAULT_TIMEOUT : options.timeout;
+
+    // Pending request of each attached webContents, keyed by its ID
+    this._requests = new Map();
+
+    // Attached webContents and their 'select-bluetooth-device' listeners, keyed by ID
+    this._attached = new Map();
+
+    // The webContents that chose each device, keyed by device ID, for pairing requests
+    this._chosen = new Map();
+
+    // Pairing requests waiting for the renderer's response, keyed by request ID
+    this._pairings = new Map();
+    this._nextPairingId = 1;
+
+    // Session whose pairing requests are handled, if any
+    this._session = null;
+
+    this._onSelect = (event, deviceId) => {
+      this._finish(event.sender, deviceId);
+    };
+
+    this._onCancel = (event) => {
+      this._finish(event.sender, '');
+    };
+
+    this._onPairResponse = (event, requestId, response) => {
+      let pairing = this._pairings.get(requestId);
+
+      if (pairing && (pairing.webContents.id === event.sender.id)) {
+        this._answerPairing(requestId, response);
+      }
+    };
+
+    this.ipcMain.on(channels.select, this._onSelect);
+    this.ipcMain.on(channels.cancel, this._onCancel);
+    this.ipcMain.on(channels.pairResponse, this._onPairResponse);
+  }
+
+
+  /**
+   * Handle the Bluetooth device requests of a window's renderer process
+   *
+   * @param {WebContents} webContents  The window's webContents
+   * @return {DevicePicker} this
+   */
+  attach(webContents) {
+    if (this._attached.has(webContents.id)) {
+      return this;
+    }
+
+    let listener = (event, deviceList, callback) => {
+      event.preventDefault();
+      this._update(webContents, deviceList, callback);
+    };
+
+    this._attached.set(webContents.id, { webContents: webContents, listener: listener });
+
+    webContents.on('select-bluetooth-device', listener);
+    webContents.once('destroyed', () => {
+      this.detach(webContents);
+    });
+
+    return this;
+  }
+
+
+  /**
+   * Handle the Bluetooth pairing requests of a session, with its
+   * setBluetoothPairingHandler(), by asking the renderer that chose the device. A request
+   * that isn't answered within the timeout is refused.
+   *
+   * @param {Session} session  Electron session (default: session.defaultSession)
+   * @return {DevicePicker} this
+   */
+  handlePairing(session) {
+    this._session = session || require('electron').session.defaultSession;
+
+    this._session.setBluetoothPairingHandler((details, callback) => {
+      this._pair(details, callback);
+    });
+
+    return this;
+  }
+
+
+  /**
+   * Stop handling a window's Bluetooth device requests, cancelling the pending one
+   *
+   * @param {WebContents} webContents  The window's webContents
+   * @return {None}
+   */
+  detach(webContents) {
+    let attached = this._attached.get(webContents.id);
+
+    if (attached) {
+      this._attached.delete(webContents.id);
+      webContents.removeListener('select-bluetooth-device', attached.listener);
+    }
+
+    this._finish(webContents, '');
+
+    this._chosen.forEach((chooser, deviceId) => {
+      if (chooser === webContents) {
+        this._chosen.delete(deviceId);
+      }
+    });
+
+    this._pairings.forEach((pairing, requestId) => {
+      if (pairing.webContents === webContents) {
+        this._answerPairing(requestId, { confirmed: false });
+      }
+    });
+  }
+
+
+  /**
+   * Detach from every window and stop listening for IPC messages
+   *
+   * @return {None}
+   */
+  destroy() {
+    Array.from(this._attached.values()).forEach((attached) => {
+      this.detach(attached.webContents);
+    });
+
+    this.ipcMain.removeListener(channels.select, this._onSelect);
+    this.ipcMain.removeListener(channels.cancel, this._onCancel);
+    this.ipcMain.removeListener(channels.pairResponse, this._onPairResponse);
+
+    if (this._session) {
+      this._session.setBluetoothPairingHandler(null);
+      this._session = null;
+    }
+  }
+
+
+  /**
+   * Add the devices of a 'select-bluetooth-device' event to the pending request, and
+   * send the renderer the list of devices found so far
+   *
+   * @param {WebContents} webContents  Renderer making the request
+   * @param {Array}       deviceList   Devices reported by the event
+   * @param {Function}    callback     Settles the request with a device ID, or '' to
+   *                                   cancel it
+   * @return {None}
+   */
+  _update(webContents, deviceList, callback) {
+    let request = this._requests.get(webContents.id);
+
+    if (!request) {
+      request = { webContents: webContents, devices: new Map(), timer: null };
+
+      if (this.timeout) {
+        request.timer = setTimeout(() => {
+          this._finish(webContents, '');
+        }, this.timeout);
+      }
+
+      this._requests.set(webContents.id, request);
+    }
+
+    // Each event's callback settles the same request; keep the latest one
+    request.callback = callback;
+
+    // Depending on the platform, a list may hold every device found so far or only the
+    // latest ones, and names may only arrive in later lists
+    deviceList.forEach((device) => {
+      let known = request.devices.get(device.deviceId);
+
+      request.devices.set(device.deviceId, {
+        deviceId: device.deviceId,
+        deviceName: device.deviceName || (known ? known.deviceName : ''),
+      });
+    });
+
+    webContents.send(channels.devices, Array.from(request.devices.values()));
+  }
+
+
+  /**
+   * Settle a renderer's pending request, if it has one
+   *
+   * @param {WebContents} webContents  Renderer that made the request
+   * @param {String}      deviceId     Selected device, or '' to cancel the request
+   * @return {None}
+   */
+  _finish(webContents, deviceId) {
+    let request = this._requests.get(webContents.id);
+
+    if (request) {
+      this._requests.delete(webContents.id);
+      clearTimeout(request.timer);
+
+      if (deviceId) {
+        this._chosen.set(deviceId, webContents);
+      }
+
+      request.callback(deviceId || '');
+    }
+  }
+
+
+  /**
+   * Pass a pairing request to the renderer of the frame that made it, or else the one
+   * that chose the device
+   *
+   * @param {Object}   details   From Electron: 'deviceId', 'pairingKind' ('confirm',
+   *                             'confirmPin' or 'providePin'), 'frame', and 'pin' for
+   *                             'confirmPin'
+   * @param {Function} callback  Called with the response: 'confirmed', and 'pin' for
+   *                             'providePin'
+   * @return {None}
+   */
+  _pair(details, callback) {
+    let webContents = this._chosen.get(details.deviceId);
+
+    Array.from(this._attached.values()).forEach((attached) => {
+      if (details.frame && (attached.webContents.mainFrame === details.frame.top)) {
+        webContents = attached.webContents;
+      }
+    });
+
+    if (!webContents) {
+      callback({ confirmed: false });
+      return;
+    }
+
+    let requestId = this._nextPairingId++;
+    let pairing = { webContents: webContents, callback: callback, timer: null };
+
+    if (this.timeout) {
+      pairing.timer = setTimeout(() => {
+        this._answerPairing(requestId, { confirmed: false });
+      }, this.timeout);
+    }
+
+    this._pairings.set(requestId, pairing);
+
+    webContents.send(channels.pair, requestId, {
+      deviceId: details.deviceId,
+      pairingKind: details.pairingKind,
+      pin: details.pin,
+    });
+  }
+
+
+  /**
+   * Answer a pending pairing request
+   *
+   * @param {Number} requestId  ID sent to the renderer
+   * @param {Object} response   'confirmed', and 'pin' for 'providePin' requests
+   * @return {None}
+   */
+  _answerPairing(requestId, response) {
+    let pairing = this._pairings.get(requestId);
+
+    if (pairing) {
+      this._pairings.delete(requestId);
+      clearTimeout(pairing.timer);
+
+      response = response || {};
+
+      let answer = { confirmed: Boolean(response.confirmed) };
+
+      if (response.pin) {
+        answer.pin = String(response.pin);
+      }
+
+      pairing.callback(answer);
+    }
+  }
+
+};
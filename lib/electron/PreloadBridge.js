@@ -0,0 +1,394 @@
+/**
+ * BleController API for an Electron page with contextIsolation, exposed by its preload
+ * script through contextBridge
+ *
+ * The BleController, and the @csllc/cs-modbus master used for Modbus transactions, live
+ * in the preload script. The page only gets the functions in this.api, which take and
+ * return plain values: byte arrays are passed as arrays of numbers, errors as objects
+ * with 'name' and 'message', and watcher updates and other events are delivered to
+ * listeners registered with on(), rather than to callbacks. Constructor options, such as
+ * the selection criteria and known devices store, are set by the preload script and
+ * can't be changed by the page.
+ *
+ *   // Preload script (webPreferences: { contextIsolation: true, sandbox: false, preload })
+ *   const { PreloadBridge } = require('@csllc/cs-mb-ble/lib/electron');
+ *   new PreloadBridge({ uuid: 'default' }).expose('csMbBle');
+ *
+ *   // Page
+ *   csMbBle.on('discover', (device) => csMbBle.select(device.id));
+ *   csMbBle.startScanning().then(() => csMbBle.open());
+ */
+'use strict';
+
+/* global navigator, window */
+
+const Modbus = require('@csllc/cs-modbus');
+
+const BleController = require('../..');
+const bytes = require('../bytes');
+const channels = require('./channels');
+
+
+// BleController events passed on to the page
+const forwardedEvents = [
+  'stateChange', 'scanStart', 'scanStop', 'scanResult', 'discover', 'candidatesRejected',
+  'connecting', 'connected', 'ready', 'disconnecting', 'disconnected',
+  'reconnecting', 'reconnected', 'reconnectFailed', 'knownDevicesError',
+  'inspecting', 'inspected', 'data', 'fault', 'availabilitychanged',
+];
+
+// Events of the bridge itself, for watcher updates
+const bridgeEvents = [ 'watcher', 'superWatcher' ];
+
+// Modbus master methods available to the page, with the index of each argument that is
+// a byte array
+const modbusMethods = {
+  readCoils: [],
+  readDiscreteInputs: [],
+  readHoldingRegisters: [],
+  readInputRegisters: [],
+  reportSlaveId: [],
+  readObject: [],
+  readMemory: [],
+  writeSingleCoil: [],
+  writeSingleRegister: [],
+  writeMultipleCoils: [],
+  writeMultipleRegisters: [],
+  writeObject: [ 1 ],
+  writeMemory: [ 1 ],
+  writeMemoryVerify: [ 1 ],
+  command: [ 1 ],
+};
+
+// Transaction options the page may set
+const transactionOptions = [ 'unit', 'timeout', 'maxRetries' ];
+
+
+/**
+ * Convert a value to one that can be passed to the page: byte arrays become arrays of
+ * numbers, errors become objects with 'name' and 'message', functions and properties
+ * starting with '_' are left out, and objects that were already converted are replaced
+ * with null
+ *
+ * @param {*}   value
+ * @param {Set} seen   Objects being converted, to stop at cycles
+ * @return {*}
+ */
+function toPlain(value, seen) {
+  seen = seen || new Set();
+
+  if ((value === null) || (typeof value !== 'object')) {
+    return (typeof value === 'function') ? undefined : value;
+  } else if (ArrayBuffer.isView(value)) {
+    return Array.from(bytes.view(value));
+  } else if (value instanceof Error) {
+    return { name: value.name, message: value.message };
+  } else if (seen.has(value)) {
+    return null;
+  }
+
+  seen.add(value);
+
+  let plain;
+
+  if (Array.isArray(value)) {
+    plain = value.map(item => toPlain(item, seen));
+  } else {
+    plain = {};
+
+    Object.keys(value).forEach((key) => {
+      if ((key[0] !== '_') && (typeof value[key] !== 'function')) {
+        plain[key] = toPlain(value[key], seen);
+      }
+    });
+  }
+
+  seen.delete(value);
+
+  return plain;
+}
+
+
+// Describe a peripheral without the Bluetooth implementation's objects
+function describePeripheral(peripheral) {
+  return peripheral ? { id: peripheral.id, name: peripheral.name } : null;
+}
+
+
+module.exports = class PreloadBridge {
+
+  /**
+   * @param {Object}      options              BleController constructor options, and:
+   * @param {IpcRenderer} options.ipcRenderer  Electron's ipcRenderer (default:
+   *                                           require('electron').ipcRenderer)
+   * @param {Object}      options.master       @csllc/cs-modbus master options for
+   *                                           Modbus transactions
+   */
+  constructor(options) {
+    options = Object.assign({}, options);
+
+    if (!options.ipcRenderer) {
+      options.ipcRenderer = require('electron').ipcRenderer;
+    }
+
+    if (!options.bluetooth && (typeof navigator !== 'undefined')) {
+      options.bluetooth = navigator.bluetooth;
+    }
+
+    this.options = options;
+    this.ble = new BleController(options);
+
+    // Created when the page first makes a Modbus transaction
+    this._master = null;
+
+    // Listeners registered by the page, keyed by event name
+    this._listeners = {};
+
+    forwardedEvents.forEach((event) => {
+      this.ble.on(event, (payload) => {
+        this._emit(event, (event === 'scanStop') ? this._scanStopPayload(payload) : payload);
+      });
+    });
+
+    this.api = this._createApi();
+  }
+
+
+  /**
+   * Make this.api available to the page as window[key]
+   *
+   * @param {String}        key           Property name (default 'csMbBle')
+   * @param {ContextBridge} contextBridge  Electron's contextBridge (default:
+   *                                      require('electron').contextBridge)
+   * @return {PreloadBridge} this
+   */
+  expose(key, contextBridge) {
+    contextBridge = contextBridge || require('electron').contextBridge;
+
+    contextBridge.exposeInMainWorld(key || 'csMbBle', this.api);
+
+    // Release the Bluetooth backend when the page goes away
+    if (typeof window !== 'undefined') {
+      window.addEventListener('unload', () => this.destroy());
+    }
+
+    return this;
+  }
+
+
+  /**
+   * Close the connection and release the BleController
+   *
+   * @return {Promise} Resolves when complete
+   */
+  destroy() {
+    if (this._master) {
+      this._master.destroy();
+      this._master = null;
+    }
+
+    this._listeners = {};
+
+    return this.ble.destroy();
+  }
+
+
+  /**
+   * Build the object given to the page
+   *
+   * @return {Object}
+   */
+  _createApi() {
+    let ble = this.ble;
+
+    // Call a BleController method and convert its result
+    let call = (method, ...args) => {
+      return Promise.resolve()
+      .then(() => ble[method](...args))
+      .then(result => toPlain(result));
+    };
+
+    let modbus = {};
+
+    Object.keys(modbusMethods).forEach((method) => {
+      modbus[method] = (...args) => this._transaction(method, args);
+    });
+
+    return {
+      getAvailability: () => {
+        return ble.backend.getAvailability();
+      },
+
+      getState: () => ble.state,
+      isOpen: () => ble.isOpen(),
+
+      startScanning: (options) => {
+        return ble.startScanning(this._criteria(options)).then(describePeripheral);
+      },
+
+      scan: (options) => call('scan', this._criteria(options)),
+
+      // Selects a peripheral reported by a 'discover' event
+      select: (id) => {
+        let entry = ble.discoveredPeripherals.find(peripheral => peripheral.id === id);
+
+        if (!entry) {
+          return Promise.reject(new Error(`Peripheral ${id} has not been discovered`));
+        }
+
+        entry.callback();
+
+        return Promise.resolve();
+      },
+
+      // Ends startScanning() without selecting a peripheral
+      cancel: () => {
+        return Promise.resolve()
+        .then(() => {
+          if (!this.options.ipcRenderer) {
+            throw new Error('cancel() needs Electron\'s ipcRenderer, in a renderer process');
+          }
+
+          this.options.ipcRenderer.send(channels.cancel);
+        });
+      },
+
+      open: (id) => call('open', id),
+      openKnown: (id) => call('openKnown', id),
+      close: () => call('close'),
+      getKnownDevices: () => call('getKnownDevices'),
+      forgetDevice: (id) => call('forgetDevice', id),
+
+      getInfo: () => call('getInfo'),
+      getCapabilities: () => call('getCapabilities'),
+      keyswitch: (state) => call('keyswitch', Boolean(state)),
+
+      watch: (slot, id, address, length) => {
+        return call('watch', slot, id, address, length, (data) => {
+          this._emit('watcher', { slot: slot, data: data });
+        });
+      },
+
+      superWatch: (id, addresses) => {
+        return call('superWatch', id, addresses, (data) => {
+          this._emit('superWatcher', { data: data });
+        });
+      },
+
+      unwatch: (slot) => call('unwatch', slot),
+      unwatchAll: () => call('unwatchAll'),
+      getWatchers: () => call('getWatchers'),
+      getSuperWatcher: () => call('getSuperWatcher'),
+      readWatcher: (slot) => call('readWatcher', slot),
+
+      readObject: (objectId) => call('readObject', objectId),
+      writeObject: (objectId, data) => call('writeObject', objectId, bytes.from(data)),
+
+      modbus: modbus,
+
+      // Returns a function that removes the listener
+      on: (event, listener) => {
+        if ((forwardedEvents.indexOf(event) === -1) && (bridgeEvents.indexOf(event) === -1)) {
+          throw new Error(`Unknown event '${event}'`);
+        }
+
+        (this._listeners[event] = this._listeners[event] || []).push(listener);
+
+        return () => {
+          this._listeners[event] = (this._listeners[event] || []).filter(l => l !== listener);
+        };
+      },
+    };
+  }
+
+
+  /**
+   * Call the page's listeners for an event
+   *
+   * @param {String} event    Event name
+   * @param {*}      payload  Event data, converted with toPlain()
+   * @return {None}
+   */
+  _emit(event, payload) {
+    let plain = toPlain(payload);
+
+    (this._listeners[event] || []).slice().forEach(listener => listener(plain));
+  }
+
+
+  // The selected peripheral, or the results of scan()
+  _scanStopPayload(payload) {
+    return Array.isArray(payload) ? payload : describePeripheral(payload);
+  }
+
+
+  /**
+   * Selection criteria given by the page, without a 'select' function, which couldn't
+   * be called with a candidate that can be passed to it
+   *
+   * @param {Object} options  startScanning() or scan() options
+   * @return {Object}
+   */
+  _criteria(options) {
+    let criteria = Object.assign({}, options);
+
+    delete criteria.select;
+
+    return criteria;
+  }
+
+
+  /**
+   * Make a Modbus transaction through the connected dongle
+   *
+   * @param {String} method  Name of the Master method, from modbusMethods
+   * @param {Array}  args    Its arguments, followed by transaction options ('unit',
+   *                         'timeout', 'maxRetries')
+   * @return {Promise} Resolves with the response
+   */
+  _transaction(method, args) {
+    if (!this._master) {
+      this._master = Modbus.createMaster(Object.assign({
+        transport: {
+          type: 'ip',
+          eofTimeout: 10,
+          connection: { type: 'generic', device: this.ble },
+        },
+        suppressTransactionErrors: true,
+        retryOnException: false,
+        defaultMaxRetries: 0,
+        defaultTimeout: 5000,
+      }, this.options.master));
+    }
+
+    let count = this._master[method].length - 1;
+    let options = {};
+
+    transactionOptions.forEach((key) => {
+      if (args[count] && (args[count][key] !== undefined)) {
+        options[key] = args[count][key];
+      }
+    });
+
+    args = args.slice(0, count).map((arg, index) => {
+      return (modbusMethods[method].indexOf(index) !== -1) ? bytes.from(arg) : arg;
+    });
+
+    return new Promise((resolve, reject) => {
+      options.onComplete = (err, response) => {
+        if (!err && response && response.exceptionCode) {
+          err = new Error('Exception ' + response.exceptionCode);
+        }
+
+        if (err) {
+          reject(err);
+        } else {
+          resolve(toPlain(response));
+        }
+      };
+
+      this._master[method](...args, options);
+    });
+  }
+
+};
@@ -0,0 +1,47 @@
+/**
+ * BleController stand-in for a renderer process, using the connection held by the
+ * ConnectionHost in the main process, so that several windows can use one dongle
+ *
+ * It has the methods, properties and events of BleController, with the differences
+ * described in ../shared/RemoteController.js; for example, a Modbus master can be
+ * created with it as the 'generic' connection's device.
+ */
+'use strict';
+
+const RemoteController = require('../shared/RemoteController');
+const channels = require('./channels');
+
+
+module.exports = class SharedController extends RemoteController {
+
+  /**
+   * @param {Object}      options
+   * @param {IpcRenderer} options.ipcRenderer  Electron's ipcRenderer (default:
+   *                                           require('electron').ipcRenderer)
+   */
+  constructor(options) {
+    super();
+
+    options = options || {};
+
+    this.ipcRenderer = options.ipcRenderer || require('electron').ipcRenderer;
+
+    this._onMessage = (event, message) => this._receive(message);
+    this.ipcRenderer.on(channels.client, this._onMessage);
+
+    this._start();
+  }
+
+
+  _send(message) {
+    this.ipcRenderer.send(channels.host, message);
+  }
+
+
+  destroy() {
+    this.ipcRenderer.removeListener(channels.client, this._onMessage);
+
+    return super.destroy();
+  }
+
+};
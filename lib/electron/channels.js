@@ -0,0 +1,27 @@
+/**
+ * IPC channels between DevicePicker or ConnectionHost, in Electron's main process, and
+ * the 'electron' backend or SharedController in a renderer process
+ *
+ * - devices - main to renderer, with the list of devices found so far for the pending
+ *   navigator.bluetooth.requestDevice(), each with 'deviceId' and 'deviceName'
+ * - select - renderer to main, with the 'deviceId' of the chosen device
+ * - cancel - renderer to main, to end the request without choosing a device
+ * - pair - main to renderer, with a request ID and the 'deviceId', 'pairingKind' and
+ *   'pin' of a pairing request passed to Electron's Bluetooth pairing handler
+ * - pairResponse - renderer to main, with the request ID and the handler's response
+ *   ('confirmed', and 'pin' for 'providePin' requests)
+ * - host - renderer to main, with a message from a SharedController to the
+ *   ConnectionHost (see ../shared/ControllerHost.js)
+ * - client - main to renderer, with a message from the ConnectionHost
+ */
+'use strict';
+
+module.exports = {
+  devices: 'cs-mb-ble:devices',
+  select: 'cs-mb-ble:select',
+  cancel: 'cs-mb-ble:cancel',
+  pair: 'cs-mb-ble:pair',
+  pairResponse: 'cs-mb-ble:pairResponse',
+  host: 'cs-mb-ble:host',
+  client: 'cs-mb-ble:client',
+};
@@ -0,0 +1,20 @@
+/**
+ * Helpers for Electron apps
+ *
+ * - DevicePicker - chooses devices for the renderer in the main process (see
+ *   DevicePicker.js); the renderer side is BleController's 'electron' backend
+ *   (../backend/ElectronBackend.js)
+ * - PreloadBridge - exposes BleController to a page with contextIsolation, from its
+ *   preload script (see PreloadBridge.js)
+ * - ConnectionHost and SharedController - share one connection among several windows,
+ *   from the main process (see ConnectionHost.js)
+ */
+'use strict';
+
+module.exports = {
+  DevicePicker: require('./DevicePicker'),
+  PreloadBridge: require('./PreloadBridge'),
+  ConnectionHost: require('./ConnectionHost'),
+  SharedController: require('./SharedController'),
+  channels: require('./channels'),
+};
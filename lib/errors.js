@@ -0,0 +1,205 @@
+/**
+ * Error types used by this module
+ *
+ * Each error has a 'name' matching its class, so that applications can tell them apart
+ * without access to the classes themselves (e.g., across an IPC boundary).
+ */
+'use strict';
+
+
+/**
+ * An operation was requested in a connection state that doesn't allow it, e.g.,
+ * open() while scanning, or watch() while the peripheral is being inspected.
+ */
+class InvalidStateError extends Error {
+
+  /**
+   * @param {String} operation  Name of the rejected method
+   * @param {String} state      Connection state at the time of the call
+   */
+  constructor(operation, state) {
+    super(`Cannot call ${operation}() while the connection state is '${state}'`);
+
+    this.name = 'InvalidStateError';
+    this.operation = operation;
+    this.state = state;
+  }
+
+}
+
+
+/**
+ * A device definition doesn't match the schema in lib/DefinitionSchema.js
+ */
+class DefinitionError extends Error {
+
+  /**
+   * @param {String}        name      Name of the definition, if it has one
+   * @param {Array<String>} problems  Problems reported by DefinitionSchema.validate()
+   */
+  constructor(name, problems) {
+    super(`Invalid device definition${name ? ` '${name}'` : ''}:\n  ${problems.join('\n  ')}`);
+
+    this.name = 'DefinitionError';
+    this.definitionName = name;
+    this.problems = problems;
+  }
+
+}
+
+
+/**
+ * The connected dongle doesn't support an operation, either at all or at the software
+ * revision it reports. See BleController.getCapabilities().
+ */
+class NotSupportedError extends Error {
+
+  /**
+   * @param {String} operation  Name of the rejected method
+   * @param {Object} details    'modelNumber' and 'softwareRevision' of the dongle, plus
+   *                            'minSwRev' and/or 'maxSwRev' if the operation is only
+   *                            supported by a range of software revisions
+   */
+  constructor(operation, details) {
+    let required = null;
+
+    if (details.minSwRev && details.maxSwRev) {
+      required = `${details.minSwRev} to ${details.maxSwRev}`;
+    } else if (details.minSwRev) {
+      required = `${details.minSwRev} or later`;
+    } else if (details.maxSwRev) {
+      required = `${details.maxSwRev} or earlier`;
+    }
+
+    if (required) {
+      super(`${operation}() requires ${details.modelNumber} software revision ${required}; ` +
+            `this peripheral reports ${details.softwareRevision}`);
+    } else {
+      super(`${operation}() is not supported by ${details.modelNumber}`);
+    }
+
+    this.name = 'NotSupportedError';
+    this.operation = operation;
+    this.modelNumber = details.modelNumber;
+    this.softwareRevision = details.softwareRevision;
+    this.minSwRev = details.minSwRev || null;
+    this.maxSwRev = details.maxSwRev || null;
+  }
+
+}
+
+
+/**
+ * The peripheral refused a GATT operation, or the connection, because the link isn't
+ * authenticated or encrypted, i.e., it requires pairing, and pairing wasn't completed
+ * (e.g., no passkey was supplied, or the wrong one). See the 'bond' and 'passkey'
+ * options of BleController.
+ */
+class AuthenticationError extends Error {
+
+  /**
+   * @param {String} operation  'connect', 'bond', 'read' or 'subscribe'
+   * @param {String} uuid       UUID of the characteristic, if any
+   * @param {Error}  cause      Error reported by the Bluetooth backend
+   */
+  constructor(operation, uuid, cause) {
+    super(`${describe(operation, uuid)} requires pairing with the peripheral: ${reason(cause)}`);
+
+    this.name = 'AuthenticationError';
+    this.operation = operation;
+    this.uuid = uuid || null;
+    this.cause = cause;
+  }
+
+}
+
+
+/**
+ * A GATT operation failed for a reason other than authentication, e.g., the connection
+ * was lost, or the peripheral reported an error
+ */
+class GattError extends Error {
+
+  /**
+   * @param {String} operation  'read' or 'subscribe'
+   * @param {String} uuid       UUID of the characteristic, if any
+   * @param {Error}  cause      Error reported by the Bluetooth backend
+   */
+  constructor(operation, uuid, cause) {
+    super(`${describe(operation, uuid)} failed: ${reason(cause)}`);
+
+    this.name = 'GattError';
+    this.operation = operation;
+    this.uuid = uuid || null;
+    this.cause = cause;
+  }
+
+}
+
+
+/**
+ * Data received from the transparent UART isn't a well-formed MBAP frame: its header
+ * gives an impossible length, or the rest of the frame didn't arrive
+ */
+class FrameError extends Error {
+
+  /**
+   * @param {String}     reason  What is wrong with the frame
+   * @param {Uint8Array} data    The bytes that were discarded
+   */
+  constructor(reason, data) {
+    super(`Discarded ${data.length} bytes received from the transparent UART: ${reason}`);
+
+    this.name = 'FrameError';
+    this.reason = reason;
+    this.data = data;
+  }
+
+}
+
+
+/**
+ * Data couldn't be written to the transparent UART, e.g., because the connection was
+ * lost, or the peripheral was still busy after the retries allowed by the 'writeRetry'
+ * option of BleController
+ */
+class WriteError extends Error {
+
+  /**
+   * @param {Error}  cause     Error reported by the Bluetooth backend
+   * @param {Number} attempts  Number of attempts made
+   */
+  constructor(cause, attempts) {
+    let plural = (attempts === 1) ? '' : 's';
+
+    super(`Writing to the transparent UART failed after ${attempts} attempt${plural}: ${reason(cause)}`);
+
+    this.name = 'WriteError';
+    this.cause = cause;
+    this.attempts = attempts;
+  }
+
+}
+
+
+// Describe an operation, and the characteristic it was on, for an error message
+function describe(operation, uuid) {
+  return uuid ? `${operation}() of characteristic ${uuid}` : `${operation}()`;
+}
+
+
+// The message of an error reported by a backend, which may be a string
+function reason(cause) {
+  return (cause && cause.message) ? cause.message : String(cause);
+}
+
+
+module.exports = {
+  InvalidStateError: InvalidStateError,
+  DefinitionError: DefinitionError,
+  NotSupportedError: NotSupportedError,
+  AuthenticationError: AuthenticationError,
+  GattError: GattError,
+  FrameError: FrameError,
+  WriteError: WriteError,
+};
@@ -0,0 +1,221 @@
+/**
+ * Forwards Modbus requests to a dongle for the gateways in this directory
+ *
+ * Each request (an MBAP frame) is written with BleController.write() using a
+ * transaction ID of the forwarder's own, and the matching response from the 'data'
+ * event is returned with the request's transaction ID. No more than two requests are
+ * written at a time, as the dongle accepts no more, so that a request's timeout only
+ * starts once BleDevice can write it. Requests that can't be forwarded are answered
+ * with a Modbus exception: Gateway Path Unavailable (0x0A) while the dongle isn't
+ * connected or when the connection is lost, and Gateway Target Device Failed to
+ * Respond (0x0B) when the response doesn't arrive.
+ */
+'use strict';
+
+const bytes = require('../bytes');
+const mbap = require('../mbap');
+const State = require('../ConnectionState').State;
+
+// Requests written to the dongle before waiting for a response
+const MAX_OUTSTANDING = 2;
+
+// How long to wait for a response, in milliseconds
+const DEFAULT_TIMEOUT = 5000;
+
+// Modbus exception codes
+const GATEWAY_PATH_UNAVAILABLE = 0x0A;
+const GATEWAY_TARGET_FAILED = 0x0B;
+
+
+/**
+ * @param {Uint8Array} request  MBAP frame
+ * @param {Number}     code     Exception code
+ * @return {Buffer|Uint8Array} The exception response to the request
+ */
+function exceptionResponse(request, code) {
+  return bytes.from([
+    request[0], request[1],  // Transaction ID
+    0, 0,                    // Protocol ID
+    0, 3,                    // Length
+    request[6],              // Unit ID
+    request[7] | 0x80,       // Function code
+    code,
+  ]);
+}
+
+
+module.exports = class Forwarder {
+
+  /**
+   * @param {BleController} ble
+   * @param {Object}        options
+   * @param {Number}        options.firstTransactionId  Range of the transaction IDs
+   * @param {Number}        options.lastTransactionId   written, apart from other users
+   *                                                    of the controller
+   * @param {Number}        options.timeout             Milliseconds to wait for each
+   *                                                    response (default 5000)
+   */
+  constructor(ble, options) {
+    this.ble = ble;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+
+    this._firstTransactionId = options.firstTransactionId;
+    this._lastTransactionId = options.lastTransactionId;
+    this._nextTransactionId = options.firstTransactionId;
+
+    // Requests waiting to be written, in the order received, and those written, keyed by
+    // the transaction ID they were written with
+    this._queue = [];
+    this._pending = new Map();
+    this._reader = new mbap.FrameReader();
+
+    this._listeners = {
+      data: this._onData.bind(this),
+
+      // A partly received response is lost with the connection, whether closed or lost,
+      // and so are the pending ones
+      stateChange: (change) => {
+        if ((change.state === State.DISCONNECTED) || (change.state === State.ERROR)) {
+          this._reader.reset();
+
+          this._pending.forEach((request, id) => this._fail(id, GATEWAY_PATH_UNAVAILABLE));
+        }
+      },
+    };
+
+    Object.keys(this._listeners).forEach((event) => {
+      this.ble.on(event, this._listeners[event]);
+    });
+  }
+
+
+  /**
+   * Forward a request
+   *
+   * @param {Uint8Array} frame   Request, as an MBAP frame
+   * @param {Object}     source  Where the request came from, for discard()
+   * @return {Promise} Resolves with the response frame, or an exception response
+   */
+  forward(frame, source) {
+    return new Promise((resolve) => {
+      this._queue.push({ frame: frame, source: source, resolve: resolve });
+      this._writeNext();
+    });
+  }
+
+
+  /**
+   * Write a request that isn't answered, e.g., an RTU broadcast, without taking one of
+   * the places of the requests waiting for a response. Any response is ignored.
+   *
+   * @param {Uint8Array} frame  Request, as an MBAP frame
+   * @return {Promise} Resolves when written, or when it can't be
+   */
+  send(frame) {
+    if (!this.ble.isReady) {
+      return Promise.resolve();
+    }
+
+    return Promise.resolve()
+    .then(() => this.ble.write(mbap.setTransactionId(frame, this._takeTransactionId())))
+    .catch(() => {});
+  }
+
+
+  /**
+   * Drop the requests from a source that are still waiting to be written, e.g., when a
+   * client goes away. Their promises are left pending.
+   *
+   * @param {Object} source
+   * @return {None}
+   */
+  discard(source) {
+    this._queue = this._queue.filter(request => request.source !== source);
+  }
+
+
+  /**
+   * Stop listening to the controller, leaving the pending requests unanswered
+   *
+   * @return {None}
+   */
+  destroy() {
+    Object.keys(this._listeners).forEach((event) => {
+      this.ble.removeListener(event, this._listeners[event]);
+    });
+
+    this._pending.forEach(request => clearTimeout(request.timer));
+    this._pending.clear();
+    this._queue = [];
+  }
+
+
+  // Write queued requests to the dongle, up to the number it accepts at a time
+  _writeNext() {
+    while ((this._queue.length > 0) && (this._pending.size < MAX_OUTSTANDING)) {
+      let request = this._queue.shift();
+
+      if (this.ble.isReady) {
+        this._write(request);
+      } else {
+        request.resolve(exceptionResponse(request.frame, GATEWAY_PATH_UNAVAILABLE));
+      }
+    }
+  }
+
+
+  // Write a request with a transaction ID of the forwarder's own, to wait for its response
+  _write(request) {
+    let id = this._takeTransactionId();
+
+    this._pending.set(id, request);
+
+    request.timer = setTimeout(() => this._fail(id, GATEWAY_TARGET_FAILED), this.timeout);
+
+    Promise.resolve()
+    .then(() => this.ble.write(mbap.setTransactionId(request.frame, id)))
+    .catch(() => this._fail(id, GATEWAY_PATH_UNAVAILABLE));
+  }
+
+
+  _takeTransactionId() {
+    let id = this._nextTransactionId;
+
+    this._nextTransactionId = (id === this._lastTransactionId) ? this._firstTransactionId : id + 1;
+
+    return id;
+  }
+
+
+  // Answer the requests whose responses were received
+  _onData(data) {
+    this._reader.push(data).forEach((frame) => {
+      let id = mbap.getTransactionId(frame);
+      let request = this._pending.get(id);
+
+      if (request) {
+        this._pending.delete(id);
+        clearTimeout(request.timer);
+
+        request.resolve(mbap.setTransactionId(frame, mbap.getTransactionId(request.frame)));
+      }
+    });
+
+    this._writeNext();
+  }
+
+
+  // Answer a written request with an exception, if it is still waiting for a response
+  _fail(id, code) {
+    let request = this._pending.get(id);
+
+    if (request) {
+      this._pending.delete(id);
+      clearTimeout(request.timer);
+
+      request.resolve(exceptionResponse(request.frame, code));
+      this._writeNext();
+    }
+  }
+
+};
@@ -0,0 +1,270 @@
+/**
+ * Modbus RTU pseudo-terminal in front of a dongle, so that tools that only speak Modbus
+ * RTU over a serial port can talk to a controller over BLE
+ *
+ * The pseudo-terminal is created by socat, which must be installed (e.g., 'apt install
+ * socat'); listen() rejects if it isn't. A link to it is made at a fixed path for the tool to open. RTU frames
+ * written to it are checked (see rtu.js), converted to MBAP frames and forwarded to the
+ * dongle as described in Forwarder.js. The responses are written back as RTU frames,
+ * each after the silence that delimits frames at the baud rate given. Frames with a
+ * wrong CRC are dropped, as a serial device would, and broadcasts (unit ID 0) are
+ * forwarded without an answer.
+ *
+ *   const { ModbusRtuPty } = require('@csllc/cs-mb-ble/lib/gateway');
+ *
+ *   let pty = new ModbusRtuPty({ uuid: 'default', path: '/tmp/ttyBLE' });
+ *
+ *   pty.listen()
+ *   .then(() => pty.ble.startScanning())
+ *   .then(() => pty.ble.open());
+ *
+ * Events:
+ * - 'frameError' - a frame that was too short, or had a wrong CRC, was dropped
+ * - 'close' - socat has exited, with an error unless close() was called
+ */
+'use strict';
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BleController = require('../..');
+const EventEmitter = require('../EventEmitter');
+const Forwarder = require('./Forwarder');
+const rtu = require('./rtu');
+
+// Link to the pseudo-terminal made when no path is given
+const DEFAULT_PATH = path.join(os.tmpdir(), 'ttyCSBLE');
+
+// Baud rate used for timing when none is given
+const DEFAULT_BAUD_RATE = 19200;
+
+// Transaction IDs given to the requests, kept apart from those of other masters using
+// the controller's 'data' events, which count up from 1, of ../shared/ControllerHost.js,
+// and of ModbusTcpGateway.js, so the pseudo-terminal can share a controller with any of
+// them
+const FIRST_TRANSACTION_ID = 0x6000;
+const LAST_TRANSACTION_ID = 0x7FFF;
+
+// Unit ID of requests that no device answers
+const BROADCAST_UNIT = 0;
+
+
+module.exports = class ModbusRtuPty extends EventEmitter {
+
+  /**
+   * @param {Object}        options             BleController constructor options, and:
+   * @param {String}        options.path        Where to link to the pseudo-terminal
+   *                                            (default: ttyCSBLE in the temporary
+   *                                            directory)
+   * @param {Number}        options.baudRate    Baud rate the tool is set to, for timing
+   *                                            (default 19200)
+   * @param {Number}        options.timeout     Milliseconds to wait for each response
+   *                                            (default 5000)
+   * @param {Stream}        options.port        Duplex stream to use instead of a
+   *                                            pseudo-terminal, e.g., a serial port
+   * @param {String}        options.socat       socat command (default: 'socat', from
+   *                                            the PATH)
+   * @param {BleController} options.controller  Controller to use, instead of one created
+   *                                            with the other options
+   */
+  constructor(options) {
+    // Sets up each of the instance's properties in turn
+    /* jshint maxstatements: false */
+    super();
+
+    options = Object.assign({}, options);
+
+    this.path = options.port ? null : (options.path || DEFAULT_PATH);
+
+    let baudRate = options.baudRate || DEFAULT_BAUD_RATE;
+    let timeout = options.timeout;
+
+    // Silence that ends a frame, and the time to send a character, in milliseconds
+    this._frameGap = rtu.frameGap(baudRate);
+    this._characterTime = 11 * 1000 / baudRate;
+
+    // Where requests are read from and responses written to
+    this._input = options.port || null;
+    this._output = options.port || null;
+
+    this._socatCommand = options.socat || 'socat';
+    this._socat = null;
+    this._slave = null;
+    this._closing = false;
+
+    // A controller given by the application is left for it to destroy
+    this._ownsController = !options.controller;
+
+    delete options.path;
+    delete options.baudRate;
+    delete options.timeout;
+    delete options.port;
+    delete options.socat;
+
+    this.ble = options.controller || new BleController(options);
+
+    this._forwarder = new Forwarder(this.ble, {
+      firstTransactionId: FIRST_TRANSACTION_ID,
+      lastTransactionId: LAST_TRANSACTION_ID,
+      timeout: timeout,
+    });
+
+    // The frame being received, and when the line is next quiet long enough to send
+    this._received = [];
+    this._frameTimer = null;
+    this._quietAt = 0;
+    this._replies = Promise.resolve();
+  }
+
+
+  /**
+   * Create the pseudo-terminal, or use the 'port' given, and start answering requests
+   *
+   * @return {Promise} Resolves with the path of the link to the pseudo-terminal (null
+   *                   with a 'port'), or rejects if socat can't be started
+   */
+  listen() {
+    let ready = this._input ? Promise.resolve() : this._startSocat();
+
+    return ready
+    .then(() => {
+      this._input.on('data', this._onData.bind(this));
+      return this.path;
+    });
+  }
+
+
+  /**
+   * Remove the pseudo-terminal. The controller is destroyed, unless it was given as the
+   * 'controller' option.
+   *
+   * @return {Promise} Resolves when complete
+   */
+  close() {
+    this._closing = true;
+
+    clearTimeout(this._frameTimer);
+    this._forwarder.destroy();
+
+    if (this._slave !== null) {
+      fs.closeSync(this._slave);
+      this._slave = null;
+    }
+
+    let stopped = Promise.resolve();
+
+    if (this._socat && (this._socat.exitCode === null)) {
+      stopped = new Promise((resolve) => {
+        this._socat.once('exit', () => resolve());
+        this._socat.kill();
+      });
+    }
+
+    return stopped
+    .then(() => {
+      if (this._ownsController) {
+        return this.ble.destroy();
+      }
+    });
+  }
+
+
+  // Start socat with a pseudo-terminal linked to this.path, and our end on its stdio
+  _startSocat() {
+    return new Promise((resolve, reject) => {
+      let output = '';
+
+      this._socat = childProcess.spawn(this._socatCommand, [
+        '-d', '-d', `PTY,link=${this.path},raw,echo=0`, 'STDIO',
+      ]);
+
+      this._socat.on('error', (err) => {
+        reject((err.code === 'ENOENT') ? new Error('socat is needed to create the pseudo-terminal') : err);
+      });
+
+      this._socat.stderr.on('data', (data) => {
+        let match = (output += data.toString()).match(/PTY is (\S+)/);
+
+        if (match && (this._slave === null) && !this._socat.killed) {
+          // Keep the terminal open, so socat doesn't stop when the tool closes it
+          try {
+            this._slave = fs.openSync(match[1], fs.constants.O_RDWR | fs.constants.O_NOCTTY);
+          } catch (err) {
+            this._socat.kill();
+            reject(err);
+            return;
+          }
+
+          this._input = this._socat.stdout;
+          this._output = this._socat.stdin;
+          resolve();
+        }
+      });
+
+      this._socat.on('exit', (code) => {
+        reject(new Error(`socat exited with code ${code}: ${output.trim()}`));
+
+        if (this._input) {
+          this.emit('close', this._closing ? null : new Error(`socat exited with code ${code}`));
+        }
+      });
+    });
+  }
+
+
+  // Collect the bytes of a frame until the line is quiet
+  _onData(data) {
+    this._received.push(data);
+    this._quietAt = Date.now() + this._frameGap;
+
+    clearTimeout(this._frameTimer);
+    this._frameTimer = setTimeout(() => {
+      let frame = Buffer.concat(this._received);
+
+      this._received = [];
+      this._onFrame(frame);
+    }, this._frameGap);
+  }
+
+
+  _onFrame(frame) {
+    if (!rtu.isValid(frame)) {
+      this.emit('frameError', new Error(`Dropped a frame of ${frame.length} bytes with a wrong CRC or length`));
+      return;
+    }
+
+    // No device answers a broadcast, so there's no response to wait for
+    if (frame[0] === BROADCAST_UNIT) {
+      this._forwarder.send(rtu.toMbap(frame));
+      return;
+    }
+
+    this._forwarder.forward(rtu.toMbap(frame), this)
+    .then(response => this._reply(rtu.fromMbap(response)));
+  }
+
+
+  // Write a response, once the line has been quiet long enough
+  _reply(frame) {
+    this._replies = this._replies
+    .then(() => {
+      let wait = this._quietAt - Date.now();
+
+      if (wait > 0) {
+        return new Promise(resolve => setTimeout(resolve, wait));
+      }
+    })
+    .then(() => {
+      if (!this._closing) {
+        this._output.write(frame);
+        this._quietAt = Date.now() + (frame.length * this._characterTime) + this._frameGap;
+      }
+    });
+  }
+
+};
+
+
+module.exports.DEFAULT_PATH = DEFAULT_PATH;
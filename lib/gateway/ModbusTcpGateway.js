@@ -0,0 +1,159 @@
+/**
+ * Modbus TCP server in front of a dongle, so that standard Modbus tools (e.g., modpoll)
+ * can talk to a controller over BLE
+ *
+ * Each MBAP frame received from a TCP client is forwarded to the dongle, and the response
+ * returned to the client, as described in Forwarder.js.
+ *
+ *   const { ModbusTcpGateway } = require('@csllc/cs-mb-ble/lib/gateway');
+ *
+ *   let gateway = new ModbusTcpGateway({ uuid: 'default', port: 5020 });
+ *
+ *   gateway.listen()
+ *   .then(() => gateway.ble.startScanning())
+ *   .then(() => gateway.ble.open());
+ *
+ * Events:
+ * - 'clientError' - a client's socket failed, or it sent a frame that isn't Modbus, or
+ *   one with an impossible length (a FrameError)
+ */
+'use strict';
+
+const net = require('net');
+
+const BleController = require('../..');
+const EventEmitter = require('../EventEmitter');
+const mbap = require('../mbap');
+const Forwarder = require('./Forwarder');
+
+// Port used when none is given (502, the standard port, needs root on most systems)
+const DEFAULT_PORT = 5020;
+
+// Transaction IDs given to the clients' requests, kept apart from those of other masters
+// using the controller's 'data' events, which count up from 1, of
+// ../shared/ControllerHost.js, and of ModbusRtuPty.js, so the gateway can share a
+// controller with any of them
+const FIRST_TRANSACTION_ID = 0x4000;
+const LAST_TRANSACTION_ID = 0x5FFF;
+
+
+module.exports = class ModbusTcpGateway extends EventEmitter {
+
+  /**
+   * @param {Object}        options             BleController constructor options, and:
+   * @param {Number}        options.port        TCP port to listen on (default 5020, or
+   *                                            0 for any free port)
+   * @param {String}        options.host        Address to listen on (default 127.0.0.1)
+   * @param {Number}        options.timeout     Milliseconds to wait for each response
+   *                                            (default 5000)
+   * @param {BleController} options.controller  Controller to use, instead of one created
+   *                                            with the other options
+   */
+  constructor(options) {
+    super();
+
+    options = Object.assign({}, options);
+
+    this.port = (options.port === undefined) ? DEFAULT_PORT : options.port;
+    this.host = options.host || '127.0.0.1';
+
+    let timeout = options.timeout;
+
+    // A controller given by the application is left for it to destroy
+    this._ownsController = !options.controller;
+
+    delete options.port;
+    delete options.host;
+    delete options.timeout;
+
+    this.ble = options.controller || new BleController(options);
+
+    this._forwarder = new Forwarder(this.ble, {
+      firstTransactionId: FIRST_TRANSACTION_ID,
+      lastTransactionId: LAST_TRANSACTION_ID,
+      timeout: timeout,
+    });
+
+    this._sockets = new Set();
+    this._server = net.createServer(this._accept.bind(this));
+  }
+
+
+  /**
+   * Start accepting clients
+   *
+   * @return {Promise} Resolves with the port listened on
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+
+      this._server.listen(this.port, this.host, () => {
+        this._server.removeListener('error', reject);
+        this.port = this._server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+
+  /**
+   * Disconnect the clients and stop listening. The controller is destroyed, unless it
+   * was given as the 'controller' option.
+   *
+   * @return {Promise} Resolves when complete
+   */
+  close() {
+    this._forwarder.destroy();
+
+    this._sockets.forEach(socket => socket.destroy());
+    this._sockets.clear();
+
+    return new Promise((resolve) => {
+      this._server.close(() => resolve());
+    })
+    .then(() => {
+      if (this._ownsController) {
+        return this.ble.destroy();
+      }
+    });
+  }
+
+
+  _accept(socket) {
+    // A frame with an impossible length leaves no way to find the next one
+    let reader = new mbap.FrameReader((err) => {
+      this.emit('clientError', err);
+      socket.destroy();
+    });
+
+    this._sockets.add(socket);
+
+    socket.on('data', (data) => {
+      reader.push(data).forEach((frame) => {
+        if ((mbap.getProtocolId(frame) !== 0) || (frame.length < mbap.HEADER_LENGTH + 2)) {
+          this.emit('clientError', new Error('Received a frame that is not a Modbus request'));
+          socket.destroy();
+        } else if (!socket.destroyed) {
+          this._forwarder.forward(frame, socket)
+          .then((response) => {
+            if (!socket.destroyed) {
+              socket.write(response);
+            }
+          });
+        }
+      });
+    });
+
+    socket.on('error', err => this.emit('clientError', err));
+
+    socket.on('close', () => {
+      this._sockets.delete(socket);
+      this._forwarder.discard(socket);
+    });
+  }
+
+};
+
+
+module.exports.DEFAULT_PORT = DEFAULT_PORT;
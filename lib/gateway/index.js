@@ -0,0 +1,12 @@
+/**
+ * Access to a dongle for software that isn't written for this module
+ *
+ * - ModbusTcpGateway - Modbus TCP server that forwards requests to the dongle
+ * - ModbusRtuPty - Modbus RTU pseudo-terminal that forwards requests to the dongle
+ */
+'use strict';
+
+module.exports = {
+  ModbusTcpGateway: require('./ModbusTcpGateway'),
+  ModbusRtuPty: require('./ModbusRtuPty'),
+};
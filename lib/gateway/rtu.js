@@ -0,0 +1,102 @@
+/**
+ * Helpers for Modbus RTU frames, and their conversion to and from the MBAP frames
+ * carried by the transparent UART (see ../mbap.js)
+ *
+ * An RTU frame is the unit ID and PDU followed by a CRC-16 (polynomial 0xA001, initial
+ * value 0xFFFF), low byte first. Frames are delimited by at least 3.5 character times of
+ * silence on the line.
+ */
+'use strict';
+
+const bytes = require('../bytes');
+const mbap = require('../mbap');
+
+// Shortest frame: unit ID, function code and CRC
+const MIN_FRAME_LENGTH = 4;
+
+
+/**
+ * @param {Uint8Array} data
+ * @return {Number} The CRC-16 of the data
+ */
+function crc16(data) {
+  let crc = 0xFFFF;
+
+  for (let i = 0; i < data.length; i++) {
+    crc ^= data[i];
+
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc & 1) ? ((crc >> 1) ^ 0xA001) : (crc >> 1);
+    }
+  }
+
+  return crc;
+}
+
+
+/**
+ * @param {Uint8Array} frame
+ * @return {Boolean} Whether the frame is long enough and its CRC is correct
+ */
+function isValid(frame) {
+  if (frame.length < MIN_FRAME_LENGTH) {
+    return false;
+  }
+
+  let crc = crc16(frame.subarray(0, frame.length - 2));
+
+  return (frame[frame.length - 2] === (crc & 0xFF)) && (frame[frame.length - 1] === (crc >> 8));
+}
+
+
+/**
+ * @param {Number} baudRate
+ * @return {Number} Milliseconds of silence that end a frame. Above 19200 baud, the
+ *                  fixed 1.75 ms recommended by the Modbus serial line specification.
+ */
+function frameGap(baudRate) {
+  return (baudRate > 19200) ? 1.75 : (3.5 * 11 * 1000 / baudRate);
+}
+
+
+/**
+ * @param {Uint8Array} frame  Valid RTU frame
+ * @return {Buffer|Uint8Array} The MBAP frame with the same unit ID and PDU, and a
+ *                             transaction ID of 0
+ */
+function toMbap(frame) {
+  let length = frame.length - 2;
+  let converted = new Uint8Array(mbap.HEADER_LENGTH + length);
+
+  converted[4] = length >> 8;
+  converted[5] = length & 0xFF;
+  converted.set(bytes.view(frame).subarray(0, length), mbap.HEADER_LENGTH);
+
+  return bytes.from(converted);
+}
+
+
+/**
+ * @param {Uint8Array} frame  MBAP frame
+ * @return {Buffer|Uint8Array} The RTU frame with the same unit ID and PDU
+ */
+function fromMbap(frame) {
+  let payload = bytes.view(frame).subarray(mbap.HEADER_LENGTH);
+  let converted = new Uint8Array(payload.length + 2);
+  let crc = crc16(payload);
+
+  converted.set(payload);
+  converted[payload.length] = crc & 0xFF;
+  converted[payload.length + 1] = crc >> 8;
+
+  return bytes.from(converted);
+}
+
+
+module.exports = {
+  crc16: crc16,
+  isValid: isValid,
+  frameGap: frameGap,
+  toMbap: toMbap,
+  fromMbap: fromMbap,
+};
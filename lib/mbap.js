@@ -0,0 +1,181 @@
+/**
+ * Helpers for the MBAP (Modbus TCP) frames carried by the transparent UART
+ *
+ * Each frame starts with a 6-byte header: transaction ID, protocol ID and the length of
+ * the rest of the frame (unit ID and PDU), each 16 bits, big-endian. The dongle answers
+ * a request with the same transaction ID, so it can be used to route responses when
+ * several Modbus masters share one connection.
+ */
+'use strict';
+
+const bytes = require('./bytes');
+const errors = require('./errors');
+
+// Length of the header, up to and including the length field
+const HEADER_LENGTH = 6;
+
+// Range of the length field: a unit ID and function code, up to a unit ID and the
+// largest PDU (253 bytes)
+const MIN_LENGTH = 2;
+const MAX_LENGTH = 254;
+
+
+/**
+ * @param {Uint8Array} data  Start of a frame
+ * @return {Number} Length of the whole frame, or null if the header isn't complete
+ */
+function frameLength(data) {
+  if (data.length < HEADER_LENGTH) {
+    return null;
+  }
+
+  return HEADER_LENGTH + ((data[4] << 8) | data[5]);
+}
+
+
+/**
+ * @param {Uint8Array} data  Start of a frame, with a complete header
+ * @return {String} What is wrong with the header, or null if it is valid
+ */
+function checkHeader(data) {
+  let length = (data[4] << 8) | data[5];
+
+  if (length < MIN_LENGTH) {
+    return `the header gives a length of ${length}, which is too short for a request or response`;
+  } else if (length > MAX_LENGTH) {
+    return `the header gives a length of ${length}, which is longer than the maximum of ${MAX_LENGTH}`;
+  }
+
+  return null;
+}
+
+
+/**
+ * @param {Uint8Array} frame
+ * @return {Number} The frame's transaction ID
+ */
+function getTransactionId(frame) {
+  return (frame[0] << 8) | frame[1];
+}
+
+
+/**
+ * @param {Uint8Array} frame
+ * @return {Number} The frame's protocol ID, which is 0 for Modbus
+ */
+function getProtocolId(frame) {
+  return (frame[2] << 8) | frame[3];
+}
+
+
+/**
+ * @param {Uint8Array} frame
+ * @param {Number}     id     Transaction ID
+ * @return {Buffer|Uint8Array} A copy of the frame with the transaction ID replaced
+ */
+function setTransactionId(frame, id) {
+  let copy = bytes.from(frame);
+
+  copy[0] = (id >> 8) & 0xFF;
+  copy[1] = id & 0xFF;
+
+  return copy;
+}
+
+
+// A Uint8Array holding the bytes received so far and those of a new chunk
+function append(received, chunk) {
+  let buffer = new Uint8Array(received.length + chunk.length);
+
+  buffer.set(received);
+  buffer.set(bytes.view(chunk), received.length);
+
+  return buffer;
+}
+
+
+/**
+ * Reassembles frames from the chunks they are received in
+ *
+ * Data whose header gives an impossible length (see checkHeader()) is discarded, along
+ * with the rest of the chunk, as the start of the next frame can't be known.
+ */
+class FrameReader {
+
+  /**
+   * @param {Function} onError  Called with a FrameError (see ./errors.js) for each
+   *                            header that is discarded
+   */
+  constructor(onError) {
+    this._buffer = new Uint8Array(0);
+    this._onError = onError || function() {};
+  }
+
+
+  /**
+   * @return {Number} The number of bytes received of a frame that isn't complete
+   */
+  get pending() {
+    return this._buffer.length;
+  }
+
+
+  /**
+   * Add received data
+   *
+   * @param {Uint8Array} chunk
+   * @return {Array<Buffer|Uint8Array>} The frames completed by the chunk
+   */
+  push(chunk) {
+    let buffer = append(this._buffer, chunk);
+    let frames = [];
+    let length = frameLength(buffer);
+
+    while (length !== null) {
+      let problem = checkHeader(buffer);
+
+      if (problem) {
+        this._onError(new errors.FrameError(problem, bytes.from(buffer)));
+        buffer = new Uint8Array(0);
+        break;
+      } else if (buffer.length < length) {
+        break;
+      }
+
+      frames.push(bytes.from(buffer.subarray(0, length)));
+
+      buffer = buffer.subarray(length);
+      length = frameLength(buffer);
+    }
+
+    this._buffer = buffer;
+
+    return frames;
+  }
+
+
+  /**
+   * Discard a partly received frame, e.g., when the connection is lost
+   *
+   * @return {Buffer|Uint8Array} The bytes discarded
+   */
+  reset() {
+    let discarded = bytes.from(this._buffer);
+
+    this._buffer = new Uint8Array(0);
+
+    return discarded;
+  }
+
+}
+
+
+module.exports = {
+  HEADER_LENGTH: HEADER_LENGTH,
+  frameLength: frameLength,
+  checkHeader: checkHeader,
+  getTransactionId: getTransactionId,
+  getProtocolId: getProtocolId,
+  setTransactionId: setTransactionId,
+  FrameReader: FrameReader,
+};
@@ -0,0 +1,198 @@
+/**
+ * Simulated navigator.bluetooth object
+ *
+ * An instance of this class can be passed as the 'bluetooth' option of BleController
+ * in place of a real Web Bluetooth implementation. Peripherals are MockPeripheral
+ * instances that are "in range" once added with addPeripheral() or the 'peripherals'
+ * constructor option.
+ *
+ * Device selection follows the webbluetooth module: when a 'deviceFound' function is
+ * provided, it is called for each advertisement from a matching peripheral with a
+ * callback that selects it, and requestDevice() settles when a peripheral is selected
+ * (or deviceFound returns true). Otherwise, the first matching peripheral is selected,
+ * as if the user had picked it in a chooser.
+ *
+ * While a request is pending, advertise() reports another advertisement from a
+ * peripheral, e.g., after changing its adData.rssi, and peripherals added with
+ * addPeripheral() are reported as they come into range.
+ *
+ * Peripherals that have been selected are returned by getDevices(), as the devices the
+ * page has permission to use are in Web Bluetooth.
+ */
+'use strict';
+
+const MockEventTarget = require('./MockEventTarget');
+
+
+module.exports = class MockBluetooth extends MockEventTarget {
+
+  /**
+   * @param {Object}                options
+   * @param {Array<MockPeripheral>} options.peripherals  Peripherals in range
+   * @param {Boolean}               options.available    Reported BLE availability (default true)
+   * @param {Function}              options.deviceFound  Device selection function
+   */
+  constructor(options) {
+    super();
+
+    options = options || {};
+
+    this.peripherals = (options.peripherals || []).slice();
+
+    this.available = (options.available === undefined) ? true : options.available;
+
+    // Public, as in the webbluetooth module, so that it can be replaced for each request
+    this.deviceFound = options.deviceFound || null;
+
+    // Filters and selection function of the pending requestDevice() call
+    this._request = null;
+
+    // Peripherals that have been selected
+    this._permitted = new Set();
+  }
+
+
+  /**
+   * Bring a peripheral into range
+   *
+   * @param {MockPeripheral} peripheral
+   * @return {None}
+   */
+  addPeripheral(peripheral) {
+    this.peripherals.push(peripheral);
+    this.advertise(peripheral);
+  }
+
+
+  /**
+   * Take a peripheral out of range
+   *
+   * @param {MockPeripheral} peripheral
+   * @return {None}
+   */
+  removePeripheral(peripheral) {
+    this.peripherals = this.peripherals.filter(p => p !== peripheral);
+  }
+
+
+  /**
+   * Change the reported availability and fire 'availabilitychanged'
+   *
+   * @param {Boolean} available
+   * @return {None}
+   */
+  setAvailability(available) {
+    this.available = available;
+    this.dispatch('availabilitychanged', { value: available });
+  }
+
+
+  getAvailability() {
+    return Promise.resolve(this.available);
+  }
+
+
+  /**
+   * @return {Promise} Resolves with the peripherals that have been selected by
+   *                   requestDevice(), whether or not they are in range
+   */
+  getDevices() {
+    return Promise.resolve(Array.from(this._permitted));
+  }
+
+
+  /**
+   * Report an advertisement from a peripheral to the pending requestDevice() call, if
+   * there is one and the peripheral matches its filters
+   *
+   * @param {MockPeripheral} peripheral
+   * @return {None}
+   */
+  advertise(peripheral) {
+    let request = this._request;
+
+    if (request && this.deviceFound && matchesRequest(peripheral, request.options)) {
+      if (this.deviceFound(peripheral, () => request.select(peripheral)) === true) {
+        request.select(peripheral);
+      }
+    }
+  }
+
+
+  /**
+   * Stop the pending requestDevice() call without selecting a peripheral. As in the
+   * webbluetooth module, the request is left unsettled.
+   *
+   * @return {Promise} Resolves when scanning has stopped
+   */
+  cancelRequest() {
+    this._request = null;
+    return Promise.resolve();
+  }
+
+
+  /**
+   * Select a peripheral matching the requested filters
+   *
+   * @param {Object} options  Web Bluetooth RequestDeviceOptions
+   * @return {Promise} Resolves with the selected MockPeripheral
+   */
+  requestDevice(options) {
+    options = options || {};
+
+    if (!this.available) {
+      return Promise.reject(new Error('Bluetooth adapter not available.'));
+    }
+
+    let matches = this.peripherals.filter(peripheral => matchesRequest(peripheral, options));
+
+    if (this.deviceFound) {
+      return new Promise((resolve) => {
+        let request = {
+          options: options,
+          select: (peripheral) => {
+            if (this._request === request) {
+              this._request = null;
+              this._permitted.add(peripheral);
+              resolve(peripheral);
+            }
+          },
+        };
+
+        this._request = request;
+
+        matches.forEach(peripheral => this.advertise(peripheral));
+      });
+    } else if (matches.length > 0) {
+      this._permitted.add(matches[0]);
+      return Promise.resolve(matches[0]);
+    } else {
+      return Promise.reject(new Error('User cancelled the requestDevice() chooser.'));
+    }
+  }
+
+};
+
+
+// Test a peripheral against the filters of a Web Bluetooth requestDevice() call
+function matchesRequest(peripheral, options) {
+  return options.acceptAllDevices || (options.filters || []).some(f => matchesFilter(peripheral, f));
+}
+
+
+// Test a peripheral against a single Web Bluetooth scan filter
+function matchesFilter(peripheral, filter) {
+  if (filter.name && (filter.name !== peripheral.name)) {
+    return false;
+  }
+
+  if (filter.namePrefix && !(peripheral.name || '').startsWith(filter.namePrefix)) {
+    return false;
+  }
+
+  if (filter.services && !filter.services.every(uuid => peripheral.uuids.indexOf(uuid) !== -1)) {
+    return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,168 @@
+/**
+ * In-memory simulation of a device (e.g., a motor controller) attached to a dongle
+ *
+ * The simulated dongle forwards Modbus requests that aren't addressed to itself to
+ * the MockController with the matching unit ID. The controller keeps a flat memory
+ * map and a set of objects, and answers the CS-specific memory and object functions.
+ *
+ * Events are emitted as follows:
+ * - 'write' - Memory was written; arguments are the address and the written Buffer
+ * - 'request' - A request PDU was received
+ */
+'use strict';
+
+const { Buffer } = require('buffer');
+const EventEmitter = require('events').EventEmitter;
+
+// Modbus function codes handled by the simulated controller
+const FC_READ_OBJECT = 0x43;
+const FC_WRITE_OBJECT = 0x44;
+const FC_READ_MEMORY = 0x45;
+const FC_WRITE_MEMORY = 0x46;
+const FC_WRITE_MEMORY_VERIFY = 0x64;
+
+// Modbus exception codes
+const EXCEPTION_ILLEGAL_FUNCTION = 0x01;
+const EXCEPTION_ILLEGAL_ADDRESS = 0x02;
+const EXCEPTION_ILLEGAL_VALUE = 0x03;
+
+
+module.exports = class MockController extends EventEmitter {
+
+  /**
+   * @param {Object}  options
+   * @param {Number}  options.id          Modbus unit ID of the controller (default 1)
+   * @param {Number}  options.memorySize  Size of the memory map in bytes (default 64k)
+   * @param {Object}  options.objects     Initial object values, keyed by object ID
+   */
+  constructor(options) {
+    super();
+
+    options = options || {};
+
+    this.id = (options.id === undefined) ? 1 : options.id;
+
+    this.memory = Buffer.alloc(options.memorySize || 0x10000);
+
+    this.objects = {};
+
+    Object.keys(options.objects || {}).forEach((objectId) => {
+      this.objects[objectId] = Buffer.from(options.objects[objectId]);
+    });
+  }
+
+
+  /**
+   * Read a block of memory
+   *
+   * @param {Number} address  Start address
+   * @param {Number} length   Number of bytes
+   * @return {Buffer} Copy of the memory contents
+   */
+  readMemory(address, length) {
+    return Buffer.from(this.memory.slice(address, address + length));
+  }
+
+
+  /**
+   * Write a block of memory and notify listeners of the change
+   *
+   * @param {Number} address  Start address
+   * @param {Buffer} data     Data to be written
+   * @return {None}
+   */
+  writeMemory(address, data) {
+    Buffer.from(data).copy(this.memory, address);
+    this.emit('write', address, Buffer.from(data));
+  }
+
+
+  /**
+   * Handle a request PDU (function code followed by data) and build the response PDU
+   *
+   * @param {Buffer} pdu  Request PDU
+   * @return {Buffer} Response PDU, which may be an exception response
+   */
+  handleRequest(pdu) {
+    this.emit('request', pdu);
+
+    switch(pdu[0]) {
+    case FC_READ_MEMORY:
+      return this._handleReadMemory(pdu);
+    case FC_WRITE_MEMORY:
+    case FC_WRITE_MEMORY_VERIFY:
+      return this._handleWriteMemory(pdu);
+    case FC_READ_OBJECT:
+      return this._handleReadObject(pdu);
+    case FC_WRITE_OBJECT:
+      return this._handleWriteObject(pdu);
+    default:
+      return exception(pdu[0], EXCEPTION_ILLEGAL_FUNCTION);
+    }
+  }
+
+
+  _handleReadMemory(pdu) {
+    if (pdu.length < 4) {
+      return exception(pdu[0], EXCEPTION_ILLEGAL_VALUE);
+    }
+
+    let address = pdu.readUInt16BE(1);
+    let count = pdu[3];
+
+    if (address + count > this.memory.length) {
+      return exception(pdu[0], EXCEPTION_ILLEGAL_ADDRESS);
+    }
+
+    return Buffer.concat([Buffer.from([pdu[0]]), this.readMemory(address, count)]);
+  }
+
+
+  _handleWriteMemory(pdu) {
+    if (pdu.length < 4) {
+      return exception(pdu[0], EXCEPTION_ILLEGAL_VALUE);
+    }
+
+    let address = pdu.readUInt16BE(1);
+    let data = pdu.slice(3);
+
+    if (address + data.length > this.memory.length) {
+      return exception(pdu[0], EXCEPTION_ILLEGAL_ADDRESS);
+    }
+
+    this.writeMemory(address, data);
+
+    return Buffer.from([pdu[0], 0]);
+  }
+
+
+  _handleReadObject(pdu) {
+    let value = this.objects[pdu[1]];
+
+    if (pdu.length < 2 || !value) {
+      return exception(pdu[0], EXCEPTION_ILLEGAL_ADDRESS);
+    }
+
+    return Buffer.concat([Buffer.from([pdu[0], value.length]), value]);
+  }
+
+
+  _handleWriteObject(pdu) {
+    if (pdu.length < 4 || pdu.length < 3 + pdu[2]) {
+      return exception(pdu[0], EXCEPTION_ILLEGAL_VALUE);
+    }
+
+    this.objects[pdu[1]] = Buffer.from(pdu.slice(3, 3 + pdu[2]));
+
+    return Buffer.from([pdu[0], 0]);
+  }
+
+};
+
+
+// Build an exception response PDU for the given function code
+function exception(functionCode, exceptionCode) {
+  return Buffer.from([functionCode | 0x80, exceptionCode]);
+}
+
+module.exports.exception = exception;
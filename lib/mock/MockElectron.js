@@ -0,0 +1,215 @@
+/**
+ * Simulated Electron main and renderer processes, for testing the 'electron' backend and
+ * lib/electron's DevicePicker without Electron
+ *
+ * Each window created with createWindow() has:
+ *
+ * - webContents - the main process's side of the window. It emits
+ *   'select-bluetooth-device' as Electron does, and its send() delivers messages to the
+ *   window's ipcRenderer.
+ * - ipcRenderer - whose send() delivers messages to the shared ipcMain, with the
+ *   window's webContents as the event's 'sender'
+ * - bluetooth - the renderer's navigator.bluetooth, a MockBluetooth whose requestDevice()
+ *   reports matching peripherals in a growing device list with each
+ *   'select-bluetooth-device' event, and settles when the event's callback is called.
+ *   Calling it with '' rejects the request, as when the user cancels Electron's chooser.
+ *
+ * The 'session' has setBluetoothPairingHandler(). Peripherals that require pairing (see
+ * MockPeripheral's 'pairing' option) call the handler, as Electron does, when an
+ * operation needs it; without a handler, pairing fails.
+ *
+ * IPC messages are delivered asynchronously, as in Electron.
+ *
+ * Usage:
+ *
+ *   const { DevicePicker } = require('@csllc/cs-mb-ble/lib/electron');
+ *   const { MockElectron, MockPeripheral } = require('@csllc/cs-mb-ble/lib/mock');
+ *
+ *   let electron = new MockElectron({ peripherals: [ new MockPeripheral() ] });
+ *   let win = electron.createWindow();
+ *
+ *   new DevicePicker({ ipcMain: electron.ipcMain }).attach(win.webContents);
+ *
+ *   let ble = new BleController({
+ *     name: 'CS1816',
+ *     bluetooth: win.bluetooth,
+ *     ipcRenderer: win.ipcRenderer,
+ *   });
+ */
+'use strict';
+
+const EventEmitter = require('../EventEmitter');
+const MockBluetooth = require('./MockBluetooth');
+
+
+// Deliver an IPC message after the current operation, as Electron does
+function deliver(target, channel, sender, args) {
+  Promise.resolve().then(() => {
+    target.emit(channel, { sender: sender }, ...args);
+  });
+}
+
+
+class MockWebContents extends EventEmitter {
+
+  constructor(id) {
+    super();
+
+    this.id = id;
+    this.ipcRenderer = null;
+    this.destroyed = false;
+  }
+
+
+  send(channel, ...args) {
+    if (!this.destroyed) {
+      deliver(this.ipcRenderer, channel, this, args);
+    }
+  }
+
+
+  /**
+   * Close the window
+   *
+   * @return {None}
+   */
+  destroy() {
+    this.destroyed = true;
+    this.emit('destroyed');
+  }
+
+}
+
+
+class MockIpcRenderer extends EventEmitter {
+
+  constructor(ipcMain, webContents) {
+    super();
+
+    this.ipcMain = ipcMain;
+    this.webContents = webContents;
+  }
+
+
+  send(channel, ...args) {
+    if (!this.webContents.destroyed) {
+      deliver(this.ipcMain, channel, this.webContents, args);
+    }
+  }
+
+}
+
+
+class MockElectronBluetooth extends MockBluetooth {
+
+  constructor(webContents, options) {
+    super(options);
+
+    this.webContents = webContents;
+  }
+
+
+  requestDevice(options) {
+    let deviceList = [];
+    let selectors = new Map();
+    let cancel;
+
+    let cancelled = new Promise((resolve, reject) => {
+      cancel = reject;
+    });
+
+    // Called with the ID chosen in the main process
+    let callback = (deviceId) => {
+      if (selectors.has(deviceId)) {
+        selectors.get(deviceId)();
+      } else {
+        let err = new Error('User cancelled the requestDevice() chooser.');
+
+        err.name = 'NotFoundError';
+
+        this.cancelRequest();
+        cancel(err);
+      }
+    };
+
+    this.deviceFound = (peripheral, select) => {
+      if (!selectors.has(peripheral.id)) {
+        selectors.set(peripheral.id, select);
+        deviceList.push({ deviceId: peripheral.id, deviceName: peripheral.name });
+      }
+
+      this.webContents.emit('select-bluetooth-device', { preventDefault: () => {} },
+                            deviceList.slice(), callback);
+
+      return false;
+    };
+
+    return Promise.race([ super.requestDevice(options), cancelled ]);
+  }
+
+}
+
+
+module.exports = class MockElectron {
+
+  /**
+   * @param {Object}                options
+   * @param {Array<MockPeripheral>} options.peripherals  Peripherals in range of every
+   *                                                     window's navigator.bluetooth
+   */
+  constructor(options) {
+    this.options = options || {};
+
+    this.ipcMain = new EventEmitter();
+
+    this._nextId = 1;
+    this._pairingHandler = null;
+
+    this.session = {
+      setBluetoothPairingHandler: (handler) => {
+        this._pairingHandler = handler;
+      },
+    };
+
+    (this.options.peripherals || []).forEach((peripheral) => {
+      peripheral.pairingAgent = this._pair.bind(this);
+    });
+  }
+
+
+  /**
+   * Ask the session's pairing handler to pair with a peripheral
+   *
+   * @param {Object} details  'deviceId' and 'pairingKind'
+   * @return {Promise} Resolves with the handler's response
+   */
+  _pair(details) {
+    if (!this._pairingHandler) {
+      return Promise.resolve({ confirmed: false });
+    }
+
+    return new Promise((resolve) => {
+      this._pairingHandler(Object.assign({ frame: null }, details), resolve);
+    });
+  }
+
+
+  /**
+   * Create a window
+   *
+   * @return {Object} The window's 'webContents', 'ipcRenderer' and 'bluetooth'
+   */
+  createWindow() {
+    let webContents = new MockWebContents(this._nextId++);
+    let ipcRenderer = new MockIpcRenderer(this.ipcMain, webContents);
+
+    webContents.ipcRenderer = ipcRenderer;
+
+    return {
+      webContents: webContents,
+      ipcRenderer: ipcRenderer,
+      bluetooth: new MockElectronBluetooth(webContents, this.options),
+    };
+  }
+
+};
@@ -0,0 +1,62 @@
+/**
+ * Minimal stand-in for the DOM EventTarget interface used by Web Bluetooth objects
+ *
+ * The simulated Bluetooth objects in this directory dispatch events the same way
+ * navigator.bluetooth does: listeners registered with addEventListener() are called
+ * with an event object whose 'target' member refers to the dispatching object.
+ */
+'use strict';
+
+module.exports = class MockEventTarget {
+
+  constructor() {
+    this._listeners = {};
+  }
+
+
+  /**
+   * Register a listener for the specified event type
+   *
+   * @param {String}   type      Event type
+   * @param {Function} listener  Function called with the event object
+   * @return {None}
+   */
+  addEventListener(type, listener) {
+    this._listeners[type] = this._listeners[type] || [];
+
+    if (this._listeners[type].indexOf(listener) === -1) {
+      this._listeners[type].push(listener);
+    }
+  }
+
+
+  /**
+   * Remove a listener previously registered with addEventListener()
+   *
+   * @param {String}   type      Event type
+   * @param {Function} listener  Function to be removed
+   * @return {None}
+   */
+  removeEventListener(type, listener) {
+    if (this._listeners[type]) {
+      this._listeners[type] = this._listeners[type].filter(l => l !== listener);
+    }
+  }
+
+
+  /**
+   * Call every listener registered for the specified event type
+   *
+   * @param {String} type   Event type
+   * @param {Object} props  Additional members of the event object
+   * @return {None}
+   */
+  dispatch(type, props) {
+    let event = Object.assign({ type: type, target: this }, props);
+
+    (this._listeners[type] || []).slice().forEach((listener) => {
+      listener(event);
+    });
+  }
+
+};
@@ -0,0 +1,246 @@
+/**
+ * Simulated GATT server, service and characteristic objects
+ *
+ * These mirror the parts of the Web Bluetooth BluetoothRemoteGATTServer,
+ * BluetoothRemoteGATTService and BluetoothRemoteGATTCharacteristic interfaces that
+ * BleDevice uses. Behavior behind the characteristics (what happens when one is
+ * written, what value a read returns) is supplied by MockPeripheral through the
+ * 'onRead' and 'onWrite' hooks.
+ */
+'use strict';
+
+const { Buffer } = require('buffer');
+
+const MockEventTarget = require('./MockEventTarget');
+
+
+// Convert a Buffer or array of bytes to a DataView that doesn't share memory with
+// Node's Buffer pool, since consumers call Buffer.from(value.buffer)
+function toDataView(bytes) {
+  return new DataView(Uint8Array.from(bytes).buffer);
+}
+
+
+class MockCharacteristic extends MockEventTarget {
+
+  /**
+   * @param {MockService} service  Service this characteristic belongs to
+   * @param {String}      uuid     Characteristic UUID
+   * @param {Object}      hooks    Optional 'onRead' and 'onWrite' functions, and 'secure'
+   *                               if the characteristic can only be used once the
+   *                               device is paired (see MockPeripheral's 'pairing' option)
+   */
+  constructor(service, uuid, hooks) {
+    super();
+
+    hooks = hooks || {};
+
+    this.service = service;
+    this.uuid = uuid;
+    this.value = toDataView([]);
+
+    this.notifying = false;
+
+    this._onRead = hooks.onRead || null;
+    this._onWrite = hooks.onWrite || null;
+    this._secure = Boolean(hooks.secure);
+  }
+
+
+  _checkConnected() {
+    if (!this.service.device.gatt.connected) {
+      return Promise.reject(new Error('GATT Server is disconnected. Cannot perform GATT operations.'));
+    }
+
+    // A device that requires pairing asks for it, as an operating system would
+    return this._secure ? this.service.device._authorize() : Promise.resolve();
+  }
+
+
+  readValue() {
+    return this._checkConnected()
+    .then(() => {
+      if (this._onRead) {
+        this.value = toDataView(this._onRead());
+      }
+
+      return this.value;
+    });
+  }
+
+
+  writeValue(value) {
+    return this._checkConnected()
+    .then(() => {
+      if (this._onWrite) {
+        this._onWrite(Buffer.from(value));
+      }
+    });
+  }
+
+
+  writeValueWithResponse(value) {
+    return this.writeValue(value);
+  }
+
+
+  writeValueWithoutResponse(value) {
+    return this.writeValue(value);
+  }
+
+
+  startNotifications() {
+    return this._checkConnected()
+    .then(() => {
+      this.notifying = true;
+      return this;
+    });
+  }
+
+
+  stopNotifications() {
+    return this._checkConnected()
+    .then(() => {
+      this.notifying = false;
+      return this;
+    });
+  }
+
+
+  /**
+   * Update the characteristic's value, and emit a notification if subscribed
+   *
+   * @param {Buffer} bytes  New value
+   * @return {None}
+   */
+  notify(bytes) {
+    this.value = toDataView(bytes);
+
+    if (this.notifying && this.service.device.gatt.connected) {
+      this.dispatch('characteristicvaluechanged');
+    }
+  }
+
+}
+
+
+class MockService {
+
+  /**
+   * @param {MockPeripheral} device  Device this service belongs to
+   * @param {String}         uuid    Service UUID
+   */
+  constructor(device, uuid) {
+    this.device = device;
+    this.uuid = uuid;
+    this.isPrimary = true;
+
+    this.characteristics = [];
+  }
+
+
+  addCharacteristic(uuid, hooks) {
+    let characteristic = new MockCharacteristic(this, uuid, hooks);
+
+    this.characteristics.push(characteristic);
+
+    return characteristic;
+  }
+
+
+  getCharacteristic(uuid) {
+    let characteristic = this.characteristics.find(c => c.uuid === uuid);
+
+    if (characteristic) {
+      return Promise.resolve(characteristic);
+    } else {
+      return Promise.reject(new Error(`No Characteristics matching UUID ${uuid} found in Service.`));
+    }
+  }
+
+
+  getCharacteristics() {
+    return Promise.resolve(this.characteristics.slice());
+  }
+
+}
+
+
+class MockGattServer {
+
+  /**
+   * @param {MockPeripheral} device  Device this server belongs to
+   */
+  constructor(device) {
+    this.device = device;
+    this.connected = false;
+
+    this.services = [];
+  }
+
+
+  addService(uuid) {
+    let service = new MockService(this.device, uuid);
+
+    this.services.push(service);
+
+    return service;
+  }
+
+
+  connect() {
+    return this.device._connect()
+    .then(() => {
+      this.connected = true;
+      return this;
+    });
+  }
+
+
+  disconnect() {
+    if (this.connected) {
+      this.connected = false;
+
+      // As in Web Bluetooth, attribute objects from a previous connection no longer
+      // deliver notifications once the connection is lost
+      this.services.forEach((service) => {
+        service.characteristics.forEach((characteristic) => {
+          characteristic.notifying = false;
+          characteristic._listeners = {};
+        });
+      });
+
+      this.device.dispatch('gattserverdisconnected');
+    }
+  }
+
+
+  getPrimaryService(uuid) {
+    let service = this.services.find(s => s.uuid === uuid);
+
+    if (!this.connected) {
+      return Promise.reject(new Error('GATT Server is disconnected. Cannot retrieve services.'));
+    } else if (service) {
+      return Promise.resolve(service);
+    } else {
+      return Promise.reject(new Error(`No Services matching UUID ${uuid} found in Device.`));
+    }
+  }
+
+
+  getPrimaryServices() {
+    if (!this.connected) {
+      return Promise.reject(new Error('GATT Server is disconnected. Cannot retrieve services.'));
+    }
+
+    return Promise.resolve(this.services.slice());
+  }
+
+}
+
+
+module.exports = {
+  MockGattServer: MockGattServer,
+  MockService: MockService,
+  MockCharacteristic: MockCharacteristic,
+};
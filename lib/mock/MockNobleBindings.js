@@ -0,0 +1,369 @@
+/**
+ * Simulated noble bindings, for testing the 'noble' backend without a Bluetooth adapter
+ *
+ * noble talks to the adapter through a bindings object: noble calls its methods
+ * (startScanning, connect, read, ...) and it reports the results as events. This one
+ * does so for MockPeripheral instances, using their simulated GATT servers, and imitates
+ * the HCI socket bindings used on Linux:
+ *
+ * - an '_hci' object reports each advertisement as a raw 'leAdvertisingReport' before it
+ *   is reported to noble, and connection parameters with 'leConnComplete'
+ * - reading a characteristic that has notifications enabled reports the value as a
+ *   notification, as the macOS bindings do
+ *
+ * Usage:
+ *
+ *   const NobleBackend = require('@csllc/cs-mb-ble/lib/backend/NobleBackend');
+ *   const { MockNobleBindings, MockPeripheral } = require('@csllc/cs-mb-ble/lib/mock');
+ *
+ *   let ble = new BleController({
+ *     name: 'CS1816',
+ *     backend: new NobleBackend({
+ *       bindings: new MockNobleBindings({ peripherals: [ new MockPeripheral() ] }),
+ *     }),
+ *   });
+ */
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+
+// Base of the 128-bit UUIDs that Bluetooth SIG 16-bit UUIDs stand for
+const BASE_UUID_SUFFIX = '-0000-1000-8000-00805f9b34fb';
+
+// Advertising data types used in the raw advertisement
+const AD_FLAGS = 0x01;
+const AD_COMPLETE_LOCAL_NAME = 0x09;
+const AD_MANUFACTURER_DATA = 0xFF;
+
+// HCI advertising report type of a connectable undirected advertisement
+const ADV_IND = 0x00;
+
+// Connection parameters reported when connected: interval (ms), latency, and
+// supervision timeout (ms)
+const CONNECTION_INTERVAL = 30;
+const CONNECTION_LATENCY = 0;
+const SUPERVISION_TIMEOUT = 4000;
+
+// Default ATT MTU
+const DEFAULT_MTU = 23;
+
+
+module.exports = class MockNobleBindings extends EventEmitter {
+
+  /**
+   * @param {Object}                options
+   * @param {Array<MockPeripheral>} options.peripherals  Peripherals in range
+   * @param {Boolean}               options.available    Whether the adapter is powered on
+   *                                                     (default true)
+   */
+  constructor(options) {
+    super();
+
+    options = options || {};
+
+    this.peripherals = [];
+
+    this.available = (options.available === undefined) ? true : options.available;
+
+    this.scanning = false;
+
+    // Set by stop()
+    this.stopped = false;
+
+    // Imitates the HCI interface of the HCI socket bindings
+    this._hci = new EventEmitter();
+
+    // Addresses assigned to peripherals, and connection handles, keyed by peripheral ID
+    this._addresses = new Map();
+    this._handles = new Map();
+    this._nextHandle = 64;
+
+    // Notification listeners added to characteristics by notify()
+    this._notifyListeners = new Map();
+
+    this._onDisconnected = (event) => {
+      let handle = this._handles.get(event.target.id);
+
+      this._handles.delete(event.target.id);
+
+      // The simulated GATT server drops its notification listeners on disconnection
+      this._notifyListeners.forEach((listener, characteristic) => {
+        if (characteristic.service.device === event.target) {
+          this._notifyListeners.delete(characteristic);
+        }
+      });
+
+      if (handle !== undefined) {
+        // Remote user terminated connection
+        this.emit('disconnect', event.target.id, 0x13);
+      }
+    };
+
+    (options.peripherals || []).forEach(peripheral => this.addPeripheral(peripheral));
+  }
+
+
+  /**
+   * Bring a peripheral into range
+   *
+   * @param {MockPeripheral} peripheral
+   * @return {None}
+   */
+  addPeripheral(peripheral) {
+    let n = this.peripherals.length + 1;
+
+    this.peripherals.push(peripheral);
+    this._addresses.set(peripheral.id, `c0:00:00:00:00:${n.toString(16).padStart(2, '0')}`);
+
+    peripheral.addEventListener('gattserverdisconnected', this._onDisconnected);
+
+    this.advertise(peripheral);
+  }
+
+
+  /**
+   * @param {MockPeripheral} peripheral
+   * @return {String} Address assigned to the peripheral
+   */
+  addressOf(peripheral) {
+    return this._addresses.get(peripheral.id);
+  }
+
+
+  /**
+   * Report an advertisement from a peripheral, if scanning, e.g., after changing its
+   * adData.rssi
+   *
+   * @param {MockPeripheral} peripheral
+   * @return {None}
+   */
+  advertise(peripheral) {
+    if (!this.scanning) {
+      return;
+    }
+
+    let address = this.addressOf(peripheral);
+    let manufacturerData = null;
+
+    peripheral.adData.manufacturerData.forEach((data, companyIdentifier) => {
+      let id = Buffer.alloc(2);
+
+      id.writeUInt16LE(companyIdentifier);
+      manufacturerData = Buffer.concat([ id, Buffer.from(data.buffer, data.byteOffset, data.byteLength) ]);
+    });
+
+    let structures = [
+      adStructure(AD_FLAGS, Buffer.from([ 0x06 ])),
+      adStructure(AD_COMPLETE_LOCAL_NAME, Buffer.from(peripheral.name)),
+    ];
+
+    if (manufacturerData) {
+      structures.push(adStructure(AD_MANUFACTURER_DATA, manufacturerData));
+    }
+
+    this._hci.emit('leAdvertisingReport', 0, ADV_IND, address, 'random',
+                   Buffer.concat(structures), peripheral.adData.rssi);
+
+    this.emit('discover', peripheral.id, address, 'random', peripheral.connectable, {
+      localName: peripheral.name,
+      txPowerLevel: peripheral.adData.txPower,
+      manufacturerData: manufacturerData || undefined,
+      serviceData: [],
+      serviceUuids: peripheral.uuids.map(toNobleUuid),
+      solicitationServiceUuids: [],
+      serviceSolicitationUuids: [],
+    }, peripheral.adData.rssi);
+  }
+
+
+  init() {
+    process.nextTick(() => {
+      this.emit('stateChange', this.available ? 'poweredOn' : 'poweredOff');
+    });
+  }
+
+
+  /**
+   * Release the bindings, as NobleBackend.destroy() does for real ones
+   *
+   * @return {None}
+   */
+  stop() {
+    this.stopped = true;
+    this.scanning = false;
+
+    this.peripherals.forEach((peripheral) => {
+      peripheral.removeEventListener('gattserverdisconnected', this._onDisconnected);
+    });
+  }
+
+
+  startScanning(serviceUuids, allowDuplicates) {
+    this.scanning = true;
+
+    this.emit('scanStart', !allowDuplicates);
+
+    this.peripherals.forEach(peripheral => this.advertise(peripheral));
+  }
+
+
+  stopScanning() {
+    this.scanning = false;
+
+    process.nextTick(() => {
+      this.emit('scanStop');
+    });
+  }
+
+
+  connect(id) {
+    let peripheral = this._peripheral(id);
+
+    peripheral.gatt.connect()
+    .then(() => {
+      let handle = this._nextHandle++;
+
+      this._handles.set(id, handle);
+
+      this._hci.emit('leConnComplete', 0, handle, 0, 'random', this.addressOf(peripheral),
+                     CONNECTION_INTERVAL, CONNECTION_LATENCY, SUPERVISION_TIMEOUT, 0);
+
+      this.emit('onMtu', id, DEFAULT_MTU);
+      this.emit('connect', id, null);
+    })
+    .catch((err) => {
+      this.emit('connect', id, err);
+    });
+  }
+
+
+  disconnect(id) {
+    this._peripheral(id).gatt.disconnect();
+  }
+
+
+  updateRssi(id) {
+    process.nextTick(() => {
+      this.emit('rssiUpdate', id, this._peripheral(id).adData.rssi);
+    });
+  }
+
+
+  discoverServices(id, uuids) {
+    this._peripheral(id).gatt.getPrimaryServices()
+    .then((services) => {
+      let found = services.map(s => toNobleUuid(s.uuid))
+      .filter(uuid => !uuids || (uuids.length === 0) || (uuids.indexOf(uuid) !== -1));
+
+      this.emit('servicesDiscover', id, found);
+    })
+    .catch(() => {
+      // noble bindings don't report GATT errors
+    });
+  }
+
+
+  discoverCharacteristics(id, serviceUuid, characteristicUuids) {
+    let service = this._service(id, serviceUuid);
+    let found = service.characteristics
+    .map(c => toNobleUuid(c.uuid))
+    .filter(uuid => !characteristicUuids || (characteristicUuids.length === 0) ||
+                    (characteristicUuids.indexOf(uuid) !== -1))
+    .map(uuid => ({ uuid: uuid, properties: [ 'read', 'write', 'notify' ] }));
+
+    process.nextTick(() => {
+      this.emit('characteristicsDiscover', id, serviceUuid, found);
+    });
+  }
+
+
+  read(id, serviceUuid, characteristicUuid) {
+    let characteristic = this._characteristic(id, serviceUuid, characteristicUuid);
+
+    characteristic.readValue()
+    .then((value) => {
+      this.emit('read', id, serviceUuid, characteristicUuid,
+                Buffer.from(value.buffer, value.byteOffset, value.byteLength), characteristic.notifying);
+    })
+    .catch(() => {
+      // noble bindings don't report GATT errors
+    });
+  }
+
+
+  write(id, serviceUuid, characteristicUuid, data, withoutResponse) {
+    this._characteristic(id, serviceUuid, characteristicUuid).writeValue(data)
+    .then(() => {
+      this.emit('write', id, serviceUuid, characteristicUuid);
+    })
+    .catch(() => {
+      // noble bindings don't report GATT errors
+    });
+  }
+
+
+  notify(id, serviceUuid, characteristicUuid, notify) {
+    let characteristic = this._characteristic(id, serviceUuid, characteristicUuid);
+    let listener = this._notifyListeners.get(characteristic);
+
+    if (listener) {
+      characteristic.removeEventListener('characteristicvaluechanged', listener);
+      this._notifyListeners.delete(characteristic);
+    }
+
+    if (notify) {
+      listener = (event) => {
+        let value = event.target.value;
+
+        this.emit('read', id, serviceUuid, characteristicUuid,
+                  Buffer.from(value.buffer, value.byteOffset, value.byteLength), true);
+      };
+
+      characteristic.addEventListener('characteristicvaluechanged', listener);
+      this._notifyListeners.set(characteristic, listener);
+    }
+
+    (notify ? characteristic.startNotifications() : characteristic.stopNotifications())
+    .then(() => {
+      this.emit('notify', id, serviceUuid, characteristicUuid, notify);
+    })
+    .catch(() => {
+      // noble bindings don't report GATT errors
+    });
+  }
+
+
+  _peripheral(id) {
+    return this.peripherals.find(p => p.id === id);
+  }
+
+
+  _service(id, serviceUuid) {
+    return this._peripheral(id).gatt.services.find(s => toNobleUuid(s.uuid) === serviceUuid);
+  }
+
+
+  _characteristic(id, serviceUuid, characteristicUuid) {
+    return this._service(id, serviceUuid).characteristics
+    .find(c => toNobleUuid(c.uuid) === characteristicUuid);
+  }
+
+};
+
+
+// Convert a 128-bit UUID to the form noble uses, i.e., short for Bluetooth SIG UUIDs
+function toNobleUuid(uuid) {
+  uuid = uuid.toLowerCase();
+
+  if (uuid.startsWith('0000') && uuid.endsWith(BASE_UUID_SUFFIX)) {
+    return uuid.slice(4, 8);
+  }
+
+  return uuid.replace(/-/g, '');
+}
+
+
+// Encode an advertising data structure: length, type, data
+function adStructure(type, data) {
+  return Buffer.concat([ Buffer.from([ data.length + 1, type ]), data ]);
+}
@@ -0,0 +1,683 @@
+/**
+ * Simulated CS BLE dongle (CS1816, CS1814, etc.)
+ *
+ * Implements the parts of the Web Bluetooth BluetoothDevice interface used by this
+ * library, with a GATT server whose services and characteristics are built from a
+ * device definition in ../device/. Behind the GATT server is a model of the dongle
+ * firmware:
+ *
+ * - Device Information characteristics return configurable identity strings
+ * - The controller service exposes product, serial, fault, statusN and superWatcher
+ * - MBAP frames written to the transparent UART are reassembled and answered on the
+ *   UART's notification characteristic, in chunks like a real dongle
+ * - Modbus requests addressed to the dongle itself handle the dongle commands
+ *   (watch, unwatch, unwatchAll, superWatch, getWatcher, keySwitch, configure) and
+ *   object reads/writes; other unit IDs are forwarded to MockController instances,
+ *   except broadcasts (unit ID 0), which each controller handles without an answer
+ * - Protocol 0xFFFF frames are looped back, as on a real dongle
+ *
+ * Watchers and the super-watcher follow writes to the controller's memory and notify
+ * their characteristics when a watched location changes.
+ */
+'use strict';
+
+// The simulated dongle runs in NodeJS, also while a test hides the global Buffer
+const { Buffer } = require('buffer');
+
+const MockEventTarget = require('./MockEventTarget');
+const MockGattServer = require('./MockGatt').MockGattServer;
+const MockController = require('./MockController');
+const Advertisement = require('../Advertisement');
+
+const cs1816 = require('../device/cs1816');
+
+// MBAP header length and protocol identifiers
+const MBAP_HEADER_LENGTH = 6;
+const PROTOCOL_MODBUS = 0x0000;
+const PROTOCOL_LOOPBACK = 0xFFFF;
+
+// Unit ID of requests that no device answers
+const BROADCAST_UNIT = 0;
+
+// Modbus function codes handled by the dongle itself
+const FC_READ_OBJECT = 0x43;
+const FC_WRITE_OBJECT = 0x44;
+const FC_COMMAND = 0x47;
+
+// Modbus exception codes
+const EXCEPTION_ILLEGAL_FUNCTION = 0x01;
+const EXCEPTION_GATEWAY_TARGET_FAILED = 0x0B;
+
+// Command status values returned as the first byte of a command response
+const STATUS_OK = 0;
+const STATUS_ERROR = 1;
+
+// Counter used to generate unique peripheral IDs
+let nextPeripheralId = 1;
+
+
+module.exports = class MockPeripheral extends MockEventTarget {
+
+  /**
+   * @param {Object}  options
+   * @param {Object}  options.definition         Device definition (default: CS1816)
+   * @param {String}  options.id                 Peripheral ID (default: generated)
+   * @param {String}  options.name               Advertised name (default: definition name)
+   * @param {Object}  options.deviceInformation  Values of Device Information characteristics
+   * @param {String}  options.product            Value of the controller 'product' characteristic
+   * @param {String}  options.serial             Value of the controller 'serial' characteristic
+   * @param {Number}  options.fault              Initial fault status
+   * @param {Array<MockController>} options.controllers  Devices attached to the dongle
+   *                                             (default: one MockController with ID 1)
+   * @param {Number}  options.maxPayload         Longest accepted MBAP payload (default 250)
+   * @param {Number}  options.chunkSize          UART notification size in bytes (default 20)
+   * @param {Number}  options.responseDelay      Milliseconds before a response is sent (default 0)
+   * @param {Number}  options.frameTimeout       Milliseconds after which a partial frame is
+   *                                             discarded (default 100)
+   * @param {Number}  options.superWatcherMax    Maximum super-watcher members (default: the
+   *                                             definition's superWatch.maxMembers, or 25)
+   * @param {Number}  options.rssi               Reported signal strength (default -60)
+   * @param {Boolean} options.advertiseInfo      Include product and serial in manufacturer
+   *                                             data, if the definition describes the
+   *                                             layout (default true)
+   * @param {Number}  options.watcherMax         Number of statusN characteristics exposed
+   *                                             (default: all those in the definition)
+   * @param {Number}  options.maxWatchers        Number of watcher slots the simulated
+   *                                             firmware supports (default: the
+   *                                             definition's watch.maxSlots, or
+   *                                             watcherMax)
+   * @param {Object}  options.pairing            Require pairing before characteristics
+   *                                             other than Device Information can be used:
+   *                                             {} to only confirm it, or { pin } to
+   *                                             require a PIN (default: no pairing)
+   */
+  constructor(options) {
+    // Sets up each of the instance's properties in turn
+    /* jshint maxstatements: false */
+    super();
+
+    options = options || {};
+
+    this.definition = options.definition || cs1816;
+
+    this.id = options.id || `mock-${nextPeripheralId++}`;
+    this.name = options.name || this.definition.name;
+
+    this.adData = {
+      rssi: (options.rssi === undefined) ? -60 : options.rssi,
+      txPower: 0,
+      serviceData: new Map(),
+      manufacturerData: new Map(),
+    };
+
+    this.deviceInformation = Object.assign({
+      systemId: '0000000000000000',
+      modelNumber: this.definition.name,
+      dongleSerialNumber: '000001',
+      firmwareRevision: '1.0',
+      hardwareRevision: '1.0',
+      softwareRevision: '1.10',
+      manufacturerName: 'Control Solutions LLC',
+    }, options.deviceInformation);
+
+    this.product = options.product || 'MOCK';
+    this.serial = options.serial || '00000001';
+    this.fault = options.fault || 0;
+
+    this.controllers = options.controllers || [ new MockController({ id: 1 }) ];
+
+    if (this.definition.advertisement && (options.advertiseInfo !== false)) {
+      this.adData.manufacturerData.set(this.definition.advertisement.companyIdentifier,
+                                       this._encodeAdvertisement());
+    }
+
+    // Objects stored in the dongle itself, accessed with readObject/writeObject
+    this.objectStore = new MockController({ id: this.definition.id });
+
+    // Set to false to make connection attempts fail, e.g., when out of range
+    this.connectable = true;
+
+    // Keyswitch state as last set by the keySwitch command
+    this.keySwitch = false;
+
+    // Whether pairing (if required) has been completed, and the function that asks the
+    // user to pair, as the operating system does: called with { deviceId, pairingKind }
+    // and returning a Promise of { confirmed, pin }
+    this.paired = false;
+    this.pairingAgent = null;
+    this._pairing = null;
+
+    this.watchers = [];
+    this.superWatcher = null;
+
+    this._options = Object.assign({
+      maxPayload: 250,
+      chunkSize: 20,
+      responseDelay: 0,
+      frameTimeout: 100,
+      superWatcherMax: ((this.definition.commands || {}).superWatch || {}).maxMembers || 25,
+    }, options);
+
+    // UART receive state
+    this._rxBuffer = Buffer.alloc(0);
+    this._rxTime = 0;
+    this._rxDiscard = 0;
+
+    // Characteristic references, keyed as in the device definition
+    this.chars = {};
+
+    this.gatt = new MockGattServer(this);
+
+    this._buildGattServer();
+
+    this.controllers.forEach((controller) => {
+      controller.on('write', this._onControllerWrite.bind(this, controller));
+    });
+  }
+
+
+  /**
+   * Return the service UUIDs advertised by this peripheral
+   *
+   * @return {Array<String>}
+   */
+  get uuids() {
+    return Object.values(this.definition.services).map(s => s.uuid);
+  }
+
+
+  /**
+   * Number of statusN characteristics exposed
+   *
+   * @return {Number}
+   */
+  get watcherMax() {
+    if (this._options.watcherMax !== undefined) {
+      return this._options.watcherMax;
+    }
+
+    return Object.keys(this.definition.services.controller.characteristics)
+    .filter(key => key.startsWith('status')).length;
+  }
+
+
+  /**
+   * Number of watcher slots, which is the firmware's MAX_WATCHERS and may be fewer than
+   * the statusN characteristics exposed
+   *
+   * @return {Number}
+   */
+  get maxWatchers() {
+    if (this._options.maxWatchers !== undefined) {
+      return this._options.maxWatchers;
+    }
+
+    let watch = (this.definition.commands || {}).watch || {};
+
+    return Math.min(this.watcherMax, watch.maxSlots || Infinity);
+  }
+
+
+  /**
+   * Called by the GATT server when a connection is requested
+   *
+   * @return {Promise} Resolves when connected
+   */
+  _connect() {
+    if (this.connectable) {
+      return Promise.resolve();
+    } else {
+      return Promise.reject(new Error('Connection failed for unknown reason.'));
+    }
+  }
+
+
+  /**
+   * Called before an operation on a characteristic that requires pairing. Pairs using
+   * this.pairingAgent if that hasn't been done yet.
+   *
+   * @return {Promise} Resolves when paired, or rejects with a SecurityError, as Web
+   *                   Bluetooth does, if pairing isn't completed
+   */
+  _authorize() {
+    if (!this._options.pairing || this.paired) {
+      return Promise.resolve();
+    }
+
+    let pin = this._options.pairing.pin;
+
+    // Operations made at the same time share one pairing attempt
+    if (!this._pairing) {
+      let agent = this.pairingAgent || (() => ({ confirmed: false }));
+
+      this._pairing = Promise.resolve(agent({ deviceId: this.id,
+                                              pairingKind: pin ? 'providePin' : 'confirm' }))
+      .then((response) => {
+        this._pairing = null;
+        this.paired = Boolean(response && response.confirmed && (!pin || (response.pin === pin)));
+      }, () => {
+        this._pairing = null;
+      });
+    }
+
+    return this._pairing
+    .then(() => {
+      if (!this.paired) {
+        let err = new Error('GATT operation not authorized.');
+
+        err.name = 'SecurityError';
+        throw err;
+      }
+    });
+  }
+
+
+  /**
+   * Simulate loss of the BLE link, e.g., the dongle losing power or going out of range.
+   * The central is notified with a 'gattserverdisconnected' event.
+   *
+   * @return {None}
+   */
+  dropConnection() {
+    this.gatt.disconnect();
+  }
+
+
+  /**
+   * Update the fault status and notify subscribers of the 'fault' characteristic
+   *
+   * @param {Number} fault  New fault status
+   * @return {None}
+   */
+  setFault(fault) {
+    this.fault = fault;
+    this.chars.controller.fault.notify([fault]);
+  }
+
+
+  /**
+   * Build manufacturer data holding this peripheral's properties (product, serial), laid
+   * out as described by the definition's 'advertisement' block
+   *
+   * @return {DataView} Manufacturer data, without the company identifier
+   */
+  _encodeAdvertisement() {
+    let fields = this.definition.advertisement.fields;
+    let length = Math.max(0, ...Object.values(fields).map((field) => {
+      return field.offset + (field.length || Advertisement.typeLengths[field.type]);
+    }));
+    let data = Buffer.alloc(length);
+
+    Object.entries(fields).forEach(([key, field]) => {
+      let value = this[key];
+
+      if (field.type === 'ascii') {
+        data.write(String(value || '').slice(0, field.length), field.offset, 'ascii');
+      } else if (field.type === 'hex') {
+        Buffer.from(value || '', 'hex').copy(data, field.offset, 0, field.length);
+      } else if (value !== undefined) {
+        let method = { uint8: 'writeUInt8', uint16le: 'writeUInt16LE', uint16be: 'writeUInt16BE',
+                       uint32le: 'writeUInt32LE', uint32be: 'writeUInt32BE' }[field.type];
+
+        data[method](value, field.offset);
+      }
+    });
+
+    return new DataView(Uint8Array.from(data).buffer);
+  }
+
+
+  _buildGattServer() {
+    for (let [sKey, serviceInfo] of Object.entries(this.definition.services)) {
+      let service = this.gatt.addService(serviceInfo.uuid);
+
+      this.chars[sKey] = {};
+
+      for (let [cKey, charInfo] of Object.entries(serviceInfo.characteristics)) {
+        // Only expose as many status characteristics as the simulated firmware supports
+        if ((sKey === 'controller') && cKey.startsWith('status') &&
+            (parseInt(cKey.slice('status'.length)) > this.watcherMax)) {
+          continue;
+        }
+
+        let hooks = Object.assign({
+          secure: Boolean(this._options.pairing) && (sKey !== 'deviceInformation'),
+        }, this._charHooks(sKey, cKey));
+
+        this.chars[sKey][cKey] = service.addCharacteristic(charInfo.uuid, hooks);
+      }
+    }
+  }
+
+
+  /**
+   * Build the read/write hooks that give a characteristic its behavior
+   *
+   * @param {String} sKey  Service key in the device definition
+   * @param {String} cKey  Characteristic key in the device definition
+   * @return {Object} Hooks for MockCharacteristic
+   */
+  _charHooks(sKey, cKey) {
+    if (sKey === 'deviceInformation') {
+      return { onRead: () => Buffer.from(this.deviceInformation[cKey] || '') };
+    }
+
+    if (sKey === 'transparentUart' && cKey === 'tx') {
+      return { onWrite: this._onUartWrite.bind(this) };
+    }
+
+    if (sKey === 'controller') {
+      if (cKey === 'product' || cKey === 'serial') {
+        return { onRead: () => Buffer.from(this[cKey]) };
+      } else if (cKey === 'fault') {
+        return { onRead: () => Buffer.from([this.fault]) };
+      } else if (cKey.startsWith('status')) {
+        let slot = parseInt(cKey.slice('status'.length)) - 1;
+        return { onRead: this._readWatcher.bind(this, slot) };
+      }
+    }
+
+    return {};
+  }
+
+
+  /**
+   * Receive a chunk written to the transparent UART and process complete frames
+   *
+   * @param {Buffer} chunk  Written data
+   * @return {None}
+   */
+  _onUartWrite(chunk) {
+    let now = Date.now();
+
+    // A partial frame that wasn't completed in time is dropped
+    if ((this._rxBuffer.length > 0) && (now - this._rxTime > this._options.frameTimeout)) {
+      this._rxBuffer = Buffer.alloc(0);
+    }
+
+    this._rxTime = now;
+    this._rxBuffer = Buffer.concat([this._rxBuffer, chunk]);
+
+    while (this._rxBuffer.length > 0) {
+      if (this._rxDiscard > 0) {
+        // Skip the remainder of an oversized frame
+        this._rxDiscard -= this._takeUart(Math.min(this._rxDiscard, this._rxBuffer.length)).length;
+      } else if (this._rxBuffer.length < MBAP_HEADER_LENGTH) {
+        return;
+      } else {
+        let length = this._rxBuffer.readUInt16BE(4);
+
+        if (length > this._options.maxPayload) {
+          this._rxDiscard = MBAP_HEADER_LENGTH + length;
+        } else if (this._rxBuffer.length >= MBAP_HEADER_LENGTH + length) {
+          this._handleFrame(this._takeUart(MBAP_HEADER_LENGTH + length));
+        } else {
+          return;
+        }
+      }
+    }
+  }
+
+
+  // Remove and return the first bytes received on the transparent UART
+  _takeUart(length) {
+    let data = this._rxBuffer.slice(0, length);
+
+    this._rxBuffer = this._rxBuffer.slice(length);
+
+    return data;
+  }
+
+
+  /**
+   * Handle a complete MBAP frame received on the transparent UART
+   *
+   * @param {Buffer} frame  MBAP header and payload
+   * @return {None}
+   */
+  _handleFrame(frame) {
+    let transactionId = frame.readUInt16BE(0);
+    let protocol = frame.readUInt16BE(2);
+    let payload = frame.slice(MBAP_HEADER_LENGTH);
+
+    // Payloads must contain at least a unit ID and function code
+    if (payload.length < 2) {
+      return;
+    }
+
+    if (protocol === PROTOCOL_LOOPBACK) {
+      this._sendUart(Buffer.from(frame));
+    } else if (protocol === PROTOCOL_MODBUS) {
+      this._handleModbusRequest(transactionId, payload[0], payload.slice(1));
+    }
+  }
+
+
+  /**
+   * Answer a Modbus request for the dongle or one of its controllers, or pass on a
+   * broadcast to the controllers
+   *
+   * @param {Number} transactionId
+   * @param {Number} unit           Unit ID
+   * @param {Buffer} pdu            Request PDU
+   * @return {None}
+   */
+  _handleModbusRequest(transactionId, unit, pdu) {
+    let response;
+
+    if (unit === BROADCAST_UNIT) {
+      this.controllers.forEach(controller => controller.handleRequest(pdu));
+      return;
+    }
+
+    if (unit === this.definition.id) {
+      response = this._handleDongleRequest(pdu);
+    } else {
+      let controller = this.controllers.find(c => c.id === unit);
+
+      response = controller ? controller.handleRequest(pdu) :
+        MockController.exception(pdu[0], EXCEPTION_GATEWAY_TARGET_FAILED);
+    }
+
+    let header = Buffer.alloc(MBAP_HEADER_LENGTH + 1);
+
+    header.writeUInt16BE(transactionId, 0);
+    header.writeUInt16BE(PROTOCOL_MODBUS, 2);
+    header.writeUInt16BE(response.length + 1, 4);
+    header.writeUInt8(unit, 6);
+
+    this._sendUart(Buffer.concat([header, response]));
+  }
+
+
+  /**
+   * Send data to the central through the UART notification characteristic
+   *
+   * @param {Buffer} data  Data to be sent
+   * @return {None}
+   */
+  _sendUart(data) {
+    setTimeout(() => {
+      for (let index = 0; index < data.length; index += this._options.chunkSize) {
+        this.chars.transparentUart.rx.notify(data.slice(index, index + this._options.chunkSize));
+      }
+    }, this._options.responseDelay);
+  }
+
+
+  /**
+   * Handle a Modbus request addressed to the dongle itself
+   *
+   * @param {Buffer} pdu  Request PDU
+   * @return {Buffer} Response PDU
+   */
+  _handleDongleRequest(pdu) {
+    if (pdu[0] === FC_COMMAND) {
+      let opCode = pdu[1];
+      let commands = this.definition.commands || {};
+      let key = Object.keys(commands).find(k => commands[k].opCode === opCode);
+
+      if (key !== undefined) {
+        let values = this._handleCommand(key, pdu.slice(2));
+
+        return Buffer.concat([Buffer.from([FC_COMMAND, opCode]), values]);
+      }
+    } else if ((pdu[0] === FC_READ_OBJECT) || (pdu[0] === FC_WRITE_OBJECT)) {
+      // Object reads and writes are handled by the dongle's object store
+      return this.objectStore.handleRequest(pdu);
+    }
+
+    return MockController.exception(pdu[0], EXCEPTION_ILLEGAL_FUNCTION);
+  }
+
+
+  /**
+   * Execute a dongle command
+   *
+   * @param {String} key     Command key in the device definition
+   * @param {Buffer} params  Command parameters
+   * @return {Buffer} Command response values, starting with a status byte
+   */
+  _handleCommand(key, params) {
+    switch(key) {
+    case 'keySwitch':
+      this.keySwitch = (params[0] === 1);
+      return Buffer.from([STATUS_OK]);
+    case 'watch':
+      return this._commandWatch(params);
+    case 'unwatch':
+      return this._commandUnwatch(params);
+    case 'unwatchAll':
+      this.watchers = [];
+      this.superWatcher = null;
+      return Buffer.from([STATUS_OK]);
+    case 'superWatch':
+      return this._commandSuperWatch(params);
+    case 'getWatcher':
+      return this._commandGetWatcher(params);
+    default:
+      return Buffer.from([STATUS_OK]);
+    }
+  }
+
+
+  _commandWatch(params) {
+    let watch = this.definition.commands.watch;
+
+    if (params.length < 5) {
+      return Buffer.from([STATUS_ERROR]);
+    }
+
+    let watcher = { slot: params[0], id: params[1], address: params.readUInt16BE(2), length: params[4] };
+
+    if ((watcher.slot >= this.maxWatchers) || (watcher.length > watch.maxLen)) {
+      return Buffer.from([STATUS_ERROR]);
+    }
+
+    this.watchers[watcher.slot] = watcher;
+
+    return Buffer.from([STATUS_OK]);
+  }
+
+
+  _commandUnwatch(params) {
+    let superWatch = this.definition.commands.superWatch;
+
+    if (superWatch && (params[0] === superWatch.slot)) {
+      this.superWatcher = null;
+    } else if (params[0] < this.maxWatchers) {
+      this.watchers[params[0]] = undefined;
+    } else {
+      return Buffer.from([STATUS_ERROR]);
+    }
+
+    return Buffer.from([STATUS_OK]);
+  }
+
+
+  _commandSuperWatch(params) {
+    let addresses = [];
+
+    for (let offset = 2; offset + 1 < params.length; offset += 2) {
+      addresses.push(params.readUInt16BE(offset));
+    }
+
+    if ((params.length < 2) || (addresses.length > this._options.superWatcherMax)) {
+      return Buffer.from([STATUS_ERROR]);
+    }
+
+    this.superWatcher = { slot: params[0], id: params[1], addresses: addresses };
+
+    return Buffer.from([STATUS_OK]);
+  }
+
+
+  _commandGetWatcher(params) {
+    let getWatcher = this.definition.commands.getWatcher;
+    let values = [STATUS_OK];
+
+    if (params[0] === getWatcher.params.getWatchers) {
+      this.watchers.filter(w => w).forEach((w) => {
+        values.push(w.slot, w.id, (w.address >> 8) & 0xFF, w.address & 0xFF, w.length);
+      });
+    } else if (params[0] === getWatcher.params.getSuperWatcher) {
+      let superWatcher = this.superWatcher || { slot: this.definition.commands.superWatch.slot,
+                                                id: 0, addresses: [] };
+
+      values.push(superWatcher.slot, superWatcher.id);
+
+      superWatcher.addresses.forEach((address) => {
+        values.push((address >> 8) & 0xFF, address & 0xFF);
+      });
+    } else {
+      values = [STATUS_ERROR];
+    }
+
+    return Buffer.from(values);
+  }
+
+
+  /**
+   * Read the current value of a watcher's memory location
+   *
+   * @param {Number} slot  Watcher slot
+   * @return {Buffer} Watched memory, or an empty Buffer if the slot is unused
+   */
+  _readWatcher(slot) {
+    let watcher = this.watchers[slot];
+    let controller = watcher && this.controllers.find(c => c.id === watcher.id);
+
+    return controller ? controller.readMemory(watcher.address, watcher.length) : Buffer.alloc(0);
+  }
+
+
+  /**
+   * Notify watchers and super-watcher members affected by a write to controller memory.
+   * The super-watcher reports each changed member as its address followed by its value.
+   *
+   * @param {MockController} controller  Controller whose memory was written
+   * @param {Number}         address     Start address of the write
+   * @param {Buffer}         data        Written data
+   * @return {None}
+   */
+  _onControllerWrite(controller, address, data) {
+    let end = address + data.length;
+
+    this.watchers.forEach((watcher) => {
+      if (watcher && (watcher.id === controller.id) &&
+          (watcher.address < end) && (watcher.address + watcher.length > address)) {
+        this.chars.controller[`status${watcher.slot + 1}`].notify(this._readWatcher(watcher.slot));
+      }
+    });
+
+    if (this.superWatcher && (this.superWatcher.id === controller.id) && this.chars.controller.superWatcher) {
+      this.superWatcher.addresses.forEach((member) => {
+        if ((member >= address) && (member < end)) {
+          this.chars.controller.superWatcher.notify([(member >> 8) & 0xFF, member & 0xFF,
+                                                     controller.memory[member]]);
+        }
+      });
+    }
+  }
+
+};
@@ -0,0 +1,21 @@
+/**
+ * Simulated Bluetooth backend for development and testing without a dongle
+ *
+ * Usage:
+ *
+ *   const { MockBluetooth, MockPeripheral } = require('@csllc/cs-mb-ble/lib/mock');
+ *
+ *   let ble = new BleController({
+ *     name: 'CS1816',
+ *     bluetooth: new MockBluetooth({ peripherals: [ new MockPeripheral() ] }),
+ *   });
+ */
+'use strict';
+
+module.exports = {
+  MockBluetooth: require('./MockBluetooth'),
+  MockPeripheral: require('./MockPeripheral'),
+  MockController: require('./MockController'),
+  MockNobleBindings: require('./MockNobleBindings'),
+  MockElectron: require('./MockElectron'),
+};
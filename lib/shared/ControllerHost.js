@@ -0,0 +1,755 @@
+/**
+ * Shares one BleController among several clients, each using a RemoteController with
+ * the same methods, e.g., the windows of an Electron app (see ../electron/)
+ *
+ * A client is added with connect(), given a function that delivers messages to it; the
+ * messages from its RemoteController are passed to the returned client's receive().
+ * Values in messages are encoded with ./messages.js.
+ *
+ * From the client:
+ *
+ * - { type: 'hello' } - answered with a 'state' message and a 'discover' event for each
+ *   peripheral discovered by the scan in progress
+ * - { type: 'call', id, method, args } - call a BleController method, 'select' with the
+ *   ID of a discovered peripheral, or 'transaction' with an MBAP request frame and an
+ *   optional timeout in milliseconds, which resolves with the response frame; answered
+ *   with { type: 'result', id, error, result }
+ * - { type: 'bye' } - the client is going away, as with close() of the client
+ *
+ * To the client:
+ *
+ * - { type: 'state', state, peripheral } - the connection state and the peripheral's 'id'
+ *   and 'name', sent before each 'stateChange' event
+ * - { type: 'event', event, payload } - a BleController event
+ * - { type: 'watcher', slot, data } - an update of a watcher the client set, with a null
+ *   'slot' for the super-watcher
+ * - { type: 'data', data } - the response to a Modbus request written by the client
+ *
+ * The clients share the connection:
+ *
+ * - startScanning() or open() while another client's call is in progress waits for its
+ *   result, and while the connection is open resolves straight away. close() only
+ *   disconnects once each client that opened the connection has closed it, or gone,
+ *   and resolves if the connection was lost.
+ * - The dongle's watcher slots are assigned by the host. Each client uses its own slot
+ *   numbers, which the host maps to the dongle's: a watch() of memory that another
+ *   client already watches shares its slot, and otherwise takes the slot the client
+ *   asked for if it is free, or else any free slot; it fails if none is free. unwatch()
+ *   only clears the dongle's slot once no client is watching it, and readWatcher() and
+ *   getWatchers() use the client's slot numbers, the latter listing only the client's
+ *   watchers. The super-watcher can only be shared by clients watching the same memory.
+ *   A client's watchers are cleared when it goes away, and all of them when the
+ *   connection is lost and not restored by auto-reconnect.
+ * - Modbus requests written by a client, and those of transaction() calls, are given a
+ *   transaction ID not used by any other, and the response is delivered only to that
+ *   client, with its own ID.
+ */
+'use strict';
+
+const State = require('../ConnectionState').State;
+const mbap = require('../mbap');
+const messages = require('./messages');
+
+
+// BleController events passed on to every client; 'data' is routed instead, and 'frame'
+// isn't passed on, as it carries the responses to other clients' requests
+const forwardedEvents = [
+  'stateChange', 'scanStart', 'scanStop', 'scanResult', 'discover', 'candidatesRejected',
+  'connecting', 'connected', 'ready', 'disconnecting', 'disconnected',
+  'reconnecting', 'reconnected', 'reconnectFailed', 'knownDevicesError',
+  'inspecting', 'inspected', 'fault', 'availabilitychanged', 'frameError',
+];
+
+// BleController methods that clients call directly
+const directMethods = [
+  'getAvailability', 'scan', 'getKnownDevices', 'forgetDevice',
+  'getInfo', 'getCapabilities', 'configure', 'keyswitch',
+  'getSuperWatcher', 'readObject', 'writeObject',
+];
+
+// Transaction IDs given to clients' requests, kept apart from those of other masters
+// using the controller's 'data' events, which count up from 1, and of ../gateway/
+const FIRST_TRANSACTION_ID = 0x8000;
+const LAST_TRANSACTION_ID = 0xFFFE;
+
+// Key of the super-watcher in this._watchers
+const SUPER_WATCHER = 'super';
+
+// How long transaction() waits for a response, in milliseconds
+const DEFAULT_TRANSACTION_TIMEOUT = 5000;
+
+
+// Whether a watcher is set with the same arguments
+function sameArgs(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+
+// Describe a peripheral without the Bluetooth implementation's objects
+function describePeripheral(peripheral) {
+  return peripheral ? { id: peripheral.id, name: peripheral.name } : null;
+}
+
+
+module.exports = class ControllerHost {
+
+  /**
+   * @param {BleController} ble  The shared controller
+   */
+  constructor(ble) {
+    this.ble = ble;
+
+    this._clients = new Set();
+
+    // Clients that have opened the connection and not closed it
+    this._users = new Set();
+
+    // Pending startScanning() and open() calls, which other clients join
+    this._scanning = null;
+    this._opening = null;
+
+    // Watchers set through the host, keyed by the dongle's slot (or SUPER_WATCHER): the
+    // arguments they were set with, and the clients that are updated, each mapped to
+    // the slot number it gave
+    this._watchers = new Map();
+    this._watcherQueue = Promise.resolve();
+
+    // Modbus requests waiting for a response, keyed by the transaction ID they were
+    // written with: the client and its own transaction ID
+    this._transactions = new Map();
+    this._nextTransactionId = FIRST_TRANSACTION_ID;
+    this._reader = new mbap.FrameReader();
+
+    this._listeners = {};
+
+    forwardedEvents.forEach((event) => {
+      this._listeners[event] = (payload) => {
+        if (event === 'stateChange') {
+          this._onStateChange(payload);
+          this._broadcast(this._stateMessage());
+        } else if (event === 'reconnectFailed') {
+          this._forgetConnection();
+        }
+
+        this._broadcast({ type: 'event', event: event, payload: messages.encode(payload) });
+      };
+    });
+
+    this._listeners.data = this._onData.bind(this);
+
+    Object.keys(this._listeners).forEach((event) => {
+      this.ble.on(event, this._listeners[event]);
+    });
+  }
+
+
+  /**
+   * Add a client
+   *
+   * @param {Function} send  Called with each message for the client
+   * @return {Object} The client, with receive(message) for the messages from its
+   *                  RemoteController, and close() for when it goes away
+   */
+  connect(send) {
+    let client = {
+      send: send,
+      receive: (message) => this._receive(client, message),
+      close: () => this._disconnect(client),
+    };
+
+    this._clients.add(client);
+
+    return client;
+  }
+
+
+  /**
+   * Stop listening to the shared controller and remove the clients. The controller
+   * isn't closed.
+   *
+   * @return {None}
+   */
+  destroy() {
+    Object.keys(this._listeners).forEach((event) => {
+      this.ble.removeListener(event, this._listeners[event]);
+    });
+
+    this._abortTransactions(new Error('The host has been destroyed'));
+
+    this._clients.clear();
+    this._users.clear();
+    this._watchers.clear();
+  }
+
+
+  /**
+   * Handle a message from a client
+   *
+   * @param {Object} client
+   * @param {Object} message
+   * @return {None}
+   */
+  _receive(client, message) {
+    if (!this._clients.has(client) || !message) {
+      return;
+    }
+
+    if (message.type === 'hello') {
+      client.send(this._stateMessage());
+
+      this.ble.discoveredPeripherals.forEach((entry) => {
+        client.send({ type: 'event', event: 'discover', payload: messages.encode(entry) });
+      });
+    } else if (message.type === 'call') {
+      Promise.resolve()
+      .then(() => this._call(client, message.method, messages.decode(message.args) || []))
+      .then((result) => {
+        client.send({ type: 'result', id: message.id, result: messages.encode(result) });
+      })
+      .catch((err) => {
+        client.send({ type: 'result', id: message.id, error: messages.encode(err || 'Failed') });
+      });
+    } else if (message.type === 'bye') {
+      this._disconnect(client);
+    }
+  }
+
+
+  /**
+   * Carry out a method call from a client
+   *
+   * @param {Object} client
+   * @param {String} method
+   * @param {Array}  args
+   * @return {Promise} Resolves with the result for the client
+   */
+  _call(client, method, args) {
+    if (directMethods.indexOf(method) !== -1) {
+      return this.ble[method](...args);
+    }
+
+    switch (method) {
+      case 'startScanning':
+        return this._startScanning(args[0]);
+
+      case 'select':
+        return this._select(args[0]);
+
+      case 'open':
+      case 'openKnown':
+        return this._open(client, method, args[0]);
+
+      case 'close':
+        return this._release(client);
+
+      case 'watch':
+        return this._serialize(() => this._watch(client, args[0], args.slice(1, 4)));
+
+      case 'superWatch':
+        return this._serialize(() => this._superWatch(client, args.slice(0, 2)));
+
+      case 'unwatch':
+        return this._serialize(() => this._unwatch(client, args[0]));
+
+      case 'unwatchAll':
+        return this._serialize(() => this._unwatchAll(client));
+
+      case 'readWatcher':
+        return this._readWatcher(client, args[0]);
+
+      case 'getWatchers':
+        return this._getWatchers(client);
+
+      case 'write':
+        return this._write(client, args[0]).then(() => undefined);
+
+      case 'transaction':
+        return this._transaction(args[0], args[1]);
+
+      default:
+        return Promise.reject(new Error(`Unknown method '${method}'`));
+    }
+  }
+
+
+  _startScanning(options) {
+    if (this._scanning) {
+      return this._scanning;
+    } else if (this._isConnected()) {
+      return Promise.resolve(describePeripheral(this.ble.peripheral));
+    }
+
+    let scanning = this.ble.startScanning(options).then(describePeripheral);
+
+    this._scanning = scanning;
+
+    let finish = () => {
+      if (this._scanning === scanning) {
+        this._scanning = null;
+      }
+    };
+
+    scanning.then(finish, finish);
+
+    return scanning;
+  }
+
+
+  // Select a peripheral reported by a 'discover' event
+  _select(id) {
+    let entry = this.ble.discoveredPeripherals.find(peripheral => peripheral.id === id);
+
+    if (!entry) {
+      return Promise.reject(new Error(`Peripheral ${id} has not been discovered`));
+    }
+
+    entry.callback();
+
+    return Promise.resolve();
+  }
+
+
+  _open(client, method, id) {
+    let opening = this._opening;
+
+    if (!opening && (this.ble.state === State.READY) &&
+        (!id || (this.ble.peripheral && (this.ble.peripheral.id === id)))) {
+      opening = Promise.resolve();
+    }
+
+    if (!opening) {
+      opening = this.ble[method](id);
+
+      this._opening = opening;
+
+      let finish = () => {
+        if (this._opening === opening) {
+          this._opening = null;
+        }
+      };
+
+      opening.then(finish, finish);
+    }
+
+    return opening.then(() => {
+      this._users.add(client);
+    });
+  }
+
+
+  // Close the connection for a client, disconnecting if no other client uses it
+  _release(client) {
+    this._users.delete(client);
+
+    if (this._users.size > 0) {
+      return Promise.resolve();
+    }
+
+    return this.ble.close()
+    .catch((err) => {
+      // Nothing is left to close if the connection was lost
+      if (this.ble.state === State.READY) {
+        throw err;
+      }
+    })
+    .then(() => {
+      // The dongle's watchers went with the connection
+      this._watchers.clear();
+    });
+  }
+
+
+  /**
+   * Once disconnected, fail the transactions waiting for a response, and forget the
+   * watchers and users of the connection, unless the controller is about to reconnect
+   * and restore its watchers (in which case 'reconnectFailed' forgets them if it can't)
+   *
+   * @param {Object} change  Payload of the 'stateChange' event
+   * @return {None}
+   */
+  _onStateChange(change) {
+    if (change.state !== State.DISCONNECTED) {
+      return;
+    }
+
+    // A partly received response is lost with the connection, and so are the pending ones
+    this._reader.reset();
+    this._abortTransactions(new Error('The connection was closed before the Modbus response arrived'));
+
+    if (!this.ble.options.autoReconnect || (change.previous === State.DISCONNECTING)) {
+      this._forgetConnection();
+    }
+  }
+
+
+  // The dongle's watchers went with the connection, and its users must open it again
+  _forgetConnection() {
+    this._watchers.clear();
+    this._users.clear();
+  }
+
+
+  /**
+   * Run watcher changes one at a time, so that each sees the slots taken by the last
+   *
+   * @param {Function} operation  Returns a Promise
+   * @return {Promise} Settles as the operation's Promise does
+   */
+  _serialize(operation) {
+    let result = this._watcherQueue.then(operation);
+
+    this._watcherQueue = result.catch(() => {});
+
+    return result;
+  }
+
+
+  // The dongle's slot of the watcher a client knows by the given slot, if any
+  _findSlot(client, slot) {
+    let found = null;
+
+    this._watchers.forEach((watcher, key) => {
+      if ((key !== SUPER_WATCHER) && (watcher.clients.get(client) === slot)) {
+        found = key;
+      }
+    });
+
+    return found;
+  }
+
+
+  // Called with each update of a watcher, to pass it on to the clients that set it
+  _watcherCallback(key) {
+    return (data) => {
+      let watcher = this._watchers.get(key);
+
+      if (watcher) {
+        watcher.clients.forEach((slot, client) => {
+          client.send({ type: 'watcher', slot: slot, data: messages.encode(data) });
+        });
+      }
+    };
+  }
+
+
+  /**
+   * Watch memory for a client, sharing a slot that already watches it, or else taking
+   * the slot the client asked for if it is free, or another free slot
+   *
+   * @param {Object} client
+   * @param {Number} slot    Slot number given by the client
+   * @param {Array}  args    Device ID, address and length
+   * @return {Promise} Resolves when the watcher is set
+   */
+  _watch(client, slot, args) {
+    let current = this._findSlot(client, slot);
+
+    if ((current !== null) && sameArgs(this._watchers.get(current).args, args)) {
+      return Promise.resolve();
+    }
+
+    // The client's slot now watches something else
+    let release = (current !== null) ? this._releaseSlot(client, current) : Promise.resolve();
+
+    return release
+    .then(() => {
+      let shared = null;
+
+      this._watchers.forEach((watcher, key) => {
+        if ((key !== SUPER_WATCHER) && sameArgs(watcher.args, args)) {
+          shared = watcher;
+        }
+      });
+
+      if (shared) {
+        shared.clients.set(client, slot);
+        return;
+      }
+
+      return this._freeSlot(slot)
+      .then((free) => {
+        return this.ble.watch(free, args[0], args[1], args[2], this._watcherCallback(free))
+        .then(() => {
+          this._watchers.set(free, { args: args, clients: new Map([ [ client, slot ] ]) });
+        });
+      });
+    });
+  }
+
+
+  // Pick a slot of the dongle that no watcher uses, preferring the given one
+  _freeSlot(preferred) {
+    return this.ble.getCapabilities()
+    .then((capabilities) => {
+      let slots = capabilities.watcherSlots;
+
+      if ((preferred >= 0) && (preferred < slots) && !this._watchers.has(preferred)) {
+        return preferred;
+      }
+
+      for (let slot = 0; slot < slots; slot++) {
+        if (!this._watchers.has(slot)) {
+          return slot;
+        }
+      }
+
+      throw new Error(`All ${slots} watcher slots are in use`);
+    });
+  }
+
+
+  // Remove a client from a slot of the dongle, clearing the slot if no client is left
+  _releaseSlot(client, key) {
+    let watcher = this._watchers.get(key);
+
+    watcher.clients.delete(client);
+
+    if (watcher.clients.size > 0) {
+      return Promise.resolve();
+    }
+
+    return this.ble.unwatch((key === SUPER_WATCHER) ? this._superWatcherSlot() : key)
+    .then(() => {
+      this._watchers.delete(key);
+    });
+  }
+
+
+  // Set the super-watcher, unless another client uses it for other memory
+  _superWatch(client, args) {
+    let watcher = this._watchers.get(SUPER_WATCHER);
+
+    if (watcher && sameArgs(watcher.args, args)) {
+      watcher.clients.set(client, null);
+      return Promise.resolve();
+    } else if (watcher && Array.from(watcher.clients.keys()).some(c => c !== client)) {
+      return Promise.reject(new Error('The super-watcher is in use by another client'));
+    }
+
+    return this.ble.superWatch(args[0], args[1], this._watcherCallback(SUPER_WATCHER))
+    .then(() => {
+      this._watchers.set(SUPER_WATCHER, { args: args, clients: new Map([ [ client, null ] ]) });
+    });
+  }
+
+
+  _unwatch(client, slot) {
+    let key = this._findSlot(client, slot);
+
+    if (key === null) {
+      let superWatcher = this._watchers.get(SUPER_WATCHER);
+
+      // The super-watcher is cleared with the slot number of the dongle's definition
+      if (superWatcher && superWatcher.clients.has(client) && (slot === this._superWatcherSlot())) {
+        key = SUPER_WATCHER;
+      } else {
+        return Promise.resolve();
+      }
+    }
+
+    return this._releaseSlot(client, key);
+  }
+
+
+  // Clear the client's watchers, and all of the dongle's if no other client has any
+  _unwatchAll(client) {
+    let others = Array.from(this._watchers.values()).some((watcher) => {
+      return Array.from(watcher.clients.keys()).some(c => c !== client);
+    });
+
+    if (!others) {
+      return this.ble.unwatchAll()
+      .then(() => {
+        this._watchers.clear();
+      });
+    }
+
+    let keys = Array.from(this._watchers.keys()).filter((key) => {
+      return this._watchers.get(key).clients.has(client);
+    });
+
+    return keys.reduce((previous, key) => {
+      return previous.then(() => this._releaseSlot(client, key));
+    }, Promise.resolve());
+  }
+
+
+  // Read the watcher a client knows by the given slot
+  _readWatcher(client, slot) {
+    let key = this._findSlot(client, slot);
+
+    return this.ble.readWatcher((key !== null) ? key : slot);
+  }
+
+
+  // The client's watchers, with its own slot numbers
+  _getWatchers(client) {
+    return this.ble.getWatchers()
+    .then((watchers) => {
+      return watchers.filter((watcher) => {
+        let entry = this._watchers.get(watcher.slot);
+
+        return entry && entry.clients.has(client);
+      })
+      .map((watcher) => {
+        return Object.assign({}, watcher, { slot: this._watchers.get(watcher.slot).clients.get(client) });
+      });
+    });
+  }
+
+
+  // Write a client's Modbus request with a transaction ID of the host's own
+  _write(client, data) {
+    return this._send({ client: client, id: mbap.getTransactionId(data) }, data);
+  }
+
+
+  /**
+   * Make a Modbus transaction for a client
+   *
+   * @param {Uint8Array} frame    Request, as an MBAP frame
+   * @param {Number}     timeout  Milliseconds to wait for the response (default 5000)
+   * @return {Promise} Resolves with the response frame, with the request's transaction ID
+   */
+  _transaction(frame, timeout) {
+    return new Promise((resolve, reject) => {
+      let transaction = { id: mbap.getTransactionId(frame), resolve: resolve, reject: reject };
+
+      this._send(transaction, frame)
+      .then((id) => {
+        transaction.timer = setTimeout(() => {
+          if (this._transactions.get(id) === transaction) {
+            this._transactions.delete(id);
+            reject(new Error('Timed out waiting for the Modbus response'));
+          }
+        }, timeout || DEFAULT_TRANSACTION_TIMEOUT);
+      }, reject);
+    });
+  }
+
+
+  /**
+   * Write a request with the next transaction ID of the host's own
+   *
+   * @param {Object}     transaction  Where the response goes: the 'client', or functions
+   *                                  to 'resolve' and 'reject', and the original 'id'
+   * @param {Uint8Array} frame
+   * @return {Promise} Resolves with the transaction ID written, once written
+   */
+  _send(transaction, frame) {
+    let id = this._nextTransactionId;
+
+    this._nextTransactionId = (id === LAST_TRANSACTION_ID) ? FIRST_TRANSACTION_ID : id + 1;
+
+    this._transactions.set(id, transaction);
+
+    return Promise.resolve()
+    .then(() => this.ble.write(mbap.setTransactionId(frame, id)))
+    .then(() => id)
+    .catch((err) => {
+      this._transactions.delete(id);
+      throw err;
+    });
+  }
+
+
+  // Route the responses received to the clients that made the requests
+  _onData(data) {
+    this._reader.push(data).forEach((frame) => {
+      let id = mbap.getTransactionId(frame);
+      let transaction = this._transactions.get(id);
+
+      if (!transaction) {
+        return;
+      }
+
+      this._transactions.delete(id);
+
+      let response = mbap.setTransactionId(frame, transaction.id);
+
+      if (transaction.resolve) {
+        clearTimeout(transaction.timer);
+        transaction.resolve(response);
+      } else {
+        transaction.client.send({ type: 'data', data: messages.encode(response) });
+      }
+    });
+  }
+
+
+  // Fail the transactions waiting for a response
+  _abortTransactions(err) {
+    this._transactions.forEach((transaction) => {
+      if (transaction.reject) {
+        clearTimeout(transaction.timer);
+        transaction.reject(err);
+      }
+    });
+
+    this._transactions.clear();
+  }
+
+
+  // Remove a client that has gone away, freeing its watchers, and closing the connection
+  // if it was the last user
+  _disconnect(client) {
+    if (!this._clients.delete(client)) {
+      return;
+    }
+
+    this._transactions.forEach((transaction, id) => {
+      if (transaction.client === client) {
+        this._transactions.delete(id);
+      }
+    });
+
+    let watching = Array.from(this._watchers.values()).some(watcher => watcher.clients.has(client));
+    let forget = () => this._watchers.forEach(watcher => watcher.clients.delete(client));
+    let cleanUp = Promise.resolve();
+
+    if (watching && (this.ble.state === State.READY)) {
+      cleanUp = this._serialize(() => this._unwatchAll(client)).catch(forget);
+    } else {
+      forget();
+    }
+
+    cleanUp
+    .then(() => {
+      if (this._users.has(client)) {
+        return this._release(client);
+      }
+    })
+    .catch(() => {
+      // Already disconnected
+    });
+  }
+
+
+  // Slot number by which the dongle's definition clears the super-watcher
+  _superWatcherSlot() {
+    let device = this.ble.device;
+    let superWatch = device && device.periphInfo.commands && device.periphInfo.commands.superWatch;
+
+    return superWatch ? superWatch.slot : null;
+  }
+
+
+  _isConnected() {
+    return [ State.CONNECTING, State.INSPECTING, State.READY ].indexOf(this.ble.state) !== -1;
+  }
+
+
+  _stateMessage() {
+    return {
+      type: 'state',
+      state: this.ble.state,
+      peripheral: describePeripheral(this.ble.peripheral),
+    };
+  }
+
+
+  _broadcast(message) {
+    this._clients.forEach(client => client.send(message));
+  }
+
+};
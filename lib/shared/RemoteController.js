@@ -0,0 +1,381 @@
+/**
+ * Stand-in for a BleController shared through a ControllerHost (see ControllerHost.js),
+ * with the same methods, properties and events, so that code written for BleController
+ * works with either
+ *
+ * The differences:
+ *
+ * - 'state', 'isReady', 'peripheral' ('id' and 'name' only) and 'discoveredPeripherals'
+ *   follow the shared controller, so another client can change them.
+ * - The 'select' selection criterion is left out, since it can't be passed to the host.
+ * - startScanning() and open() resolve straight away while the connection is open, and
+ *   close() leaves it open if other clients use it; see ControllerHost.js.
+ * - 'data' events only carry the responses to Modbus requests written by this client,
+ *   each as a whole frame, and there are no 'frame' events. Other events are those of
+ *   the shared controller.
+ * - destroy() releases this client, rather than the shared controller.
+ * - transaction() makes a Modbus transaction, given the request frame.
+ *
+ * Subclasses deliver messages: they implement _send(), pass each message from the host
+ * to _receive(), call _start() once they can send, and _shutdown() if the host goes away.
+ */
+'use strict';
+
+const EventEmitter = require('../EventEmitter');
+const State = require('../ConnectionState').State;
+const errors = require('../errors');
+const messages = require('./messages');
+
+
+module.exports = class RemoteController extends EventEmitter {
+
+  constructor() {
+    super();
+
+    this.state = State.IDLE;
+    this.isReady = false;
+    this.peripheral = null;
+    this.discoveredPeripherals = [];
+
+    // Calls waiting for their result, keyed by ID
+    this._calls = new Map();
+    this._nextCallId = 1;
+
+    // Callbacks of the watchers set by this client, keyed by slot, or null for the
+    // super-watcher
+    this._watchers = new Map();
+
+    // Set once destroyed or disconnected from the host
+    this._shutdownError = null;
+  }
+
+
+  /**
+   * Deliver a message to the host
+   *
+   * @param {Object} message
+   * @return {None}
+   */
+  _send(message) {
+    throw new Error('_send() is not implemented by this RemoteController');
+  }
+
+
+  /**
+   * Ask the host for the current state
+   *
+   * @return {None}
+   */
+  _start() {
+    this._send({ type: 'hello' });
+  }
+
+
+  /**
+   * Handle a message from the host
+   *
+   * @param {Object} message
+   * @return {None}
+   */
+  _receive(message) {
+    if (this._shutdownError || !message) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'state':
+        this._updateState(message);
+        break;
+
+      case 'event':
+        this._onEvent(message.event, messages.decode(message.payload));
+        break;
+
+      case 'watcher': {
+        let callback = this._watchers.get(message.slot);
+
+        if (callback) {
+          callback(messages.decode(message.data));
+        }
+        break;
+      }
+
+      case 'data':
+        this.emit('data', messages.decode(message.data));
+        break;
+
+      case 'result': {
+        let call = this._calls.get(message.id);
+
+        if (call) {
+          this._calls.delete(message.id);
+
+          if (message.error !== undefined) {
+            call.reject(messages.decode(message.error));
+          } else {
+            call.resolve(messages.decode(message.result));
+          }
+        }
+        break;
+      }
+    }
+  }
+
+
+  /**
+   * Fail pending and later calls, once the host can no longer be reached
+   *
+   * @param {Error} err  Reason
+   * @return {None}
+   */
+  _shutdown(err) {
+    if (this._shutdownError) {
+      return;
+    }
+
+    this._shutdownError = err;
+
+    this._calls.forEach(call => call.reject(err));
+    this._calls.clear();
+    this._watchers.clear();
+  }
+
+
+  /**
+   * Call a method of the shared controller
+   *
+   * @param {String} method
+   * @param {...*}   args
+   * @return {Promise} Resolves with the result
+   */
+  _call(method, ...args) {
+    if (this._shutdownError) {
+      return Promise.reject(this._shutdownError);
+    }
+
+    let id = this._nextCallId++;
+
+    return new Promise((resolve, reject) => {
+      this._calls.set(id, { resolve: resolve, reject: reject });
+      this._send({ type: 'call', id: id, method: method, args: messages.encode(args) });
+    });
+  }
+
+
+  _updateState(message) {
+    // A new scan starts with no peripherals discovered
+    if ((message.state === State.SCANNING) && (this.state !== State.SCANNING)) {
+      this.discoveredPeripherals = [];
+    }
+
+    this.state = message.state;
+    this.isReady = (message.state === State.READY);
+    this.peripheral = message.peripheral;
+  }
+
+
+  _onEvent(event, payload) {
+    if (event === 'discover') {
+      // Selecting a peripheral is left to the host
+      payload.callback = () => {
+        this._call('select', payload.id)
+        .catch(() => {
+          // Scanning has ended
+        });
+      };
+
+      this.discoveredPeripherals.push(payload);
+    }
+
+    this.emit(event, payload);
+  }
+
+
+  // Selection criteria without a 'select' function
+  _criteria(options) {
+    let criteria = Object.assign({}, options);
+
+    delete criteria.select;
+
+    return criteria;
+  }
+
+
+  startScanning(options) {
+    return this._call('startScanning', this._criteria(options));
+  }
+
+
+  scan(options) {
+    return this._call('scan', this._criteria(options));
+  }
+
+
+  getAvailability() {
+    return this._call('getAvailability');
+  }
+
+
+  open(id) {
+    return this._call('open', id);
+  }
+
+
+  openKnown(id) {
+    return this._call('openKnown', id);
+  }
+
+
+  getKnownDevices() {
+    return this._call('getKnownDevices');
+  }
+
+
+  forgetDevice(id) {
+    return this._call('forgetDevice', id);
+  }
+
+
+  close() {
+    return this._call('close');
+  }
+
+
+  /**
+   * Release this client. The shared controller is closed if no other client uses it.
+   *
+   * @return {Promise} Resolves when complete
+   */
+  destroy() {
+    if (!this._shutdownError) {
+      this._send({ type: 'bye' });
+      this._shutdown(new Error('This RemoteController has been destroyed'));
+    }
+
+    return Promise.resolve();
+  }
+
+
+  getInfo() {
+    return this._call('getInfo');
+  }
+
+
+  getCapabilities() {
+    return this._call('getCapabilities');
+  }
+
+
+  configure(configuration) {
+    return this._call('configure', configuration);
+  }
+
+
+  keyswitch(state) {
+    return this._call('keyswitch', state);
+  }
+
+
+  watch(slot, id, address, length, cb) {
+    return this._call('watch', slot, id, address, length)
+    .then(() => {
+      this._watchers.set(slot, cb);
+    });
+  }
+
+
+  superWatch(id, addresses, cb) {
+    return this._call('superWatch', id, addresses)
+    .then(() => {
+      this._watchers.set(null, cb);
+    });
+  }
+
+
+  unwatch(slot) {
+    return this._call('unwatch', slot)
+    .then(() => {
+      this._watchers.delete(slot);
+    });
+  }
+
+
+  unwatchAll() {
+    return this._call('unwatchAll')
+    .then(() => {
+      this._watchers.clear();
+    });
+  }
+
+
+  getWatchers() {
+    return this._call('getWatchers');
+  }
+
+
+  readWatcher(slot) {
+    return this._call('readWatcher', slot);
+  }
+
+
+  getSuperWatcher() {
+    return this._call('getSuperWatcher');
+  }
+
+
+  readObject(objectId, options) {
+    return this._call('readObject', objectId, options);
+  }
+
+
+  writeObject(objectId, data, options) {
+    return this._call('writeObject', objectId, data, options);
+  }
+
+
+  isOpen() {
+    return this.state === State.READY;
+  }
+
+
+  /**
+   * Write a Modbus request (an MBAP frame) to the dongle. The response is emitted as a
+   * 'data' event.
+   *
+   * @param {Uint8Array} data
+   * @return {Promise} Resolves when written
+   */
+  write(data) {
+    let written = this._call('write', data);
+
+    // A Modbus master using this client as its connection ignores the promise, so a
+    // failure also goes to the 'error' listener that its connection adds
+    written.catch((err) => {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', err);
+      }
+    });
+
+    return written;
+  }
+
+
+  /**
+   * Make a Modbus transaction without a master of one's own
+   *
+   * @param {Uint8Array} frame    Request, as an MBAP frame
+   * @param {Number}     timeout  Milliseconds to wait for the response (default 5000)
+   * @return {Promise} Resolves with the response frame
+   */
+  transaction(frame, timeout) {
+    return this._call('transaction', frame, timeout);
+  }
+
+};
+
+
+// Connection states, for comparison with the 'state' property
+module.exports.State = State;
+
+// Error types, for use with instanceof; errors from the host are restored as these
+module.exports.errors = errors;
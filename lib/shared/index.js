@@ -0,0 +1,17 @@
+/**
+ * Sharing one BleController among several clients, over any channel that delivers
+ * messages (see ControllerHost.js)
+ *
+ * - ControllerHost - holds the controller and serves the clients
+ * - RemoteController - base class of the clients' BleController stand-ins
+ * - messages - encoding of the values in messages
+ *
+ * Electron apps use ../electron's ConnectionHost and SharedController, built on these.
+ */
+'use strict';
+
+module.exports = {
+  ControllerHost: require('./ControllerHost'),
+  RemoteController: require('./RemoteController'),
+  messages: require('./messages'),
+};
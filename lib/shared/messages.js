@@ -0,0 +1,111 @@
+/**
+ * Encoding of the values passed between ControllerHost and RemoteController
+ *
+ * Messages must survive Electron's IPC and JSON, so byte arrays are encoded as
+ * { $bytes: [ ...numbers ] } and errors as { $error: { name, message, ... } }; both are
+ * restored by decode(). Functions, and properties starting with '_', are left out.
+ */
+'use strict';
+
+const bytes = require('../bytes');
+const errors = require('../errors');
+
+
+/**
+ * @param {*}   value
+ * @param {Set} seen   Objects being encoded, to stop at cycles
+ * @return {*} The value, with byte arrays and errors encoded
+ */
+function encode(value, seen) {
+  seen = seen || new Set();
+
+  if ((value === null) || (typeof value !== 'object')) {
+    return (typeof value === 'function') ? undefined : value;
+  } else if (ArrayBuffer.isView(value)) {
+    return { $bytes: Array.from(bytes.view(value)) };
+  } else if (seen.has(value)) {
+    return null;
+  }
+
+  seen.add(value);
+
+  let encoded;
+
+  if (value instanceof Error) {
+    encoded = { $error: Object.assign(encodeProperties(value, seen),
+                                      { name: value.name, message: value.message }) };
+  } else if (Array.isArray(value)) {
+    encoded = value.map(item => encode(item, seen));
+  } else {
+    encoded = encodeProperties(value, seen);
+  }
+
+  seen.delete(value);
+
+  return encoded;
+}
+
+
+// Encode the properties of an object
+function encodeProperties(value, seen) {
+  let encoded = {};
+
+  Object.keys(value).forEach((key) => {
+    if ((key[0] !== '_') && (typeof value[key] !== 'function')) {
+      encoded[key] = encode(value[key], seen);
+    }
+  });
+
+  return encoded;
+}
+
+
+/**
+ * @param {*} value  Value returned by encode()
+ * @return {*} The value with byte arrays and errors restored. Errors named after one of
+ *             ../errors.js are instances of it.
+ */
+function decode(value) {
+  if ((value === null) || (typeof value !== 'object')) {
+    return value;
+  } else if (Array.isArray(value)) {
+    return value.map(decode);
+  } else if (value.$bytes) {
+    return bytes.from(value.$bytes);
+  } else if (value.$error) {
+    return decodeError(value.$error);
+  }
+
+  let decoded = {};
+
+  Object.keys(value).forEach((key) => {
+    decoded[key] = decode(value[key]);
+  });
+
+  return decoded;
+}
+
+
+// Restore an error, with the prototype of the class it is named after
+function decodeError(encoded) {
+  let ErrorClass = errors.hasOwnProperty(encoded.name) ? errors[encoded.name] : Error;
+  let err = Object.create(ErrorClass.prototype);
+
+  Object.keys(encoded).forEach((key) => {
+    err[key] = decode(encoded[key]);
+  });
+
+  Object.defineProperty(err, 'stack', {
+    value: `${encoded.name}: ${encoded.message}`,
+    writable: true,
+    configurable: true,
+  });
+
+  return err;
+}
+
+
+module.exports = {
+  encode: encode,
+  decode: decode,
+};
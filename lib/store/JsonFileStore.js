@@ -0,0 +1,70 @@
+/**
+ * Store that keeps known devices in a JSON file, for NodeJS applications
+ */
+'use strict';
+
+const fs = require('fs');
+
+
+module.exports = class JsonFileStore {
+
+  /**
+   * @param {String} path  Path of the file. It is created by the first save(), but its
+   *                       directory must exist.
+   */
+  constructor(path) {
+    this.path = path;
+  }
+
+
+  /**
+   * @return {Promise} Resolves with the stored records, or an empty array if the file
+   *                   doesn't exist yet
+   */
+  load() {
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.path, 'utf8', (err, text) => {
+        if (err && err.code === 'ENOENT') {
+          resolve([]);
+        } else if (err) {
+          reject(err);
+        } else {
+          try {
+            resolve(JSON.parse(text));
+          } catch(e) {
+            reject(new Error(`${this.path} is not a valid known device list: ${e.message}`));
+          }
+        }
+      });
+    });
+  }
+
+
+  /**
+   * Write the records to a temporary file, then move it into place, so that the file
+   * isn't left truncated if the application exits while saving
+   *
+   * @param {Array} records  Records to store, replacing the current ones
+   * @return {Promise} Resolves when stored
+   */
+  save(records) {
+    let tempPath = `${this.path}.tmp`;
+
+    return new Promise((resolve, reject) => {
+      fs.writeFile(tempPath, JSON.stringify(records, null, 2), 'utf8', (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          fs.rename(tempPath, this.path, (err) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve();
+            }
+          });
+        }
+      });
+    });
+  }
+
+};
@@ -0,0 +1,50 @@
+/**
+ * Store that keeps known devices in Web Storage, for Electron renderer processes and
+ * browsers
+ */
+'use strict';
+
+/* global window */
+
+// Default key of the stored list
+const DEFAULT_KEY = 'cs-mb-ble.knownDevices';
+
+
+module.exports = class LocalStorageStore {
+
+  /**
+   * @param {Object}  options
+   * @param {String}  options.key      Storage key (default 'cs-mb-ble.knownDevices')
+   * @param {Storage} options.storage  Storage object (default window.localStorage)
+   */
+  constructor(options) {
+    options = options || {};
+
+    this.key = options.key || DEFAULT_KEY;
+    this.storage = options.storage || window.localStorage;
+  }
+
+
+  /**
+   * @return {Promise} Resolves with the stored records, or an empty array if there
+   *                   are none
+   */
+  load() {
+    return new Promise((resolve) => {
+      resolve(JSON.parse(this.storage.getItem(this.key) || '[]'));
+    });
+  }
+
+
+  /**
+   * @param {Array} records  Records to store, replacing the current ones
+   * @return {Promise} Resolves when stored
+   */
+  save(records) {
+    return new Promise((resolve) => {
+      this.storage.setItem(this.key, JSON.stringify(records));
+      resolve();
+    });
+  }
+
+};
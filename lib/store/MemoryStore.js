@@ -0,0 +1,32 @@
+/**
+ * Store that keeps known devices in memory only, for the lifetime of the process.
+ * Used when no store is given to BleController.
+ */
+'use strict';
+
+
+module.exports = class MemoryStore {
+
+  constructor() {
+    this._records = [];
+  }
+
+
+  /**
+   * @return {Promise} Resolves with a copy of the stored records
+   */
+  load() {
+    return Promise.resolve(this._records.map(record => Object.assign({}, record)));
+  }
+
+
+  /**
+   * @param {Array} records  Records to store, replacing the current ones
+   * @return {Promise} Resolves when stored
+   */
+  save(records) {
+    this._records = records.map(record => Object.assign({}, record));
+    return Promise.resolve();
+  }
+
+};
@@ -0,0 +1,22 @@
+/**
+ * Persistence stores for the list of known devices (see ../KnownDevices.js)
+ *
+ * Usage:
+ *
+ *   const { JsonFileStore } = require('@csllc/cs-mb-ble/lib/store');
+ *
+ *   let ble = new BleController({
+ *     name: 'CS1816',
+ *     knownDevices: new JsonFileStore('/home/pi/.cs-mb-ble/devices.json'),
+ *   });
+ *
+ * Any object with load() and save(records) methods that return Promises can be used
+ * instead, e.g., to keep the list in an application's own settings file.
+ */
+'use strict';
+
+module.exports = {
+  MemoryStore: require('./MemoryStore'),
+  JsonFileStore: require('./JsonFileStore'),
+  LocalStorageStore: require('./LocalStorageStore'),
+};
@@ -0,0 +1,107 @@
+/**
+ * Test that covers the policies used to choose a peripheral when the 'autoConnect'
+ * option is set, using the simulated dongles in lib/mock
+ *
+ */
+
+'use strict';
+
+// Load the class that handles communication to the device
+const BleController = require('..');
+
+const { MockBluetooth, MockPeripheral } = require('../lib/mock');
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+
+describe('Auto-connect policies', function() {
+
+  var far = null;
+  var near = null;
+  var middle = null;
+  var bluetooth = null;
+
+  beforeEach('Create simulated dongles', function() {
+    far = new MockPeripheral({ rssi: -80 });
+    near = new MockPeripheral({ rssi: -50 });
+    middle = new MockPeripheral({ rssi: -70 });
+
+    bluetooth = new MockBluetooth({ peripherals: [ far, near, middle ] });
+  });
+
+  it('should select the first peripheral seen', function(done) {
+    var ble = new BleController({ name: 'CS1816', bluetooth: bluetooth, autoConnect: 'first' });
+    var rejectedSpy = sinon.spy();
+
+    ble.on('candidatesRejected', rejectedSpy);
+
+    ble.startScanning()
+    .then((peripheral) => {
+      expect(peripheral).to.equal(far);
+      expect(rejectedSpy.firstCall.args[0].policy).to.equal('first');
+      expect(rejectedSpy.firstCall.args[0].rejected).to.deep.equal([]);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should select the strongest signal after the collection window', function(done) {
+    var ble = new BleController({ name: 'CS1816', bluetooth: bluetooth,
+                                  autoConnect: { policy: 'strongest', window: 20 } });
+    var rejectedSpy = sinon.spy();
+
+    ble.on('candidatesRejected', rejectedSpy);
+
+    ble.startScanning()
+    .then((peripheral) => {
+      expect(peripheral).to.equal(near);
+
+      let report = rejectedSpy.firstCall.args[0];
+
+      expect(report.selected.id).to.equal(near.id);
+      expect(report.rejected.map(r => r.id)).to.deep.equal([ far.id, middle.id ]);
+      expect(report.rejected[0].reason).to.equal('weaker signal (-80 dBm vs -50 dBm)');
+      expect(report.rejected[0]).to.not.have.property('callback');
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should select a peripheral held in proximity', function(done) {
+    var ble = new BleController({ name: 'CS1816', bluetooth: bluetooth,
+                                  autoConnect: { policy: 'proximity', threshold: -55, count: 3 } });
+    var rejectedSpy = sinon.spy();
+
+    ble.on('candidatesRejected', rejectedSpy);
+
+    // 'near' was already close, but moves away; 'middle' is brought close
+    setTimeout(() => {
+      near.adData.rssi = -60;
+      bluetooth.advertise(near);
+
+      middle.adData.rssi = -45;
+      bluetooth.advertise(middle);
+      bluetooth.advertise(middle);
+      bluetooth.advertise(middle);
+    }, 10);
+
+    ble.startScanning()
+    .then((peripheral) => {
+      expect(peripheral).to.equal(middle);
+
+      let rejected = rejectedSpy.firstCall.args[0].rejected;
+
+      expect(rejected.map(r => r.id)).to.deep.equal([ far.id, near.id ]);
+      expect(rejected[1].reason).to.equal('0 of 3 consecutive advertisements at or above -55 dBm');
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should reject an unknown policy', function() {
+    expect(() => new BleController({ name: 'CS1816', bluetooth: bluetooth, autoConnect: 'closest' }))
+    .to.throw(/Unknown autoConnect policy 'closest'/);
+  });
+
+});
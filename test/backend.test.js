@@ -0,0 +1,76 @@
+/**
+ * Test that covers selection of the Bluetooth backend, using the simulated dongle in
+ * lib/mock
+ *
+ */
+
+'use strict';
+
+// Load the class that handles communication to the device
+const BleController = require('..');
+
+const { Backend, MockBackend, WebBluetoothBackend } = require('../lib/backend');
+const { MockBluetooth, MockPeripheral } = require('../lib/mock');
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+
+describe('Bluetooth backends', function() {
+
+  it('should select a backend by name', function() {
+    var bluetooth = new MockBluetooth();
+
+    expect(new BleController({ name: 'CS1816', bluetooth: bluetooth }).backend)
+    .to.be.an.instanceof(WebBluetoothBackend);
+
+    var ble = new BleController({ name: 'CS1816', backend: 'mock', bluetooth: bluetooth });
+
+    expect(ble.backend).to.be.an.instanceof(MockBackend);
+    expect(ble.bluetooth).to.equal(bluetooth);
+
+    expect(() => new BleController({ name: 'CS1816', backend: 'serial' }))
+    .to.throw(/Unknown Bluetooth backend 'serial'/);
+  });
+
+  it('should do all GATT operations through the backend', function(done) {
+    var backend = new MockBackend(new MockBluetooth({ peripherals: [ new MockPeripheral() ] }));
+    var ble = new BleController({ name: 'CS1816', backend: backend });
+
+    var connectSpy = sinon.spy(backend, 'connect');
+    var notifySpy = sinon.spy(backend, 'startNotifications');
+    var writeSpy = sinon.spy(backend, 'write');
+
+    ble.startScanning()
+    .then(() => ble.open())
+    .then(() => {
+      expect(connectSpy.calledOnce).to.be.true;
+      expect(notifySpy.called).to.be.true;
+
+      return ble.keyswitch(true);
+    })
+    .then(() => {
+      expect(writeSpy.called).to.be.true;
+      return ble.close();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('should report methods a backend does not implement', function(done) {
+    var ble = new BleController({ name: 'CS1816', backend: new Backend() });
+
+    expect(ble.backend.reportsAdvertisements).to.be.false;
+
+    ble.startScanning()
+    .then(() => {
+      done(new Error('Expected startScanning() to be rejected'));
+    })
+    .catch((err) => {
+      expect(err.message).to.equal('requestDevice() is not implemented by this Bluetooth backend');
+      done();
+    })
+    .catch(done);
+  });
+
+});
@@ -0,0 +1,160 @@
+/**
+ * Test that covers running without NodeJS's Buffer and with a global navigator.bluetooth,
+ * as in a plain browser page, using the simulated dongle in lib/mock
+ *
+ */
+
+'use strict';
+
+// Load the class that handles communication to the device
+const BleController = require('..');
+
+const Advertisement = require('../lib/Advertisement');
+const EventEmitter = require('../lib/EventEmitter');
+const bytes = require('../lib/bytes');
+const { WebBluetoothBackend } = require('../lib/backend');
+const { MockBluetooth, MockPeripheral, MockController } = require('../lib/mock');
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+
+// Run a function with the global Buffer hidden, as in a browser, until the promise it
+// returns (if any) settles
+function withoutBuffer(fn) {
+  let descriptor = Object.getOwnPropertyDescriptor(global, 'Buffer');
+  let restore = () => Object.defineProperty(global, 'Buffer', descriptor);
+  let result;
+
+  delete global.Buffer;
+
+  try {
+    result = fn();
+  } catch (err) {
+    restore();
+    throw err;
+  }
+
+  if (result && (typeof result.then === 'function')) {
+    return result.then((value) => {
+      restore();
+      return value;
+    }, (err) => {
+      restore();
+      throw err;
+    });
+  }
+
+  restore();
+  return result;
+}
+
+
+describe('Browser environment', function() {
+
+  it('should use Uint8Arrays without Buffer', function() {
+    withoutBuffer(() => {
+      let data = bytes.from([ 0x43, 0x53, 0x00 ]);
+
+      expect(typeof Buffer).to.equal('undefined');
+      expect(data.constructor).to.equal(Uint8Array);
+      expect(bytes.toString(data, 'ascii')).to.equal('CS\0');
+      expect(bytes.toString(data, 'hex')).to.equal('435300');
+      expect(bytes.toString(Uint8Array.from([ 0xC2, 0xB5 ]))).to.equal('µ');
+
+      let copy = bytes.fromView(new DataView(data.buffer, 1, 2));
+
+      expect(Array.from(copy)).to.deep.equal([ 0x53, 0x00 ]);
+      expect(copy.buffer).to.not.equal(data.buffer);
+    });
+
+    expect(Buffer.isBuffer(bytes.from([ 1 ]))).to.be.true;
+  });
+
+  it('should decode advertisements without Buffer', function() {
+    let definition = {
+      companyIdentifier: 0xFFFF,
+      fields: {
+        product: { offset: 0, length: 4, type: 'ascii' },
+        version: { offset: 4, type: 'uint16be' },
+      },
+    };
+
+    let manufacturerData = new Map([
+      [ 0xFFFF, new DataView(Uint8Array.from([ 0x41, 0x42, 0x00, 0x00, 0x01, 0x02 ]).buffer) ],
+    ]);
+
+    withoutBuffer(() => {
+      expect(Advertisement.decode(definition, manufacturerData))
+      .to.deep.equal({ product: 'AB', version: 0x0102 });
+    });
+  });
+
+  it('should open and list watchers without Buffer', function(done) {
+    var peripheral = new MockPeripheral({ controllers: [ new MockController({ id: 1 }) ] });
+    var ble = new BleController({ name: 'CS1816', bluetooth: new MockBluetooth({ peripherals: [ peripheral ] }) });
+
+    ble.startScanning()
+    .then(() => withoutBuffer(() => {
+      return ble.open()
+      .then(() => {
+        expect(typeof Buffer).to.equal('undefined');
+
+        // @csllc/cs-modbus needs Buffer, so stand in for its response, whose values
+        // are a Uint8Array where the page's bundle provides no Buffer
+        sinon.stub(ble.device, '_modbusCommand')
+        .resolves({ values: Uint8Array.from([ 0, 1, 1, 0x01, 0x00, 2, 3, 1, 0x02, 0x10, 4 ]) });
+
+        return ble.getWatchers();
+      });
+    }))
+    .then((watchers) => {
+      expect(watchers).to.deep.equal([
+        { slot: 1, id: 1, address: 0x0100, length: 2 },
+        { slot: 3, id: 1, address: 0x0210, length: 4 },
+      ]);
+
+      return ble.close();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('should emit events without the events module', function() {
+    var emitter = new EventEmitter();
+    var spy = sinon.spy();
+
+    emitter.once('data', spy);
+    emitter.on('data', spy);
+    emitter.removeListener('data', spy);
+
+    expect(emitter.emit('data', 1)).to.be.true;
+    expect(emitter.emit('data', 2)).to.be.false;
+    expect(spy.calledOnceWith(1)).to.be.true;
+
+    expect(() => emitter.emit('error', new Error('unhandled'))).to.throw('unhandled');
+  });
+
+  it('should use the global navigator.bluetooth by default', function(done) {
+    var peripheral = new MockPeripheral();
+
+    global.navigator = { bluetooth: new MockBluetooth({ peripherals: [ peripheral ] }) };
+
+    var ble = new BleController({ name: 'CS1816' });
+
+    delete global.navigator;
+
+    expect(ble.backend).to.be.an.instanceof(WebBluetoothBackend);
+
+    ble.startScanning()
+    .then(() => ble.open())
+    .then(() => ble.getInfo())
+    .then((info) => {
+      expect(info.modelNumber).to.equal('CS1816');
+      return ble.close();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+});
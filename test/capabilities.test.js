@@ -0,0 +1,229 @@
+/**
+ * Test that covers capability negotiation based on the dongle's software revision,
+ * using the simulated dongle in lib/mock
+ *
+ */
+
+'use strict';
+
+// Load the class that handles communication to the device
+const BleController = require('..');
+
+const cs1816 = require('../lib/device/cs1816');
+const { MockBluetooth, MockPeripheral } = require('../lib/mock');
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+const NotSupportedError = BleController.errors.NotSupportedError;
+
+// Create a BleController connected to a simulated CS1816 with the given software revision
+function connect(softwareRevision, options) {
+  var peripheral = new MockPeripheral(Object.assign({
+    deviceInformation: { softwareRevision: softwareRevision }
+  }, options));
+
+  var ble = new BleController({
+    name: peripheral.name,
+    bluetooth: new MockBluetooth({ peripherals: [ peripheral ] }),
+  });
+
+  return ble.startScanning()
+  .then(() => ble.open())
+  .then(() => ble);
+}
+
+
+describe('Capabilities', function() {
+
+  it('should report the capabilities of current firmware', function(done) {
+    var ble;
+
+    connect('1.10')
+    .then((result) => {
+      ble = result;
+      return ble.getCapabilities();
+    })
+    .then((capabilities) => {
+      expect(capabilities).to.deep.equal({
+        modelNumber: 'CS1816',
+        softwareRevision: '1.10.0',
+        commands: {
+          configure: true,
+          keySwitch: true,
+          watch: true,
+          unwatch: true,
+          unwatchAll: true,
+          superWatch: true,
+          getWatcher: true,
+        },
+        watcherSlots: 15,
+        maxWatchLength: 4,
+        superWatcher: true,
+        superWatcherSize: 25,
+        readWatcher: true,
+      });
+
+      return ble.close();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('should reject commands that older firmware does not support', function(done) {
+    var ble;
+
+    connect('1.4')
+    .then((result) => {
+      ble = result;
+      return ble.getCapabilities();
+    })
+    .then((capabilities) => {
+      expect(capabilities.commands.superWatch).to.be.false;
+      expect(capabilities.commands.watch).to.be.true;
+      expect(capabilities.superWatcherSize).to.equal(0);
+      expect(capabilities.readWatcher).to.be.false;
+
+      return ble.superWatch(1, [ 0x0100 ], () => {});
+    })
+    .then(() => {
+      throw new Error('Expected superWatch() to be rejected');
+    }, (err) => {
+      expect(err).to.be.an.instanceof(NotSupportedError);
+      expect(err.operation).to.equal('superWatch');
+      expect(err.minSwRev).to.equal('1.5.0');
+      expect(err.softwareRevision).to.equal('1.4.0');
+      expect(err.message).to.equal('superWatch() requires CS1816 software revision 1.5.0 or later; ' +
+                                   'this peripheral reports 1.4.0');
+
+      return ble.readWatcher(0);
+    })
+    .then(() => {
+      throw new Error('Expected readWatcher() to be rejected');
+    }, (err) => {
+      expect(err).to.be.an.instanceof(NotSupportedError);
+      expect(err.minSwRev).to.equal('1.10.0');
+
+      return ble.close();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+
+
+  describe('Firmware-dependent watchers', function() {
+
+    // CS1816 definition whose extra status characteristic, and watcher, requires
+    // software revision 2.0
+    var versioned = JSON.parse(JSON.stringify(cs1816));
+
+    versioned.name = 'CS1898';
+    versioned.commands.watch.maxSlots = 16;
+    versioned.services.controller.characteristics.status16 = {
+      uuid: cs1816.services.controller.characteristics.status16.uuid,
+      minSwRev: '2.0',
+    };
+
+    before(function() {
+      BleController.registerDevice(versioned);
+    });
+
+    after(function() {
+      BleController.registry.unregister('CS1898');
+    });
+
+    it('should use no more watcher slots than the firmware supports', function(done) {
+      var t = {};
+
+      // Software 1.5 exposes 25 status characteristics, but has 15 watchers
+      connect('1.5')
+      .then((ble) => {
+        t.ble = ble;
+        expect(ble.bluetooth.peripherals[0].watcherMax).to.equal(25);
+
+        return ble.getCapabilities();
+      })
+      .then((capabilities) => {
+        expect(capabilities.watcherSlots).to.equal(15);
+        return t.ble.watch(14, 1, 0x0100, 1, () => {});
+      })
+      .then(() => {
+        var slots = [ 15, 16, 24 ];
+
+        return Promise.all(slots.map((slot) => {
+          return t.ble.watch(slot, 1, 0x0100, 1, () => {})
+          .then(() => `watch(${slot}) resolved`, err => err);
+        }));
+      })
+      .then((results) => {
+        expect(results[0]).to.match(/Invalid slot 15/);
+        expect(results[1]).to.match(/Invalid slot 16/);
+        expect(results[2]).to.match(/Invalid slot 24/);
+
+        // The simulated dongle has as many watchers as the definition says
+        expect(t.ble.bluetooth.peripherals[0].maxWatchers).to.equal(cs1816.commands.watch.maxSlots);
+        expect(t.ble.bluetooth.peripherals[0].watchers.filter(watcher => watcher)).to.have.length(1);
+
+        return t.ble.close();
+      })
+      .then(() => done())
+      .catch(done);
+    });
+
+    it('should use the extra status characteristics of firmware that supports them', function(done) {
+      var spy = sinon.spy();
+      var t = {};
+
+      connect('2.0', { definition: versioned })
+      .then((ble) => {
+        t.ble = ble;
+        return ble.watch(15, 1, 0x0100, 1, spy);
+      })
+      .then(() => {
+        t.ble.bluetooth.peripherals[0].controllers[0].writeMemory(0x0100, Buffer.from([ 0x55 ]));
+        return new Promise((resolve) => setTimeout(resolve, 10));
+      })
+      .then(() => {
+        expect(spy.calledOnceWith(Buffer.from([ 0x55 ]))).to.be.true;
+        return t.ble.close();
+      })
+      .then(() => done())
+      .catch(done);
+    });
+
+    it('should ignore status characteristics the software revision does not support', function(done) {
+      connect('1.10', { definition: versioned, watcherMax: 16 })
+      .then((ble) => {
+        return ble.getCapabilities()
+        .then((capabilities) => {
+          expect(capabilities.watcherSlots).to.equal(15);
+          return ble.close();
+        });
+      })
+      .then(() => connect('2.0', { definition: versioned, watcherMax: 16 }))
+      .then((ble) => {
+        return ble.getCapabilities()
+        .then((capabilities) => {
+          expect(capabilities.watcherSlots).to.equal(16);
+          return ble.close();
+        });
+      })
+      .then(() => done())
+      .catch(done);
+    });
+
+    it('should fail inspection if a supported characteristic is missing', function(done) {
+      connect('2.0', { definition: versioned, watcherMax: 15 })
+      .then(() => {
+        done(new Error('Expected open() to be rejected'));
+      })
+      .catch((err) => {
+        expect(err).to.match(/missing characteristic 'status16'/);
+        done();
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,253 @@
+/**
+ * Test that covers sharing a dongle among processes through lib/daemon, with a Daemon
+ * and DaemonClients in this process talking over a real Unix domain socket, and a
+ * simulated dongle from lib/mock
+ *
+ */
+
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const Modbus = require('@csllc/cs-modbus');
+
+const { Daemon, DaemonClient } = require('../lib/daemon');
+const protocol = require('../lib/daemon/protocol');
+const { MockBluetooth, MockPeripheral, MockController } = require('../lib/mock');
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+// Helper to let pending notifications be delivered
+function settle(ms) {
+  return new Promise((resolve) => { setTimeout(resolve, ms || 20); });
+}
+
+
+describe('Daemon', function() {
+
+  var socketPath = path.join(os.tmpdir(), `cs-mb-ble-test-${process.pid}.sock`);
+
+  var controller = null;
+  var daemon = null;
+  var logger = null;
+  var tool = null;
+
+  beforeEach('Serve a simulated dongle to two clients', function() {
+    controller = new MockController({ id: 1 });
+
+    var peripheral = new MockPeripheral({ product: 'PHOENIX', serial: '12345678',
+                                          controllers: [ controller ] });
+
+    daemon = new Daemon({
+      name: 'CS1816',
+      bluetooth: new MockBluetooth({ peripherals: [ peripheral ] }),
+      socketPath: socketPath,
+    });
+
+    return daemon.listen()
+    .then(() => {
+      logger = new DaemonClient({ socketPath: socketPath });
+      tool = new DaemonClient({ socketPath: socketPath });
+
+      return logger.startScanning();
+    })
+    .then(() => logger.open())
+    .then(() => tool.open());
+  });
+
+  afterEach(function() {
+    return Promise.all([ logger.destroy(), tool.destroy() ])
+    .then(() => daemon.close());
+  });
+
+  it('should give clients watching the same slot number their own slots', function(done) {
+    var loggerUpdates = [];
+    var toolUpdates = [];
+
+    logger.watch(1, 1, 0x0100, 1, data => loggerUpdates.push(data[0]))
+    .then(() => tool.watch(1, 1, 0x0200, 1, data => toolUpdates.push(data[0])))
+    .then(() => {
+      controller.writeMemory(0x0100, Buffer.from([ 5 ]));
+      controller.writeMemory(0x0200, Buffer.from([ 6 ]));
+      return settle();
+    })
+    .then(() => Promise.all([ logger.getWatchers(), tool.getWatchers(), daemon.ble.getWatchers() ]))
+    .then((results) => {
+      expect(loggerUpdates).to.deep.equal([ 5 ]);
+      expect(toolUpdates).to.deep.equal([ 6 ]);
+
+      expect(results[0]).to.deep.equal([ { slot: 1, id: 1, address: 0x0100, length: 1 } ]);
+      expect(results[1]).to.deep.equal([ { slot: 1, id: 1, address: 0x0200, length: 1 } ]);
+      expect(results[2].map(watcher => watcher.slot)).to.have.members([ 0, 1 ]);
+
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should make raw Modbus transactions and restore the transaction ID', function(done) {
+    controller.writeMemory(0x0300, Buffer.from([ 0xAB, 0xCD ]));
+
+    // Read Memory of 2 bytes at 0x0300, with transaction ID 0x1234
+    var request = Buffer.from([ 0x12, 0x34, 0x00, 0x00, 0x00, 0x05, 0x01,
+                                0x45, 0x03, 0x00, 0x02 ]);
+
+    Promise.all([ logger.transaction(request), tool.transaction(request) ])
+    .then((responses) => {
+      responses.forEach((response) => {
+        expect(Buffer.isBuffer(response)).to.be.true;
+        expect(Array.from(response)).to.deep.equal([ 0x12, 0x34, 0x00, 0x00, 0x00, 0x04, 0x01,
+                                                     0x45, 0xAB, 0xCD ]);
+      });
+
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should restore typed errors and close when the daemon stops', function(done) {
+    var closed = false;
+
+    tool.on('close', () => { closed = true; });
+
+    logger.close()
+    .then(() => tool.close())
+    .then(() => tool.getInfo())
+    .then(() => done(new Error('Expected getInfo() to fail')))
+    .catch((err) => {
+      expect(err).to.be.an.instanceof(DaemonClient.errors.InvalidStateError);
+      expect(err.operation).to.equal('getInfo');
+      expect(tool.state).to.equal('disconnected');
+
+      return daemon.close();
+    })
+    .then(() => settle())
+    .then(() => tool.getAvailability())
+    .then(() => done(new Error('Expected getAvailability() to fail')))
+    .catch((err) => {
+      expect(closed).to.be.true;
+      expect(err.message).to.equal('The connection to the daemon was closed');
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should report a failed write to a Modbus master as an error', function(done) {
+    var unhandled = [];
+    var onUnhandled = reason => unhandled.push(reason);
+    var master = null;
+
+    process.on('unhandledRejection', onUnhandled);
+
+    logger.close()
+    .then(() => tool.close())
+    .then(() => {
+      master = Modbus.createMaster({
+        transport: { type: 'ip', connection: { type: 'generic', device: tool } },
+        suppressTransactionErrors: true,
+        defaultUnit: 1,
+        defaultMaxRetries: 0,
+        defaultTimeout: 100,
+      });
+
+      return new Promise((resolve) => {
+        master.once('error', resolve);
+        master.readMemory(0x0100, 1);
+      });
+    })
+    .then((err) => {
+      expect(err).to.be.an.instanceof(DaemonClient.errors.InvalidStateError);
+      expect(err.operation).to.equal('write');
+
+      // Unhandled rejections are reported after the microtask queue drains
+      return settle();
+    })
+    .then(() => {
+      expect(unhandled).to.deep.equal([]);
+    })
+    .then(() => {
+      process.removeListener('unhandledRejection', onUnhandled);
+      master.destroy();
+      done();
+    }, (err) => {
+      process.removeListener('unhandledRejection', onUnhandled);
+      done(err);
+    });
+  });
+
+  it('should make the socket usable by its owner only', function() {
+    expect(fs.statSync(socketPath).mode & 0o777).to.equal(0o600);
+  });
+
+  it('should create the socket usable by its owner only, before setting its permissions', function(done) {
+    var otherPath = path.join(os.tmpdir(), `cs-mb-ble-test-${process.pid}-other.sock`);
+    var other = new Daemon({ name: 'CS1816', bluetooth: new MockBluetooth({ peripherals: [] }),
+                             socketPath: otherPath, socketMode: 0o660 });
+    var umask = process.umask();
+    var created = null;
+
+    sinon.stub(fs, 'chmodSync').callsFake((file, mode) => {
+      created = fs.statSync(file).mode & 0o777;
+      fs.chmodSync.wrappedMethod(file, mode);
+    });
+
+    other.listen()
+    .then(() => {
+      fs.chmodSync.restore();
+
+      expect(created).to.equal(0o600);
+      expect(fs.statSync(otherPath).mode & 0o777).to.equal(0o660);
+      expect(process.umask()).to.equal(umask);
+    })
+    .then(() => other.close().then(() => done()), (err) => {
+      if (fs.chmodSync.restore) {
+        fs.chmodSync.restore();
+      }
+
+      other.close().then(() => done(err));
+    });
+  });
+
+  it('should stop listening if the socket\'s permissions can\'t be set', function(done) {
+    var otherPath = path.join(os.tmpdir(), `cs-mb-ble-test-${process.pid}-other.sock`);
+    var other = new Daemon({ name: 'CS1816', bluetooth: new MockBluetooth({ peripherals: [] }),
+                             socketPath: otherPath });
+
+    sinon.stub(fs, 'chmodSync').throws(new Error('EPERM'));
+
+    other.listen()
+    .then(() => done(new Error('Expected listen() to fail')))
+    .catch((err) => {
+      fs.chmodSync.restore();
+
+      expect(err.message).to.equal('EPERM');
+      expect(other._server.listening).to.be.false;
+    })
+    .then(() => other.close().then(() => done()), (err) => {
+      other.close().then(() => done(err));
+    });
+  });
+
+  it('should disconnect a client that sends a line that is too long', function(done) {
+    var errors = [];
+
+    daemon.on('clientError', err => errors.push(err));
+
+    var socket = net.connect(socketPath, () => {
+      socket.write('x'.repeat(protocol.MAX_LINE_LENGTH + 1));
+    });
+
+    socket.on('error', () => {});
+
+    socket.on('close', () => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].message).to.match(/^Message longer than/);
+
+      done();
+    });
+  });
+
+});
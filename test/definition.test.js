@@ -0,0 +1,113 @@
+/**
+ * Test that covers the device definition schema
+ *
+ */
+
+'use strict';
+
+// Load the class that handles communication to the device
+const BleController = require('..');
+
+const DefinitionSchema = require('../lib/DefinitionSchema');
+const cs1814 = require('../lib/device/cs1814');
+const cs1816 = require('../lib/device/cs1816');
+const generic = require('../lib/device/generic');
+const { MockBluetooth, MockPeripheral } = require('../lib/mock');
+
+var expect = require('chai').expect;
+
+// Return a copy of the CS1816 definition with the given commands
+function withCommands(commands) {
+  return Object.assign({}, cs1816, { commands: commands });
+}
+
+
+describe('Device definition schema', function() {
+
+  it('should accept the built-in definitions', function() {
+    [ cs1814, cs1816, generic ].forEach((definition) => {
+      expect(DefinitionSchema.validate(definition)).to.deep.equal([]);
+    });
+  });
+
+  it('should report each problem with its path', function() {
+    let problems = DefinitionSchema.validate(withCommands({
+      watch: { opCode: 300, maxLen: 0, maxSlots: 256 },
+      superWatch: { opCode: 5, minSoftwareRevision: '1.5' },
+      getWatcher: { opCode: 6, minSwRev: 'latest', params: { getWatchers: -1 } },
+    }));
+
+    expect(problems).to.deep.equal([
+      'commands.watch.opCode: expected an integer from 0 to 255',
+      'commands.watch.maxLen: expected an integer from 1 to 255',
+      'commands.watch.maxSlots: expected an integer from 1 to 255',
+      'commands.superWatch.minSoftwareRevision: unknown property',
+      'commands.getWatcher.minSwRev: expected a version string such as "1.5" or "1.10.0"',
+      'commands.getWatcher.params.getWatchers: expected an integer from 0 to 255',
+    ]);
+  });
+
+  it('should require the services and characteristics the library uses', function() {
+    let services = Object.assign({}, cs1816.services);
+    delete services.transparentUart;
+
+    let problems = DefinitionSchema.validate(Object.assign({}, cs1816, { services: services }));
+
+    expect(problems).to.deep.equal([ 'services.transparentUart: required service is missing' ]);
+  });
+
+  it('should check the manufacturer data layout', function() {
+    let problems = DefinitionSchema.validate(Object.assign({}, cs1816, {
+      advertisement: {
+        companyIdentifier: 0x10000,
+        fields: {
+          product: { offset: 0, type: 'ascii' },
+          serial: { offset: -1, length: 2, type: 'uint32le' },
+          version: { offset: 16, type: 'float' },
+        },
+      },
+    }));
+
+    expect(problems).to.deep.equal([
+      'advertisement.companyIdentifier: expected an integer from 0 to 65535',
+      'advertisement.fields.product.length: expected a positive integer',
+      'advertisement.fields.serial.offset: expected a non-negative integer',
+      'advertisement.fields.serial.length: uint32le fields are 4 bytes long',
+      'advertisement.fields.version.type: expected one of ascii, hex, uint8, uint16le, uint16be, uint32le, uint32be',
+    ]);
+  });
+
+  it('should fill in defaults when normalizing', function() {
+    let definition = DefinitionSchema.normalize(cs1814);
+
+    expect(definition.commands).to.deep.equal({});
+    expect(definition.id).to.equal(0xFE);
+    expect(definition.services.deviceInformation.characteristics.systemId.optional).to.be.false;
+    expect(DefinitionSchema.normalizeUuid('180A')).to.equal('0000180a-0000-1000-8000-00805f9b34fb');
+  });
+
+  it('should reject an invalid definition at registration', function() {
+    expect(() => BleController.registerDevice(withCommands({ keySwitch: {} })))
+    .to.throw(BleController.errors.DefinitionError, /commands\.keySwitch\.opCode/);
+  });
+
+  it('should reject commands on a dongle that has none', function(done) {
+    var ble = new BleController({
+      name: 'CS1814',
+      bluetooth: new MockBluetooth({ peripherals: [ new MockPeripheral({ definition: cs1814 }) ] }),
+    });
+
+    ble.startScanning()
+    .then(() => ble.open())
+    .then(() => ble.keyswitch(true))
+    .then(() => {
+      throw new Error('Expected keyswitch() to be rejected');
+    }, (err) => {
+      expect(err).to.be.an.instanceof(BleController.errors.NotSupportedError);
+      return ble.close();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+});
@@ -0,0 +1,140 @@
+/**
+ * Test that covers collecting peripherals with a timed scan, using the simulated
+ * dongles in lib/mock
+ *
+ */
+
+'use strict';
+
+// Load the class that handles communication to the device
+const BleController = require('..');
+
+const Advertisement = require('../lib/Advertisement');
+const cs1816 = require('../lib/device/cs1816');
+const { MockBluetooth, MockPeripheral } = require('../lib/mock');
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+
+describe('Timed scan', function() {
+
+  var ble = null;
+  var bluetooth = null;
+  var near = null;
+  var far = null;
+
+  before('Create BleController instance with simulated dongles', function() {
+    near = new MockPeripheral({ rssi: -45, product: 'PHOENIX', serial: '12345678' });
+    far = new MockPeripheral({ rssi: -80, advertiseInfo: false });
+
+    bluetooth = new MockBluetooth({ peripherals: [ near, far ] });
+
+    ble = new BleController({ name: 'CS1816', bluetooth: bluetooth });
+  });
+
+  it('should collect every matching peripheral seen during the scan', function(done) {
+    var other = new MockPeripheral({ name: 'OTHER' });
+    var resultSpy = sinon.spy();
+
+    ble.on('scanResult', resultSpy);
+
+    setTimeout(() => {
+      // Update the signal strength of one, and bring two more into range
+      near.adData.rssi = -40;
+      bluetooth.advertise(near);
+      bluetooth.addPeripheral(other);
+      bluetooth.addPeripheral(new MockPeripheral({ id: 'late', rssi: -60 }));
+    }, 10);
+
+    ble.scan({ duration: 50 })
+    .then((results) => {
+      ble.off('scanResult', resultSpy);
+
+      expect(results.map(r => r.id)).to.deep.equal([ near.id, far.id, 'late' ]);
+      expect(resultSpy.callCount).to.equal(4);
+
+      expect(results[0].name).to.equal('CS1816');
+      expect(results[0].rssi).to.equal(-40);
+      expect(results[0].txPower).to.equal(0);
+      expect(results[0].uuids).to.include('6765ed1f-4de1-49e1-4771-a14380c90000');
+      expect(results[0].lastSeen).to.be.at.least(results[1].lastSeen);
+
+      expect(ble.state).to.equal(BleController.State.IDLE);
+      expect(bluetooth.deviceFound).to.be.null;
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should stop reporting advertisements when the scan is over', function() {
+    var resultSpy = sinon.spy();
+
+    ble.on('scanResult', resultSpy);
+    bluetooth.advertise(far);
+    ble.off('scanResult', resultSpy);
+
+    expect(resultSpy.called).to.be.false;
+  });
+
+  it('should accept custom filters', function(done) {
+    ble.scan({ duration: 10, filters: [ { name: 'OTHER' } ] })
+    .then((results) => {
+      expect(results.map(r => r.name)).to.deep.equal([ 'OTHER' ]);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should open a peripheral found by the scan', function(done) {
+    ble.scan({ duration: 10 })
+    .then(() => {
+      return ble.open(far.id);
+    })
+    .then(() => {
+      expect(ble.peripheral).to.equal(far);
+      return ble.close();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('should fail if Bluetooth is unavailable', function(done) {
+    bluetooth.setAvailability(false);
+
+    ble.scan({ duration: 10 })
+    .then(() => {
+      done(new Error('Expected scan() to be rejected'));
+    })
+    .catch(() => {
+      expect(ble.state).to.equal(BleController.State.ERROR);
+      bluetooth.setAvailability(true);
+      done();
+    });
+  });
+
+  it('should decode product and serial from manufacturer data', function(done) {
+    ble.scan({ duration: 10 })
+    .then((results) => {
+      expect(results[0].product).to.equal('PHOENIX');
+      expect(results[0].serial).to.equal('12345678');
+      expect(results[1].product).to.be.null;
+      expect(results[1].serial).to.be.null;
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should decode manufacturer data keyed as by the webbluetooth module', function() {
+    var data = Buffer.concat([ Buffer.from('MAX'), Buffer.alloc(5), Buffer.from('00000042') ]);
+    var manufacturerData = new Map([ [ 'ffff', new DataView(Uint8Array.from(data).buffer) ] ]);
+
+    expect(Advertisement.decode(cs1816.advertisement, manufacturerData))
+    .to.deep.equal({ product: 'MAX', serial: '00000042' });
+
+    // Fields past the end of the data are left out
+    expect(Advertisement.decode(cs1816.advertisement, new Map([ [ 0xFFFF, data.slice(0, 8) ] ])))
+    .to.deep.equal({ product: 'MAX' });
+  });
+
+});
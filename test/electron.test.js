@@ -0,0 +1,110 @@
+/**
+ * Test that covers choosing a device in Electron, with lib/electron's DevicePicker in the
+ * main process and the 'electron' backend in the renderer, using simulated Electron
+ * processes and dongles from lib/mock
+ *
+ */
+
+'use strict';
+
+// Load the class that handles communication to the device
+const BleController = require('..');
+
+const { DevicePicker, channels } = require('../lib/electron');
+const { ElectronBackend } = require('../lib/backend');
+const { MockElectron, MockPeripheral } = require('../lib/mock');
+
+var expect = require('chai').expect;
+
+
+describe('Electron device picker', function() {
+
+  var first = null;
+  var second = null;
+  var electron = null;
+  var win = null;
+  var picker = null;
+
+  beforeEach('Create simulated Electron processes with two dongles in range', function() {
+    first = new MockPeripheral({ product: 'PHOENIX', serial: '00000001' });
+    second = new MockPeripheral({ product: 'PHOENIX', serial: '00000002' });
+
+    electron = new MockElectron({ peripherals: [ first, second ] });
+    win = electron.createWindow();
+
+    picker = new DevicePicker({ ipcMain: electron.ipcMain, timeout: 200 });
+    picker.attach(win.webContents);
+  });
+
+  afterEach(function() {
+    picker.destroy();
+  });
+
+  it('should report the devices found as discover events', function(done) {
+    var lists = [];
+    var discovered = [];
+
+    win.ipcRenderer.on(channels.devices, (event, deviceList) => {
+      lists.push(deviceList);
+    });
+
+    var ble = new BleController({ name: 'CS1816', bluetooth: win.bluetooth,
+                                  ipcRenderer: win.ipcRenderer });
+
+    expect(ble.backend).to.be.an.instanceof(ElectronBackend);
+
+    ble.on('discover', (entry) => {
+      discovered.push(entry);
+
+      if (discovered.length === 2) {
+        entry.callback();
+      }
+    });
+
+    ble.startScanning()
+    .then((peripheral) => {
+      expect(peripheral).to.equal(second);
+      expect(discovered.map(entry => entry.id)).to.deep.equal([ first.id, second.id ]);
+      expect(lists[1]).to.deep.equal([ { deviceId: first.id, deviceName: 'CS1816' },
+                                       { deviceId: second.id, deviceName: 'CS1816' } ]);
+
+      return ble.open();
+    })
+    .then(() => ble.getInfo())
+    .then((info) => {
+      expect(info.serial).to.equal('00000002');
+      return ble.close();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('should pass over a selected device with the wrong serial number', function(done) {
+    var ble = new BleController({ name: 'CS1816', serial: '00000002', autoConnect: true,
+                                  bluetooth: win.bluetooth, ipcRenderer: win.ipcRenderer });
+
+    ble.startScanning()
+    .then((peripheral) => {
+      expect(peripheral).to.equal(second);
+      expect(ble.discoveredPeripherals.map(entry => entry.id)).to.deep.equal([ second.id ]);
+      expect(first.gatt.connected).to.be.false;
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should cancel the request when nothing is selected in time', function(done) {
+    var ble = new BleController({ name: 'CS1816', bluetooth: win.bluetooth,
+                                  ipcRenderer: win.ipcRenderer });
+
+    ble.startScanning()
+    .then(() => done(new Error('Expected the request to be cancelled')))
+    .catch((err) => {
+      expect(err.name).to.equal('NotFoundError');
+      expect(ble.state).to.equal(BleController.State.ERROR);
+      done();
+    })
+    .catch(done);
+  });
+
+});
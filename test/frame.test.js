@@ -0,0 +1,115 @@
+/**
+ * Test that covers the reassembly of MBAP frames received from the transparent UART,
+ * against the simulated dongle in lib/mock
+ *
+ */
+
+'use strict';
+
+const BleController = require('..');
+const { MockBluetooth, MockPeripheral, MockController } = require('../lib/mock');
+
+var expect = require('chai').expect;
+
+// Helper to let pending notifications be delivered
+function settle(ms) {
+  return new Promise((resolve) => { setTimeout(resolve, ms || 20); });
+}
+
+
+describe('MBAP frames', function() {
+
+  var ble = null;
+  var peripheral = null;
+  var controller = null;
+  var frames = [];
+  var errors = [];
+
+  beforeEach('Connect to a simulated dongle', function() {
+    controller = new MockController({ id: 1 });
+
+    peripheral = new MockPeripheral({ product: 'PHOENIX', serial: '12345678',
+                                      controllers: [ controller ] });
+
+    ble = new BleController({
+      name: 'CS1816',
+      bluetooth: new MockBluetooth({ peripherals: [ peripheral ] }),
+    });
+
+    frames = [];
+    errors = [];
+
+    ble.on('frame', frame => frames.push(frame));
+    ble.on('frameError', err => errors.push(err));
+
+    return ble.startScanning()
+    .then(() => ble.open());
+  });
+
+  afterEach(function() {
+    return ble.destroy();
+  });
+
+  it('should emit a frame reassembled from its chunks', function(done) {
+    var memory = Buffer.alloc(40, 0x5A);
+    var responses = [];
+
+    controller.writeMemory(0x0100, memory);
+
+    ble.on('data', data => responses.push(data));
+
+    // Read Memory of 40 bytes at 0x0100, which is answered in three notifications
+    ble.write(Buffer.from([ 0x12, 0x34, 0x00, 0x00, 0x00, 0x05, 0x01, 0x45, 0x01, 0x00, 40 ]));
+
+    settle()
+    .then(() => {
+      expect(frames).to.have.length(1);
+      expect(frames[0].transactionId).to.equal(0x1234);
+      expect(frames[0].protocol).to.equal(0);
+      expect(Array.from(frames[0].payload)).to.deep.equal([ 0x01, 0x45 ].concat(Array.from(memory)));
+      expect(frames[0].data.length).to.equal(6 + 2 + 40);
+      expect(responses).to.have.length(1);
+      expect(Array.from(responses[0])).to.deep.equal(Array.from(frames[0].data));
+      expect(errors).to.be.empty;
+
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should discard a header with an impossible length and resynchronize', function(done) {
+    // Length 0x0300, followed by a good frame in the next notification
+    peripheral.chars.transparentUart.rx.notify(Buffer.from([ 0x00, 0x01, 0x00, 0x00, 0x03, 0x00, 0x01 ]));
+    peripheral.chars.transparentUart.rx.notify(Buffer.from([ 0x00, 0x02, 0x00, 0x00, 0x00, 0x03, 0x01, 0x45, 0x07 ]));
+
+    settle()
+    .then(() => {
+      expect(errors).to.have.length(1);
+      expect(errors[0]).to.be.an.instanceof(BleController.errors.FrameError);
+      expect(errors[0].data.length).to.equal(7);
+
+      expect(frames.map(frame => frame.transactionId)).to.deep.equal([ 2 ]);
+
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should report a frame whose rest never arrives', function(done) {
+    this.timeout(3000);
+
+    peripheral.chars.transparentUart.rx.notify(Buffer.from([ 0x00, 0x01, 0x00, 0x00, 0x00, 0x08, 0x01, 0x45 ]));
+
+    settle(1100)
+    .then(() => {
+      expect(frames).to.be.empty;
+      expect(errors).to.have.length(1);
+      expect(errors[0].reason).to.match(/did not arrive/);
+      expect(errors[0].data.length).to.equal(8);
+
+      done();
+    })
+    .catch(done);
+  });
+
+});
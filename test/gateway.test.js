@@ -0,0 +1,190 @@
+/**
+ * Test that covers the Modbus TCP gateway of lib/gateway, with TCP clients in this
+ * process and a simulated dongle from lib/mock
+ *
+ */
+
+'use strict';
+
+const net = require('net');
+
+const { ModbusTcpGateway } = require('../lib/gateway');
+const { MockBluetooth, MockPeripheral, MockController } = require('../lib/mock');
+const mbap = require('../lib/mbap');
+
+var expect = require('chai').expect;
+
+// Read Memory request of 'length' bytes at 'address', from unit 1
+function readMemoryRequest(transactionId, address, length) {
+  return Buffer.from([ transactionId >> 8, transactionId & 0xFF, 0x00, 0x00, 0x00, 0x05,
+                       0x01, 0x45, address >> 8, address & 0xFF, length ]);
+}
+
+// Connect to the gateway and send frames; resolves with the first 'count' responses
+function exchange(port, frames, count) {
+  return new Promise((resolve, reject) => {
+    let reader = new mbap.FrameReader();
+    let responses = [];
+    let socket = net.connect(port, '127.0.0.1', () => {
+      socket.write(Buffer.concat(frames));
+    });
+
+    socket.on('error', reject);
+
+    socket.on('data', (data) => {
+      responses = responses.concat(reader.push(data));
+
+      if (responses.length >= count) {
+        socket.destroy();
+        resolve(responses.map(response => Array.from(response)));
+      }
+    });
+  });
+}
+
+
+describe('Modbus TCP gateway', function() {
+
+  var controller = null;
+  var dongle = null;
+  var gateway = null;
+
+  beforeEach('Serve a simulated dongle on a free port', function() {
+    controller = new MockController({ id: 1 });
+
+    dongle = new MockPeripheral({ product: 'PHOENIX', serial: '12345678',
+                                  controllers: [ controller ] });
+
+    gateway = new ModbusTcpGateway({
+      name: 'CS1816',
+      bluetooth: new MockBluetooth({ peripherals: [ dongle ] }),
+      port: 0,
+      timeout: 100,
+    });
+
+    return gateway.listen();
+  });
+
+  afterEach(function() {
+    return gateway.close();
+  });
+
+  it('should forward requests two at a time and restore transaction IDs', function(done) {
+    var outstanding = 0;
+    var maxOutstanding = 0;
+    var write = gateway.ble.write.bind(gateway.ble);
+
+    controller.writeMemory(0x0100, Buffer.from([ 1, 2, 3, 4 ]));
+
+    gateway.ble.write = (data) => {
+      maxOutstanding = Math.max(maxOutstanding, ++outstanding);
+      return write(data);
+    };
+
+    gateway.ble.on('data', () => { outstanding--; });
+
+    gateway.ble.startScanning()
+    .then(() => gateway.ble.open())
+    .then(() => exchange(gateway.port, [
+      readMemoryRequest(0x0001, 0x0100, 1),
+      readMemoryRequest(0x0001, 0x0101, 1),
+      readMemoryRequest(0xBEEF, 0x0102, 1),
+      readMemoryRequest(0x0002, 0x0103, 1),
+    ], 4))
+    .then((responses) => {
+      expect(responses).to.deep.equal([
+        [ 0x00, 0x01, 0x00, 0x00, 0x00, 0x03, 0x01, 0x45, 1 ],
+        [ 0x00, 0x01, 0x00, 0x00, 0x00, 0x03, 0x01, 0x45, 2 ],
+        [ 0xBE, 0xEF, 0x00, 0x00, 0x00, 0x03, 0x01, 0x45, 3 ],
+        [ 0x00, 0x02, 0x00, 0x00, 0x00, 0x03, 0x01, 0x45, 4 ],
+      ]);
+      expect(maxOutstanding).to.equal(2);
+
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should answer with Gateway Path Unavailable while not connected', function(done) {
+    exchange(gateway.port, [ readMemoryRequest(0x1234, 0x0100, 1) ], 1)
+    .then((responses) => {
+      expect(responses).to.deep.equal([
+        [ 0x12, 0x34, 0x00, 0x00, 0x00, 0x03, 0x01, 0xC5, 0x0A ],
+      ]);
+
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should answer with Gateway Target Failed when no response arrives', function(done) {
+    gateway.ble.startScanning()
+    .then(() => gateway.ble.open())
+    .then(() => {
+      // Lose the requests on the way to the dongle
+      gateway.ble.write = () => Promise.resolve();
+
+      return exchange(gateway.port, [
+        readMemoryRequest(0x0001, 0x0100, 1),
+        readMemoryRequest(0x0002, 0x0100, 1),
+        readMemoryRequest(0x0003, 0x0100, 1),
+      ], 3);
+    })
+    .then((responses) => {
+      expect(responses.map(response => response[1])).to.deep.equal([ 1, 2, 3 ]);
+      responses.forEach(response => expect(response.slice(7)).to.deep.equal([ 0xC5, 0x0B ]));
+
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should answer with Gateway Path Unavailable when the connection is lost', function(done) {
+    var written = 0;
+
+    gateway.ble.startScanning()
+    .then(() => gateway.ble.open())
+    .then(() => {
+      // Lose the connection once both places for pending requests are taken
+      gateway.ble.write = () => {
+        if (++written === 2) {
+          setImmediate(() => dongle.dropConnection());
+        }
+
+        return Promise.resolve();
+      };
+
+      return exchange(gateway.port, [
+        readMemoryRequest(0x0001, 0x0100, 1),
+        readMemoryRequest(0x0002, 0x0100, 1),
+        readMemoryRequest(0x0003, 0x0100, 1),
+      ], 3);
+    })
+    .then((responses) => {
+      expect(written).to.equal(2);
+      expect(responses.map(response => response[1])).to.have.members([ 1, 2, 3 ]);
+      responses.forEach(response => expect(response.slice(7)).to.deep.equal([ 0xC5, 0x0A ]));
+
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should disconnect a client that sends a frame with an impossible length', function(done) {
+    var errors = [];
+
+    gateway.on('clientError', err => errors.push(err));
+
+    var socket = net.connect(gateway.port, '127.0.0.1', () => {
+      socket.write(Buffer.from([ 0x00, 0x01, 0x00, 0x00, 0x03, 0x00, 0x01, 0x45 ]));
+    });
+
+    socket.on('close', () => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].name).to.equal('FrameError');
+
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,138 @@
+/**
+ * Test that covers reconnecting to peripherals that were connected to before, using
+ * the simulated dongle in lib/mock
+ *
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Load the class that handles communication to the device
+const BleController = require('..');
+
+const KnownDevices = require('../lib/KnownDevices');
+const { MockBluetooth, MockPeripheral } = require('../lib/mock');
+const { JsonFileStore, LocalStorageStore } = require('../lib/store');
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+
+describe('Known devices', function() {
+
+  var peripheral = null;
+  var bluetooth = null;
+  var ble = null;
+
+  beforeEach('Connect to a simulated dongle', function(done) {
+    peripheral = new MockPeripheral({ product: 'PHOENIX', serial: '12345678' });
+    bluetooth = new MockBluetooth({ peripherals: [ peripheral ] });
+    ble = new BleController({ name: 'CS1816', bluetooth: bluetooth });
+
+    ble.startScanning()
+    .then(() => ble.open())
+    .then(() => ble.close())
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('should remember connected peripherals', function(done) {
+    ble.getKnownDevices()
+    .then((devices) => {
+      expect(devices).to.have.length(1);
+      expect(devices[0]).to.include({ id: peripheral.id, name: 'CS1816',
+                                      product: 'PHOENIX', serial: '12345678' });
+      expect(devices[0].lastConnected).to.be.closeTo(Date.now(), 1000);
+
+      return ble.forgetDevice(peripheral.id);
+    })
+    .then((removed) => {
+      expect(removed).to.be.true;
+      return ble.getKnownDevices();
+    })
+    .then((devices) => {
+      expect(devices).to.deep.equal([]);
+      return ble.openKnown();
+    })
+    .then(() => {
+      done(new Error('Expected openKnown() to be rejected'));
+    }, (err) => {
+      expect(err.message).to.match(/No device/);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should reopen a permitted peripheral without scanning', function(done) {
+    var requestSpy = sinon.spy(bluetooth, 'requestDevice');
+
+    ble.openKnown()
+    .then(() => {
+      expect(requestSpy.called).to.be.false;
+      expect(ble.peripheral).to.equal(peripheral);
+      return ble.close();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('should scan for the peripheral without getDevices()', function(done) {
+    var requestSpy = sinon.spy(bluetooth, 'requestDevice');
+
+    bluetooth.getDevices = undefined;
+
+    ble.openKnown(peripheral.id)
+    .then(() => {
+      expect(requestSpy.calledOnce).to.be.true;
+      expect(ble.peripheral).to.equal(peripheral);
+      return ble.close();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('should persist records in a JSON file', function(done) {
+    var file = path.join(os.tmpdir(), `cs-mb-ble-known-${process.pid}.json`);
+    var store = new JsonFileStore(file);
+
+    store.load()
+    .then((records) => {
+      expect(records).to.deep.equal([]);
+      return new KnownDevices(store).remember({ id: 'a', name: 'CS1816', product: 'PHOENIX', serial: '1' });
+    })
+    .then(() => {
+      return new JsonFileStore(file).load();
+    })
+    .then((records) => {
+      expect(records.map(r => r.id)).to.deep.equal([ 'a' ]);
+      fs.unlinkSync(file);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should persist records in Web Storage', function(done) {
+    var items = {};
+    var storage = {
+      getItem: (key) => (key in items) ? items[key] : null,
+      setItem: (key, value) => { items[key] = value; },
+    };
+
+    var store = new LocalStorageStore({ storage: storage });
+
+    store.save([ { id: 'a' } ])
+    .then(() => {
+      expect(JSON.parse(items['cs-mb-ble.knownDevices'])).to.deep.equal([ { id: 'a' } ]);
+      return store.load();
+    })
+    .then((records) => {
+      expect(records).to.deep.equal([ { id: 'a' } ]);
+      done();
+    })
+    .catch(done);
+  });
+
+});
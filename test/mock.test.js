@@ -0,0 +1,297 @@
+/**
+ * Test that covers BleController against the simulated dongle in lib/mock
+ *
+ * Unlike the other tests in this directory, these don't require a BLE adapter or
+ * a dongle, so they can be run on a build server.
+ */
+
+'use strict';
+
+// Load the class that handles communication to the device
+const BleController = require('..');
+
+const Modbus = require('@csllc/cs-modbus');
+const { MockBluetooth, MockPeripheral, MockController } = require('../lib/mock');
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+// Helper to let pending notifications be delivered
+function settle(ms) {
+  return new Promise((resolve) => { setTimeout(resolve, ms || 10); });
+}
+
+
+describe('Simulated dongle', function() {
+
+  var ble = null;
+  var peripheral = null;
+  var controller = null;
+
+  before('Create BleController instance with simulated backend', function(done) {
+    controller = new MockController({ id: 1 });
+
+    peripheral = new MockPeripheral({
+      product: 'PHOENIX',
+      serial: '12345678',
+      controllers: [ controller ],
+    });
+
+    ble = new BleController({
+      name: 'CS1816',
+      bluetooth: new MockBluetooth({ peripherals: [ peripheral ] }),
+    });
+
+    expect(ble).to.be.an('object');
+
+    done();
+  });
+
+  after('Disconnect from peripheral', function(done) {
+    ble.close()
+    .then(() => {
+      done();
+    })
+    .catch(done);
+  });
+
+
+  describe('Scan and connect', function() {
+
+    it('should find the simulated peripheral', function(done) {
+      ble.getAvailability()
+      .then(() => {
+        return ble.startScanning();
+      })
+      .then((found) => {
+        expect(found).to.equal(peripheral);
+        expect(found.id).to.be.a('string');
+        expect(found.gatt).to.be.an('object');
+        done();
+      })
+      .catch(done);
+    });
+
+    it('should connect to the peripheral', function(done) {
+      ble.open()
+      .then(() => {
+        expect(ble.isOpen()).to.be.ok;
+        done();
+      })
+      .catch(done);
+    });
+
+    it('should read peripheral identity', function(done) {
+      ble.getInfo()
+      .then((info) => {
+        expect(info.manufacturerName).to.equal('Control Solutions LLC');
+        expect(info.modelNumber).to.equal('CS1816');
+        expect(info.softwareRevision.string).to.equal('1.10.0');
+        expect(info.modbusId).to.equal(0xFE);
+        expect(info.product).to.equal('PHOENIX');
+        expect(info.serial).to.equal('12345678');
+        done();
+      })
+      .catch(done);
+    });
+
+  });
+
+
+  describe('Dongle commands', function() {
+
+    it('should set the keyswitch', function(done) {
+      ble.keyswitch(true)
+      .then(() => {
+        expect(peripheral.keySwitch).to.be.true;
+        return ble.keyswitch(false);
+      })
+      .then(() => {
+        expect(peripheral.keySwitch).to.be.false;
+        done();
+      })
+      .catch(done);
+    });
+
+    it('should notify a watcher when watched memory changes', function(done) {
+      var spy = sinon.spy();
+
+      ble.watch(1, 1, 0x0100, 2, spy)
+      .then(() => {
+        controller.writeMemory(0x0100, Buffer.from([0x12, 0x34]));
+        controller.writeMemory(0x0200, Buffer.from([0x56]));
+        return settle();
+      })
+      .then(() => {
+        expect(spy.callCount).to.equal(1);
+        expect(spy.firstCall.args[0]).to.deep.equal(Buffer.from([0x12, 0x34]));
+        done();
+      })
+      .catch(done);
+    });
+
+    it('should read a watcher value', function(done) {
+      ble.readWatcher(1)
+      .then((value) => {
+        expect(value).to.deep.equal(Buffer.from([0x12, 0x34]));
+        done();
+      })
+      .catch(done);
+    });
+
+    it('should reject a watcher that is too long', function(done) {
+      ble.watch(2, 1, 0x0100, 5, () => {})
+      .then(() => {
+        done(new Error('Expected watch() to be rejected'));
+      })
+      .catch(() => {
+        done();
+      });
+    });
+
+    it('should report active watchers', function(done) {
+      ble.getWatchers()
+      .then((watchers) => {
+        expect(watchers).to.deep.equal([ { slot: 1, id: 1, address: 0x0100, length: 2 } ]);
+        done();
+      })
+      .catch(done);
+    });
+
+    it('should notify the super-watcher when a member changes', function(done) {
+      var spy = sinon.spy();
+
+      ble.superWatch(1, [ 0x0300, 0x0301 ], spy)
+      .then(() => {
+        controller.writeMemory(0x0301, Buffer.from([0x99]));
+        return settle();
+      })
+      .then(() => {
+        expect(spy.callCount).to.equal(1);
+        expect(spy.firstCall.args[0]).to.deep.equal(Buffer.from([0x03, 0x01, 0x99]));
+        return ble.getSuperWatcher();
+      })
+      .then((members) => {
+        expect(members).to.deep.equal([ { address: 0x0300 }, { address: 0x0301 } ]);
+        done();
+      })
+      .catch(done);
+    });
+
+    it('should clear a watcher', function(done) {
+      ble.unwatch(1)
+      .then(() => {
+        return ble.getWatchers();
+      })
+      .then((watchers) => {
+        expect(watchers).to.have.length(0);
+        done();
+      })
+      .catch(done);
+    });
+
+    it('should clear all watchers', function(done) {
+      ble.unwatchAll()
+      .then(() => {
+        expect(peripheral.superWatcher).to.be.null;
+        done();
+      })
+      .catch(done);
+    });
+
+    it('should write and read back a dongle object', function(done) {
+      var data = Buffer.from([...Array(128).keys()]);
+
+      ble.writeObject(0, data)
+      .then(() => {
+        return ble.readObject(0);
+      })
+      .then((response) => {
+        expect(response.values).to.deep.equal(data);
+        done();
+      })
+      .catch(done);
+    });
+
+  });
+
+
+  describe('Transparent UART', function() {
+
+    it('should loop back a protocol 0xFFFF frame', function(done) {
+      var frame = Buffer.from([0x00, 0x01, 0xFF, 0xFF, 0x00, 0x02, 0xCA, 0xCA]);
+      var spy = sinon.spy();
+
+      ble.on('data', spy);
+      ble.write(frame);
+
+      settle()
+      .then(() => {
+        ble.off('data', spy);
+        expect(spy.callCount).to.equal(1);
+        expect(spy.firstCall.args[0]).to.deep.equal(frame);
+        done();
+      })
+      .catch(done);
+    });
+
+    it('should ignore too large of a payload', function(done) {
+      var frame = Buffer.alloc(306, 0xCA);
+      var spy = sinon.spy();
+
+      frame.writeUInt16BE(1, 0);
+      frame.writeUInt16BE(0xFFFF, 2);
+      frame.writeUInt16BE(300, 4);
+
+      ble.on('data', spy);
+      ble.write(frame);
+
+      settle(50)
+      .then(() => {
+        ble.off('data', spy);
+        expect(spy.called).to.be.false;
+        done();
+      })
+      .catch(done);
+    });
+
+    it('should serve an application Modbus master', function(done) {
+      var master = Modbus.createMaster({
+        transport: {
+          type: 'ip',
+          connection: {
+            type: 'generic',
+            device: ble
+          }
+        },
+        suppressTransactionErrors: true,
+        retryOnException: false,
+        maxConcurrentRequests: 2,
+        defaultUnit: 1,
+        defaultMaxRetries: 0,
+        defaultTimeout: 1000,
+      });
+
+      master.writeMemory(0x0400, Buffer.from([1, 2, 3]), {
+        onComplete: function(err, response) {
+          if (err) {
+            return done(err);
+          }
+
+          expect(response.status).to.equal(0);
+
+          master.readMemory(0x0400, 3, {
+            onComplete: function(err, response) {
+              if (!err) {
+                expect(response.values).to.deep.equal(Buffer.from([1, 2, 3]));
+              }
+              done(err);
+            }
+          });
+        }
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,168 @@
+/**
+ * Test that covers sharing the transparent UART between the library's own Modbus master
+ * and an application's, against the simulated dongle in lib/mock
+ *
+ */
+
+'use strict';
+
+const BleController = require('..');
+const TransactionMux = require('../lib/TransactionMux');
+const Modbus = require('@csllc/cs-modbus');
+const { MockBluetooth, MockPeripheral, MockController } = require('../lib/mock');
+
+var expect = require('chai').expect;
+
+// Helper to let pending notifications be delivered
+function settle(ms) {
+  return new Promise((resolve) => { setTimeout(resolve, ms || 20); });
+}
+
+
+describe('Transaction multiplexing', function() {
+
+  var ble = null;
+  var controller = null;
+
+  beforeEach('Connect to a simulated dongle', function() {
+    controller = new MockController({ id: 1 });
+
+    var peripheral = new MockPeripheral({ product: 'PHOENIX', serial: '12345678',
+                                          controllers: [ controller ] });
+
+    ble = new BleController({
+      name: 'CS1816',
+      bluetooth: new MockBluetooth({ peripherals: [ peripheral ] }),
+    });
+
+    return ble.startScanning()
+    .then(() => ble.open());
+  });
+
+  afterEach(function() {
+    return ble.destroy();
+  });
+
+  it('should route responses only to the master that made the request', function(done) {
+    var responses = [];
+    var master = Modbus.createMaster({
+      transport: { type: 'ip', connection: { type: 'generic', device: ble } },
+      suppressTransactionErrors: true,
+      retryOnException: false,
+      defaultUnit: 1,
+      defaultMaxRetries: 0,
+      defaultTimeout: 1000,
+    });
+
+    controller.writeMemory(0x0100, Buffer.from([ 1, 2, 3 ]));
+
+    ble.on('data', data => responses.push(data));
+
+    // The application's master and the library's both start at transaction ID 1
+    Promise.all([
+      new Promise((resolve, reject) => {
+        master.readMemory(0x0100, 3, {
+          onComplete: (err, response) => err ? reject(err) : resolve(response.values),
+        });
+      }),
+      ble.keyswitch(true),
+      ble.watch(1, 1, 0x0100, 1, () => {}),
+    ])
+    .then((results) => {
+      expect(Array.from(results[0])).to.deep.equal([ 1, 2, 3 ]);
+
+      expect(responses).to.have.length(1);
+      expect(responses[0][7]).to.equal(0x45);
+
+      master.destroy();
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should keep no more than two requests in flight', function(done) {
+    var outstanding = 0;
+    var maxOutstanding = 0;
+    var responses = [];
+
+    ble.on('write', () => { maxOutstanding = Math.max(maxOutstanding, ++outstanding); });
+    ble.on('frame', () => { outstanding--; });
+    ble.on('data', data => responses.push(Array.from(data.slice(0, 2))));
+
+    for (var i = 0; i < 5; i++) {
+      ble.write(Buffer.from([ 0x00, 0x07, 0x00, 0x00, 0x00, 0x05, 0x01, 0x45, 0x01, 0x00, 1 ]));
+    }
+
+    settle(100)
+    .then(() => {
+      expect(maxOutstanding).to.equal(2);
+      expect(responses).to.deep.equal([ [ 0, 7 ], [ 0, 7 ], [ 0, 7 ], [ 0, 7 ], [ 0, 7 ] ]);
+
+      done();
+    })
+    .catch(done);
+  });
+
+});
+
+
+describe('TransactionMux', function() {
+
+  var written = [];
+
+  function write(data) {
+    written.push(data);
+    return Promise.resolve();
+  }
+
+  function request(transactionId) {
+    return Buffer.from([ 0x00, transactionId, 0x00, 0x00, 0x00, 0x05, 0x01, 0x45, 0x01, 0x00, 1 ]);
+  }
+
+  beforeEach(function() {
+    written = [];
+  });
+
+  it('should stop waiting for a response after the responseTimeout option', function(done) {
+    var mux = new TransactionMux(write, { responseTimeout: 50 });
+
+    [ 1, 2, 3 ].forEach(id => mux.send(request(id), () => {}));
+
+    settle(20)
+    .then(() => {
+      expect(written).to.have.length(2);
+      return settle(60);
+    })
+    .then(() => {
+      expect(written).to.have.length(3);
+      mux.reset(new Error('Done'));
+
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should reject the frames not written yet when reset', function(done) {
+    var mux = new TransactionMux(write);
+    var sent = [ 1, 2, 3 ].map(id => mux.send(request(id), () => {}));
+
+    mux.reset(new Error('Disconnected'));
+
+    Promise.all(sent.slice(0, 2))
+    .then(() => sent[2])
+    .then(() => done(new Error('Expected the third frame to be rejected')), (err) => {
+      expect(err.message).to.equal('Disconnected');
+
+      // Nothing is left waiting for a response
+      return mux.send(request(4), () => {});
+    })
+    .then(() => {
+      expect(written).to.have.length(3);
+      mux.reset(new Error('Done'));
+
+      done();
+    })
+    .catch(done);
+  });
+
+});
@@ -0,0 +1,138 @@
+/**
+ * Test that covers the 'noble' backend, using noble with simulated bindings in place of
+ * a Bluetooth adapter
+ *
+ */
+
+'use strict';
+
+// Load the class that handles communication to the device
+const BleController = require('..');
+
+const NobleBackend = require('../lib/backend/NobleBackend');
+const { MockNobleBindings, MockPeripheral, MockController } = require('../lib/mock');
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+// Helper to let pending notifications be delivered
+function settle(ms) {
+  return new Promise((resolve) => { setTimeout(resolve, ms || 10); });
+}
+
+
+describe('noble backend', function() {
+
+  var controller = null;
+  var peripheral = null;
+  var bindings = null;
+  var ble = null;
+
+  beforeEach('Create BleController instance with simulated noble bindings', function() {
+    controller = new MockController({ id: 1 });
+    peripheral = new MockPeripheral({ product: 'PHOENIX', serial: '12345678',
+                                      controllers: [ controller ] });
+    bindings = new MockNobleBindings({ peripherals: [ peripheral ] });
+
+    ble = new BleController({ name: 'CS1816', autoConnect: true,
+                              backend: new NobleBackend({ bindings: bindings }) });
+  });
+
+  it('should report advertisements with their raw data', function(done) {
+    var discoverSpy = sinon.spy();
+
+    ble.on('discover', discoverSpy);
+
+    ble.startScanning()
+    .then((found) => {
+      expect(found.id).to.equal(peripheral.id);
+      expect(found.address).to.equal(bindings.addressOf(peripheral));
+      expect(found.uuids).to.include('49535343-fe7d-4ae5-8fa9-9fafd205e455');
+      expect(found.adData.rssi).to.equal(-60);
+      expect(found.rawAdvertisement.advertisement.includes('CS1816')).to.be.true;
+      expect(found.rawAdvertisement.advertisement.includes('12345678')).to.be.true;
+
+      expect(discoverSpy.firstCall.args[0]).to.include({ product: 'PHOENIX', serial: '12345678' });
+
+      return ble.destroy();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('should run dongle commands and read notifying characteristics', function(done) {
+    var spy = sinon.spy();
+
+    ble.startScanning()
+    .then(() => ble.open())
+    .then(() => {
+      expect(ble.peripheral.mtu).to.equal(23);
+      expect(ble.peripheral.connectionParameters).to.deep.equal({ interval: 30, latency: 0,
+                                                                  supervisionTimeout: 4000 });
+      return ble.getInfo();
+    })
+    .then((info) => {
+      expect(info.product).to.equal('PHOENIX');
+      return ble.keyswitch(true);
+    })
+    .then(() => {
+      expect(peripheral.keySwitch).to.be.true;
+      return ble.watch(1, 1, 0x0100, 2, spy);
+    })
+    .then(() => {
+      controller.writeMemory(0x0100, Buffer.from([0x12, 0x34]));
+      return settle();
+    })
+    .then(() => {
+      expect(spy.firstCall.args[0]).to.deep.equal(Buffer.from([0x12, 0x34]));
+
+      // The bindings report the response to this read as a notification
+      return ble.readWatcher(1);
+    })
+    .then((value) => {
+      expect(value).to.deep.equal(Buffer.from([0x12, 0x34]));
+
+      peripheral.adData.rssi = -42;
+      return ble.backend.readRssi(ble.peripheral);
+    })
+    .then((rssi) => {
+      expect(rssi).to.equal(-42);
+      return ble.destroy();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('should report a lost connection', function(done) {
+    ble.startScanning()
+    .then(() => ble.open())
+    .then(() => {
+      ble.once('stateChange', (state) => {
+        expect(state.state).to.equal(BleController.State.DISCONNECTED);
+        expect(ble.backend.isConnected(ble.peripheral)).to.be.false;
+
+        ble.destroy()
+        .then(() => done())
+        .catch(done);
+      });
+
+      peripheral.dropConnection();
+    })
+    .catch(done);
+  });
+
+  it('should release the bindings when destroyed', function(done) {
+    ble.startScanning()
+    .then(() => ble.open())
+    .then(() => ble.destroy())
+    .then(() => {
+      expect(peripheral.gatt.connected).to.be.false;
+      expect(bindings.stopped).to.be.true;
+      expect(bindings._hci.listenerCount('leAdvertisingReport')).to.equal(0);
+      expect(bindings._hci.listenerCount('leConnComplete')).to.equal(0);
+      done();
+    })
+    .catch(done);
+  });
+
+});
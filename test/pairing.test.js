@@ -0,0 +1,114 @@
+/**
+ * Test that covers pairing with a dongle that requires it, through Electron's pairing
+ * handler, and the errors raised when pairing isn't completed, using simulated Electron
+ * processes and dongles from lib/mock
+ *
+ */
+
+'use strict';
+
+// Load the class that handles communication to the device
+const BleController = require('..');
+
+const { DevicePicker } = require('../lib/electron');
+const { MockElectron, MockPeripheral } = require('../lib/mock');
+
+var expect = require('chai').expect;
+
+
+describe('Pairing', function() {
+
+  var peripheral = null;
+  var win = null;
+  var picker = null;
+
+  beforeEach('Create simulated Electron processes with a dongle that requires a PIN', function() {
+    peripheral = new MockPeripheral({ product: 'PHOENIX', serial: '00000001',
+                                      pairing: { pin: '123456' } });
+
+    var electron = new MockElectron({ peripherals: [ peripheral ] });
+
+    win = electron.createWindow();
+
+    picker = new DevicePicker({ ipcMain: electron.ipcMain, timeout: 200 });
+    picker.attach(win.webContents);
+    picker.handlePairing(electron.session);
+  });
+
+  afterEach(function() {
+    picker.destroy();
+  });
+
+  // Select the dongle and open it
+  function open(ble) {
+    ble.on('discover', (entry) => entry.callback());
+
+    return ble.startScanning().then(() => ble.open());
+  }
+
+  it('should supply the passkey when the dongle asks for it', function(done) {
+    var requests = [];
+
+    var ble = new BleController({ name: 'CS1816', bluetooth: win.bluetooth,
+                                  ipcRenderer: win.ipcRenderer, bond: true,
+                                  passkey: (details) => {
+                                    requests.push(details);
+                                    return '123456';
+                                  } });
+
+    open(ble)
+    .then(() => {
+      expect(peripheral.paired).to.be.true;
+      expect(requests).to.have.lengthOf(1);
+      expect(requests[0]).to.include({ deviceId: peripheral.id, pairingKind: 'providePin' });
+      expect(ble.device.serial).to.equal('00000001');
+
+      return ble.destroy();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('should fail with an AuthenticationError if the passkey is wrong', function(done) {
+    var ble = new BleController({ name: 'CS1816', bluetooth: win.bluetooth,
+                                  ipcRenderer: win.ipcRenderer, passkey: '000000' });
+
+    open(ble)
+    .then(() => done(new Error('Expected open() to fail')))
+    .catch((err) => {
+      expect(err).to.be.an.instanceof(BleController.errors.AuthenticationError);
+      expect(err.name).to.equal('AuthenticationError');
+      expect(err.operation).to.be.oneOf([ 'read', 'subscribe' ]);
+      expect(err.cause.name).to.equal('SecurityError');
+      expect(peripheral.paired).to.be.false;
+      expect(ble.state).to.equal(BleController.State.ERROR);
+
+      return ble.destroy();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('should report other GATT failures as a GattError', function(done) {
+    peripheral.chars.controller.fault.readValue = () => {
+      return Promise.reject(new Error('GATT operation failed for unknown reason.'));
+    };
+
+    var ble = new BleController({ name: 'CS1816', bluetooth: win.bluetooth,
+                                  ipcRenderer: win.ipcRenderer, passkey: '123456' });
+
+    open(ble)
+    .then(() => done(new Error('Expected open() to fail')))
+    .catch((err) => {
+      expect(err).to.be.an.instanceof(BleController.errors.GattError);
+      expect(err.operation).to.equal('read');
+      expect(err.uuid).to.equal(peripheral.chars.controller.fault.uuid);
+      expect(peripheral.paired).to.be.true;
+
+      return ble.destroy();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+});
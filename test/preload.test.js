@@ -0,0 +1,144 @@
+/**
+ * Test that covers the contextBridge API of lib/electron's PreloadBridge, using simulated
+ * Electron processes and a simulated dongle from lib/mock
+ *
+ */
+
+'use strict';
+
+const { DevicePicker, PreloadBridge } = require('../lib/electron');
+const { MockElectron, MockPeripheral, MockController } = require('../lib/mock');
+
+var expect = require('chai').expect;
+
+// Helper to let pending notifications be delivered
+function settle(ms) {
+  return new Promise((resolve) => { setTimeout(resolve, ms || 10); });
+}
+
+// Whether a value could be passed through contextBridge without Buffers or objects
+// with prototypes of their own
+function isPlain(value) {
+  if (Array.isArray(value)) {
+    return value.every(isPlain);
+  } else if (value && (typeof value === 'object')) {
+    return (Object.getPrototypeOf(value) === Object.prototype) &&
+           Object.values(value).every(isPlain);
+  }
+
+  return true;
+}
+
+
+describe('Electron preload bridge', function() {
+
+  var controller = null;
+  var peripheral = null;
+  var picker = null;
+  var bridge = null;
+  var api = null;
+
+  beforeEach('Expose a BleController to a simulated page', function() {
+    controller = new MockController({ id: 1 });
+    peripheral = new MockPeripheral({ product: 'PHOENIX', serial: '12345678',
+                                      controllers: [ controller ] });
+
+    var electron = new MockElectron({ peripherals: [ peripheral ] });
+    var win = electron.createWindow();
+
+    picker = new DevicePicker({ ipcMain: electron.ipcMain }).attach(win.webContents);
+
+    var exposed = {};
+
+    bridge = new PreloadBridge({ name: 'CS1816', bluetooth: win.bluetooth,
+                                 ipcRenderer: win.ipcRenderer })
+    .expose('csMbBle', {
+      exposeInMainWorld: (key, value) => { exposed[key] = value; },
+    });
+
+    api = exposed.csMbBle;
+  });
+
+  afterEach(function() {
+    picker.destroy();
+    return bridge.destroy();
+  });
+
+  it('should select, open and identify a device with plain values', function(done) {
+    var discovered = [];
+    var states = [];
+
+    api.on('discover', (device) => {
+      discovered.push(device);
+      api.select(device.id);
+    });
+
+    var unsubscribe = api.on('stateChange', (change) => states.push(change.state));
+
+    api.startScanning()
+    .then((device) => {
+      expect(device).to.deep.equal({ id: peripheral.id, name: 'CS1816' });
+      expect(discovered[0]).to.include({ id: peripheral.id, product: null });
+      expect(discovered.every(isPlain)).to.be.true;
+
+      unsubscribe();
+
+      return api.open();
+    })
+    .then(() => api.getInfo())
+    .then((info) => {
+      expect(isPlain(info)).to.be.true;
+      expect(info.serial).to.equal('12345678');
+      expect(states).to.deep.equal([ 'scanning', 'idle' ]);
+      expect(api.getState()).to.equal('ready');
+      expect(() => api.on('write', () => {})).to.throw('Unknown event \'write\'');
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should deliver watcher updates and Modbus responses as arrays', function(done) {
+    var updates = [];
+
+    api.on('watcher', (update) => updates.push(update));
+
+    api.on('discover', (device) => api.select(device.id));
+
+    api.startScanning()
+    .then(() => api.open())
+    .then(() => api.watch(1, 1, 0x0100, 2))
+    .then(() => {
+      controller.writeMemory(0x0100, Buffer.from([ 0x12, 0x34 ]));
+      return settle();
+    })
+    .then(() => {
+      expect(updates).to.deep.equal([ { slot: 1, data: [ 0x12, 0x34 ] } ]);
+
+      return api.modbus.writeMemory(0x0400, [ 1, 2, 3 ], { unit: 1 });
+    })
+    .then(() => api.modbus.readMemory(0x0400, 3, { unit: 1 }))
+    .then((response) => {
+      expect(isPlain(response)).to.be.true;
+      expect(response.values).to.deep.equal([ 1, 2, 3 ]);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should reject cancel() rather than throw without an ipcRenderer', function(done) {
+    bridge.options.ipcRenderer = null;
+
+    var cancelled = api.cancel();
+
+    expect(cancelled).to.be.an.instanceof(Promise);
+
+    cancelled
+    .then(() => done(new Error('Expected cancel() to fail')))
+    .catch((err) => {
+      expect(err).to.be.an.instanceof(Error);
+      done();
+    })
+    .catch(done);
+  });
+
+});
@@ -0,0 +1,158 @@
+/**
+ * Test that covers automatic reconnection, using the simulated dongle in lib/mock
+ *
+ */
+
+'use strict';
+
+// Load the class that handles communication to the device
+const BleController = require('..');
+
+const { MockBluetooth, MockPeripheral, MockController } = require('../lib/mock');
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+// Helper to let pending notifications be delivered
+function settle(ms) {
+  return new Promise((resolve) => { setTimeout(resolve, ms || 10); });
+}
+
+// Create a BleController connected to a new simulated dongle
+function connect(options) {
+  var controller = new MockController({ id: 1 });
+  var peripheral = new MockPeripheral({ controllers: [ controller ] });
+
+  var ble = new BleController(Object.assign({
+    name: 'CS1816',
+    bluetooth: new MockBluetooth({ peripherals: [ peripheral ] }),
+  }, options));
+
+  return ble.startScanning()
+  .then(() => ble.open())
+  .then(() => {
+    return { ble: ble, peripheral: peripheral, controller: controller };
+  });
+}
+
+
+describe('Automatic reconnection', function() {
+
+  var reconnectOptions = { retries: 2, minTimeout: 10, maxTimeout: 10 };
+
+  it('should restore watchers and the super-watcher after the link is lost', function(done) {
+    var watchSpy = sinon.spy();
+    var superWatchSpy = sinon.spy();
+    var reconnectingSpy = sinon.spy();
+    var t;
+
+    connect({ autoReconnect: reconnectOptions })
+    .then((result) => {
+      t = result;
+      return t.ble.watch(0, 1, 0x0100, 1, watchSpy);
+    })
+    .then(() => {
+      return t.ble.superWatch(1, [ 0x0200 ], superWatchSpy);
+    })
+    .then(() => {
+      t.ble.on('reconnecting', reconnectingSpy);
+
+      return new Promise((resolve) => {
+        t.ble.once('reconnected', resolve);
+
+        // Simulate the dongle resetting, which also loses its watchers
+        t.peripheral.watchers = [];
+        t.peripheral.superWatcher = null;
+        t.peripheral.dropConnection();
+
+        expect(t.ble.isOpen()).to.not.be.ok;
+      });
+    })
+    .then(() => {
+      expect(reconnectingSpy.calledOnceWith(1)).to.be.true;
+      expect(t.ble.isOpen()).to.be.ok;
+      expect(t.peripheral.watchers[0]).to.deep.equal({ slot: 0, id: 1, address: 0x0100, length: 1 });
+      expect(t.peripheral.superWatcher.addresses).to.deep.equal([ 0x0200 ]);
+
+      t.controller.writeMemory(0x0100, Buffer.from([ 0x01 ]));
+      t.controller.writeMemory(0x0200, Buffer.from([ 0x02 ]));
+      return settle();
+    })
+    .then(() => {
+      // The original callbacks are called exactly once per change
+      expect(watchSpy.callCount).to.equal(1);
+      expect(superWatchSpy.callCount).to.equal(1);
+      return t.ble.close();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('should give up after the configured number of retries', function(done) {
+    var t;
+
+    connect({ autoReconnect: reconnectOptions })
+    .then((result) => {
+      t = result;
+
+      return new Promise((resolve) => {
+        var reconnectingSpy = sinon.spy();
+
+        t.ble.on('reconnecting', reconnectingSpy);
+
+        t.ble.once('reconnectFailed', (err) => {
+          expect(err).to.be.an('error');
+          expect(reconnectingSpy.callCount).to.equal(reconnectOptions.retries + 1);
+          resolve();
+        });
+
+        t.peripheral.connectable = false;
+        t.peripheral.dropConnection();
+      });
+    })
+    .then(() => {
+      expect(t.ble.isOpen()).to.not.be.ok;
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should not reconnect after close()', function(done) {
+    var reconnectingSpy = sinon.spy();
+
+    connect({ autoReconnect: reconnectOptions })
+    .then((t) => {
+      t.ble.on('reconnecting', reconnectingSpy);
+      return t.ble.close();
+    })
+    .then(() => settle(50))
+    .then(() => {
+      expect(reconnectingSpy.called).to.be.false;
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should not reconnect unless enabled', function(done) {
+    var reconnectingSpy = sinon.spy();
+    var disconnectedSpy = sinon.spy();
+
+    connect()
+    .then((t) => {
+      t.ble.on('reconnecting', reconnectingSpy);
+      t.ble.on('gattserverdisconnected', disconnectedSpy);
+      t.peripheral.dropConnection();
+
+      expect(t.ble.isReady).to.be.false;
+      expect(t.ble.device).to.be.null;
+      return settle(50);
+    })
+    .then(() => {
+      expect(disconnectedSpy.calledOnce).to.be.true;
+      expect(reconnectingSpy.called).to.be.false;
+      done();
+    })
+    .catch(done);
+  });
+
+});
@@ -0,0 +1,146 @@
+/**
+ * Test that covers the registry of device definitions, using the simulated dongle
+ * in lib/mock
+ *
+ */
+
+'use strict';
+
+// Load the class that handles communication to the device
+const BleController = require('..');
+
+const DeviceRegistry = require('../lib/DeviceRegistry');
+const cs1816 = require('../lib/device/cs1816');
+const generic = require('../lib/device/generic');
+const { MockBluetooth, MockPeripheral } = require('../lib/mock');
+
+var expect = require('chai').expect;
+
+// Create a BleController connected to the given simulated dongle
+function connect(peripheral) {
+  var ble = new BleController({
+    name: peripheral.name,
+    bluetooth: new MockBluetooth({ peripherals: [ peripheral ] }),
+  });
+
+  return ble.startScanning()
+  .then(() => ble.open())
+  .then(() => ble);
+}
+
+
+describe('Device registry', function() {
+
+  describe('Lookup', function() {
+
+    var registry = null;
+    var custom = Object.assign({}, cs1816, {
+      name: 'CS1899',
+      modelNumber: 'CS1899-A',
+      services: Object.assign({}, cs1816.services, {
+        controller: Object.assign({}, cs1816.services.controller, {
+          uuid: '6765ed1f-4de1-49e1-4771-a14380c99900'
+        })
+      })
+    });
+
+    before(function() {
+      registry = new DeviceRegistry(generic);
+      registry.register(BleController.registry.findByName('CS1814'));
+      registry.register(cs1816);
+      registry.register(custom);
+    });
+
+    it('should find a definition by name', function() {
+      expect(registry.findByName('CS1816').name).to.equal('CS1816');
+      expect(registry.names()).to.deep.equal([ 'CS1814', 'CS1816', 'CS1899' ]);
+    });
+
+    it('should only find a definition by a service UUID that identifies it', function() {
+      expect(registry.findByServiceUuid(custom.services.controller.uuid).name).to.equal('CS1899');
+      expect(registry.findByServiceUuid(cs1816.services.controller.uuid)).to.be.undefined;
+      expect(registry.uuids()).to.have.length(2);
+    });
+
+    it('should find a definition by model number', function() {
+      expect(registry.findByModelNumber('CS1899-A').name).to.equal('CS1899');
+      expect(registry.findByModelNumber('CS1816').name).to.equal('CS1816');
+    });
+
+    it('should fall back for unknown peripherals', function() {
+      expect(registry.resolve({ name: 'CS1816' }).name).to.equal('CS1816');
+      expect(registry.resolve({ name: 'unknown', modelNumber: 'CS1899-A' }).name).to.equal('CS1899');
+      expect(registry.resolve({ name: 'unknown' }).name).to.equal('generic');
+      expect(registry.serviceUuids('unknown')).to.have.length(3);
+      expect(new DeviceRegistry().resolve({ name: 'unknown' })).to.be.null;
+    });
+
+    it('should reject a definition without a controller service', function() {
+      expect(() => registry.register({ name: 'CS0000', services: {} }))
+      .to.throw(/services\.controller/);
+    });
+
+  });
+
+
+  describe('Peripheral identification', function() {
+
+    var custom = Object.assign({}, cs1816, { name: 'CS1899' });
+
+    after(function() {
+      BleController.registry.unregister('CS1899');
+    });
+
+    it('should use a definition registered by the application', function(done) {
+      BleController.registerDevice(custom);
+
+      connect(new MockPeripheral({ definition: custom }))
+      .then((ble) => {
+        expect(ble.device.periphInfo.name).to.equal('CS1899');
+        return ble.keyswitch(true)
+        .then(() => ble.close());
+      })
+      .then(() => done())
+      .catch(done);
+    });
+
+    it('should identify an unknown name by model number', function(done) {
+      connect(new MockPeripheral({ name: 'DONGLE' }))
+      .then((ble) => {
+        expect(ble.device.periphInfo.name).to.equal('CS1816');
+        return ble.keyswitch(true)
+        .then(() => ble.close());
+      })
+      .then(() => done())
+      .catch(done);
+    });
+
+    it('should fall back to the generic profile', function(done) {
+      var peripheral = new MockPeripheral({
+        name: 'DONGLE',
+        deviceInformation: { modelNumber: 'CS9999' }
+      });
+
+      connect(peripheral)
+      .then((ble) => {
+        expect(ble.device.periphInfo.generic).to.be.true;
+
+        return ble.getInfo()
+        .then((info) => {
+          expect(info.modelNumber).to.equal('CS9999');
+          return ble.keyswitch(true);
+        })
+        .then(() => {
+          throw new Error('Expected keyswitch() to be rejected');
+        }, (err) => {
+          expect(err).to.be.an.instanceof(BleController.errors.NotSupportedError);
+          return ble.close();
+        });
+      })
+      .then(() => done())
+      .catch(done);
+    });
+
+  });
+
+});
@@ -0,0 +1,225 @@
+/**
+ * Test that covers the Modbus RTU pseudo-terminal of lib/gateway, with a stream in place
+ * of the pseudo-terminal, and a simulated dongle from lib/mock
+ *
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+
+const { ModbusRtuPty } = require('../lib/gateway');
+const { MockBluetooth, MockPeripheral, MockController } = require('../lib/mock');
+const rtu = require('../lib/gateway/rtu');
+
+var expect = require('chai').expect;
+
+// Write a stand-in for socat that reports a pseudo-terminal at ptyPath, and runs until
+// it is stopped
+function fakeSocat(ptyPath) {
+  var file = path.join(os.tmpdir(), `cs-mb-ble-socat-${process.pid}`);
+
+  fs.writeFileSync(file, '#!/usr/bin/env node\n' +
+    `process.stderr.write('N PTY is ${ptyPath}\\n');\n` +
+    'setInterval(() => {}, 1000);\n', { mode: 0o755 });
+
+  return file;
+}
+
+// Add the CRC to the unit ID and PDU of an RTU frame
+function withCrc(data) {
+  var crc = rtu.crc16(data);
+
+  return Buffer.from(data.concat([ crc & 0xFF, crc >> 8 ]));
+}
+
+
+describe('Modbus RTU pseudo-terminal', function() {
+
+  var controller = null;
+  var dongle = null;
+  var port = null;
+  var pty = null;
+  var written = [];
+
+  beforeEach('Serve a simulated dongle on a stream', function() {
+    controller = new MockController({ id: 1 });
+    written = [];
+
+    dongle = new MockPeripheral({ product: 'PHOENIX', serial: '12345678',
+                                  controllers: [ controller ] });
+
+    port = new stream.Duplex({
+      read() {},
+      write(chunk, encoding, callback) {
+        written.push({ frame: Array.from(chunk), at: Date.now() });
+        callback();
+      },
+    });
+
+    pty = new ModbusRtuPty({
+      name: 'CS1816',
+      bluetooth: new MockBluetooth({ peripherals: [ dongle ] }),
+      port: port,
+      baudRate: 9600,
+    });
+
+    return pty.listen()
+    .then(() => pty.ble.startScanning())
+    .then(() => pty.ble.open());
+  });
+
+  afterEach(function() {
+    return pty.close();
+  });
+
+  it('should compute the Modbus CRC', function() {
+    expect(rtu.crc16(Buffer.from([ 0x01, 0x03, 0x00, 0x00, 0x00, 0x0A ]))).to.equal(0xCDC5);
+    expect(rtu.isValid(Buffer.from([ 0x01, 0x03, 0x00, 0x00, 0x00, 0x0A, 0xC5, 0xCD ]))).to.be.true;
+  });
+
+  it('should answer RTU requests after the inter-frame gap', function(done) {
+    var sent = 0;
+
+    controller.writeMemory(0x0100, Buffer.from([ 0xAB, 0xCD ]));
+
+    // A Read Memory request of 2 bytes at 0x0100, in two chunks
+    var request = withCrc([ 0x01, 0x45, 0x01, 0x00, 0x02 ]);
+
+    port.push(request.slice(0, 3));
+    setTimeout(() => {
+      port.push(request.slice(3));
+      sent = Date.now();
+    }, 1);
+
+    setTimeout(() => {
+      expect(written).to.have.length(1);
+      expect(written[0].frame).to.deep.equal(Array.from(withCrc([ 0x01, 0x45, 0xAB, 0xCD ])));
+      expect(written[0].at - sent).to.be.at.least(Math.floor(rtu.frameGap(9600)));
+
+      done();
+    }, 100);
+  });
+
+  it('should drop frames with a wrong CRC', function(done) {
+    var errors = [];
+
+    pty.on('frameError', err => errors.push(err));
+
+    var request = withCrc([ 0x01, 0x45, 0x01, 0x00, 0x02 ]);
+
+    request[request.length - 1] ^= 0xFF;
+    port.push(request);
+
+    setTimeout(() => {
+      expect(errors).to.have.length(1);
+      expect(written).to.have.length(0);
+
+      done();
+    }, 100);
+  });
+
+  it('should forward broadcasts without waiting for an answer', function(done) {
+    var broadcast = withCrc([ 0x00, 0x46, 0x01, 0x00, 0xAB ]);
+
+    // Two broadcasts, which would fill the places of the requests waiting for responses
+    port.push(broadcast);
+    setTimeout(() => port.push(broadcast), 10);
+    setTimeout(() => port.push(withCrc([ 0x01, 0x45, 0x01, 0x00, 0x01 ])), 20);
+
+    setTimeout(() => {
+      expect(written).to.have.length(1);
+      expect(written[0].frame).to.deep.equal(Array.from(withCrc([ 0x01, 0x45, 0xAB ])));
+
+      done();
+    }, 150);
+  });
+
+  it('should answer with Gateway Path Unavailable when the connection is lost', function(done) {
+    // Lose the connection, and the request with it, on the way to the dongle
+    pty.ble.write = () => {
+      setImmediate(() => dongle.dropConnection());
+
+      return Promise.resolve();
+    };
+
+    port.push(withCrc([ 0x01, 0x45, 0x01, 0x00, 0x02 ]));
+
+    setTimeout(() => {
+      expect(written).to.have.length(1);
+      expect(written[0].frame).to.deep.equal(Array.from(withCrc([ 0x01, 0xC5, 0x0A ])));
+
+      done();
+    }, 100);
+  });
+
+});
+
+
+describe('Modbus RTU pseudo-terminal with socat', function() {
+
+  var pty = null;
+  var socat = null;
+
+  function create(command) {
+    pty = new ModbusRtuPty({
+      name: 'CS1816',
+      bluetooth: new MockBluetooth({ peripherals: [] }),
+      path: path.join(os.tmpdir(), `cs-mb-ble-tty-${process.pid}`),
+      socat: command,
+    });
+  }
+
+  afterEach(function() {
+    if (socat) {
+      fs.unlinkSync(socat);
+      socat = null;
+    }
+
+    return pty.close();
+  });
+
+  it('should report that socat is missing', function(done) {
+    create(path.join(os.tmpdir(), 'no-such-socat'));
+
+    pty.listen()
+    .then(() => done(new Error('Expected listen() to fail')))
+    .catch((err) => {
+      expect(err.message).to.equal('socat is needed to create the pseudo-terminal');
+
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should reject when the pseudo-terminal can\'t be opened', function(done) {
+    socat = fakeSocat(path.join(os.tmpdir(), 'no-such-pty'));
+    create(socat);
+
+    pty.listen()
+    .then(() => done(new Error('Expected listen() to fail')))
+    .catch((err) => {
+      expect(err.code).to.equal('ENOENT');
+
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should resolve with the path once socat has created the pseudo-terminal', function(done) {
+    socat = fakeSocat('/dev/null');
+    create(socat);
+
+    pty.listen()
+    .then((ptyPath) => {
+      expect(ptyPath).to.equal(pty.path);
+
+      done();
+    })
+    .catch(done);
+  });
+
+});
@@ -82,7 +82,7 @@ describe('BLE Peripheral Connection', function() {
         .then((info) => {
 
           expect(info.manufacturerName).to.equal('Control Solutions LLC');
-          expect(info.modelNumber.startsWith("CS")).to.be.true;
+          expect(info.modelNumber.startsWith('CS')).to.be.true;
           expect(info.modbusId).to.be.a('number');
 
           done();
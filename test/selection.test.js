@@ -0,0 +1,134 @@
+/**
+ * Test that covers choosing a peripheral by the serial number, product ID or signal
+ * strength of the dongle, using the simulated dongles in lib/mock
+ *
+ */
+
+'use strict';
+
+// Load the class that handles communication to the device
+const BleController = require('..');
+
+const { MockBluetooth, MockPeripheral } = require('../lib/mock');
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+
+describe('Peripheral selection', function() {
+
+  var first = null;
+  var second = null;
+  var silent = null;
+  var bluetooth = null;
+
+  beforeEach('Create simulated dongles', function() {
+    first = new MockPeripheral({ product: 'PHOENIX', serial: '00000001', rssi: -50 });
+    second = new MockPeripheral({ product: 'PHOENIX', serial: '00000002', rssi: -75 });
+    silent = new MockPeripheral({ product: 'MAX', serial: '00000003', rssi: -60, advertiseInfo: false });
+
+    bluetooth = new MockBluetooth({ peripherals: [ first, second, silent ] });
+  });
+
+  it('should select the peripheral with the advertised serial number', function(done) {
+    var ble = new BleController({ name: 'CS1816', bluetooth: bluetooth,
+                                  serial: '00000002', autoConnect: true });
+    var discoverSpy = sinon.spy();
+
+    ble.on('discover', discoverSpy);
+
+    ble.startScanning()
+    .then((peripheral) => {
+      expect(peripheral).to.equal(second);
+      expect(discoverSpy.calledOnce).to.be.true;
+      expect(discoverSpy.firstCall.args[0].serial).to.equal('00000002');
+
+      // The interface's own selection behavior is restored
+      expect(bluetooth.deviceFound).to.be.null;
+
+      return ble.open();
+    })
+    .then(() => ble.getInfo())
+    .then((info) => {
+      expect(info.serial).to.equal('00000002');
+      return ble.close();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+  it('should read the identity of peripherals that do not advertise it', function(done) {
+    var ble = new BleController({ name: 'CS1816', bluetooth: bluetooth, autoConnect: true });
+    var connectSpy = sinon.spy(silent.gatt, 'connect');
+
+    ble.startScanning({ product: 'MAX' })
+    .then((peripheral) => {
+      expect(peripheral).to.equal(silent);
+      expect(connectSpy.calledOnce).to.be.true;
+      expect(silent.gatt.connected).to.be.false;
+
+      // Identity reads are remembered
+      return ble.scan({ duration: 10, product: 'MAX' });
+    })
+    .then((results) => {
+      expect(results.map(r => r.id)).to.deep.equal([ silent.id ]);
+      expect(results[0].serial).to.equal('00000003');
+      expect(connectSpy.calledOnce).to.be.true;
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should apply minRssi and a select function when scanning', function(done) {
+    var ble = new BleController({ name: 'CS1816', bluetooth: bluetooth, minRssi: -70 });
+
+    ble.scan({ duration: 10 })
+    .then((results) => {
+      expect(results.map(r => r.id)).to.deep.equal([ first.id, silent.id ]);
+
+      return ble.scan({ duration: 10, minRssi: -90, select: (candidate) => candidate.product === 'PHOENIX' });
+    })
+    .then((results) => {
+      expect(results.map(r => r.id)).to.deep.equal([ first.id, second.id ]);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should reject if the selected peripheral does not match', function(done) {
+    // Without a deviceFound function, the first matching peripheral is selected
+    var ble = new BleController({ name: 'CS1816', bluetooth: {
+      getAvailability: () => Promise.resolve(true),
+      requestDevice: () => Promise.resolve(first),
+      addEventListener: () => {},
+    } });
+
+    ble.startScanning({ serial: '00000002' })
+    .then(() => {
+      done(new Error('Expected startScanning() to be rejected'));
+    })
+    .catch((err) => {
+      expect(err.message).to.match(/selection criteria/);
+      expect(ble.state).to.equal(BleController.State.ERROR);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should wait for the requested peripheral when opening by ID', function(done) {
+    var late = new MockPeripheral({ id: 'late' });
+    var ble = new BleController({ name: 'CS1816', bluetooth: bluetooth });
+
+    setTimeout(() => bluetooth.addPeripheral(late), 10);
+
+    ble.open('late')
+    .then(() => {
+      expect(ble.peripheral).to.equal(late);
+      expect(ble.isOpen()).to.be.true;
+      return ble.close();
+    })
+    .then(() => done())
+    .catch(done);
+  });
+
+});
@@ -0,0 +1,208 @@
+/**
+ * Test that covers sharing one dongle connection among several Electron windows, with
+ * lib/electron's ConnectionHost in the main process and a SharedController in each
+ * window, using simulated Electron processes and a simulated dongle from lib/mock
+ *
+ */
+
+'use strict';
+
+const Modbus = require('@csllc/cs-modbus');
+
+const { ConnectionHost, SharedController } = require('../lib/electron');
+const { MockElectron, MockBluetooth, MockPeripheral, MockController } = require('../lib/mock');
+
+var expect = require('chai').expect;
+
+// Helper to let pending notifications be delivered
+function settle(ms) {
+  return new Promise((resolve) => { setTimeout(resolve, ms || 10); });
+}
+
+// Modbus master using a controller (or a stand-in) as its connection
+function createMaster(ble) {
+  return Modbus.createMaster({
+    transport: {
+      type: 'ip',
+      eofTimeout: 10,
+      connection: { type: 'generic', device: ble },
+    },
+    suppressTransactionErrors: true,
+    retryOnException: false,
+    defaultUnit: 1,
+    defaultMaxRetries: 0,
+    defaultTimeout: 1000,
+  });
+}
+
+// Read memory through a master
+function readMemory(master, address, count) {
+  return new Promise((resolve, reject) => {
+    master.readMemory(address, count, {
+      onComplete: (err, response) => err ? reject(err) : resolve(response.values),
+    });
+  });
+}
+
+
+describe('Shared connection', function() {
+
+  var controller = null;
+  var dongle = null;
+  var host = null;
+  var dashboard = null;
+  var editor = null;
+
+  beforeEach('Share a simulated dongle with two windows', function() {
+    controller = new MockController({ id: 1 });
+
+    dongle = new MockPeripheral({ product: 'PHOENIX', serial: '12345678',
+                                  controllers: [ controller ] });
+    var electron = new MockElectron();
+
+    host = new ConnectionHost({
+      name: 'CS1816',
+      bluetooth: new MockBluetooth({ peripherals: [ dongle ] }),
+      ipcMain: electron.ipcMain,
+    });
+
+    dashboard = new SharedController({ ipcRenderer: electron.createWindow().ipcRenderer });
+    editor = new SharedController({ ipcRenderer: electron.createWindow().ipcRenderer });
+  });
+
+  afterEach(function() {
+    return host.destroy();
+  });
+
+  it('should open the connection once and close it when no window uses it', function(done) {
+    dashboard.startScanning()
+    .then(() => dashboard.open())
+    .then(() => editor.startScanning())
+    .then((peripheral) => {
+      expect(peripheral).to.deep.equal({ id: host.ble.peripheral.id, name: 'CS1816' });
+      return editor.open();
+    })
+    .then(() => editor.getInfo())
+    .then((info) => {
+      expect(info.serial).to.equal('12345678');
+      expect(editor.isOpen()).to.be.true;
+      expect(dashboard.peripheral.name).to.equal('CS1816');
+
+      return dashboard.close();
+    })
+    .then(() => {
+      expect(host.ble.state).to.equal('ready');
+      return editor.close();
+    })
+    .then(() => settle())
+    .then(() => {
+      expect(host.ble.state).to.equal('disconnected');
+      expect(dashboard.state).to.equal('disconnected');
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should route each window\'s Modbus responses and share watchers', function(done) {
+    var dashboardUpdates = [];
+    var editorUpdates = [];
+
+    controller.writeMemory(0x0100, Buffer.from([ 1, 2 ]));
+    controller.writeMemory(0x0200, Buffer.from([ 3, 4, 5 ]));
+
+    dashboard.startScanning()
+    .then(() => dashboard.open())
+    .then(() => editor.open())
+    .then(() => {
+      var dashboardMaster = createMaster(dashboard);
+      var editorMaster = createMaster(editor);
+
+      // Both masters start with the same transaction ID
+      return Promise.all([
+        readMemory(dashboardMaster, 0x0100, 2),
+        readMemory(editorMaster, 0x0200, 3),
+      ]);
+    })
+    .then((results) => {
+      expect(Array.from(results[0])).to.deep.equal([ 1, 2 ]);
+      expect(Array.from(results[1])).to.deep.equal([ 3, 4, 5 ]);
+
+      return dashboard.watch(1, 1, 0x0300, 1, data => dashboardUpdates.push(data[0]));
+    })
+    .then(() => editor.watch(1, 1, 0x0300, 1, data => editorUpdates.push(data[0])))
+    .then(() => {
+      controller.writeMemory(0x0300, Buffer.from([ 7 ]));
+      return settle();
+    })
+    .then(() => dashboard.unwatch(1))
+    .then(() => {
+      controller.writeMemory(0x0300, Buffer.from([ 8 ]));
+      return settle();
+    })
+    .then(() => {
+      expect(dashboardUpdates).to.deep.equal([ 7 ]);
+      expect(editorUpdates).to.deep.equal([ 7, 8 ]);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should forget the watchers of a lost connection', function(done) {
+    var updates = [];
+
+    dashboard.startScanning()
+    .then(() => dashboard.open())
+    .then(() => dashboard.watch(1, 1, 0x0300, 1, data => updates.push(data[0])))
+    .then(() => {
+      // Simulate the dongle resetting, which also loses its watchers
+      dongle.watchers = [];
+      dongle.superWatcher = null;
+      dongle.dropConnection();
+
+      return settle();
+    })
+    .then(() => {
+      expect(host.ble.state).to.equal('disconnected');
+      return dashboard.close();
+    })
+    .then(() => dashboard.startScanning())
+    .then(() => dashboard.open())
+    .then(() => dashboard.watch(1, 1, 0x0300, 1, data => updates.push(data[0])))
+    .then(() => {
+      expect(dongle.watchers[1]).to.deep.equal({ slot: 1, id: 1, address: 0x0300, length: 1 });
+
+      controller.writeMemory(0x0300, Buffer.from([ 9 ]));
+      return settle();
+    })
+    .then(() => {
+      expect(updates).to.deep.equal([ 9 ]);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should use no more watcher slots than the dongle has', function(done) {
+    var watches = [];
+
+    dashboard.startScanning()
+    .then(() => dashboard.open())
+    .then(() => {
+      // Each window slot watches other memory, so none can share the dongle's slots
+      for (let slot = 0; slot < 16; slot++) {
+        watches.push(dashboard.watch(slot, 1, 0x0100 + slot, 1, () => {})
+                     .then(() => null, err => err));
+      }
+
+      return Promise.all(watches);
+    })
+    .then((results) => {
+      expect(results.slice(0, 15)).to.deep.equal(new Array(15).fill(null));
+      expect(results[15].message).to.equal('All 15 watcher slots are in use');
+      expect(dongle.watchers.filter(watcher => watcher)).to.have.length(15);
+
+      done();
+    })
+    .catch(done);
+  });
+
+});
@@ -0,0 +1,153 @@
+/**
+ * Test that covers the BleController connection state machine, using the simulated
+ * dongle in lib/mock
+ *
+ */
+
+'use strict';
+
+// Load the class that handles communication to the device
+const BleController = require('..');
+
+const { MockBluetooth, MockPeripheral } = require('../lib/mock');
+
+var expect = require('chai').expect;
+
+const State = BleController.State;
+const InvalidStateError = BleController.errors.InvalidStateError;
+
+
+describe('Connection state machine', function() {
+
+  var ble = null;
+  var peripheral = null;
+  var select = null;
+  var states = [];
+
+  before('Create BleController instance with simulated backend', function(done) {
+    peripheral = new MockPeripheral();
+
+    // Hold on to the selection callback so the test controls when scanning ends
+    var bluetooth = new MockBluetooth({
+      peripherals: [ peripheral ],
+      deviceFound: function(device, callback) {
+        select = callback;
+      }
+    });
+
+    ble = new BleController({ name: 'CS1816', bluetooth: bluetooth });
+
+    ble.on('stateChange', (change) => {
+      states.push(change.state);
+    });
+
+    done();
+  });
+
+  it('should start out idle', function() {
+    expect(ble.state).to.equal(State.IDLE);
+    expect(ble.isOpen()).to.be.false;
+  });
+
+  it('should reject open() while scanning', function(done) {
+    var scan = ble.startScanning();
+
+    expect(ble.state).to.equal(State.SCANNING);
+
+    ble.open()
+    .then(() => {
+      done(new Error('Expected open() to be rejected'));
+    })
+    .catch((err) => {
+      expect(err).to.be.an.instanceof(InvalidStateError);
+      expect(err.operation).to.equal('open');
+      expect(err.state).to.equal(State.SCANNING);
+
+      select();
+      return scan;
+    })
+    .then(() => {
+      expect(ble.state).to.equal(State.IDLE);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should reject watch() while inspecting', function(done) {
+    var watchResult = null;
+
+    ble.once('inspecting', () => {
+      watchResult = ble.watch(0, 1, 0x0100, 1, () => {});
+    });
+
+    ble.open()
+    .then(() => {
+      return watchResult;
+    })
+    .then(() => {
+      done(new Error('Expected watch() to be rejected'));
+    })
+    .catch((err) => {
+      expect(err).to.be.an.instanceof(InvalidStateError);
+      expect(err.state).to.equal(State.INSPECTING);
+      expect(ble.state).to.equal(State.READY);
+      expect(states).to.deep.equal([ State.SCANNING, State.IDLE, State.CONNECTING,
+                                     State.INSPECTING, State.READY ]);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should report the reason for a state change', function(done) {
+    ble.once('stateChange', (change) => {
+      expect(change.previous).to.equal(State.READY);
+      expect(change.state).to.equal(State.DISCONNECTING);
+      expect(change.reason).to.be.a('string');
+      done();
+    });
+
+    // Hold back the GATT disconnection until the next test
+    peripheral.gatt.disconnect = function() {};
+
+    ble.close();
+  });
+
+  it('should not report disconnected until the GATT server has disconnected', function(done) {
+    var disconnected = false;
+
+    ble.once('disconnected', () => {
+      disconnected = true;
+    });
+
+    setTimeout(() => {
+      expect(disconnected).to.be.false;
+      expect(ble.state).to.equal(State.DISCONNECTING);
+
+      delete peripheral.gatt.disconnect;
+      peripheral.gatt.disconnect();
+
+      expect(disconnected).to.be.true;
+      expect(ble.state).to.equal(State.DISCONNECTED);
+      done();
+    }, 20);
+  });
+
+  it('should go to the error state when connecting fails', function(done) {
+    peripheral.connectable = false;
+
+    ble.startScanning();
+    select();
+
+    setTimeout(() => {
+      ble.open()
+      .then(() => {
+        done(new Error('Expected open() to be rejected'));
+      })
+      .catch(() => {
+        expect(ble.state).to.equal(State.ERROR);
+        done();
+      });
+    }, 10);
+  });
+
+});
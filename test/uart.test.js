@@ -71,7 +71,7 @@ describe('Transparent UART and MBAP communication', function() {
         });
 
       })
-      .catch(() => {
+      .catch((err) => {
         done(err);
       });
     });
@@ -100,7 +100,7 @@ describe('Transparent UART and MBAP communication', function() {
       var builder = new Buffers.BufferBuilder();
 
       if (len < 2) {
-        throw new Error("Minimum data length is 2");
+        throw new Error('Minimum data length is 2');
       }
 
       builder.pushUInt16( id );      // Transaction ID
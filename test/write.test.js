@@ -0,0 +1,268 @@
+/**
+ * Test that covers writing to the transparent UART: chunking, ordering, retries and
+ * errors, against the simulated dongle in lib/mock
+ *
+ */
+
+'use strict';
+
+const BleController = require('..');
+const Modbus = require('@csllc/cs-modbus');
+const { MockBluetooth, MockPeripheral, MockController } = require('../lib/mock');
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+// Read Memory request of 'length' bytes at 0x0100, from unit 1
+function request(transactionId, length) {
+  return Buffer.from([ 0x00, transactionId, 0x00, 0x00, 0x00, 0x05, 0x01, 0x45, 0x01, 0x00, length ]);
+}
+
+
+describe('UART writes', function() {
+
+  var ble = null;
+  var chunks = [];
+
+  // Connect with the given constructor options, recording the chunks written
+  function connect(options) {
+    var peripheral = new MockPeripheral({ product: 'PHOENIX', serial: '12345678',
+                                          controllers: [ new MockController({ id: 1 }) ] });
+
+    ble = new BleController(Object.assign({
+      name: 'CS1816',
+      bluetooth: new MockBluetooth({ peripherals: [ peripheral ] }),
+    }, options));
+
+    chunks = [];
+
+    ble.on('writeCharacteristic', (uuid, value) => {
+      if (uuid === '49535343-8841-43f4-a8d4-ecbe34729bb3') {
+        chunks.push(Array.from(value));
+      }
+    });
+
+    return ble.startScanning()
+    .then(() => ble.open());
+  }
+
+  afterEach(function() {
+    return ble.destroy();
+  });
+
+  it('should resolve once every chunk is written, in order', function(done) {
+    var written = [];
+
+    connect({ chunkSize: 4 })
+    .then(() => {
+      ble.on('write', data => written.push(data[1]));
+
+      return Promise.all([ ble.write(request(1, 1)), ble.write(request(2, 1)) ]);
+    })
+    .then(() => {
+      expect(written).to.deep.equal([ 1, 2 ]);
+
+      // Two 11-byte frames, each in chunks of 4, 4 and 3 bytes
+      expect(chunks.map(chunk => chunk.length)).to.deep.equal([ 4, 4, 3, 4, 4, 3 ]);
+      expect([].concat.apply([], chunks)).to.deep.equal(Array.from(request(1, 1)).concat(Array.from(request(2, 1))));
+
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should derive the chunk size from the MTU', function(done) {
+    connect({ chunkSize: 'mtu' })
+    .then(() => {
+      ble.peripheral.mtu = 10;
+
+      return ble.write(request(1, 1));
+    })
+    .then(() => {
+      expect(chunks.map(chunk => chunk.length)).to.deep.equal([ 7, 4 ]);
+
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should retry while a GATT operation is in progress', function(done) {
+    var attempts = [];
+
+    connect({ writeRetry: { retries: 2, minTimeout: 1 } })
+    .then(() => {
+      var write = ble.backend.write.bind(ble.backend);
+
+      sinon.stub(ble.backend, 'write')
+      .onFirstCall().rejects(new Error('GATT operation already in progress.'))
+      .callsFake(write);
+
+      ble.on('writeAttempt', number => attempts.push(number));
+
+      return ble.write(request(1, 1));
+    })
+    .then(() => {
+      expect(attempts).to.deep.equal([ 1, 2 ]);
+
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should retry only the chunk that failed', function(done) {
+    var delivered = [];
+    var response = null;
+
+    connect({ chunkSize: 4, writeRetry: { retries: 2, minTimeout: 1 } })
+    .then(() => {
+      var write = ble.backend.write.bind(ble.backend);
+
+      // Record only the chunks the peripheral accepted
+      sinon.stub(ble.backend, 'write')
+      .callsFake((characteristic, value, withResponse) => {
+        return write(characteristic, value, withResponse)
+        .then(() => { delivered.push(Array.from(value)); });
+      })
+      .onSecondCall().rejects(new Error('GATT operation already in progress.'));
+
+      ble.on('data', data => { response = data; });
+
+      return ble.write(request(1, 1));
+    })
+    .then(() => {
+      expect(delivered.map(chunk => chunk.length)).to.deep.equal([ 4, 4, 3 ]);
+      expect([].concat.apply([], delivered)).to.deep.equal(Array.from(request(1, 1)));
+
+      return new Promise(resolve => setTimeout(resolve, 20));
+    })
+    .then(() => {
+      expect(response).to.not.equal(null);
+      expect(response[7]).to.equal(0x45);
+
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should reject with a WriteError', function(done) {
+    connect({ writeRetry: false })
+    .then(() => {
+      sinon.stub(ble.backend, 'write').rejects(new Error('GATT operation already in progress.'));
+
+      return ble.write(request(1, 1));
+    })
+    .then(() => done(new Error('Expected write() to fail')))
+    .catch((err) => {
+      expect(err).to.be.an.instanceof(BleController.errors.WriteError);
+      expect(err.attempts).to.equal(1);
+      expect(err.cause.message).to.equal('GATT operation already in progress.');
+
+      ble.backend.write.restore();
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should fail the library\'s command when its request can\'t be written', function(done) {
+    connect({ writeRetry: false })
+    .then(() => {
+      sinon.stub(ble.backend, 'write').rejects(new Error('GATT operation already in progress.'));
+
+      return ble.keyswitch(true);
+    })
+    .then(() => done(new Error('Expected keyswitch() to fail')))
+    .catch((err) => {
+      expect(err).to.be.an.instanceof(BleController.errors.WriteError);
+
+      ble.backend.write.restore();
+      done();
+    })
+    .catch(done);
+  });
+
+  it('should report a failed write to a Modbus master as an error', function(done) {
+    var unhandled = [];
+    var onUnhandled = reason => unhandled.push(reason);
+    var master = null;
+
+    process.on('unhandledRejection', onUnhandled);
+
+    connect({ writeRetry: false })
+    .then(() => {
+      sinon.stub(ble.backend, 'write').rejects(new Error('GATT operation already in progress.'));
+
+      master = Modbus.createMaster({
+        transport: { type: 'ip', connection: { type: 'generic', device: ble } },
+        suppressTransactionErrors: true,
+        defaultUnit: 1,
+        defaultMaxRetries: 0,
+        defaultTimeout: 100,
+      });
+
+      return new Promise((resolve) => {
+        master.once('error', resolve);
+        master.readMemory(0x0100, 1);
+      });
+    })
+    .then((err) => {
+      expect(err).to.be.an.instanceof(BleController.errors.WriteError);
+
+      // Unhandled rejections are reported after the microtask queue drains
+      return new Promise(resolve => setTimeout(resolve, 20));
+    })
+    .then(() => {
+      expect(unhandled).to.deep.equal([]);
+    })
+    .then(() => {
+      process.removeListener('unhandledRejection', onUnhandled);
+      ble.backend.write.restore();
+      master.destroy();
+      done();
+    }, (err) => {
+      process.removeListener('unhandledRejection', onUnhandled);
+      done(err);
+    });
+  });
+
+  it('should report a write before the connection is ready to a Modbus master', function(done) {
+    var unhandled = [];
+    var onUnhandled = reason => unhandled.push(reason);
+    var master = null;
+
+    process.on('unhandledRejection', onUnhandled);
+
+    ble = new BleController({ name: 'CS1816', bluetooth: new MockBluetooth({ peripherals: [] }) });
+
+    master = Modbus.createMaster({
+      transport: { type: 'ip', connection: { type: 'generic', device: ble } },
+      suppressTransactionErrors: true,
+      defaultUnit: 1,
+      defaultMaxRetries: 0,
+      defaultTimeout: 100,
+    });
+
+    new Promise((resolve) => {
+      master.once('error', resolve);
+      master.readMemory(0x0100, 1);
+    })
+    .then((err) => {
+      expect(err).to.be.an.instanceof(BleController.errors.InvalidStateError);
+      expect(err.operation).to.equal('write');
+
+      // Unhandled rejections are reported after the microtask queue drains
+      return new Promise(resolve => setTimeout(resolve, 20));
+    })
+    .then(() => {
+      expect(unhandled).to.deep.equal([]);
+    })
+    .then(() => {
+      process.removeListener('unhandledRejection', onUnhandled);
+      master.destroy();
+      done();
+    }, (err) => {
+      process.removeListener('unhandledRejection', onUnhandled);
+      done(err);
+    });
+  });
+
+});